@@ -0,0 +1,39 @@
+// App-shell cache: pages fall back to the cached index.html offline, hashed build
+// assets and the web font are served cache-first. Supabase API calls are never
+// cached here; the app keeps its own snapshot of the last loaded data.
+const CACHE = "tm-shell-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(caches.open(CACHE).then((c) => c.addAll(SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(caches.keys().then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)))));
+  self.clients.claim();
+});
+
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    e.respondWith(
+      fetch(request)
+        .then((res) => { const copy = res.clone(); caches.open(CACHE).then((c) => c.put("/", copy)); return res; })
+        .catch(() => caches.match("/"))
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin || url.hostname === "cdn.jsdelivr.net") {
+    e.respondWith(
+      caches.match(request).then((hit) => hit || fetch(request).then((res) => {
+        if (res.ok || res.type === "opaque") { const copy = res.clone(); caches.open(CACHE).then((c) => c.put(request, copy)); }
+        return res;
+      }))
+    );
+  }
+});
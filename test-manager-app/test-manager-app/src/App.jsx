@@ -1,49 +1,161 @@
-import { useState, useEffect, useMemo } from "react";
-
-// ─── Supabase config from environment variables ───
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
-
-// ─── Supabase REST API Helper ───
-const headers = {
-  apikey: SUPABASE_ANON_KEY,
-  Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
-  "Content-Type": "application/json",
-  Prefer: "return=representation",
-};
-const base = `${SUPABASE_URL}/rest/v1`;
-
-const db = {
-  from: (table) => ({
-    select: async (columns = "*", query = "") => {
-      const res = await fetch(`${base}/${table}?select=${columns}${query}`, { headers });
-      if (!res.ok) throw new Error(await res.text());
-      return res.json();
+import { createContext, useContext, useState, useEffect, useMemo, useRef, Fragment } from "react";
+import { SUPABASE_URL, SUPABASE_ANON_KEY, MOCK_BACKEND, CACHE_KEY, DRAFT_KEY, isConfigured, DataError, auth, repo } from "./data.js";
+
+// ─── Offline outbox ───
+// Score saves and student edits are queued in localStorage and replayed in order, so nothing typed is lost
+// when the connection drops. A failure without an HTTP status (or a 401/5xx) leaves the item pending for the
+// next attempt; any other rejection turns it into a conflict for the user to retry or discard.
+const OUTBOX_KEY = "tm_outbox";
+
+// run: sends the operation; apply: shows it in the loaded data until the server copy arrives.
+const OUTBOX_OPS = {
+  add_student: {
+    run: async (row) => {
+      try { await repo.students.insert([row]); }
+      catch (e) { if (!(e.code === "23505" && e.message.includes("students_pkey"))) throw e; } // created by an earlier attempt
     },
-    insert: async (data) => {
-      const res = await fetch(`${base}/${table}`, {
-        method: "POST", headers, body: JSON.stringify(Array.isArray(data) ? data : [data]),
-      });
-      if (!res.ok) throw new Error(await res.text());
-      return res.json();
+    apply: (d, row) => ({ ...d, students:[...d.students.filter(s => s.id !== row.id), { ...row, pin:null }] }),
+  },
+  update_student: {
+    run: async ({ id, data }) => {
+      const rows = await repo.students.update(id, data);
+      if (!rows.length) throw new DataError("학생이 삭제되었거나 수정 권한이 없습니다.", { status:404 });
     },
-    update: async (data, match) => {
-      const params = Object.entries(match).map(([k, v]) => `${k}=eq.${v}`).join("&");
-      const res = await fetch(`${base}/${table}?${params}`, {
-        method: "PATCH", headers, body: JSON.stringify(data),
+    apply: (d, { id, data }) => ({ ...d, students:d.students.map(s => s.id === id ? { ...s, ...data, pin:null } : s) }),
+  },
+  save_test_session: {
+    run: (args) => repo.testSessions.save(args),
+    apply: (d, a) => {
+      const prev = d.testSessions.find(s => s.id === a.p_id);
+      const session = { ...prev, id:a.p_id, name:a.p_name, test_date:a.p_test_date, total_score:a.p_total_score, metadata:a.p_metadata,
+        version:a.p_create ? 1 : (prev?.version ?? 0) + 1, created_at:prev?.created_at || new Date().toISOString() };
+      const rows = a.p_results.map(r => {
+        const old = d.tests.find(t => t.session_id === a.p_id && t.student_id === r.student_id);
+        return { ...old, id:old?.id || `${a.p_id}:${r.student_id}`, session_id:a.p_id, student_id:r.student_id, score:r.score, attendance:r.attendance || "present", attendance_reason:r.attendance_reason || null, answers:r.answers ?? null, test_name:a.p_name, test_date:a.p_test_date, total_score:a.p_total_score, category_id:a.p_metadata?.category_id || null };
       });
-      if (!res.ok) throw new Error(await res.text());
-      return res.json();
-    },
-    delete: async (match) => {
-      const params = Object.entries(match).map(([k, v]) => `${k}=eq.${v}`).join("&");
-      const res = await fetch(`${base}/${table}?${params}`, { method: "DELETE", headers });
-      if (!res.ok) throw new Error(await res.text());
-      return true;
+      return { ...d, testSessions:[...d.testSessions.filter(s => s.id !== a.p_id), session], tests:[...d.tests.filter(t => t.session_id !== a.p_id), ...rows] };
     },
-  }),
+  },
+};
+
+const outbox = {
+  items: (() => { try { return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || []; } catch { return []; } })(),
+  listeners: new Set(),
+  flushing: null,
+  onSynced: null,
+  subscribe: (fn) => { outbox.listeners.add(fn); return () => outbox.listeners.delete(fn); },
+  set: (items) => { outbox.items = items; localStorage.setItem(OUTBOX_KEY, JSON.stringify(items)); outbox.listeners.forEach(fn => fn(items)); },
+  update: (id, patch) => outbox.set(outbox.items.map(i => i.id === id ? { ...i, ...patch } : i)),
+  mine: (items = outbox.items) => items.filter(i => i.user_id === auth.session?.user?.id),
+  push: (kind, label, args) => {
+    const id = crypto.randomUUID();
+    outbox.set([...outbox.items, { id, kind, label, args, user_id:auth.session?.user?.id, status:"pending", created_at:new Date().toISOString() }]);
+    return id;
+  },
+  flush: () => outbox.flushing ||= (async () => {
+    const tried = new Set();
+    let synced = 0, item;
+    while ((item = outbox.mine().find(i => i.status === "pending" && !tried.has(i.id)))) {
+      tried.add(item.id);
+      try { await OUTBOX_OPS[item.kind].run(item.args); outbox.set(outbox.items.filter(i => i.id !== item.id)); synced++; }
+      catch (e) {
+        if (!e.status || e.status === 401 || e.status >= 500) break;
+        outbox.update(item.id, { status:"conflict", error:e.message, stale:isStaleEdit(e) });
+      }
+    }
+    outbox.flushing = null;
+    if (synced) await outbox.onSynced?.();
+  })(),
+  // Queues and sends right away. A rejection on this first attempt is thrown (and dropped from the queue) so
+  // callers report it as before; offline the item stays queued. Resolves true once synced, false while queued.
+  submit: async (kind, label, args) => {
+    const id = outbox.push(kind, label, args);
+    await outbox.flushing;
+    await outbox.flush();
+    const item = outbox.items.find(i => i.id === id);
+    if (item?.status === "conflict") { outbox.discard(id); throw Object.assign(new Error(item.error), { stale:item.stale }); }
+    return !item;
+  },
+  retry: (id) => { outbox.update(id, { status:"pending", error:undefined }); return outbox.flush(); },
+  discard: (id) => outbox.set(outbox.items.filter(i => i.id !== id)),
 };
 
+// ─── Live updates ───
+// Row changes arrive over Supabase Realtime (Phoenix channel protocol); VITE_REALTIME_URL points this at a
+// stand-in websocket sending the same `postgres_changes` messages. RLS decides which changes a user receives.
+// The mock backend has no realtime server, so there is nothing to connect to unless a stand-in is set.
+const REALTIME_URL = import.meta.env.VITE_REALTIME_URL || (MOCK_BACKEND ? null : `${SUPABASE_URL?.replace(/^http/, "ws")}/realtime/v1/websocket?apikey=${SUPABASE_ANON_KEY}&vsn=1.0.0`);
+const LIVE_TOPIC = "realtime:test-manager";
+const LIVE_TABLES = ["students", "tests", "test_sessions", "retest_attempts", "classes", "class_students", "parent_notes", "online_attempts"];
+
+const live = {
+  socket: null, ref: 0, heartbeat: null, reconnect: null, retries: 0,
+  onChange: null, onState: null,
+  send: (topic, event, payload) => {
+    if (live.socket?.readyState !== WebSocket.OPEN) return;
+    live.socket.send(JSON.stringify({ topic, event, payload, ref:String(++live.ref), join_ref:topic === LIVE_TOPIC ? "1" : undefined }));
+  },
+  connect: () => {
+    live.disconnect();
+    if (!REALTIME_URL) return;
+    const ws = live.socket = new WebSocket(REALTIME_URL);
+    live.onState?.("connecting");
+    ws.onopen = () => {
+      live.retries = 0;
+      live.send(LIVE_TOPIC, "phx_join", { config:{ postgres_changes:LIVE_TABLES.map(table => ({ event:"*", schema:"public", table })) }, access_token:auth.session?.token });
+      live.heartbeat = setInterval(() => live.send("phoenix", "heartbeat", {}), 25000);
+    };
+    ws.onmessage = (m) => {
+      const msg = JSON.parse(m.data);
+      if (msg.topic !== LIVE_TOPIC) return;
+      if (msg.event === "phx_reply" && msg.ref === "1") live.onState?.(msg.payload?.status === "ok" ? "open" : "error");
+      else if (msg.event === "postgres_changes") live.onChange?.(msg.payload?.data);
+    };
+    ws.onclose = () => {
+      clearInterval(live.heartbeat);
+      if (live.socket !== ws) return; // closed on purpose
+      live.socket = null;
+      live.onState?.("closed");
+      live.reconnect = setTimeout(live.connect, Math.min(30000, 1000 * 2 ** live.retries++));
+    };
+  },
+  disconnect: () => {
+    clearTimeout(live.reconnect); clearInterval(live.heartbeat);
+    const ws = live.socket;
+    live.socket = null; live.ref = 0;
+    ws?.close();
+  },
+};
+
+// ─── Routing ───
+// The URL mirrors the screen, so reloads, the back button and shared links land in the same place:
+//   /admin/<tab>[?student=&class=&category=]   /admin/tests/new   /admin/tests/<session id>/edit
+//   /me[/<YYYY-MM>[/test/<result id>] | /trend | /take/<session id>]   (students; parents use /parent/<child id>/...)
+// The hosting config rewrites every path to index.html. Signed-out visitors keep their URL, so it opens after login.
+const ROLE_HOME = { admin:"/admin", student:"/me", parent:"/parent" };
+const route = {
+  listeners: new Set(),
+  get: () => ({ path:location.pathname.replace(/\/+$/, "") || "/", query:new URLSearchParams(location.search), search:location.search }),
+  go: (to, { replace = false } = {}) => {
+    if (to === location.pathname + location.search) return;
+    history[replace ? "replaceState" : "pushState"](null, "", to);
+    route.listeners.forEach(f => f());
+  },
+};
+window.addEventListener("popstate", () => route.listeners.forEach(f => f()));
+
+const useRoute = () => {
+  const [, setTick] = useState(0);
+  useEffect(() => { const f = () => setTick(n => n + 1); route.listeners.add(f); return () => { route.listeners.delete(f); }; }, []);
+  return route.get();
+};
+// Query string from the params that are set ("all" being the unfiltered default).
+const withQuery = (path, params) => { const q = new URLSearchParams(Object.entries(params).filter(([, v]) => v && v !== "all")).toString(); return q ? `${path}?${q}` : path; };
+const inSection = (path, base) => path === base || path.startsWith(base + "/");
+
+// save_test_session rejects an edit based on an outdated version with SQLSTATE PT409.
+const isStaleEdit = (e) => e.code === "PT409";
+
 // ─── Utilities ───
 const getMonthDays = (year, month) => {
   const firstDay = new Date(year, month, 1).getDay();
@@ -54,18 +166,412 @@ const getMonthDays = (year, month) => {
   return days;
 };
 
+const avgScore = (rows) => {
+  const sc = rows.filter(t => t.score !== null && t.score !== undefined);
+  return sc.length === 0 ? null : sc.reduce((a, b) => a + b.score, 0) / sc.length;
+};
+
+const groupAttempts = (attempts) => {
+  const m = {};
+  attempts.forEach(a => { (m[a.result_id] || (m[a.result_id] = [])).push(a); });
+  Object.values(m).forEach(list => list.sort((a, b) => a.attempt_no - b.attempt_no));
+  return m;
+};
+
+const toDateStr = (d) => `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+const addDays = (dateStr, n) => { const d = new Date(dateStr + "T00:00:00"); d.setDate(d.getDate() + n); return toDateStr(d); };
+
+// Retest rule: { keyword, cutoff_pct, delay_days, reason }. Returns { date, reason } when the score falls below the cutoff
+// (nothing while the full score is not a positive number).
+const matchRetestRule = (testName, rules) => rules.find(r => r.keyword && testName.includes(r.keyword)) || null;
+const suggestRetest = (score, total, testDate, rule) => {
+  if (!rule || !testDate || score === "" || score === undefined || score === null || isNaN(Number(score)) || !(Number(total) > 0)) return null;
+  if ((Number(score) / Number(total)) * 100 >= Number(rule.cutoff_pct)) return null;
+  return { date: addDays(testDate, Number(rule.delay_days) || 0), reason: rule.reason || "" };
+};
+
+// Score cells as typed: "" is not entered yet, "x" (or "결석", "absent") marks the student absent. A score can only be
+// checked against a positive full score.
+const parseScoreCell = (value, total) => {
+  const v = String(value ?? "").trim();
+  if (!v) return { score:null };
+  if (["x", "결석", "absent"].includes(v.toLowerCase())) return { score:null, absent:true };
+  const n = Number(v), max = Number(total);
+  if (isNaN(n)) return { error:"숫자가 아닌 점수" };
+  if (!(max > 0)) return { error:"만점이 올바르지 않음" };
+  if (n < 0) return { error:"음수 점수" };
+  if (n > max) return { error:`만점(${max}점) 초과` };
+  return { score:n };
+};
+
+// Templates: "{n}" in the name becomes the round number; repeat_weekdays are ISO weekdays (WEEKDAYS_ISO index + 1).
+const templateName = (t, round) => t.name.replaceAll("{n}", String(round));
+const WEEKDAYS_ISO = ["월","화","수","목","금","토","일"];
+const categoryChip = (c) => c && <span style={{ ...chipStyle, background:`${c.color}1A`, color:c.color }}>{c.name}</span>;
+
+// Online tests: metadata.online = { opens_at, closes_at, minutes } with ISO times; the form edits them as datetime-local values.
+const toLocalInput = (iso) => { const d = new Date(iso); return `${toDateStr(d)}T${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`; };
+const onlinePhase = (o) => Date.now() < Date.parse(o.opens_at) ? "upcoming" : Date.now() < Date.parse(o.closes_at) ? "open" : "closed";
+const formatDateTime = (iso) => new Date(iso).toLocaleString("ko-KR", { month:"numeric", day:"numeric", hour:"2-digit", minute:"2-digit" });
+
 const formatDate = (dateStr) => {
   if (!dateStr) return "";
   const d = new Date(dateStr + "T00:00:00");
   return `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, "0")}.${String(d.getDate()).padStart(2, "0")}`;
 };
 
+const STAFF_ROLES = { owner:"원장", teacher:"선생님", assistant:"조교 (읽기 전용)" };
 const MONTHS_KR = ["1월","2월","3월","4월","5월","6월","7월","8월","9월","10월","11월","12월"];
 const DAYS_KR = ["일","월","화","수","목","금","토"];
-const DEFAULT_ADMIN_PIN = "1234";
+
+// ─── Import ───
+const IMPORT_ALIASES = {
+  name:["name","이름","성명","학생"], login_id:["login_id","loginid","id","아이디"],
+  grade:["grade","학년"], pin:["pin","password","비밀번호"], score:["score","점수"],
+};
+
+const parseCsv = (text) => {
+  const rows = []; let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+};
+
+// Reads the first sheet of a .csv/.xlsx file into records keyed by IMPORT_ALIASES, using the first row as the header.
+const readSpreadsheet = async (file) => {
+  const buf = await file.arrayBuffer();
+  let rows;
+  if (/\.csv$/i.test(file.name)) {
+    let text;
+    try { text = new TextDecoder("utf-8", { fatal:true }).decode(buf); }
+    catch { text = new TextDecoder("euc-kr").decode(buf); }
+    rows = parseCsv(text.replace(/^\uFEFF/, ""));
+  } else {
+    const XLSX = await import("xlsx");
+    const wb = XLSX.read(buf, { type:"array" });
+    rows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header:1, defval:"", raw:false });
+  }
+  rows = rows.map(r => r.map(c => String(c ?? "").trim())).filter(r => r.some(c => c !== ""));
+  if (!rows.length) throw new Error("빈 파일입니다.");
+  const idx = {};
+  rows[0].forEach((h, i) => {
+    const k = h.toLowerCase().replace(/\s/g, "");
+    Object.entries(IMPORT_ALIASES).forEach(([f, aliases]) => { if (idx[f] === undefined && aliases.includes(k)) idx[f] = i; });
+  });
+  if (!Object.keys(idx).length) throw new Error("첫 줄에서 열 이름(이름, 아이디, 점수 등)을 찾을 수 없습니다.");
+  return rows.slice(1).map((r, i) => ({ line:i + 2, ...Object.fromEntries(Object.entries(idx).map(([f, ci]) => [f, r[ci] ?? ""])) }));
+};
+
+const countBy = (values) => values.reduce((m, v) => { if (v) m[v] = (m[v] || 0) + 1; return m; }, {});
+
+const analyzeStudentImport = (records, students, settings) => {
+  const ids = countBy(records.map(r => r.login_id));
+  return records.map(r => {
+    const errors = [];
+    if (!r.name) errors.push("이름 없음");
+    if (!r.login_id) errors.push("아이디 없음");
+    else if (ids[r.login_id] > 1) errors.push("파일 내 중복 아이디");
+    else if (students.some(s => s.login_id === r.login_id)) errors.push("이미 사용 중인 아이디");
+    if (r.pin && pinProblem(r.pin, settings)) errors.push(pinProblem(r.pin, settings));
+    return { ...r, errors };
+  });
+};
+
+const analyzeScoreImport = (records, students, total) => {
+  const items = records.map(r => {
+    const errors = [];
+    let student = r.login_id ? students.find(s => s.login_id === r.login_id) : null;
+    if (!student && r.name) {
+      const byName = students.filter(s => s.name === r.name);
+      if (byName.length > 1) errors.push("동명이인 — 아이디로 구분하세요");
+      else student = byName[0];
+    }
+    if (!student && !errors.length) errors.push("등록되지 않은 학생");
+    const cell = parseScoreCell(r.score, total);
+    if (cell.error) errors.push(cell.error);
+    return { ...r, student, score:cell.score ?? null, absent:!!cell.absent, errors };
+  });
+  const seen = countBy(items.map(i => i.student?.id));
+  items.forEach(i => { if (i.student && seen[i.student.id] > 1) i.errors.push("파일 내 중복 학생"); });
+  return items;
+};
+
+// ─── Export ───
+const pctOf = (score, total) => (score === null || score === undefined || !(total > 0) ? null : (score / total) * 100);
+
+const attemptSummary = (attempts) => attempts.map(a => `${a.attempt_no}차 ${a.scheduled_date} ${RETEST_STATUS[a.status].label}${a.score !== null && a.score !== undefined ? ` ${a.score}점` : ""}`).join(" / ");
+
+// One sheet per test session, rows limited by `visible`.
+const buildResultSheets = (groups, students, attemptsByResult, visible) => groups.map(g => ({
+  name: `${g.testDate} ${g.testName}`,
+  rows: [
+    ["이름", "아이디", "학년", "점수", "만점", "백분율(%)", "출결", "재시험"],
+    ...g.tests.filter(visible).map(t => {
+      const st = students.find(s => s.id === t.student_id) || {};
+      const pct = pctOf(t.score, g.totalScore);
+      return [st.name || "", st.login_id || "", st.grade || "", missedTest(t) ? ATTENDANCE[t.attendance].label : t.score ?? "", g.totalScore, pct === null ? "" : Number(pct.toFixed(1)), attendanceText(t), attemptSummary(attemptsByResult[t.id] || [])];
+    }),
+  ],
+}));
+
+// Student × test matrix (oldest test first) with each student's average percentage.
+const buildResultMatrix = (groups, students, visible) => {
+  const cols = [...groups].reverse();
+  const rows = students.filter(s => cols.some(g => g.tests.some(t => t.student_id === s.id && visible(t))))
+    .sort((a, b) => a.name.localeCompare(b.name, "ko"))
+    .map(s => {
+      const cells = cols.map(g => g.tests.find(t => t.student_id === s.id && visible(t)));
+      const pcts = cells.map((t, i) => t && pctOf(t.score, cols[i].totalScore)).filter(p => p !== null && p !== undefined);
+      return [s.name, s.login_id, s.grade, ...cells.map(t => t && missedTest(t) ? ATTENDANCE[t.attendance].label : t?.score ?? ""), pcts.length ? Number((pcts.reduce((a, b) => a + b, 0) / pcts.length).toFixed(1)) : ""];
+    });
+  return [["이름", "아이디", "학년", ...cols.map(g => `${g.testName} (${g.testDate}, ${g.totalScore}점)`), "평균(%)"], ...rows];
+};
+
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const downloadCsv = (filename, rows) => {
+  const esc = (v) => { const s = String(v ?? ""); return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+  downloadBlob(filename, new Blob(["\uFEFF" + rows.map(r => r.map(esc).join(",")).join("\r\n")], { type:"text/csv;charset=utf-8" }));
+};
+
+const downloadXlsx = async (filename, sheets) => {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach(({ name, rows }) => {
+    let n = name.replace(/[\[\]:*?/\\]/g, " ").slice(0, 31), i = 2;
+    while (used.has(n)) n = `${name.slice(0, 27)} (${i++})`;
+    used.add(n);
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), n);
+  });
+  XLSX.writeFile(wb, filename);
+};
+
+// ─── Backup ───
+// A backup file is { format, schema_version, backend, created_at, academy, counts, checksum, data }, data being
+// export_backup()'s rows by table. The checksum is the SHA-256 of JSON.stringify(data), so a damaged or
+// hand-edited file is refused. schema_version changes whenever a table in the backup changes shape.
+// backend is where the backup was made: the demo backend keeps PINs and passwords unhashed, so its
+// backups only restore into the demo backend and Supabase's only into Supabase.
+const BACKUP_FORMAT = "test-manager-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_BACKEND = MOCK_BACKEND ? "memory" : "supabase";
+const BACKUP_BACKENDS = { supabase:"서버", memory:"데모 모드" };
+// Every table in a backup, in restore order.
+const BACKUP_LABELS = {
+  academy_settings:"학원 설정", grades:"학년", staff_accounts:"직원 계정", test_categories:"테스트 분류", classes:"반", retest_rules:"재시험 규칙",
+  students:"학생", student_credentials:"학생 비밀번호", teacher_students:"담당 학생", class_students:"반 배정", parent_accounts:"학부모 계정",
+  parent_students:"학부모 연결", parent_notes:"학부모 알림장", test_sessions:"테스트", test_templates:"테스트 템플릿", tests:"점수",
+  retest_attempts:"재시험", online_attempts:"온라인 응시",
+};
+// Primary keys other than `id`.
+const BACKUP_KEYS = { grades:["name"], student_credentials:["student_id"], teacher_students:["account_id", "student_id"], class_students:["class_id", "student_id"],
+  parent_students:["parent_id", "student_id"], online_attempts:["session_id", "student_id"] };
+// Unique columns a backup row is matched to an existing row by before its id: a student with the same login ID
+// is the same student even if the database gave them another id.
+const BACKUP_MATCH = { students:["login_id"], staff_accounts:["login_id"], parent_accounts:["login_id"], test_categories:["name"],
+  tests:["session_id", "student_id"], retest_attempts:["result_id", "attempt_no"] };
+// Columns holding ids of another table's rows.
+const BACKUP_REFS = {
+  student_credentials:{ student_id:"students" }, teacher_students:{ account_id:"staff_accounts", student_id:"students" },
+  class_students:{ class_id:"classes", student_id:"students" }, parent_students:{ parent_id:"parent_accounts", student_id:"students" },
+  parent_notes:{ student_id:"students" }, test_templates:{ category_id:"test_categories", class_id:"classes", student_ids:"students" },
+  tests:{ session_id:"test_sessions", student_id:"students", category_id:"test_categories" }, retest_attempts:{ result_id:"tests" },
+  online_attempts:{ session_id:"test_sessions", student_id:"students" },
+};
+const BACKUP_NAMES = { students:r => r.name, test_sessions:r => `${r.name} (${r.test_date})`, staff_accounts:r => r.name || r.login_id, classes:r => r.name };
+
+const sha256 = async (text) => [...new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)))].map(b => b.toString(16).padStart(2, "0")).join("");
+// JSON with object keys sorted, for comparing rows regardless of key order.
+const canonicalJson = (v) => JSON.stringify(v, (k, x) => x && typeof x === "object" && !Array.isArray(x) ? Object.fromEntries(Object.entries(x).sort(([a], [b]) => a < b ? -1 : 1)) : x);
+
+const makeBackup = async (data, academy) => ({
+  format:BACKUP_FORMAT, schema_version:BACKUP_VERSION, backend:BACKUP_BACKEND, created_at:new Date().toISOString(), academy,
+  counts:Object.fromEntries(Object.entries(data).map(([t, rows]) => [t, rows.length])), checksum:`sha256:${await sha256(JSON.stringify(data))}`, data,
+});
+const downloadBackup = async (data, academy, label = "백업") => {
+  const backup = await makeBackup(data, academy);
+  downloadBlob(`${academy}_${label}_${backup.created_at.slice(0, 16).replace(/[-:T]/g, "")}.json`, new Blob([JSON.stringify(backup)], { type:"application/json" }));
+};
+
+const readBackup = async (text) => {
+  let b;
+  try { b = JSON.parse(text); } catch { throw new Error("JSON 파일을 읽을 수 없습니다."); }
+  if (b?.format !== BACKUP_FORMAT || !b.data || typeof b.data !== "object") throw new Error("이 프로그램의 백업 파일이 아닙니다.");
+  if (b.schema_version > BACKUP_VERSION) throw new Error(`더 새로운 버전(${b.schema_version})에서 만든 백업입니다. 프로그램을 업데이트한 뒤 복원하세요.`);
+  if (b.schema_version !== BACKUP_VERSION) throw new Error(`지원하지 않는 백업 버전(${b.schema_version})입니다.`);
+  if (b.backend !== BACKUP_BACKEND) throw new Error(`${BACKUP_BACKENDS[b.backend] || "알 수 없는 곳"}에서 만든 백업은 ${BACKUP_BACKENDS[BACKUP_BACKEND]}에 복원할 수 없습니다. (비밀번호 저장 방식이 다릅니다)`);
+  if (b.checksum !== `sha256:${await sha256(JSON.stringify(b.data))}`) throw new Error("파일이 손상되었거나 수정되었습니다. (체크섬 불일치)");
+  return b;
+};
+
+// Maps a backup onto the current data (both as export_backup() returns them). Rows matched to an existing row
+// under another id take that id, and every reference to them is rewritten, table by table in restore order.
+// Returns the rows to send to restore_backup and, per table, what restoring them adds, changes and removes.
+// The signed-in account (myId) is never changed or removed by a restore.
+const planRestore = (current, incoming, mode, myId) => {
+  const ids = {}, data = {}, diff = {};
+  const keyOf = (table, r) => (BACKUP_KEYS[table] || ["id"]).map(k => r[k]).join("|");
+  const matchOf = (table, r) => BACKUP_MATCH[table].map(k => r[k]).join("|");
+  const mapId = (table, id) => ids[table]?.get(id) ?? id;
+  for (const table of Object.keys(BACKUP_LABELS)) {
+    const existing = current[table] || [];
+    const byKey = new Map(existing.map(r => [keyOf(table, r), r]));
+    const byMatch = BACKUP_MATCH[table] && new Map(existing.map(r => [matchOf(table, r), r]));
+    const name = BACKUP_NAMES[table] || (() => null);
+    const d = diff[table] = { added:[], changed:[], unchanged:0, removed:[] };
+    const matched = new Set();
+    ids[table] = new Map();
+    data[table] = (incoming[table] || []).map(input => {
+      const row = { ...input };
+      for (const [col, ref] of Object.entries(BACKUP_REFS[table] || {})) row[col] = Array.isArray(row[col]) ? row[col].map(v => mapId(ref, v)) : mapId(ref, row[col]);
+      if (table === "test_sessions" && row.metadata?.category_id) row.metadata = { ...row.metadata, category_id:mapId("test_categories", row.metadata.category_id) };
+      const match = byMatch?.get(matchOf(table, row)) || byKey.get(keyOf(table, row));
+      if (match && "id" in row && match.id !== row.id) { ids[table].set(row.id, match.id); row.id = match.id; }
+      if (match) matched.add(match);
+      if (!match) d.added.push(name(row));
+      else if ((table === "staff_accounts" && match.id === myId) || canonicalJson(match) === canonicalJson(row)) d.unchanged++;
+      else d.changed.push(name(row));
+      return row;
+    });
+    if (mode === "replace") d.removed = existing.filter(r => !matched.has(r) && !(table === "staff_accounts" && r.id === myId)).map(name);
+  }
+  const remapped = Object.values(ids).reduce((n, m) => n + m.size, 0);
+  return { data, diff, remapped };
+};
+
+// ─── Analytics ───
+const MOVING_WINDOW = 3;
+const DECLINE_POINTS = 10;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// "단어 테스트 12회" → "단어 테스트": tests of the same series share a name apart from the round number.
+const seriesOf = (name) => name.replace(/\s*(제\s*)?\d+\s*(회|차|강|주차)?\s*$/, "").trim() || name;
+
+const movingAverage = (values, n = MOVING_WINDOW) => values.map((_, i) => mean(values.slice(Math.max(0, i - n + 1), i + 1)));
+
+// Flags a drop of DECLINE_POINTS or more between the last 3 scores and the (up to 5) scores before them.
+const detectDecline = (pcts) => {
+  if (pcts.length < 4) return null;
+  const recent = mean(pcts.slice(-3)), previous = mean(pcts.slice(-8, -3));
+  return previous - recent >= DECLINE_POINTS ? { recent, previous, drop: previous - recent } : null;
+};
+
+// Chronological scored points for one student: { id, date, name, series, pct, allPct, gradePct, classPct }.
+const buildTrendPoints = (student, groups, students, classMateIds) => groups.map(g => {
+  const t = g.tests.find(x => x.student_id === student.id);
+  if (!t || t.score === null) return null;
+  const pctAvg = (rows) => pctOf(avgScore(rows), g.totalScore);
+  return {
+    id:t.id, date:g.testDate, name:g.testName, series:seriesOf(g.testName), pct:pctOf(t.score, g.totalScore),
+    allPct:pctAvg(g.tests),
+    gradePct:pctAvg(g.tests.filter(x => students.find(s => s.id === x.student_id)?.grade === student.grade)),
+    classPct:classMateIds.length ? pctAvg(g.tests.filter(x => classMateIds.includes(x.student_id))) : null,
+  };
+}).filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+
+// Distribution of one test's results. Ranks are competition-style (1, 2, 2, 4);
+// percentile is the share of scored students at or above the rank ("상위 n%").
+const testStats = (rows, total, bands) => {
+  const scored = rows.filter(t => t.score !== null && t.score !== undefined);
+  const sorted = scored.map(t => t.score).sort((a, b) => a - b);
+  const n = sorted.length;
+  const avg = n ? mean(sorted) : null;
+  const ranks = {};
+  for (const t of scored) {
+    const rank = sorted.filter(v => v > t.score).length + 1;
+    ranks[t.id] = { rank, percentile: (rank / n) * 100 };
+  }
+  return {
+    count:n, attendance:countBy(rows.map(attendanceOf)), missing:rows.filter(scorePending).length, ranks,
+    min:n ? sorted[0] : null, max:n ? sorted[n - 1] : null, mean:avg,
+    median:n ? (n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2) : null,
+    sd:n ? Math.sqrt(mean(sorted.map(v => (v - avg) ** 2))) : null,
+    bands:bands.map((b, i) => ({ ...b, count:sorted.filter(v => { const p = pctOf(v, total); return p >= b.min && (i === 0 || p < bands[i - 1].min); }).length })),
+  };
+};
+
+// Per-student attendance over the tests dated from…to (inclusive): counts by status, plus the unexcused absences.
+// Present results still waiting for a score (an online test not taken yet) are left out.
+const attendanceCounts = (groups, from, to) => {
+  const m = {};
+  groups.filter(g => g.testDate >= from && g.testDate <= to).forEach(g => g.tests.filter(t => attendanceOf(t) !== "present" || t.score !== null).forEach(t => {
+    const c = m[t.student_id] || (m[t.student_id] = { present:0, late:0, excused:0, absent:0, total:0, absences:[] });
+    c[attendanceOf(t)]++; c.total++;
+    if (attendanceOf(t) === "absent") c.absences.push({ date:g.testDate, name:g.testName, reason:t.attendance_reason });
+  }));
+  return m;
+};
+
+// ─── Item analysis ───
+// Question n is metadata.questions[n-1] = { answer, points, skill }; a result's `answers` follow the same order.
+// Matching is the server's grade_answers(): "a/b" lists accepted answers, case and surrounding spaces are ignored.
+const SKILLS = ["어휘","문법","독해","듣기"];
+const normAnswer = (v) => String(v ?? "").trim().toLowerCase();
+const isCorrect = (q, a) => normAnswer(a) !== "" && String(q.answer ?? "").split("/").map(normAnswer).includes(normAnswer(a));
+// A question without points counts one point, as in grade_answers().
+const pointsOf = (q) => Number(q.points ?? 1) || 0;
+const gradeAnswers = (questions, answers) => questions.reduce((sum, q, i) => isCorrect(q, answers[i]) ? sum + pointsOf(q) : sum, 0);
+
+// Per question: share of students who answered correctly and the most common wrong answer.
+const itemStats = (questions, rows) => {
+  const answered = rows.filter(t => Array.isArray(t.answers));
+  return questions.map((q, i) => {
+    const wrong = {};
+    let correct = 0, blank = 0;
+    answered.forEach(t => {
+      const a = normAnswer(t.answers[i]);
+      if (!a) blank++; else if (isCorrect(q, a)) correct++; else wrong[a] = (wrong[a] || 0) + 1;
+    });
+    const [answer, count] = Object.entries(wrong).sort((a, b) => b[1] - a[1])[0] || [];
+    return { no:i + 1, q, n:answered.length, correct, blank, pct:answered.length ? correct / answered.length * 100 : null, commonWrong:answer ? { answer, count } : null };
+  });
+};
+
+// Points earned out of points possible per skill, over every test with questions the student answered; best first.
+const skillProfile = (studentId, groups) => {
+  const m = {};
+  groups.forEach(g => {
+    const t = g.tests.find(x => x.student_id === studentId);
+    if (!g.metadata.questions?.length || !Array.isArray(t?.answers)) return;
+    g.metadata.questions.forEach((q, i) => {
+      const e = m[q.skill || "기타"] ||= { skill:q.skill || "기타", earned:0, possible:0, questions:0 };
+      e.possible += pointsOf(q); e.questions++;
+      if (isCorrect(q, t.answers[i])) e.earned += pointsOf(q);
+    });
+  });
+  return Object.values(m).filter(e => e.possible > 0).map(e => ({ ...e, pct:e.earned / e.possible * 100 })).sort((a, b) => b.pct - a.pct);
+};
+
+// Grades follow the configured list (중1 … 고3); grades no longer in it come last, by name.
+const gradeRank = (grade, grades) => { const i = grades.indexOf(grade); return i < 0 ? grades.length : i; };
+const RESULT_SORTS = {
+  name: (a, b) => a.student.name.localeCompare(b.student.name, "ko"),
+  grade: (a, b, grades) => gradeRank(a.student.grade, grades) - gradeRank(b.student.grade, grades) || a.student.grade.localeCompare(b.student.grade, "ko"),
+  score: (a, b) => (a.t.score ?? -Infinity) - (b.t.score ?? -Infinity),
+};
 
 // ─── Theme ───
-const T = {
+// The default theme; the settings recolour it in the academy colour (themeFor), which components read with useSettings().
+const THEME = {
   bg:"#F7F8FC", primary:"#2C5AFF", primaryLight:"#EEF2FF",
   accent:"#FF6B35", accentLight:"#FFF3ED",
   text:"#1A1D2E", textSec:"#6B7094", textLight:"#9DA3C0", border:"#E8EAF2",
@@ -75,54 +581,275 @@ const T = {
   radius:"14px", radiusSm:"10px",
 };
 
+const RETEST_STATUS = {
+  scheduled:{ label:"예정", icon:"🔄", color:THEME.accent, bg:THEME.accentLight },
+  completed:{ label:"완료", icon:"✅", color:THEME.success, bg:"#ECFDF5" },
+  no_show:{ label:"미응시", icon:"⚠️", color:THEME.danger, bg:THEME.dangerLight },
+  waived:{ label:"면제", icon:"➖", color:THEME.textSec, bg:THEME.bg },
+};
+
+const scoreColor = (pct, bands) => bands.find(b => pct >= b.min).color;
+
+// Archived and graduated students keep their history but leave the test form and can no longer log in.
+const STUDENT_STATUS = {
+  active:{ label:"재원", color:THEME.success, bg:"#ECFDF5" },
+  archived:{ label:"보관", color:THEME.textSec, bg:THEME.bg },
+  graduated:{ label:"졸업", color:"#92400E", bg:THEME.warningLight },
+};
+const isActive = (s) => (s.status || "active") === "active";
+// Attendance of one result. Absent and excused results have no score; only "absent" is unexcused.
+const ATTENDANCE = {
+  present:{ label:"출석", color:THEME.success, bg:"#ECFDF5" },
+  late:{ label:"지각", color:"#92400E", bg:THEME.warningLight },
+  excused:{ label:"인정결석" },
+  absent:{ label:"결석", color:THEME.danger, bg:THEME.dangerLight },
+};
+const attendanceOf = (t) => t.attendance || "present";
+const missedTest = (t) => attendanceOf(t) === "absent" || attendanceOf(t) === "excused";
+const scorePending = (t) => t.score === null && !missedTest(t);
+const attendanceText = (t) => attendanceOf(t) === "present" ? "" : `${ATTENDANCE[t.attendance].label}${t.attendance_reason ? ` (${t.attendance_reason})` : ""}`;
+// Excused absences are shown in the academy colour.
+const attendanceStyle = (k, T) => k === "excused" ? { ...ATTENDANCE.excused, color:T.primary, bg:T.primaryLight } : ATTENDANCE[k];
+const attendanceChip = (t, T) => { const st = attendanceStyle(attendanceOf(t), T); return attendanceOf(t) !== "present" && <span title={t.attendance_reason || undefined} style={{ ...chipStyle, background:st.bg, color:st.color }}>{st.label}</span>; };
+const DEFAULT_GRADES = ["중1","중2","중3","고1","고2","고3"];
+const gradeColor = (grade, grades, T) => {
+  const i = grades.indexOf(grade);
+  return i >= 0 && i === grades.length - 1 ? { color:T.danger, bg:T.dangerLight } : i >= 0 && i === grades.length - 2 ? { color:"#92400E", bg:T.warningLight } : { color:T.primary, bg:T.primaryLight };
+};
+// School-year rollover: the next grade in the list, the last grade graduates, grades not in the list stay as they are.
+const promote = (s, grades) => {
+  const i = grades.indexOf(s.grade);
+  if (i < 0) return { grade:s.grade, status:"active" };
+  return i === grades.length - 1 ? { grade:s.grade, status:"graduated" } : { grade:grades[i + 1], status:"active" };
+};
+
+const TRASH_DAYS = 30;
+const AUDIT_TABLES = { students:"학생", test_sessions:"테스트", tests:"점수" };
+const AUDIT_ACTIONS = {
+  insert:{ label:"생성", color:THEME.success, bg:"#ECFDF5" },
+  update:{ label:"수정" }, // in the academy colour
+  delete:{ label:"삭제", color:THEME.danger, bg:THEME.dangerLight },
+};
+const AUDIT_FIELDS = {
+  students:{ name:"이름", login_id:"아이디", grade:"학년", status:"상태" },
+  test_sessions:{ name:"테스트명", test_date:"날짜", total_score:"만점", metadata:"메모" },
+  tests:{ score:"점수", attendance:"출결", attendance_reason:"출결 사유" },
+};
+
 const inputStyle = { padding:"12px 14px", borderRadius:10, border:"2px solid #E8EAF2", fontSize:14, fontFamily:"'Pretendard',sans-serif", outline:"none", width:"100%", boxSizing:"border-box" };
 const labelStyle = { fontSize:12, fontWeight:700, color:"#6B7094", marginBottom:6, display:"block" };
 const thStyle = { padding:"10px 12px", textAlign:"left", fontSize:12, fontWeight:700, color:"#6B7094", borderBottom:"1px solid #E8EAF2" };
 const tdStyle = { padding:"10px 12px", borderBottom:"1px solid #E8EAF2", color:"#1A1D2E", fontSize:14 };
+const chipStyle = { display:"inline-flex", alignItems:"center", gap:4, padding:"2px 8px", borderRadius:6, fontSize:12, fontWeight:600, whiteSpace:"nowrap" };
+const chipStyleFor = (T) => ({ ...chipStyle, background:T.primaryLight, color:T.primary });
 const navBtnStyle = { width:36, height:36, borderRadius:10, border:"1px solid #E8EAF2", background:"white", fontSize:14, cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", fontFamily:"inherit", color:"#1A1D2E" };
 
+// ─── Settings ───
+// App keeps the academy settings in state and provides them through SettingsContext, together with what they
+// decide: the theme in the academy colour and the score bands. Components read all three with useSettings().
+// The public part is cached so the next start shows the academy's branding before the settings load.
+const SETTINGS_KEY = "tm_settings";
+const DEFAULT_SETTINGS = { name:"영어학원", logo:null, primary_color:"#2C5AFF", default_grade:"고1", default_total_score:100, default_pin:"0000", pin_min_length:4, pin_numeric:true,
+  score_bands:[90, 70, 50, 0].map(min => ({ min, label:"" })) };
+const BAND_MIDDLE_COLORS = ["primary", "warning", "accent", "textSec"];
+const bandColor = (i, count, T) => i === 0 ? T.success : i === count - 1 ? T.danger : T[BAND_MIDDLE_COLORS[i - 1]];
+const bandLabel = (bands, i) => bands[i].label || (i === 0 ? `${bands[i].min}% 이상` : i === bands.length - 1 ? `${bands[i - 1].min}% 미만` : `${bands[i].min}~${bands[i - 1].min - 1}%`);
+const themeFor = (color) => {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+  const tint = (c) => Math.round(c + (255 - c) * 0.92).toString(16).padStart(2, "0");
+  return { ...THEME, primary:color, primaryLight:`#${tint(r)}${tint(g)}${tint(b)}`,
+    shadow:`0 2px 12px rgba(${r},${g},${b},0.08)`, shadowLg:`0 8px 32px rgba(${r},${g},${b},0.12)` };
+};
+const resolveSettings = (s) => {
+  const settings = { ...DEFAULT_SETTINGS, ...s };
+  const theme = themeFor(settings.primary_color);
+  const bands = settings.score_bands.map((band, i, all) => ({ min:band.min, label:bandLabel(all, i), color:bandColor(i, all.length, theme) }));
+  return { settings, theme, bands };
+};
+const cachedSettings = () => { try { return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}; } catch { return {}; } };
+const SettingsContext = createContext(resolveSettings({}));
+const useSettings = () => useContext(SettingsContext);
+// The server enforces the same PIN policy; checking here reports it before a write is queued.
+const pinProblem = (pin, settings) => pin.length < settings.pin_min_length ? `비밀번호는 ${settings.pin_min_length}자 이상이어야 합니다.`
+  : settings.pin_numeric && !/^[0-9]+$/.test(pin) ? "비밀번호는 숫자만 사용할 수 있습니다." : null;
+const defaultGrade = (grades, settings) => grades.includes(settings.default_grade) ? settings.default_grade : grades[0];
+const AcademyLogo = ({ size }) => {
+  const { settings } = useSettings();
+  return settings.logo && <img src={settings.logo} alt="" style={{ height:size, maxWidth:size * 3, objectFit:"contain", display:"block" }} />;
+};
+
 // ─── App ───
 export default function App() {
   const [user, setUser] = useState(null);
   const [students, setStudents] = useState([]);
   const [tests, setTests] = useState([]);
+  const [testSessions, setTestSessions] = useState([]);
+  const [retestAttempts, setRetestAttempts] = useState([]);
+  const [retestRules, setRetestRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [classMembers, setClassMembers] = useState([]);
+  const [parentNotes, setParentNotes] = useState([]);
+  const [onlineAttempts, setOnlineAttempts] = useState([]);
+  const [onlineTests, setOnlineTests] = useState([]);
+  const [grades, setGrades] = useState(DEFAULT_GRADES);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [online, setOnline] = useState(navigator.onLine);
+  const [offlineSince, setOfflineSince] = useState(null);
+  const [outboxItems, setOutboxItems] = useState(outbox.items);
+  const [liveState, setLiveState] = useState("closed");
+  const [settings, setSettings] = useState(cachedSettings);
+  const academy = useMemo(() => resolveSettings(settings), [settings]);
 
   useEffect(() => {
-    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-      setError("환경 변수가 설정되지 않았습니다. VITE_SUPABASE_URL과 VITE_SUPABASE_ANON_KEY를 확인하세요.");
+    if (!isConfigured) {
+      setError("환경 변수가 설정되지 않았습니다. VITE_SUPABASE_URL과 VITE_SUPABASE_ANON_KEY를 확인하세요. (데모 데이터로 실행하려면 VITE_DATA_BACKEND=memory)");
       setLoading(false);
       return;
     }
-    loadData();
+    auth.onExpire = () => { setUser(null); setStudents([]); setTests([]); };
+    auth.restore().then(u => { setUser(u); if (u && !u.must_change_pin) loadData(); else { loadSettings(); setLoading(false); } });
+    outbox.onSynced = refreshData;
+    const unsubscribe = outbox.subscribe(setOutboxItems);
+    const goOnline = () => { setOnline(true); outbox.flush(); refreshData(); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => { unsubscribe(); window.removeEventListener("online", goOnline); window.removeEventListener("offline", goOffline); };
   }, []);
 
+  // Other users' changes trigger a (debounced) reload; a reconnect also reloads to catch what was missed meanwhile.
+  // Changes to results, online attempts or a test only reload that test; anything else (or a delete without the row) reloads everything.
+  useEffect(() => {
+    if (!user || user.must_change_pin) return;
+    let timer, opened = false, full = false;
+    const sessionIds = new Set();
+    const reload = (change) => {
+      const row = change?.record || change?.old_record || {};
+      const sid = change?.table === "tests" || change?.table === "online_attempts" ? row.session_id : change?.table === "test_sessions" ? row.id : null;
+      if (sid && user.role === "admin") sessionIds.add(sid); else full = true;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const ids = [...sessionIds];
+        sessionIds.clear();
+        if (full) { full = false; refreshData(); } else ids.forEach(refreshSession);
+      }, 300);
+    };
+    live.onChange = reload;
+    live.onState = (st) => { setLiveState(st); if (st === "open") { if (opened) reload(); opened = true; } };
+    live.connect();
+    return () => { clearTimeout(timer); live.disconnect(); live.onState = null; setLiveState("closed"); };
+  }, [user]);
+
+  const applyData = (d) => {
+    setStudents(d.students); setTests(d.tests); setTestSessions(d.testSessions); setRetestAttempts(d.retestAttempts); setRetestRules(d.retestRules);
+    setClasses(d.classes); setClassMembers(d.classMembers); setParentNotes(d.parentNotes); setGrades(d.grades?.length ? d.grades : DEFAULT_GRADES);
+    setCategories(d.categories || []); setTemplates(d.templates || []); setOnlineAttempts(d.onlineAttempts || []); setOnlineTests(d.onlineTests || []);
+  };
+
+  // Staff load everything they can see; students and parents only request their own (or their children's) rows.
+  const fetchPortalData = async (u) => {
+    const students = u.role === "parent" ? await repo.students.list() : [];
+    const ids = u.role === "parent" ? students.map(s => s.id) : [u.id];
+    const [tests, parentNotes, categories, onlineTests] = await Promise.all([
+      repo.tests.list({ studentIds:ids }), u.role === "parent" ? repo.parentNotes.list({ studentIds:ids }) : [], repo.testCategories.list(),
+      u.role === "student" ? repo.onlineTests.list() : [],
+    ]);
+    const retestAttempts = await repo.retestAttempts.list({ resultIds:tests.map(t => t.id) });
+    return { students, tests, testSessions:[], retestAttempts, retestRules:[], classes:[], classMembers:[], parentNotes, grades:[], categories, templates:[], onlineTests };
+  };
+
+  // Every successful load is also kept as a snapshot for read-only use when the next load fails offline.
+  const fetchData = async () => {
+    const u = auth.session?.user;
+    let data;
+    if (u?.role === "admin") {
+      const [students, tests, testSessions, retestAttempts, retestRules, classes, classMembers, parentNotes, grades, categories, templates, onlineAttempts] = await Promise.all([
+        repo.students.list(), repo.tests.list(), repo.testSessions.list(), repo.retestAttempts.list(), repo.retestRules.list(),
+        repo.classes.list(), repo.classMembers.list(), repo.parentNotes.list(), repo.grades.list(), repo.testCategories.list(), repo.testTemplates.list(), repo.onlineTests.attempts(),
+      ]);
+      data = { students, tests, testSessions, retestAttempts, retestRules, classes, classMembers, parentNotes, grades, categories, templates, onlineAttempts };
+    } else data = await fetchPortalData(u);
+    applyData(data); setOfflineSince(null);
+    try { localStorage.setItem(CACHE_KEY, JSON.stringify({ user_id:auth.session?.user?.id, saved_at:new Date().toISOString(), data })); } catch {}
+  };
+
+  const loadCached = () => {
+    try {
+      const c = JSON.parse(localStorage.getItem(CACHE_KEY));
+      if (!c || c.user_id !== auth.session?.user?.id) return false;
+      applyData(c.data); setOfflineSince(c.saved_at);
+      return true;
+    } catch { return false; }
+  };
+
+  // Staff get the full settings, everyone else the branding.
+  const loadSettings = () => repo.settings.get().then(s => { if (s) setSettings(s); }).catch(() => {});
+  useEffect(() => {
+    const { name, logo, primary_color, score_bands } = academy.settings;
+    document.title = `Test Manager - ${name} 테스트 관리`;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute("content", primary_color);
+    try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ name, logo, primary_color, score_bands })); } catch {}
+  }, [academy]);
+
   const loadData = async () => {
     setLoading(true);
-    try {
-      const [s, t] = await Promise.all([db.from("students").select(), db.from("tests").select()]);
-      setStudents(s); setTests(t); setError("");
-    } catch (e) { setError("DB 연결 실패: " + e.message); }
+    try { await Promise.all([fetchData(), loadSettings()]); setError(""); outbox.flush(); }
+    catch (e) { if (!e.status && loadCached()) setError(""); else setError("DB 연결 실패: " + e.message); }
     setLoading(false);
   };
 
   const refreshData = async () => {
+    try { await fetchData(); } catch {}
+  };
+
+  // Live updates call refreshSession from an older render, so the current results are read through a ref.
+  const testsRef = useRef(tests);
+  testsRef.current = tests;
+  const refreshSession = async (id) => {
     try {
-      const [s, t] = await Promise.all([db.from("students").select(), db.from("tests").select()]);
-      setStudents(s); setTests(t);
+      const [sessions, rows, online] = await Promise.all([repo.testSessions.list({ id }), repo.tests.list({ sessionId:id }), repo.onlineTests.attempts({ sessionId:id })]);
+      const attempts = await repo.retestAttempts.list({ resultIds:rows.map(t => t.id) });
+      // Attempts of results that were removed from the session go too, not only those of the reloaded results.
+      const resultIds = new Set([...testsRef.current.filter(t => t.session_id === id).map(t => t.id), ...rows.map(t => t.id)]);
+      setTestSessions(p => [...p.filter(s => s.id !== id), ...sessions]);
+      setTests(p => [...p.filter(t => t.session_id !== id), ...rows]);
+      setRetestAttempts(p => [...p.filter(a => !resultIds.has(a.result_id)), ...attempts]);
+      setOnlineAttempts(p => [...p.filter(a => a.session_id !== id), ...online]);
     } catch {}
   };
 
-  if (loading) return <LoadingScreen />;
-  if (error) return <ErrorScreen error={error} onRetry={loadData} />;
-  if (!user) return <LoginScreen students={students} onLogin={setUser} />;
-  if (user.role === "admin") return <AdminDashboard students={students} tests={tests} refreshData={refreshData} onLogout={() => setUser(null)} />;
-  return <StudentView student={user} tests={tests.filter(t => t.student_id === user.id)} onLogout={() => setUser(null)} />;
+  // Queued writes are shown on top of the loaded data until they are synced.
+  const myOutbox = useMemo(() => outbox.mine(outboxItems), [outboxItems, user]);
+  const view = useMemo(() => myOutbox.filter(i => i.status === "pending").reduce((d, i) => OUTBOX_OPS[i.kind].apply(d, i.args), { students, tests, testSessions }), [myOutbox, students, tests, testSessions]);
+
+  // A path from another role's section (or none) is replaced by the user's home; their own deep links are kept.
+  useEffect(() => {
+    if (user && !inSection(route.get().path, ROLE_HOME[user.role])) route.go(ROLE_HOME[user.role], { replace:true });
+  }, [user]);
+
+  // An account still on its initial PIN only gets the PIN form; the server refuses everything else until it is changed.
+  const handleLogin = (u) => { setUser(u); if (!u.must_change_pin) loadData(); };
+  const handleFirstPin = () => { setUser(auth.start({ ...auth.session, user:{ ...auth.session.user, must_change_pin:false } })); loadData(); };
+  // auth.logout also removes the offline snapshot (CACHE_KEY) and the user's drafts from this browser.
+  const handleLogout = async () => { await auth.logout(); setUser(null); setStudents([]); setTests([]); setOfflineSince(null); route.go("/"); };
+
+  const screen = loading ? <LoadingScreen />
+    : error ? <ErrorScreen error={error} onRetry={loadData} />
+    : !user ? <LoginScreen onLogin={handleLogin} />
+    : user.must_change_pin ? <FirstPinScreen user={user} onChanged={handleFirstPin} onLogout={handleLogout} />
+    : user.role === "admin" ? <AdminDashboard user={user} students={view.students} tests={view.tests} testSessions={view.testSessions} retestAttempts={retestAttempts} retestRules={retestRules} categories={categories} templates={templates} classes={classes} classMembers={classMembers} parentNotes={parentNotes} grades={grades} onlineAttempts={onlineAttempts} refreshData={refreshData} onSettingsChange={loadSettings} onLogout={handleLogout}
+    online={online} liveState={liveState} offlineSince={offlineSince} outboxItems={myOutbox} />
+    : user.role === "parent" ? <ParentView user={user} students={students} tests={tests} retestAttempts={retestAttempts} parentNotes={parentNotes} categories={categories} onLogout={handleLogout} />
+    : <StudentView student={user} tests={tests.filter(t => t.student_id === user.id)} retestAttempts={retestAttempts} categories={categories} onlineTests={onlineTests} refreshData={refreshData} onLogout={handleLogout} />;
+  return <SettingsContext.Provider value={academy}>{screen}</SettingsContext.Provider>;
 }
 
 // ─── Loading ───
 function LoadingScreen() {
+  const { theme:T } = useSettings();
   return (
     <div style={{ display:"flex", alignItems:"center", justifyContent:"center", height:"100vh", background:T.bg }}>
       <div style={{ textAlign:"center" }}>
@@ -136,6 +863,7 @@ function LoadingScreen() {
 
 // ─── Error ───
 function ErrorScreen({ error, onRetry }) {
+  const { theme:T } = useSettings();
   return (
     <div style={{ minHeight:"100vh", background:T.bg, display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
       <div style={{ background:"white", borderRadius:20, padding:36, maxWidth:420, width:"100%", textAlign:"center", boxShadow:T.shadow }}>
@@ -149,61 +877,75 @@ function ErrorScreen({ error, onRetry }) {
 }
 
 // ─── Login ───
-function LoginScreen({ students, onLogin }) {
+function LoginScreen({ onLogin }) {
+  const { settings, theme:T } = useSettings();
   const [mode, setMode] = useState(null);
   const [pin, setPin] = useState("");
   const [loginId, setLoginId] = useState("");
   const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
 
-  const handleAdminLogin = () => {
-    if (pin === DEFAULT_ADMIN_PIN) onLogin({ role:"admin" });
-    else { setError("비밀번호가 올바르지 않습니다."); setPin(""); }
-  };
-  const handleStudentLogin = () => {
-    const s = students.find(s => s.login_id === loginId.trim());
-    if (s && pin === s.pin) onLogin({ role:"student", id:s.id, name:s.name });
-    else { setError("아이디 또는 비밀번호가 올바르지 않습니다."); setPin(""); }
+  const attempt = async (login, failMsg) => {
+    if (busy) return;
+    setBusy(true); setError("");
+    try {
+      const u = await login();
+      if (u) onLogin(u);
+      else { setError(failMsg); setPin(""); }
+    } catch (e) { setError("로그인 실패: " + e.message); }
+    setBusy(false);
   };
+  const handleAdminLogin = () => attempt(() => auth.loginAdmin(loginId.trim(), pin), "아이디 또는 비밀번호가 올바르지 않습니다.");
+  const handleStudentLogin = () => attempt(() => (mode === "parent" ? auth.loginParent : auth.loginStudent)(loginId.trim(), pin), "아이디 또는 비밀번호가 올바르지 않습니다.");
 
   return (
-    <div style={{ minHeight:"100vh", background:"linear-gradient(145deg,#1a1d2e 0%,#2C5AFF 100%)", display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
+    <div style={{ minHeight:"100vh", background:`linear-gradient(145deg,#1a1d2e 0%,${T.primary} 100%)`, display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
       <div style={{ background:"white", borderRadius:24, padding:"48px 36px", width:"100%", maxWidth:420, boxShadow:"0 24px 64px rgba(0,0,0,0.2)" }}>
         <div style={{ textAlign:"center", marginBottom:36 }}>
-          <div style={{ width:64, height:64, borderRadius:16, background:T.primaryLight, display:"flex", alignItems:"center", justifyContent:"center", margin:"0 auto 16px", fontSize:28 }}>📝</div>
+          {settings.logo ? <div style={{ display:"flex", justifyContent:"center", marginBottom:16 }}><AcademyLogo size={64} /></div>
+            : <div style={{ width:64, height:64, borderRadius:16, background:T.primaryLight, display:"flex", alignItems:"center", justifyContent:"center", margin:"0 auto 16px", fontSize:28 }}>📝</div>}
           <h1 style={{ fontSize:26, fontWeight:800, color:T.text, margin:"0 0 6px" }}>Test Manager</h1>
-          <p style={{ fontSize:14, color:T.textSec, margin:0 }}>영어학원 테스트 관리 시스템</p>
+          <p style={{ fontSize:14, color:T.textSec, margin:0 }}>{settings.name} 테스트 관리 시스템</p>
         </div>
 
         {!mode && (
           <div style={{ display:"flex", flexDirection:"column", gap:12 }}>
-            <button onClick={() => { setMode("admin"); setError(""); }} style={{ padding:"16px 24px", borderRadius:14, border:`2px solid ${T.primary}`, background:T.primary, color:"white", fontSize:16, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>🔑 원장 로그인</button>
+            <button onClick={() => { setMode("admin"); setError(""); }} style={{ padding:"16px 24px", borderRadius:14, border:`2px solid ${T.primary}`, background:T.primary, color:"white", fontSize:16, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>🔑 원장 · 선생님 로그인</button>
             <button onClick={() => { setMode("student"); setError(""); }} style={{ padding:"16px 24px", borderRadius:14, border:`2px solid ${T.border}`, background:"white", color:T.text, fontSize:16, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>🎓 학생 로그인</button>
+            <button onClick={() => { setMode("parent"); setError(""); }} style={{ padding:"16px 24px", borderRadius:14, border:`2px solid ${T.border}`, background:"white", color:T.text, fontSize:16, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>👪 학부모 로그인</button>
+            {MOCK_BACKEND && (
+              <p style={{ fontSize:12, color:T.textSec, background:T.bg, borderRadius:T.radiusSm, padding:"10px 12px", margin:"8px 0 0", lineHeight:1.6 }}>
+                🧪 데모 모드{MOCK_BACKEND==="memory"?" (새로고침하면 초기화)":" (이 브라우저에 저장)"}<br />
+                원장 admin / 1234 · 선생님 teacher / 1234 (처음 로그인할 때 새 비밀번호 설정)<br />학생 s001 / 0000 · 학부모 parent / 1234
+              </p>
+            )}
           </div>
         )}
 
         {mode === "admin" && (
           <div>
-            <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block" }}>관리자 비밀번호</label>
-            <input type="password" value={pin} onChange={e => setPin(e.target.value)} onKeyDown={e => e.key==="Enter" && handleAdminLogin()} placeholder="비밀번호 입력" style={{ ...inputStyle, border:`2px solid ${T.border}` }} autoFocus />
+            <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block" }}>관리자 아이디</label>
+            <input value={loginId} onChange={e => setLoginId(e.target.value)} placeholder="아이디 입력" style={{ ...inputStyle, border:`2px solid ${T.border}` }} autoFocus />
+            <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block", marginTop:14 }}>비밀번호</label>
+            <input type="password" value={pin} onChange={e => setPin(e.target.value)} onKeyDown={e => e.key==="Enter" && handleAdminLogin()} placeholder="비밀번호 입력" style={{ ...inputStyle, border:`2px solid ${T.border}` }} />
             {error && <p style={{ color:T.danger, fontSize:13, margin:"8px 0 0" }}>{error}</p>}
             <div style={{ display:"flex", gap:10, marginTop:16 }}>
-              <button onClick={() => { setMode(null); setPin(""); setError(""); }} style={{ flex:1, padding:"14px", borderRadius:12, border:`2px solid ${T.border}`, background:"white", color:T.textSec, fontSize:15, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>뒤로</button>
-              <button onClick={handleAdminLogin} style={{ flex:2, padding:"14px", borderRadius:12, border:"none", background:T.primary, color:"white", fontSize:15, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>로그인</button>
+              <button onClick={() => { setMode(null); setPin(""); setLoginId(""); setError(""); }} style={{ flex:1, padding:"14px", borderRadius:12, border:`2px solid ${T.border}`, background:"white", color:T.textSec, fontSize:15, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>뒤로</button>
+              <button onClick={handleAdminLogin} disabled={busy} style={{ flex:2, padding:"14px", borderRadius:12, border:"none", background:busy?T.textLight:T.primary, color:"white", fontSize:15, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>{busy?"확인 중...":"로그인"}</button>
             </div>
-            <p style={{ fontSize:12, color:T.textLight, textAlign:"center", marginTop:12 }}>기본 비밀번호: 1234</p>
           </div>
         )}
 
-        {mode === "student" && (
+        {(mode === "student" || mode === "parent") && (
           <div>
-            <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block" }}>아이디</label>
+            <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block" }}>{mode === "parent" ? "학부모 아이디" : "아이디"}</label>
             <input value={loginId} onChange={e => setLoginId(e.target.value)} placeholder="아이디 입력" style={{ ...inputStyle, border:`2px solid ${T.border}` }} autoFocus />
             <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block", marginTop:14 }}>비밀번호</label>
             <input type="password" value={pin} onChange={e => setPin(e.target.value)} onKeyDown={e => e.key==="Enter" && handleStudentLogin()} placeholder="비밀번호 입력" style={{ ...inputStyle, border:`2px solid ${T.border}` }} />
             {error && <p style={{ color:T.danger, fontSize:13, margin:"8px 0 0" }}>{error}</p>}
             <div style={{ display:"flex", gap:10, marginTop:16 }}>
               <button onClick={() => { setMode(null); setPin(""); setLoginId(""); setError(""); }} style={{ flex:1, padding:"14px", borderRadius:12, border:`2px solid ${T.border}`, background:"white", color:T.textSec, fontSize:15, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>뒤로</button>
-              <button onClick={handleStudentLogin} style={{ flex:2, padding:"14px", borderRadius:12, border:"none", background:T.primary, color:"white", fontSize:15, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>로그인</button>
+              <button onClick={handleStudentLogin} disabled={busy} style={{ flex:2, padding:"14px", borderRadius:12, border:"none", background:busy?T.textLight:T.primary, color:"white", fontSize:15, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>{busy?"확인 중...":"로그인"}</button>
             </div>
           </div>
         )}
@@ -212,126 +954,629 @@ function LoginScreen({ students, onLogin }) {
   );
 }
 
+// ─── First PIN ───
+function FirstPinScreen({ user, onChanged, onLogout }) {
+  const { settings, theme:T } = useSettings();
+  const [pins, setPins] = useState({ current:"", next:"", confirm:"" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (busy) return;
+    const problem = pins.next !== pins.confirm ? "새 비밀번호가 서로 다릅니다."
+      : pins.next === pins.current ? "새 비밀번호는 현재 비밀번호와 달라야 합니다."
+      : pinProblem(pins.next, settings);
+    if (problem) { setError(problem); return; }
+    setBusy(true); setError("");
+    try { await repo.settings.changePin(pins.current, pins.next); onChanged(); }
+    catch (e) { setError(e.message); setBusy(false); }
+  };
+  const field = (key, label, last) => (
+    <>
+      <label style={{ fontSize:13, fontWeight:600, color:T.textSec, marginBottom:6, display:"block", marginTop:key === "current" ? 0 : 14 }}>{label}</label>
+      <input type="password" value={pins[key]} onChange={e => setPins(p => ({ ...p, [key]:e.target.value }))} onKeyDown={e => last && e.key==="Enter" && submit()} placeholder={label} style={{ ...inputStyle, border:`2px solid ${T.border}` }} autoFocus={key === "current"} />
+    </>
+  );
+
+  return (
+    <div style={{ minHeight:"100vh", background:`linear-gradient(145deg,#1a1d2e 0%,${T.primary} 100%)`, display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
+      <div style={{ background:"white", borderRadius:24, padding:"48px 36px", width:"100%", maxWidth:420, boxShadow:"0 24px 64px rgba(0,0,0,0.2)" }}>
+        <div style={{ textAlign:"center", marginBottom:28 }}>
+          <div style={{ width:64, height:64, borderRadius:16, background:T.primaryLight, display:"flex", alignItems:"center", justifyContent:"center", margin:"0 auto 16px", fontSize:28 }}>🔒</div>
+          <h1 style={{ fontSize:22, fontWeight:800, color:T.text, margin:"0 0 6px" }}>새 비밀번호 설정</h1>
+          <p style={{ fontSize:14, color:T.textSec, margin:0, lineHeight:1.6 }}>{user.name}님은 아직 초기 비밀번호를 사용하고 있습니다.<br />계속하려면 새 비밀번호를 정하세요.</p>
+        </div>
+        {field("current", "현재 비밀번호")}
+        {field("next", "새 비밀번호")}
+        {field("confirm", "새 비밀번호 확인", true)}
+        {error && <p style={{ color:T.danger, fontSize:13, margin:"8px 0 0" }}>{error}</p>}
+        <div style={{ display:"flex", gap:10, marginTop:16 }}>
+          <button onClick={onLogout} style={{ flex:1, padding:"14px", borderRadius:12, border:`2px solid ${T.border}`, background:"white", color:T.textSec, fontSize:15, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>로그아웃</button>
+          <button onClick={submit} disabled={busy||!pins.current||!pins.next} style={{ flex:2, padding:"14px", borderRadius:12, border:"none", background:busy||!pins.current||!pins.next?T.textLight:T.primary, color:"white", fontSize:15, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>{busy?"변경 중...":"변경하고 계속"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ─── Admin Dashboard ───
-function AdminDashboard({ students, tests, refreshData, onLogout }) {
-  const [tab, setTab] = useState("tests");
+function AdminDashboard({ user, students, tests, testSessions, retestAttempts, retestRules, categories, templates, classes, classMembers, parentNotes, grades, onlineAttempts, refreshData, onSettingsChange, onLogout, online, liveState, offlineSince, outboxItems }) {
+  const { settings, theme:T, bands } = useSettings();
+  const isOwner = user.staff_role === "owner";
+  const canEdit = user.staff_role !== "assistant";
+  const { path, query } = useRoute();
+  const seg = path.split("/").slice(2);
+  const TABS = [{key:"tests",label:"테스트 입력",icon:"✏️"},{key:"calendar",label:"일정",icon:"📅"},{key:"results",label:"결과 조회",icon:"📊"},{key:"attendance",label:"출결",icon:"🙋"},{key:"students",label:"학생 관리",icon:"👥"},{key:"analytics",label:"학생 분석",icon:"📈"},{key:"history",label:"변경 기록",icon:"🗂️"},isOwner&&{key:"accounts",label:"계정 관리",icon:"🔐"},{key:"settings",label:"설정",icon:"⚙️"}].filter(Boolean);
+  const tab = TABS.some(t=>t.key===seg[0]) ? seg[0] : "tests";
+  const setTab = (key) => route.go(`/admin/${key}`);
   const [showTestForm, setShowTestForm] = useState(false);
   const [editingTest, setEditingTest] = useState(null);
-  const [selectedStudentFilter, setSelectedStudentFilter] = useState("all");
+  // Results filters live in the query string (replacing the history entry, so back leaves the tab rather than undoing a filter).
+  const selectedStudentFilter = query.get("student") || "all", selectedClassFilter = query.get("class") || "all", categoryFilter = query.get("category") || "all";
+  const setResultFilter = (key, value) => route.go(withQuery("/admin/results", { student:selectedStudentFilter, class:selectedClassFilter, category:categoryFilter, [key]:value }), { replace:true });
+  const setSelectedStudentFilter = (v) => setResultFilter("student", v);
+  const setSelectedClassFilter = (v) => setResultFilter("class", v);
+  const setCategoryFilter = (v) => setResultFilter("category", v);
+  const [editingClass, setEditingClass] = useState(null);
+  const [retestTarget, setRetestTarget] = useState(null);
+  const [importing, setImporting] = useState(null);
+  const [notesTarget, setNotesTarget] = useState(null);
+  const [showOutbox, setShowOutbox] = useState(false);
+  const [pinIsDefault, setPinIsDefault] = useState(false);
+  useEffect(() => { repo.settings.pinIsDefault().then(setPinIsDefault).catch(() => {}); }, []);
+  const [conflictOpen, setConflictOpen] = useState(false);
+  const [undo, setUndo] = useState(null);
+
+  useEffect(() => {
+    if (!undo) return;
+    const t = setTimeout(() => setUndo(null), 10000);
+    return () => clearTimeout(t);
+  }, [undo]);
+  const [showExport, setShowExport] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [newClassName, setNewClassName] = useState("");
   const [editingStudent, setEditingStudent] = useState(null);
   const [saving, setSaving] = useState(false);
 
   const [studentName, setStudentName] = useState("");
   const [studentLoginId, setStudentLoginId] = useState("");
   const [studentPin, setStudentPin] = useState("");
-  const [studentGrade, setStudentGrade] = useState("고1");
+  const [studentGrade, setStudentGrade] = useState("");
+  const [studentStatusFilter, setStudentStatusFilter] = useState("active");
+  const [gradesOpen, setGradesOpen] = useState(false);
+  const [rolloverOpen, setRolloverOpen] = useState(false);
 
   const [testName, setTestName] = useState("");
   const [testDate, setTestDate] = useState(new Date().toISOString().split("T")[0]);
   const [testStudents, setTestStudents] = useState([]);
   const [testScores, setTestScores] = useState({});
-  const [testTotal, setTestTotal] = useState("100");
+  const [testAttendance, setTestAttendance] = useState({});
+  const [attendanceReasons, setAttendanceReasons] = useState({});
+  const [testTotal, setTestTotal] = useState("");
+  const [testMemo, setTestMemo] = useState("");
   const [retestDates, setRetestDates] = useState({});
   const [retestReasons, setRetestReasons] = useState({});
+  const [retestRule, setRetestRule] = useState(null);
+  const [ruleTouched, setRuleTouched] = useState(false);
+  const [autoRetest, setAutoRetest] = useState({});
+  const [showRules, setShowRules] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [testCategory, setTestCategory] = useState("");
+  const [testTemplate, setTestTemplate] = useState(null);
+  const [testQuestions, setTestQuestions] = useState([]);
+  const [testAnswers, setTestAnswers] = useState({});
+  const [showQuestions, setShowQuestions] = useState(false);
+  const [testOnline, setTestOnline] = useState(null);
+  const [itemOpen, setItemOpen] = useState({});
+  const [draft, setDraft] = useState(null);
+  const draftSkip = useRef(false);
+  const [groupByCategory, setGroupByCategory] = useState(false);
+
+  // Repeating templates get their upcoming sessions created when a teacher opens the dashboard.
+  useEffect(() => {
+    if (!canEdit || !online || !templates.some(t => t.repeat_weekdays?.length)) return;
+    repo.testTemplates.schedule().then(n => n && refreshData()).catch(() => {});
+  }, [templates.length]);
 
+  // Until a grade is picked, new students get the academy's default grade as it is now.
+  const newStudentGrade = studentGrade || defaultGrade(grades, settings);
   const addStudent = async () => {
     if (!studentName.trim() || !studentLoginId.trim()) return;
     if (students.some(s => s.login_id === studentLoginId.trim())) { alert("이미 사용 중인 아이디입니다."); return; }
+    if (studentPin && pinProblem(studentPin, settings)) { alert(pinProblem(studentPin, settings)); return; }
     setSaving(true);
     try {
-      await db.from("students").insert({ name:studentName.trim(), login_id:studentLoginId.trim(), pin:studentPin||"0000", grade:studentGrade });
+      const row = { id:crypto.randomUUID(), name:studentName.trim(), login_id:studentLoginId.trim(), pin:studentPin||null, grade:newStudentGrade };
+      await outbox.submit("add_student", `학생 등록: ${row.name}`, row);
       setStudentName(""); setStudentLoginId(""); setStudentPin("");
-      await refreshData();
     } catch (e) { alert("등록 실패: " + e.message); }
     setSaving(false);
   };
 
+  const importStudents = async (rows) => {
+    await repo.students.insert(rows.map(r => ({ name:r.name, login_id:r.login_id, grade:r.grade||defaultGrade(grades, settings), pin:r.pin||null })));
+    await refreshData();
+  };
+
   const deleteStudent = async (id) => {
-    if (!confirm("이 학생을 삭제하시겠습니까?")) return;
+    const st = students.find(s => s.id === id);
+    if (!confirm(`"${st?.name}" 학생을 삭제하시겠습니까?\n테스트 기록과 함께 휴지통으로 이동하며 ${TRASH_DAYS}일 동안 복원할 수 있습니다.`)) return;
     setSaving(true);
-    try { await db.from("students").delete({ id }); await refreshData(); }
+    try { const trashId = await repo.students.trash(id); await refreshData(); setUndo({ label:`"${st?.name}" 학생을 삭제했습니다.`, trashId }); }
     catch (e) { alert("삭제 실패: " + e.message); }
     setSaving(false);
   };
 
+  const undoDelete = async () => {
+    const { trashId } = undo;
+    setUndo(null); setSaving(true);
+    try { await repo.trash.restore(trashId); await refreshData(); }
+    catch (e) { alert("복원 실패: " + e.message); }
+    setSaving(false);
+  };
+
   const updateStudentField = async (studentId, field, value) => {
     const dbField = field === "loginId" ? "login_id" : field;
+    if (field === "pin" && !value.trim()) { setEditingStudent(null); return; }
+    if (field === "pin" && pinProblem(value.trim(), settings)) { alert(pinProblem(value.trim(), settings)); setEditingStudent(null); return; }
     if (field === "loginId" && value.trim() && students.some(s => s.id !== studentId && s.login_id === value.trim())) {
       alert("이미 사용 중인 아이디입니다."); setEditingStudent(null); return;
     }
     setSaving(true);
-    try { await db.from("students").update({ [dbField]:value.trim() }, { id:studentId }); await refreshData(); }
+    const label = { loginId:"아이디", pin:"비밀번호", grade:"학년", status:"상태" }[field];
+    try { await outbox.submit("update_student", `${students.find(s=>s.id===studentId)?.name} ${label} 수정`, { id:studentId, data:{ [dbField]:value.trim() } }); }
     catch (e) { alert("수정 실패: " + e.message); }
     setEditingStudent(null); setSaving(false);
   };
 
-  const openTestForm = (test = null) => {
+  const setStudentStatus = (s, status) => {
+    if (status !== "active" && !confirm(`"${s.name}" 학생을 보관하시겠습니까?\n테스트 기록은 유지되며, 테스트 입력 목록과 학생 로그인에서 제외됩니다.`)) return;
+    updateStudentField(s.id, "status", status);
+  };
+
+  const listedStudents = useMemo(() => students.filter(s => studentStatusFilter==="all" || (s.status||"active")===studentStatusFilter).sort((a,b)=>a.name.localeCompare(b.name,"ko")), [students, studentStatusFilter]);
+
+  const attemptsByResult = useMemo(() => groupAttempts(retestAttempts), [retestAttempts]);
+  const onlineBySession = useMemo(() => { const m={}; onlineAttempts.forEach(a=>{(m[a.session_id]||(m[a.session_id]=[])).push(a);}); return m; }, [onlineAttempts]);
+  const activeClasses = useMemo(() => classes.filter(c=>!c.archived_at).sort((a,b)=>a.name.localeCompare(b.name,"ko")), [classes]);
+  const classesOf = (studentId) => classMembers.filter(m=>m.student_id===studentId).map(m=>classes.find(c=>c.id===m.class_id)).filter(Boolean);
+  const classStudentIds = (classId) => classMembers.filter(m=>m.class_id===classId&&students.some(s=>s.id===m.student_id)).map(m=>m.student_id);
+
+  const addClass = async () => {
+    if (!newClassName.trim()) return;
+    if (classes.some(c => c.name === newClassName.trim())) { alert("이미 있는 반 이름입니다."); return; }
+    setSaving(true);
+    try { await repo.classes.insert({ name:newClassName.trim() }); setNewClassName(""); await refreshData(); }
+    catch (e) { alert("등록 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const renameClass = async (id, name) => {
+    setEditingClass(null);
+    if (!name.trim() || classes.some(c => c.id === id && c.name === name.trim())) return;
+    setSaving(true);
+    try { await repo.classes.update(id, { name:name.trim() }); await refreshData(); }
+    catch (e) { alert("수정 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const toggleArchiveClass = async (c) => {
+    if (!c.archived_at && !confirm(`"${c.name}" 반을 보관하시겠습니까? 성적 기록은 유지됩니다.`)) return;
+    setSaving(true);
+    try { await repo.classes.update(c.id, { archived_at: c.archived_at ? null : new Date().toISOString() }); await refreshData(); }
+    catch (e) { alert("수정 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const setClassMembership = async (studentId, classId, member) => {
+    setSaving(true);
+    try {
+      if (member) await repo.classMembers.add(classId, studentId);
+      else await repo.classMembers.remove(classId, studentId);
+      await refreshData();
+    } catch (e) { alert("수정 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const openTestForm = (test = null) => route.go(test ? `/admin/tests/${test.id}/edit` : "/admin/tests/new");
+  const closeTestForm = () => route.go("/admin/tests");
+  // What is typed into the form is kept per account and test until it is saved or cancelled, so a closed tab or a
+  // crash does not lose it. A draft found on opening is offered back; it is not overwritten until restored or discarded.
+  const draftKey = (id) => `${DRAFT_KEY}:${user.id}:${id||"new"}`;
+  const readDraft = (id) => { try { return JSON.parse(localStorage.getItem(draftKey(id))); } catch { return null; } };
+  const restoreDraft = () => {
+    const d = draft, ids = d.students.filter(id => formStudents.some(s => s.id === id));
+    setTestName(d.name); setTestDate(d.date); setTestTotal(d.total); setTestMemo(d.memo); setTestCategory(d.category);
+    setTestStudents(ids); setTestScores(d.scores); setTestAnswers(d.answers); setRetestDates(d.retestDates); setRetestReasons(d.retestReasons);
+    setTestAttendance(d.attendance || {}); setAttendanceReasons(d.attendanceReasons || {});
+    // The draft was written against d.version: saving it after someone else's edit then goes through the conflict dialog.
+    if (editingTest && d.version !== null && d.version !== undefined) setEditingTest(t => ({ ...t, version:d.version }));
+    setAutoRetest({}); setDraft(null);
+  };
+  const discardDraft = () => { localStorage.removeItem(draftKey(editingTest?.id)); setDraft(null); };
+  const cancelTestForm = () => { discardDraft(); closeTestForm(); };
+  const loadTestForm = (test = null) => {
     if (test) {
-      setEditingTest(test); setTestName(test.testName); setTestDate(test.testDate); setTestTotal(String(test.totalScore||100));
-      const related = tests.filter(t => t.test_name === test.testName && t.test_date === test.testDate);
+      setEditingTest(test); setTestName(test.testName); setTestDate(test.testDate); setTestTotal(String(test.totalScore||settings.default_total_score)); setTestMemo(test.metadata?.memo||"");
+      const related = test.tests;
       setTestStudents(related.map(t => t.student_id));
-      const sc={}, dt={}, rs={};
-      related.forEach(t => { sc[t.student_id]=String(t.score??""); if(t.retest_date)dt[t.student_id]=t.retest_date; if(t.retest_reason)rs[t.student_id]=t.retest_reason; });
-      setTestScores(sc); setRetestDates(dt); setRetestReasons(rs);
+      const sc={}, dt={}, rs={}, ans={}, at={}, ar={};
+      related.forEach(t => {
+        sc[t.student_id]=String(t.score??"");
+        if(attendanceOf(t)!=="present"){ at[t.student_id]=t.attendance; if(t.attendance_reason)ar[t.student_id]=t.attendance_reason; }
+        if(Array.isArray(t.answers))ans[t.student_id]=t.answers;
+        const open=(attemptsByResult[t.id]||[]).filter(a=>a.status==="scheduled").at(-1);
+        if(open){ dt[t.student_id]=open.scheduled_date; if(open.reason)rs[t.student_id]=open.reason; }
+      });
+      setTestScores(sc); setRetestDates(dt); setRetestReasons(rs); setTestAnswers(ans); setTestAttendance(at); setAttendanceReasons(ar);
+      setTestQuestions((test.metadata?.questions||[]).map(q=>({ answer:q.answer||"", points:String(q.points??1), skill:q.skill||"", prompt:q.prompt||"", choices:(q.choices||[]).join(" | ") })));
+      const o = test.metadata?.online;
+      setTestOnline(o ? { opens_at:toLocalInput(o.opens_at), closes_at:toLocalInput(o.closes_at), minutes:String(o.minutes??"") } : null);
+      setRetestRule(test.metadata?.retest_rule||null); setRuleTouched(true);
+      setTestCategory(test.metadata?.category_id||""); setTestTemplate(test.metadata?.template_id ? { id:test.metadata.template_id, round:test.metadata.round } : null);
+      // A scheduled session has no results yet: start from its template's roster.
+      const tpl = related.length===0 && templates.find(t=>t.id===test.metadata?.template_id);
+      if (tpl) setTestStudents(templateRoster(tpl));
     } else {
       setEditingTest(null); setTestName(""); setTestDate(new Date().toISOString().split("T")[0]);
-      setTestTotal("100"); setTestStudents([]); setTestScores({}); setRetestDates({}); setRetestReasons({});
+      setTestTotal(String(settings.default_total_score)); setTestMemo(""); setTestStudents([]); setTestScores({}); setRetestDates({}); setRetestReasons({}); setTestAttendance({}); setAttendanceReasons({});
+      setRetestRule(null); setRuleTouched(false); setTestCategory(""); setTestTemplate(null); setTestQuestions([]); setTestAnswers({}); setTestOnline(null);
     }
+    setShowQuestions(false);
+    setAutoRetest({});
     setShowTestForm(true);
+    draftSkip.current = true;
+    setDraft(readDraft(test?.id));
+  };
+
+  // Fills retest date/reason from the rule for students below the cutoff. Values the teacher typed are never touched;
+  // with onlyAuto, only rows previously filled by the rule are recomputed (used when the rule, date or total changes).
+  const applyRetestRule = (ids, { scores=testScores, rule=retestRule, date=testDate, total=testTotal } = {}, onlyAuto = false) => {
+    const dates={...retestDates}, reasons={...retestReasons}, auto={...autoRetest};
+    ids.forEach(sId => {
+      if (onlyAuto ? !auto[sId] : (dates[sId] && !auto[sId])) return;
+      const sug = suggestRetest(scores[sId], total, date, rule);
+      if (sug) { dates[sId]=sug.date; reasons[sId]=sug.reason; auto[sId]=true; }
+      else if (auto[sId]) { delete dates[sId]; delete reasons[sId]; delete auto[sId]; }
+    });
+    setRetestDates(dates); setRetestReasons(reasons); setAutoRetest(auto);
+  };
+
+  // Typing a score into a row takes the student into the test; "x" marks them absent instead.
+  const changeScore = (sId, value) => {
+    if (parseScoreCell(value, testTotal).absent) { changeAttendance(sId, "absent"); return; }
+    const scores = { ...testScores, [sId]:value };
+    if (value.trim() && !testStudents.includes(sId)) setTestStudents(p => [...p, sId]);
+    setTestScores(scores); applyRetestRule([sId], { scores });
+  };
+  // Absent and excused students have no score, so theirs is cleared.
+  const changeAttendance = (sId, status) => {
+    setTestAttendance(p => ({ ...p, [sId]:status }));
+    if (!testStudents.includes(sId)) setTestStudents(p => [...p, sId]);
+    if (status === "absent" || status === "excused") { const sc = { ...testScores, [sId]:"" }; setTestScores(sc); applyRetestRule([sId], { scores:sc }); }
+  };
+  const formMissed = (sId) => testAttendance[sId] === "absent" || testAttendance[sId] === "excused";
+  // Score grid cells are data-score-cell="row-col" (0 score, 1 retest date, 2 reason). Enter/↑↓ move between rows
+  // (Shift+Enter up), ←→ between columns once the caret is at the edge of the text; rows without the cell are skipped.
+  const scoreKeyDown = (e, row, col) => {
+    const el = e.target, text = el.type !== "date";
+    const step = { Enter:[e.shiftKey ? -1 : 1, 0], ArrowDown:text && [1, 0], ArrowUp:text && [-1, 0],
+      ArrowRight:text && el.selectionStart === el.value.length && [0, 1], ArrowLeft:text && el.selectionEnd === 0 && [0, -1] }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    for (let r = row + step[0], c = col + step[1]; r >= 0 && r < formStudents.length && c >= 0 && c <= 2; r += step[0], c += step[1]) {
+      const next = document.querySelector(`[data-score-cell="${r}-${c}"]`);
+      if (next && !next.disabled) { next.focus(); return; }
+    }
+  };
+  // A column copied from Excel or Google Sheets fills the rows from this one down. Lines of "이름<Tab>점수" are
+  // matched by name instead, so the sheet's order does not matter; a header line is skipped.
+  const pasteScores = (e, row) => {
+    const lines = e.clipboardData.getData("text").replace(/\r/g, "").replace(/\n+$/, "").split("\n").map(l => l.split("\t").map(c => c.trim()));
+    if (lines.length < 2 && lines[0].length < 2) return;
+    e.preventDefault();
+    const scores = { ...testScores }, att = { ...testAttendance }, ids = [], unknown = [], graded = (id) => testQuestions.length && testAnswers[id]?.some(a => normAnswer(a));
+    const put = (id, v) => {
+      if (graded(id)) return;
+      const absent = parseScoreCell(v, testTotal).absent;
+      scores[id] = absent ? "" : v; ids.push(id);
+      if (absent) att[id] = "absent"; else if (v && formMissed(id)) delete att[id];
+    };
+    if (lines.some(l => l.length > 1)) {
+      lines.forEach(([name, ...rest], i) => {
+        const v = rest.at(-1) ?? "", matches = formStudents.filter(s => s.name === name);
+        if (matches.length === 1) put(matches[0].id, v);
+        else if (name && !(i === 0 && parseScoreCell(v, testTotal).error)) unknown.push(matches.length ? `${name}(동명이인)` : name);
+      });
+    } else {
+      lines.forEach(([v], i) => { const st = formStudents[row + i]; if (st) put(st.id, v); });
+      if (row + lines.length > formStudents.length) unknown.push(`목록을 넘는 ${row + lines.length - formStudents.length}줄`);
+    }
+    setTestStudents(p => [...new Set([...p, ...ids.filter(id => scores[id] || att[id])])]);
+    setTestScores(scores); setTestAttendance(att); applyRetestRule(ids, { scores });
+    if (unknown.length) alert(`붙여넣지 못한 항목: ${unknown.join(", ")}`);
+  };
+  const changeRetest = (setter, sId, value) => {
+    setter(p => ({ ...p, [sId]:value }));
+    setAutoRetest(p => { const n={...p}; delete n[sId]; return n; });
+  };
+  const importScores = (items) => {
+    const ids = items.map(i => i.student.id);
+    const scores = { ...testScores }, att = { ...testAttendance };
+    items.forEach(i => { scores[i.student.id] = i.score===null ? "" : String(i.score); if (i.absent) att[i.student.id] = "absent"; });
+    setTestStudents(p => [...new Set([...p, ...ids])]);
+    setTestScores(scores); setTestAttendance(att); applyRetestRule(ids, { scores });
+  };
+
+  // With questions defined the total is the sum of their points, and every student with answers is regraded.
+  const applyQuestions = (qs) => {
+    setTestQuestions(qs);
+    if (!qs.length) return;
+    const total = String(qs.reduce((a, q) => a + pointsOf(q), 0));
+    const scores = { ...testScores };
+    const ids = Object.keys(testAnswers).filter(id => testStudents.includes(id) && testAnswers[id].some(a => normAnswer(a)));
+    ids.forEach(id => { scores[id] = String(gradeAnswers(qs, testAnswers[id])); });
+    setTestTotal(total); setTestScores(scores); applyRetestRule(ids, { scores, total });
+  };
+  const setQuestionCount = (n) => {
+    const count = Math.max(0, Math.min(100, Number(n) || 0));
+    applyQuestions(Array.from({ length:count }, (_, i) => testQuestions[i] || { answer:"", points:testQuestions.at(-1)?.points || "1", skill:testQuestions.at(-1)?.skill || "" }));
+  };
+  // "31425" fills one answer per character; with commas or spaces ("a, bc, 3") each piece is one answer.
+  const setAnswerKey = (text) => {
+    const keys = /[,\s]/.test(text.trim()) ? text.split(/[,\s]+/).filter(Boolean) : [...text.trim()];
+    applyQuestions(Array.from({ length:Math.max(keys.length, testQuestions.length) }, (_, i) => ({ ...(testQuestions[i] || { points:testQuestions.at(-1)?.points || "1", skill:"" }), answer:keys[i] ?? testQuestions[i]?.answer ?? "" })));
+  };
+  const changeQuestion = (i, field, value) => applyQuestions(testQuestions.map((q, j) => j === i ? { ...q, [field]:value } : q));
+  const toggleOnline = (on) => {
+    setTestOnline(on ? { opens_at:`${testDate}T09:00`, closes_at:`${testDate}T23:59`, minutes:"20" } : null);
+    if (on) setShowQuestions(true);
+  };
+  const changeAnswer = (sId, i, value) => {
+    const answers = Array.from({ length:testQuestions.length }, (_, j) => j === i ? value : testAnswers[sId]?.[j] ?? "");
+    setTestAnswers(p => ({ ...p, [sId]:answers }));
+    if (answers.some(a => normAnswer(a))) changeScore(sId, String(gradeAnswers(testQuestions, answers)));
+  };
+  const answerKeyDown = (e, row, col) => {
+    const to = { Enter:[row + 1, col], ArrowDown:[row + 1, col], ArrowUp:[row - 1, col], ArrowRight:[row, col + 1], ArrowLeft:[row, col - 1] }[e.key];
+    if (!to) return;
+    e.preventDefault();
+    document.querySelector(`[data-answer-cell="${to[0]}-${to[1]}"]`)?.focus();
+  };
+  const typeAnswer = (e, sId, row, col) => {
+    changeAnswer(sId, col, e.target.value);
+    // Single-character keys (multiple choice) move to the next question as soon as something is typed.
+    if (e.target.value && [...(testQuestions[col].answer || "x")].length === 1) document.querySelector(`[data-answer-cell="${row}-${col + 1}"]`)?.focus();
+  };
+
+  const changeTestName = (name) => {
+    setTestName(name);
+    if (ruleTouched) return;
+    const m = matchRetestRule(name, retestRules);
+    const rule = m && { keyword:m.keyword, cutoff_pct:m.cutoff_pct, delay_days:m.delay_days, reason:m.reason };
+    if (rule?.keyword !== retestRule?.keyword) { setRetestRule(rule); applyRetestRule(testStudents, { rule }, true); }
+  };
+  const templateRoster = (t) => (t.class_id ? classStudentIds(t.class_id) : t.student_ids||[]).filter(id=>students.some(s=>s.id===id&&isActive(s)));
+  const chooseTemplate = (id) => {
+    const t = templates.find(x => x.id === id);
+    if (!t) { setTestTemplate(null); return; }
+    const total = String(t.total_score);
+    const rule = t.cutoff_pct!==null&&t.cutoff_pct!==undefined ? { keyword:"", cutoff_pct:t.cutoff_pct, delay_days:t.delay_days, reason:t.reason } : null;
+    const ids = templateRoster(t);
+    setTestTemplate({ id:t.id, round:t.next_round }); setTestName(templateName(t, t.next_round)); setTestTotal(total); setTestCategory(t.category_id||"");
+    setRetestRule(rule); setRuleTouched(true); setTestStudents(ids);
+    applyRetestRule(ids, { rule, total }, true);
+  };
+  // Saves the form as a template: a trailing number in the name becomes the round ("단어 3회" → "단어 {n}회", next 4).
+  const saveAsTemplate = async () => {
+    if (!testName.trim()) return;
+    if (!(Number(testTotal) > 0)) { alert("만점을 확인하세요."); return; }
+    const m = testName.trim().match(/^(.*?)(\d+)(\D*)$/);
+    setSaving(true);
+    try {
+      await repo.testTemplates.insert({ name:m ? `${m[1]}{n}${m[3]}` : testName.trim(), next_round:m ? Number(m[2]) + 1 : 1, category_id:testCategory||null, total_score:Number(testTotal),
+        student_ids:testStudents, cutoff_pct:retestRule ? Number(retestRule.cutoff_pct)||0 : null, delay_days:retestRule ? Number(retestRule.delay_days)||0 : 2, reason:retestRule?.reason||"기준 점수 미달" });
+      await refreshData();
+      alert("템플릿으로 저장했습니다.");
+    } catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+  const chooseRetestRule = (id) => {
+    const m = retestRules.find(r => r.id === id);
+    const rule = id==="custom" ? { keyword:"", cutoff_pct:80, delay_days:2, reason:"기준 점수 미달" } : m ? { keyword:m.keyword, cutoff_pct:m.cutoff_pct, delay_days:m.delay_days, reason:m.reason } : null;
+    setRetestRule(rule); setRuleTouched(true); applyRetestRule(testStudents, { rule }, true);
+  };
+  const changeRuleField = (field, value) => {
+    const rule = { ...retestRule, [field]:value };
+    setRetestRule(rule); setRuleTouched(true); applyRetestRule(testStudents, { rule }, true);
   };
 
   const saveTestResults = async () => {
     if (!testName.trim() || !testDate || testStudents.length===0) return;
+    if (!(Number(testTotal) > 0)) { alert("만점을 확인하세요."); return; }
+    if (testOnline && !testQuestions.length) { alert("온라인 응시에는 문항이 필요합니다."); return; }
+    if (testOnline && !(testOnline.opens_at && testOnline.closes_at > testOnline.opens_at)) { alert("응시 기간을 확인하세요."); return; }
+    const bad = formStudents.findIndex(s => testStudents.includes(s.id) && !formMissed(s.id) && parseScoreCell(testScores[s.id], testTotal).error);
+    if (bad >= 0) {
+      alert(`${formStudents[bad].name}: ${parseScoreCell(testScores[formStudents[bad].id], testTotal).error} — 점수를 확인하세요.`);
+      document.querySelector(`[data-score-cell="${bad}-0"]`)?.focus();
+      return;
+    }
     setSaving(true);
     try {
-      if (editingTest) { const del=tests.filter(t=>t.test_name===editingTest.testName&&t.test_date===editingTest.testDate); for(const t of del) await db.from("tests").delete({id:t.id}); }
-      const rows = testStudents.map(sId => ({
-        student_id:sId, test_name:testName.trim(), test_date:testDate,
-        score: testScores[sId]!==""&&testScores[sId]!==undefined ? Number(testScores[sId]) : null,
-        total_score:Number(testTotal)||100, retest_date:retestDates[sId]||null, retest_reason:retestReasons[sId]||null,
-      }));
-      await db.from("tests").insert(rows);
-      await refreshData(); setShowTestForm(false); setEditingTest(null);
-    } catch (e) { alert("저장 실패: " + e.message); }
+      // Choices are typed as "a | b | c"; a question with them is multiple choice and its answer is the choice number.
+      const questions = testQuestions.map(q => {
+        const choices = (q.choices||"").split("|").map(c => c.trim()).filter(Boolean);
+        return { answer:q.answer.trim(), points:Number(q.points)||0, skill:q.skill.trim()||undefined, prompt:q.prompt?.trim()||undefined, choices:choices.length>1 ? choices : undefined };
+      });
+      const rows = testStudents.map(sId => {
+        const attendance = testAttendance[sId] || "present", missed = formMissed(sId);
+        return { student_id:sId, score:missed ? null : parseScoreCell(testScores[sId], testTotal).score ?? null,
+          attendance, attendance_reason:attendance !== "present" ? attendanceReasons[sId]?.trim() || null : null,
+          answers: !missed && questions.length && testAnswers[sId]?.some(a=>normAnswer(a)) ? questions.map((_, i) => testAnswers[sId][i]?.trim() ?? "") : null,
+          retest_date:retestDates[sId]||null, retest_reason:retestReasons[sId]||null };
+      });
+      // New sessions get their id here so a replayed save from the outbox cannot create a duplicate.
+      await outbox.submit("save_test_session", `${editingTest?"테스트 수정":"테스트 등록"}: ${testName.trim()} (${testDate})`, {
+        p_id:editingTest?.id||crypto.randomUUID(), p_create:!editingTest, p_expected_version:editingTest?.version??null, p_name:testName.trim(), p_test_date:testDate, p_total_score:Number(testTotal),
+        p_metadata:{ ...editingTest?.metadata, memo:testMemo.trim()||undefined,
+          retest_rule:retestRule ? { ...retestRule, cutoff_pct:Number(retestRule.cutoff_pct)||0, delay_days:Number(retestRule.delay_days)||0 } : undefined,
+          category_id:testCategory||undefined, template_id:testTemplate?.id, round:testTemplate?.round, questions:questions.length ? questions : undefined,
+          online:testOnline ? { opens_at:new Date(testOnline.opens_at).toISOString(), closes_at:new Date(testOnline.closes_at).toISOString(), minutes:Number(testOnline.minutes)||null } : undefined },
+        p_results:rows,
+      });
+      localStorage.removeItem(draftKey(editingTest?.id));
+      closeTestForm();
+    } catch (e) {
+      if (e.stale) { await refreshData(); setConflictOpen(true); }
+      else alert("저장 실패: " + e.message);
+    }
     setSaving(false);
   };
 
-  const deleteTest = async (name, date) => {
-    if (!confirm(`"${name}" 테스트를 삭제하시겠습니까?`)) return;
+  // Takes the choices made in ConflictDialog into the form and rebases the edit on the latest version.
+  const applyMerge = ({ fields, scores }) => {
+    const latest = sessionGroups.find(g => g.id === editingTest.id);
+    if ("name" in fields) setTestName(fields.name);
+    if ("date" in fields) setTestDate(fields.date);
+    if ("total" in fields) setTestTotal(String(fields.total));
+    if ("memo" in fields) setTestMemo(fields.memo);
+    let ids = [...testStudents];
+    const sc={...testScores}, dt={...retestDates}, rs={...retestReasons};
+    Object.entries(scores).forEach(([id, v]) => {
+      if (v === undefined) { ids = ids.filter(x=>x!==id); delete sc[id]; delete dt[id]; delete rs[id]; return; }
+      if (!ids.includes(id)) {
+        ids.push(id);
+        const t = latest.tests.find(x=>x.student_id===id);
+        const open = t && (attemptsByResult[t.id]||[]).filter(a=>a.status==="scheduled").at(-1);
+        if (open) { dt[id]=open.scheduled_date; if (open.reason) rs[id]=open.reason; }
+      }
+      sc[id] = v === null ? "" : String(v);
+    });
+    setTestStudents(ids); setTestScores(sc); setRetestDates(dt); setRetestReasons(rs);
+    setEditingTest(latest); setConflictOpen(false);
+  };
+
+  const deleteTest = async (group) => {
+    if (!confirm(`"${group.testName}" 테스트를 삭제하시겠습니까?\n휴지통으로 이동하며 ${TRASH_DAYS}일 동안 복원할 수 있습니다.`)) return;
     setSaving(true);
-    try { const del=tests.filter(t=>t.test_name===name&&t.test_date===date); for(const t of del) await db.from("tests").delete({id:t.id}); await refreshData(); }
+    try { const trashId = await repo.testSessions.remove(group.id); await refreshData(); setUndo({ label:`"${group.testName}" 테스트를 삭제했습니다.`, trashId }); }
     catch (e) { alert("삭제 실패: " + e.message); }
     setSaving(false);
   };
 
+  // Inactive students stay in a test they already took, but are not offered for new ones.
+  const formStudents = useMemo(() => students.filter(s => isActive(s) || editingTest?.tests.some(t=>t.student_id===s.id)).sort((a,b)=>a.name.localeCompare(b.name,"ko")), [students, editingTest]);
   const toggleStudent = (id) => setTestStudents(p => p.includes(id) ? p.filter(s=>s!==id) : [...p,id]);
-  const selectAllStudents = () => setTestStudents(p => p.length===students.length ? [] : students.map(s=>s.id));
+  const selectAllStudents = () => setTestStudents(p => p.length===formStudents.length ? [] : formStudents.map(s=>s.id));
+  const selectClassStudents = (classId) => classId && setTestStudents(classStudentIds(classId).filter(id=>formStudents.some(s=>s.id===id)));
+
+  const sessionGroups = useMemo(() => {
+    const bySession={};
+    tests.forEach(t => { (bySession[t.session_id]||(bySession[t.session_id]=[])).push(t); });
+    return testSessions
+      .map(ts => ({ id:ts.id, testName:ts.name, testDate:ts.test_date, totalScore:ts.total_score, metadata:ts.metadata||{}, version:ts.version, createdAt:ts.created_at||"", tests:bySession[ts.id]||[] }))
+      .sort((a,b)=>b.testDate.localeCompare(a.testDate)||b.createdAt.localeCompare(a.createdAt));
+  }, [tests, testSessions]);
+  const testGroups = useMemo(() => sessionGroups.filter(g=>g.tests.length), [sessionGroups]);
+  // Sessions without results: created by a recurring template (or emptied), waiting for scores.
+  const scheduledGroups = useMemo(() => sessionGroups.filter(g=>!g.tests.length).reverse(), [sessionGroups]);
+  const categoryById = useMemo(() => Object.fromEntries(categories.map(c=>[c.id,c])), [categories]);
+
+  // Retest attempts with their result row and student, for the calendar and the today panel.
+  const retestItems = useMemo(() => {
+    const testById=Object.fromEntries(tests.map(t=>[t.id,t])), studentById=Object.fromEntries(students.map(s=>[s.id,s]));
+    return retestAttempts.map(a=>({ ...a, test:testById[a.result_id], student:studentById[testById[a.result_id]?.student_id] })).filter(a=>a.test&&a.student);
+  }, [retestAttempts, tests, students]);
+
+  // The score form follows the URL; any other path closes it (so the back button does too).
+  const formRoute = seg[0]==="tests" ? (seg[1]==="new" ? "new" : seg[2]==="edit" ? seg[1] : null) : null;
+  useEffect(() => {
+    if (!formRoute || !canEdit) {
+      if (showTestForm) { setShowTestForm(false); setEditingTest(null); }
+      if (formRoute) route.go("/admin/tests", { replace:true });
+      return;
+    }
+    if (formRoute === "new") { if (!showTestForm || editingTest) loadTestForm(); return; }
+    if (showTestForm && editingTest?.id === formRoute) return;
+    const g = sessionGroups.find(x => x.id === formRoute);
+    if (g) loadTestForm(g);
+    else if (testSessions.length) route.go("/admin/tests", { replace:true });
+  }, [formRoute, sessionGroups]);
+
+  useEffect(() => {
+    if (!showTestForm) return;
+    if (draftSkip.current) { draftSkip.current = false; return; }
+    if (draft) return;
+    const t = setTimeout(() => {
+      try {
+        localStorage.setItem(draftKey(editingTest?.id), JSON.stringify({ name:testName, date:testDate, total:testTotal, memo:testMemo, category:testCategory, students:testStudents,
+          scores:testScores, answers:testAnswers, retestDates, retestReasons, attendance:testAttendance, attendanceReasons, version:editingTest?.version ?? null, saved_at:new Date().toISOString() }));
+      } catch {}
+    }, 500);
+    return () => clearTimeout(t);
+  }, [showTestForm, editingTest?.id, draft, testName, testDate, testTotal, testMemo, testCategory, testStudents, testScores, testAnswers, retestDates, retestReasons, testAttendance, attendanceReasons]);
+
+  const latestEditing = editingTest && sessionGroups.find(g => g.id === editingTest.id);
+  const editIsStale = !!latestEditing && latestEditing.version !== editingTest.version;
 
-  const testGroups = useMemo(() => {
-    const g={};
-    tests.forEach(t => { const k=`${t.test_name}__${t.test_date}`; if(!g[k])g[k]={testName:t.test_name,testDate:t.test_date,totalScore:t.total_score,tests:[]}; g[k].tests.push(t); });
-    return Object.values(g).sort((a,b)=>b.testDate.localeCompare(a.testDate));
-  }, [tests]);
+  const classFilterIds = selectedClassFilter==="all" ? null : classStudentIds(selectedClassFilter);
+  const rowVisible = (t) => (selectedStudentFilter==="all"||t.student_id===selectedStudentFilter) && (!classFilterIds||classFilterIds.includes(t.student_id));
+  const [resultSort, setResultSort] = useState({ key:null, dir:1 });
+  const toggleResultSort = (key) => setResultSort(s => s.key!==key ? { key, dir:key==="score"?-1:1 } : s.dir===(key==="score"?-1:1) ? { key, dir:-s.dir } : { key:null, dir:1 });
+  const categoryVisible = (g) => categoryFilter==="all" || (categoryFilter==="none" ? !categoryById[g.metadata.category_id] : g.metadata.category_id===categoryFilter);
+  const filteredGroups = (selectedStudentFilter==="all"&&!classFilterIds ? testGroups : testGroups.filter(g=>g.tests.some(rowVisible))).filter(categoryVisible);
+  // With grouping on, tests are ordered by category (uncategorised last) and keep their date order within one.
+  const categoryRank = (g) => { const c = categoryById[g.metadata.category_id]; return c ? categories.indexOf(c) : categories.length; };
+  const shownGroups = groupByCategory ? [...filteredGroups].sort((a,b)=>categoryRank(a)-categoryRank(b)) : filteredGroups;
 
-  const filteredGroups = selectedStudentFilter==="all" ? testGroups : testGroups.filter(g=>g.tests.some(t=>t.student_id===selectedStudentFilter));
+  const exportResults = async (layout, format) => {
+    const stamp = toDateStr(new Date());
+    try {
+      if (layout === "matrix") {
+        const rows = buildResultMatrix(filteredGroups, students, rowVisible);
+        if (format === "csv") downloadCsv(`성적표_${stamp}.csv`, rows);
+        else await downloadXlsx(`성적표_${stamp}.xlsx`, [{ name:"학생별 성적", rows }]);
+      } else {
+        const sheets = buildResultSheets(filteredGroups, students, attemptsByResult, rowVisible);
+        if (format === "csv") downloadCsv(`테스트별_성적_${stamp}.csv`, [["테스트", "날짜", ...sheets[0]?.rows[0]||[]], ...sheets.flatMap((sh, i) => sh.rows.slice(1).map(r => [filteredGroups[i].testName, filteredGroups[i].testDate, ...r]))]);
+        else await downloadXlsx(`테스트별_성적_${stamp}.xlsx`, sheets);
+      }
+      setShowExport(false);
+    } catch (e) { alert("내보내기 실패: " + e.message); }
+  };
 
   return (
     <div style={{ minHeight:"100vh", background:T.bg }}>
       {/* Header */}
       <div style={{ background:"white", borderBottom:`1px solid ${T.border}`, padding:"16px 32px", display:"flex", alignItems:"center", justifyContent:"space-between", position:"sticky", top:0, zIndex:100 }}>
         <div style={{ display:"flex", alignItems:"center", gap:12 }}>
-          <span style={{ fontSize:24 }}>📝</span>
+          {settings.logo ? <AcademyLogo size={36} /> : <span style={{ fontSize:24 }}>📝</span>}
           <div>
             <h1 style={{ fontSize:20, fontWeight:800, color:T.text, margin:0 }}>Test Manager</h1>
-            <p style={{ fontSize:12, color:T.textSec, margin:0 }}>관리자 모드{saving&&" · 저장 중..."}</p>
+            <p style={{ fontSize:12, color:T.textSec, margin:0 }}>{settings.name} · {user.name} · {STAFF_ROLES[user.staff_role]||"관리자"}{saving&&" · 저장 중..."}</p>
           </div>
         </div>
-        <button onClick={onLogout} style={{ padding:"8px 16px", borderRadius:8, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:13, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>로그아웃</button>
+        <div style={{ display:"flex", alignItems:"center", gap:10 }}>
+          <SyncStatus online={online} live={liveState==="open"} items={outboxItems} onClick={()=>setShowOutbox(true)} />
+          <button onClick={onLogout} style={{ padding:"8px 16px", borderRadius:8, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:13, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>로그아웃</button>
+        </div>
       </div>
+      {pinIsDefault && tab!=="settings" && (
+        <div style={{ background:T.warningLight, color:"#92400E", padding:"10px 32px", fontSize:13, fontWeight:600, borderBottom:`1px solid ${T.border}` }}>
+          🔐 초기 비밀번호를 사용하고 있습니다. <button onClick={()=>setTab("settings")} style={{ border:"none", background:"none", color:"#92400E", fontSize:13, fontWeight:700, textDecoration:"underline", cursor:"pointer", fontFamily:"inherit", padding:0 }}>설정</button>에서 바꿔 주세요.
+        </div>
+      )}
+      {offlineSince && (
+        <div style={{ background:T.warningLight, color:"#92400E", padding:"10px 32px", fontSize:13, fontWeight:600, borderBottom:`1px solid ${T.border}` }}>
+          📴 서버에 연결할 수 없어 {new Date(offlineSince).toLocaleString("ko-KR")}에 불러온 데이터를 보여 줍니다. 점수 저장과 학생 등록·수정은 연결되면 자동으로 전송됩니다.
+        </div>
+      )}
+      {showOutbox && <OutboxPanel items={outboxItems} online={online} onClose={()=>setShowOutbox(false)} />}
 
       {/* Tabs */}
       <div style={{ padding:"0 32px", background:"white", borderBottom:`1px solid ${T.border}`, display:"flex" }}>
-        {[{key:"tests",label:"테스트 입력",icon:"✏️"},{key:"results",label:"결과 조회",icon:"📊"},{key:"students",label:"학생 관리",icon:"👥"}].map(t=>(
+        {TABS.map(t=>(
           <button key={t.key} onClick={()=>setTab(t.key)} style={{ padding:"14px 20px", border:"none", borderBottom:tab===t.key?`3px solid ${T.primary}`:"3px solid transparent", background:"transparent", color:tab===t.key?T.primary:T.textSec, fontSize:14, fontWeight:tab===t.key?700:500, cursor:"pointer", fontFamily:"inherit" }}>{t.icon} {t.label}</button>
         ))}
       </div>
@@ -341,63 +1586,126 @@ function AdminDashboard({ students, tests, refreshData, onLogout }) {
         {/* Students */}
         {tab==="students" && (
           <div>
-            <h2 style={{ fontSize:18, fontWeight:700, color:T.text, margin:"0 0 20px" }}>학생 목록 <span style={{ color:T.textLight, fontWeight:500 }}>({students.length}명)</span></h2>
+            <h2 style={{ fontSize:18, fontWeight:700, color:T.text, margin:"0 0 12px" }}>반 목록 <span style={{ color:T.textLight, fontWeight:500 }}>({activeClasses.length}개)</span></h2>
+            <div style={{ background:"white", borderRadius:T.radius, border:`1px solid ${T.border}`, padding:"14px 16px", marginBottom:24, display:"flex", flexWrap:"wrap", gap:8, alignItems:"center" }}>
+              {[...classes].sort((a,b)=>(!!a.archived_at-!!b.archived_at)||a.name.localeCompare(b.name,"ko")).map(c=>(
+                <div key={c.id} style={{ display:"flex", alignItems:"center", gap:6, padding:"6px 10px", borderRadius:T.radiusSm, border:`1px solid ${T.border}`, background:c.archived_at?T.bg:"white", opacity:c.archived_at?0.6:1 }}>
+                  {editingClass===c.id ? (
+                    <input autoFocus defaultValue={c.name} onBlur={e=>renameClass(c.id,e.target.value)}
+                      onKeyDown={e=>{if(e.key==="Enter")e.target.blur();if(e.key==="Escape")setEditingClass(null);}}
+                      style={{...inputStyle,padding:"4px 8px",fontSize:13,width:120,border:`2px solid ${T.primary}`}} />
+                  ) : (
+                    <span onClick={()=>canEdit&&setEditingClass(c.id)} title={canEdit?"클릭하여 이름 수정":undefined} style={{ fontSize:14, fontWeight:700, color:T.text, cursor:canEdit?"pointer":"default" }}>{c.name}</span>
+                  )}
+                  <span style={{ fontSize:12, color:T.textSec }}>{classStudentIds(c.id).length}명</span>
+                  {c.archived_at&&<span style={{ fontSize:11, color:T.textLight }}>보관됨</span>}
+                  {canEdit&&<button onClick={()=>toggleArchiveClass(c)} style={{ padding:"2px 8px", borderRadius:6, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:11, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>{c.archived_at?"복원":"보관"}</button>}
+                </div>
+              ))}
+              {classes.length===0&&<span style={{ fontSize:13, color:T.textLight }}>등록된 반이 없습니다.</span>}
+              {canEdit&&(
+                <div style={{ display:"flex", gap:6, marginLeft:"auto" }}>
+                  <input value={newClassName} onChange={e=>setNewClassName(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addClass()} placeholder="새 반 이름" style={{...inputStyle,padding:"6px 10px",fontSize:13,width:140,border:`1px solid ${T.border}`}} />
+                  <button onClick={addClass} disabled={saving} style={{ padding:"6px 14px", borderRadius:6, border:"none", background:T.primary, color:"white", fontSize:12, fontWeight:700, cursor:"pointer", fontFamily:"inherit" }}>반 추가</button>
+                </div>
+              )}
+            </div>
+
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:20 }}>
+              <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+                <h2 style={{ fontSize:18, fontWeight:700, color:T.text, margin:0 }}>학생 목록 <span style={{ color:T.textLight, fontWeight:500 }}>({listedStudents.length}명)</span></h2>
+                <select value={studentStatusFilter} onChange={e=>setStudentStatusFilter(e.target.value)} style={{ padding:"6px 10px", borderRadius:8, border:`1px solid ${T.border}`, background:"white", fontSize:13, color:T.text, fontFamily:"inherit", cursor:"pointer" }}>
+                  {Object.entries(STUDENT_STATUS).map(([k,v])=><option key={k} value={k}>{v.label} ({students.filter(s=>(s.status||"active")===k).length})</option>)}
+                  <option value="all">전체 ({students.length})</option>
+                </select>
+              </div>
+              <div style={{ display:"flex", gap:8 }}>
+                {isOwner&&<button onClick={()=>setGradesOpen(true)} style={{ padding:"8px 16px", borderRadius:10, border:`1px solid ${T.border}`, background:"white", color:T.primary, fontSize:13, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>⚙️ 학년 설정</button>}
+                {isOwner&&<button onClick={()=>setRolloverOpen(true)} disabled={!online} title={online?undefined:"오프라인에서는 사용할 수 없습니다"} style={{ padding:"8px 16px", borderRadius:10, border:`1px solid ${T.border}`, background:"white", color:T.primary, fontSize:13, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>🎓 새 학년도 진급</button>}
+                {canEdit&&<button onClick={()=>setImporting("students")} style={{ padding:"8px 16px", borderRadius:10, border:`1px solid ${T.border}`, background:"white", color:T.primary, fontSize:13, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>📥 파일로 일괄 등록</button>}
+              </div>
+            </div>
             <div style={{ background:"white", borderRadius:T.radius, border:`1px solid ${T.border}`, overflow:"hidden" }}>
               <table style={{ width:"100%", borderCollapse:"collapse", fontSize:14 }}>
                 <thead><tr style={{ background:T.bg }}>
                   <th style={{...thStyle,width:50}}>No.</th><th style={thStyle}>이름</th><th style={{...thStyle,width:140}}>아이디</th>
-                  <th style={{...thStyle,width:90}}>학년</th><th style={{...thStyle,width:120}}>비밀번호</th><th style={{...thStyle,width:90}}>테스트</th><th style={{...thStyle,width:80}}></th>
+                  <th style={{...thStyle,width:90}}>학년</th><th style={thStyle}>반</th><th style={{...thStyle,width:120}}>비밀번호</th><th style={{...thStyle,width:90}}>테스트</th><th style={{...thStyle,width:200}}></th>
                 </tr></thead>
                 <tbody>
-                  {students.sort((a,b)=>a.name.localeCompare(b.name,"ko")).map((s,idx)=>{
+                  {listedStudents.map((s,idx)=>{
                     const cnt=tests.filter(t=>t.student_id===s.id).length;
+                    const st=STUDENT_STATUS[s.status||"active"], gc=gradeColor(s.grade,grades,T);
                     return (
-                      <tr key={s.id} onMouseEnter={e=>e.currentTarget.style.background="#FAFBFF"} onMouseLeave={e=>e.currentTarget.style.background="white"}>
+                      <tr key={s.id} onMouseEnter={e=>e.currentTarget.style.background="#FAFBFF"} onMouseLeave={e=>e.currentTarget.style.background="white"} style={{opacity:isActive(s)?1:0.7}}>
                         <td style={{...tdStyle,textAlign:"center",color:T.textLight,fontSize:13}}>{idx+1}</td>
-                        <td style={{...tdStyle,fontWeight:700}}>{s.name}</td>
+                        <td style={{...tdStyle,fontWeight:700}}>{s.name}{!isActive(s)&&<span style={{...chipStyle,background:st.bg,color:st.color,marginLeft:6}}>{st.label}</span>}</td>
                         <td style={{...tdStyle,padding:"6px 12px"}}>
                           {editingStudent?.id===s.id&&editingStudent?.field==="loginId" ? (
                             <input autoFocus defaultValue={s.login_id||""} onBlur={e=>updateStudentField(s.id,"loginId",e.target.value)}
                               onKeyDown={e=>{if(e.key==="Enter")e.target.blur();if(e.key==="Escape")setEditingStudent(null);}}
                               style={{...inputStyle,padding:"6px 8px",fontSize:13,border:`2px solid ${T.primary}`,fontFamily:"monospace"}} />
                           ) : (
-                            <span onClick={()=>setEditingStudent({id:s.id,field:"loginId"})}
+                            <span onClick={()=>canEdit&&setEditingStudent({id:s.id,field:"loginId"})}
                               style={{fontFamily:"monospace",fontSize:13,color:T.primary,cursor:"pointer",padding:"4px 6px",borderRadius:4,border:"1px dashed transparent",transition:"all 0.15s"}}
                               onMouseEnter={e=>e.currentTarget.style.borderColor=T.border} onMouseLeave={e=>e.currentTarget.style.borderColor="transparent"}
                               title="클릭하여 수정">{s.login_id||"-"}</span>
                           )}
                         </td>
                         <td style={tdStyle}>
-                          <span style={{background:s.grade==="고3"?T.dangerLight:s.grade==="고2"?T.warningLight:T.primaryLight,color:s.grade==="고3"?T.danger:s.grade==="고2"?"#92400E":T.primary,padding:"2px 10px",borderRadius:6,fontSize:12,fontWeight:700}}>{s.grade}</span>
+                          {editingStudent?.id===s.id&&editingStudent?.field==="grade" ? (
+                            <select autoFocus defaultValue={s.grade} onChange={e=>updateStudentField(s.id,"grade",e.target.value)} onBlur={()=>setEditingStudent(null)}
+                              style={{...inputStyle,padding:"4px 6px",fontSize:13,border:`2px solid ${T.primary}`}}>
+                              {(grades.includes(s.grade)?grades:[s.grade,...grades]).map(g=><option key={g}>{g}</option>)}
+                            </select>
+                          ) : (
+                            <span onClick={()=>canEdit&&setEditingStudent({id:s.id,field:"grade"})} title={canEdit?"클릭하여 수정":undefined}
+                              style={{background:gc.bg,color:gc.color,padding:"2px 10px",borderRadius:6,fontSize:12,fontWeight:700,cursor:canEdit?"pointer":"default"}}>{s.grade}</span>
+                          )}
+                        </td>
+                        <td style={{...tdStyle,padding:"6px 12px"}}>
+                          <div style={{display:"flex",flexWrap:"wrap",gap:4,alignItems:"center"}}>
+                            {classesOf(s.id).map(c=>(
+                              <span key={c.id} style={{...chipStyleFor(T),opacity:c.archived_at?0.5:1}}>{c.name}{canEdit&&<span onClick={()=>setClassMembership(s.id,c.id,false)} style={{cursor:"pointer",color:T.textLight}} title="반에서 제외">×</span>}</span>
+                            ))}
+                            {canEdit&&activeClasses.some(c=>!classesOf(s.id).includes(c))&&(
+                              <select value="" onChange={e=>e.target.value&&setClassMembership(s.id,e.target.value,true)} style={{padding:"2px 4px",borderRadius:6,border:`1px dashed ${T.border}`,background:"white",fontSize:12,color:T.textSec,fontFamily:"inherit",cursor:"pointer"}}>
+                                <option value="">+ 반</option>
+                                {activeClasses.filter(c=>!classesOf(s.id).includes(c)).map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+                              </select>
+                            )}
+                          </div>
                         </td>
                         <td style={{...tdStyle,padding:"6px 12px"}}>
                           {editingStudent?.id===s.id&&editingStudent?.field==="pin" ? (
-                            <input autoFocus defaultValue={s.pin} onBlur={e=>updateStudentField(s.id,"pin",e.target.value)}
+                            <input autoFocus placeholder="새 비밀번호" onBlur={e=>updateStudentField(s.id,"pin",e.target.value)}
                               onKeyDown={e=>{if(e.key==="Enter")e.target.blur();if(e.key==="Escape")setEditingStudent(null);}}
                               style={{...inputStyle,padding:"6px 8px",fontSize:13,border:`2px solid ${T.primary}`,fontFamily:"monospace"}} />
                           ) : (
-                            <span onClick={()=>setEditingStudent({id:s.id,field:"pin"})}
+                            <span onClick={()=>canEdit&&setEditingStudent({id:s.id,field:"pin"})}
                               style={{fontFamily:"monospace",fontSize:13,color:T.textSec,cursor:"pointer",padding:"4px 6px",borderRadius:4,border:"1px dashed transparent",transition:"all 0.15s"}}
                               onMouseEnter={e=>e.currentTarget.style.borderColor=T.border} onMouseLeave={e=>e.currentTarget.style.borderColor="transparent"}
-                              title="클릭하여 수정">{s.pin}</span>
+                              title="클릭하여 재설정">••••</span>
                           )}
                         </td>
                         <td style={{...tdStyle,textAlign:"center"}}><span style={{fontSize:13,color:T.textSec}}>{cnt}건</span></td>
-                        <td style={{...tdStyle,textAlign:"center"}}>
-                          <button onClick={()=>deleteStudent(s.id)} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+                        <td style={{...tdStyle,textAlign:"center",whiteSpace:"nowrap"}}>
+                          <button onClick={()=>setNotesTarget(s)} title="학부모에게만 보이는 메모" style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit",marginRight:canEdit?6:0}}>💬 {parentNotes.filter(n=>n.student_id===s.id).length}</button>
+                          {canEdit&&<button onClick={()=>setStudentStatus(s,isActive(s)?"archived":"active")} title={isActive(s)?"기록은 유지하고 테스트 입력과 로그인에서 제외":undefined} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit",marginRight:isOwner?6:0}}>{isActive(s)?"보관":"복원"}</button>}
+                          {isOwner&&<button onClick={()=>deleteStudent(s.id)} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>}
                         </td>
                       </tr>
                     );
                   })}
-                  <tr style={{background:T.bg}}>
+                  {canEdit&&<tr style={{background:T.bg}}>
                     <td style={{...tdStyle,textAlign:"center",color:T.primary,fontSize:16,borderBottom:"none"}}>+</td>
                     <td style={{...tdStyle,borderBottom:"none"}}><input value={studentName} onChange={e=>setStudentName(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addStudent()} placeholder="이름" style={{...inputStyle,padding:"8px 10px",fontSize:14,border:`1px solid ${T.border}`}} /></td>
                     <td style={{...tdStyle,borderBottom:"none"}}><input value={studentLoginId} onChange={e=>setStudentLoginId(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addStudent()} placeholder="아이디" style={{...inputStyle,padding:"8px 10px",fontSize:13,border:`1px solid ${T.border}`}} /></td>
-                    <td style={{...tdStyle,borderBottom:"none"}}><select value={studentGrade} onChange={e=>setStudentGrade(e.target.value)} style={{...inputStyle,padding:"8px 6px",fontSize:13,border:`1px solid ${T.border}`}}><option>고1</option><option>고2</option><option>고3</option></select></td>
-                    <td style={{...tdStyle,borderBottom:"none"}}><input value={studentPin} onChange={e=>setStudentPin(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addStudent()} placeholder="0000" style={{...inputStyle,padding:"8px 10px",fontSize:13,border:`1px solid ${T.border}`}} /></td>
+                    <td style={{...tdStyle,borderBottom:"none"}}><select value={newStudentGrade} onChange={e=>setStudentGrade(e.target.value)} style={{...inputStyle,padding:"8px 6px",fontSize:13,border:`1px solid ${T.border}`}}>{grades.map(g=><option key={g}>{g}</option>)}</select></td>
+                    <td style={{...tdStyle,borderBottom:"none"}} />
+                    <td style={{...tdStyle,borderBottom:"none"}}><input value={studentPin} onChange={e=>setStudentPin(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addStudent()} placeholder={settings.default_pin} style={{...inputStyle,padding:"8px 10px",fontSize:13,border:`1px solid ${T.border}`}} /></td>
                     <td style={{...tdStyle,borderBottom:"none"}} />
                     <td style={{...tdStyle,textAlign:"center",borderBottom:"none"}}><button onClick={addStudent} disabled={saving} style={{padding:"6px 14px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>등록</button></td>
-                  </tr>
+                  </tr>}
                 </tbody>
               </table>
             </div>
@@ -409,135 +1717,2281 @@ function AdminDashboard({ students, tests, refreshData, onLogout }) {
           <div>
             <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20}}>
               <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>테스트 결과 입력</h2>
+              {canEdit&&<div style={{display:"flex",gap:8}}>
+              <button onClick={()=>setShowTemplates(v=>!v)} style={{padding:"10px 16px",borderRadius:10,border:`1px solid ${T.border}`,background:showTemplates?T.primaryLight:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>📚 템플릿</button>
+              <button onClick={()=>setShowRules(v=>!v)} style={{padding:"10px 16px",borderRadius:10,border:`1px solid ${T.border}`,background:showRules?T.primaryLight:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>⚙️ 재시험 기준</button>
               <button onClick={()=>openTestForm()} style={{padding:"10px 20px",borderRadius:10,border:"none",background:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>+ 새 테스트</button>
+              </div>}
             </div>
-            {students.length===0 && <div style={{background:T.warningLight,border:`1px solid ${T.warning}`,borderRadius:T.radiusSm,padding:"16px 20px",marginBottom:20}}><p style={{margin:0,fontSize:14,color:"#92400E"}}>⚠️ 먼저 "학생 관리" 탭에서 학생을 등록해주세요.</p></div>}
+            {!students.some(isActive) && <div style={{background:T.warningLight,border:`1px solid ${T.warning}`,borderRadius:T.radiusSm,padding:"16px 20px",marginBottom:20}}><p style={{margin:0,fontSize:14,color:"#92400E"}}>⚠️ 먼저 "학생 관리" 탭에서 학생을 등록해주세요.</p></div>}
+
+            {showTemplates && canEdit && <TemplatesPanel templates={templates} categories={categories} classes={activeClasses} refreshData={refreshData} />}
+            {showRules && canEdit && <RetestRulesPanel rules={retestRules} refreshData={refreshData} />}
 
             {showTestForm && (
               <div style={{background:"white",borderRadius:T.radius,padding:28,boxShadow:T.shadowLg,marginBottom:24,border:`1px solid ${T.border}`}}>
-                <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 20px",color:T.text}}>{editingTest?"테스트 수정":"새 테스트 등록"}</h3>
+                <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 20px",color:T.text}}>{editingTest?(editingTest.tests.length?"테스트 수정":"점수 입력"):"새 테스트 등록"}</h3>
+                {editIsStale&&(
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:12,background:T.warningLight,color:"#92400E",borderRadius:T.radiusSm,padding:"10px 14px",fontSize:13,fontWeight:600,marginBottom:16}}>
+                    <span>🔄 이 테스트를 여는 동안 다른 사용자가 수정했습니다. 저장하기 전에 변경 내용을 확인하세요.</span>
+                    <button onClick={()=>setConflictOpen(true)} style={{padding:"6px 12px",borderRadius:8,border:"none",background:"white",color:"#92400E",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>변경 내용 비교</button>
+                  </div>
+                )}
+                {draft&&(
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:12,background:T.primaryLight,color:T.primary,borderRadius:T.radiusSm,padding:"10px 14px",fontSize:13,fontWeight:600,marginBottom:16}}>
+                    <span>📝 {formatDateTime(draft.saved_at)}에 저장하지 않고 닫은 입력 내용이 있습니다.{editingTest&&draft.version!==editingTest.version&&" 그 뒤 테스트가 수정되어, 복원해 저장하면 바뀐 내용과 비교합니다."}</span>
+                    <div style={{display:"flex",gap:6}}>
+                      <button onClick={restoreDraft} style={{padding:"6px 12px",borderRadius:8,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>복원</button>
+                      <button onClick={discardDraft} style={{padding:"6px 12px",borderRadius:8,border:"none",background:"white",color:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>버리기</button>
+                    </div>
+                  </div>
+                )}
                 <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:14,marginBottom:20}}>
-                  <div><label style={labelStyle}>테스트명</label><input value={testName} onChange={e=>setTestName(e.target.value)} placeholder="예: 단어 테스트 1회" style={inputStyle} /></div>
-                  <div><label style={labelStyle}>시험 날짜</label><input type="date" value={testDate} onChange={e=>setTestDate(e.target.value)} style={inputStyle} /></div>
-                  <div><label style={labelStyle}>만점</label><input type="number" value={testTotal} onChange={e=>setTestTotal(e.target.value)} style={inputStyle} /></div>
+                  {!editingTest&&templates.length>0&&(
+                    <div style={{gridColumn:"1 / -1",display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",background:T.bg,borderRadius:T.radiusSm,padding:"10px 12px"}}>
+                      <span style={{fontSize:13,fontWeight:700,color:T.textSec}}>📚 템플릿</span>
+                      {[...templates].sort((a,b)=>a.name.localeCompare(b.name,"ko")).map(t=>(
+                        <button key={t.id} onClick={()=>chooseTemplate(t.id)} style={{padding:"6px 12px",borderRadius:8,border:`1px solid ${testTemplate?.id===t.id?T.primary:T.border}`,background:testTemplate?.id===t.id?T.primaryLight:"white",color:testTemplate?.id===t.id?T.primary:T.text,fontSize:13,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>{templateName(t, t.next_round)}</button>
+                      ))}
+                    </div>
+                  )}
+                  <div><label style={labelStyle}>테스트명</label><input value={testName} onChange={e=>changeTestName(e.target.value)} placeholder="예: 단어 테스트 1회" style={inputStyle} /></div>
+                  <div><label style={labelStyle}>시험 날짜</label><input type="date" value={testDate} onChange={e=>{setTestDate(e.target.value);applyRetestRule(testStudents,{date:e.target.value},true);}} style={inputStyle} /></div>
+                  <div><label style={labelStyle}>만점</label><input type="number" value={testTotal} disabled={testQuestions.length>0} title={testQuestions.length?"문항 배점의 합계입니다":undefined} onChange={e=>{setTestTotal(e.target.value);applyRetestRule(testStudents,{total:e.target.value},true);}} style={{...inputStyle,background:testQuestions.length?T.bg:"white"}} /></div>
+                  <div><label style={labelStyle}>분류</label>
+                    <select value={testCategory} onChange={e=>setTestCategory(e.target.value)} style={inputStyle}>
+                      <option value="">분류 없음</option>
+                      {categories.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                  </div>
+                  <div style={{gridColumn:"2 / -1"}}><label style={labelStyle}>메모</label><input value={testMemo} onChange={e=>setTestMemo(e.target.value)} placeholder="예: 범위 Day 1~5" style={inputStyle} /></div>
+                  <div style={{gridColumn:"1 / -1"}}>
+                    <label style={labelStyle}>재시험 기준</label>
+                    <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",background:T.bg,borderRadius:T.radiusSm,padding:"10px 12px"}}>
+                      <select value={retestRule?(retestRules.find(r=>r.keyword&&r.keyword===retestRule.keyword)?.id||"custom"):""} onChange={e=>chooseRetestRule(e.target.value)} style={{...inputStyle,width:180,padding:"8px 10px",fontSize:13}}>
+                        <option value="">사용 안 함</option>
+                        {retestRules.map(r=><option key={r.id} value={r.id}>"{r.keyword}" 기준</option>)}
+                        <option value="custom">직접 입력</option>
+                      </select>
+                      {retestRule&&<>
+                        <input type="number" min="0" max="100" value={retestRule.cutoff_pct} onChange={e=>changeRuleField("cutoff_pct",e.target.value)} style={{...inputStyle,width:70,padding:"8px 10px",fontSize:13,textAlign:"center"}} />
+                        <span style={{fontSize:13,color:T.textSec}}>% 미만 →</span>
+                        <input type="number" min="0" value={retestRule.delay_days} onChange={e=>changeRuleField("delay_days",e.target.value)} style={{...inputStyle,width:60,padding:"8px 10px",fontSize:13,textAlign:"center"}} />
+                        <span style={{fontSize:13,color:T.textSec}}>일 후 재시험, 사유</span>
+                        <input value={retestRule.reason} onChange={e=>changeRuleField("reason",e.target.value)} style={{...inputStyle,width:160,padding:"8px 10px",fontSize:13}} />
+                        <button onClick={()=>applyRetestRule(testStudents)} style={{padding:"6px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit"}}>미달 학생에 적용</button>
+                      </>}
+                    </div>
+                  </div>
+                  <div style={{gridColumn:"1 / -1"}}>
+                    <label style={labelStyle}>문항 (선택)</label>
+                    <div style={{background:T.bg,borderRadius:T.radiusSm,padding:"10px 12px"}}>
+                      <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap"}}>
+                        <span style={{fontSize:13,color:T.textSec}}>{testQuestions.length?`${testQuestions.length}문항 · 배점 합계 ${testTotal}점 · 답안을 입력하면 자동 채점됩니다.`:"정답과 배점을 정해 두면 학생별 답안으로 자동 채점하고 문항 분석을 볼 수 있습니다."}</span>
+                        <button onClick={()=>setShowQuestions(v=>!v)} style={{padding:"6px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit",marginLeft:"auto"}}>{showQuestions?"닫기":"📋 문항 설정"}</button>
+                      </div>
+                      {showQuestions&&<>
+                        <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",margin:"10px 0"}}>
+                          <span style={{fontSize:13,color:T.textSec}}>문항 수</span>
+                          <input type="number" min="0" max="100" value={testQuestions.length} onChange={e=>setQuestionCount(e.target.value)} style={{...inputStyle,width:70,padding:"6px 8px",fontSize:13,textAlign:"center"}} />
+                          <span style={{fontSize:13,color:T.textSec}}>정답 일괄 입력</span>
+                          <input defaultValue={testQuestions.map(q=>q.answer).join([...testQuestions].every(q=>[...q.answer].length<=1)?"":",")} key={testQuestions.map(q=>q.answer).join("|")} onBlur={e=>setAnswerKey(e.target.value)} placeholder="예: 31425 또는 a, b, c" style={{...inputStyle,width:200,padding:"6px 8px",fontSize:13}} />
+                          <span style={{fontSize:13,color:T.textSec}}>배점 일괄</span>
+                          <input type="number" min="0" placeholder="점" onBlur={e=>e.target.value&&applyQuestions(testQuestions.map(q=>({...q,points:e.target.value})))} style={{...inputStyle,width:70,padding:"6px 8px",fontSize:13,textAlign:"center"}} />
+                          {testOnline&&<span style={{fontSize:12,color:T.textLight}}>보기가 있으면 정답은 보기 번호, 주관식은 허용 답안을 / 로 구분</span>}
+                        </div>
+                        <datalist id="skill-options">{SKILLS.map(k=><option key={k} value={k} />)}</datalist>
+                        <div style={{display:"grid",gridTemplateColumns:`repeat(auto-fill,minmax(${testOnline?280:200}px,1fr))`,gap:6}}>
+                          {testQuestions.map((q,i)=>(
+                            <div key={i} style={{display:"flex",alignItems:"center",flexWrap:"wrap",gap:4,background:"white",borderRadius:8,padding:"4px 6px",border:`1px solid ${T.border}`}}>
+                              <span style={{fontSize:12,fontWeight:700,color:T.textSec,width:22,textAlign:"right"}}>{i+1}</span>
+                              <input value={q.answer} onChange={e=>changeQuestion(i,"answer",e.target.value)} placeholder="정답" style={{...inputStyle,padding:"4px 6px",fontSize:13,width:56}} />
+                              <input type="number" min="0" value={q.points} onChange={e=>changeQuestion(i,"points",e.target.value)} title="배점" style={{...inputStyle,padding:"4px 6px",fontSize:13,width:48,textAlign:"center"}} />
+                              <input value={q.skill} onChange={e=>changeQuestion(i,"skill",e.target.value)} list="skill-options" placeholder="영역" style={{...inputStyle,padding:"4px 6px",fontSize:13,flex:1,minWidth:0}} />
+                              {testOnline&&<>
+                                <input value={q.prompt??""} onChange={e=>changeQuestion(i,"prompt",e.target.value)} placeholder="문제 (예: apple의 뜻은?)" style={{...inputStyle,padding:"4px 6px",fontSize:13}} />
+                                <input value={q.choices??""} onChange={e=>changeQuestion(i,"choices",e.target.value)} placeholder="보기: 사과 | 바다 | 강 (비우면 주관식)" style={{...inputStyle,padding:"4px 6px",fontSize:13}} />
+                              </>}
+                            </div>
+                          ))}
+                        </div>
+                      </>}
+                    </div>
+                  </div>
+                  <div style={{gridColumn:"1 / -1"}}>
+                    <label style={labelStyle}>온라인 응시</label>
+                    <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",background:T.bg,borderRadius:T.radiusSm,padding:"10px 12px"}}>
+                      <label style={{display:"flex",alignItems:"center",gap:6,fontSize:13,fontWeight:600,color:T.text,cursor:"pointer"}}><input type="checkbox" checked={!!testOnline} onChange={e=>toggleOnline(e.target.checked)} />학생이 앱에서 응시</label>
+                      {testOnline ? <>
+                        <input type="datetime-local" value={testOnline.opens_at} onChange={e=>setTestOnline(p=>({...p,opens_at:e.target.value}))} style={{...inputStyle,width:200,padding:"6px 8px",fontSize:13}} />
+                        <span style={{fontSize:13,color:T.textSec}}>~</span>
+                        <input type="datetime-local" value={testOnline.closes_at} onChange={e=>setTestOnline(p=>({...p,closes_at:e.target.value}))} style={{...inputStyle,width:200,padding:"6px 8px",fontSize:13}} />
+                        <span style={{fontSize:13,color:T.textSec}}>제한 시간</span>
+                        <input type="number" min="0" value={testOnline.minutes} onChange={e=>setTestOnline(p=>({...p,minutes:e.target.value}))} placeholder="없음" style={{...inputStyle,width:70,padding:"6px 8px",fontSize:13,textAlign:"center"}} />
+                        <span style={{fontSize:13,color:T.textSec}}>분</span>
+                      </> : <span style={{fontSize:13,color:T.textSec}}>선택한 학생이 정해진 기간에 타이머를 켜고 응시하며, 제출하면 자동 채점되고 재시험 기준이 적용됩니다.</span>}
+                    </div>
+                  </div>
                 </div>
                 <div style={{marginBottom:20}}>
                   <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:10}}>
-                    <label style={labelStyle}>응시 학생 선택 및 점수 입력</label>
-                    <button onClick={selectAllStudents} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit"}}>{testStudents.length===students.length?"전체 해제":"전체 선택"}</button>
+                    <label style={labelStyle}>응시 학생 선택 및 점수 입력 <span style={{fontWeight:500}}>· 점수를 입력하면 자동 선택, Enter·방향키로 이동, 엑셀 열 붙여넣기 가능, 결석은 "x" 또는 출결에서 선택</span></label>
+                    <div style={{display:"flex",gap:8}}>
+                    <button onClick={()=>setImporting("scores")} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit"}}>📥 파일에서 점수 가져오기</button>
+                    {activeClasses.length>0&&(
+                      <select value="" onChange={e=>selectClassStudents(e.target.value)} style={{padding:"4px 8px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,color:T.primary,fontFamily:"inherit",cursor:"pointer"}}>
+                        <option value="">반 선택</option>
+                        {activeClasses.map(c=><option key={c.id} value={c.id}>{c.name} ({classStudentIds(c.id).length}명)</option>)}
+                      </select>
+                    )}
+                    <button onClick={selectAllStudents} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit"}}>{testStudents.length===formStudents.length?"전체 해제":"전체 선택"}</button>
+                    </div>
                   </div>
                   <div style={{maxHeight:400,overflowY:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm}}>
                     <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
                       <thead><tr style={{background:T.bg,position:"sticky",top:0,zIndex:1}}>
-                        <th style={thStyle}>선택</th><th style={thStyle}>이름</th><th style={thStyle}>학년</th><th style={thStyle}>점수</th><th style={thStyle}>재시험 날짜</th><th style={thStyle}>재시험 사유</th>
+                        <th style={thStyle}>선택</th><th style={thStyle}>이름</th><th style={thStyle}>학년</th><th style={thStyle}>반</th><th style={thStyle}>점수</th><th style={thStyle}>출결</th><th style={thStyle}>다음 재시험 날짜</th><th style={thStyle}>재시험 사유</th>
                       </tr></thead>
                       <tbody>
-                        {students.sort((a,b)=>a.name.localeCompare(b.name,"ko")).map(s=>(
-                          <tr key={s.id} style={{background:testStudents.includes(s.id)?T.primaryLight:"white"}}>
-                            <td style={tdStyle}><input type="checkbox" checked={testStudents.includes(s.id)} onChange={()=>toggleStudent(s.id)} style={{width:18,height:18,cursor:"pointer"}} /></td>
+                        {formStudents.map((s,row)=>{
+                          const on=testStudents.includes(s.id), missed=on&&formMissed(s.id), cell=on&&!missed?parseScoreCell(testScores[s.id],testTotal):{}, att=on&&testAttendance[s.id]||"present";
+                          return (
+                          <tr key={s.id} style={{background:on?T.primaryLight:"white"}}>
+                            <td style={tdStyle}><input type="checkbox" checked={on} onChange={()=>toggleStudent(s.id)} style={{width:18,height:18,cursor:"pointer"}} /></td>
                             <td style={{...tdStyle,fontWeight:600}}>{s.name}</td><td style={tdStyle}>{s.grade}</td>
-                            <td style={tdStyle}>{testStudents.includes(s.id)&&<input type="number" min="0" value={testScores[s.id]??""} onChange={e=>setTestScores(p=>({...p,[s.id]:e.target.value}))} placeholder="점수" style={{...inputStyle,width:80,padding:"6px 8px",fontSize:14,textAlign:"center"}} />}</td>
-                            <td style={tdStyle}>{testStudents.includes(s.id)&&<input type="date" value={retestDates[s.id]??""} onChange={e=>setRetestDates(p=>({...p,[s.id]:e.target.value}))} style={{...inputStyle,width:140,padding:"6px 8px",fontSize:13}} />}</td>
-                            <td style={tdStyle}>{testStudents.includes(s.id)&&<input value={retestReasons[s.id]??""} onChange={e=>setRetestReasons(p=>({...p,[s.id]:e.target.value}))} placeholder="사유" style={{...inputStyle,width:120,padding:"6px 8px",fontSize:13}} />}</td>
+                            <td style={{...tdStyle,fontSize:12,color:T.textSec}}>{classesOf(s.id).filter(c=>!c.archived_at).map(c=>c.name).join(", ")||"-"}</td>
+                            <td style={{...tdStyle,padding:"6px 12px"}}>{on&&testQuestions.length&&testAnswers[s.id]?.some(a=>normAnswer(a))
+                              ? <span title="답안으로 자동 채점됨" style={{display:"inline-block",width:80,textAlign:"center",fontWeight:700,color:T.primary}}>{testScores[s.id]}</span>
+                              : <>
+                                <input inputMode="decimal" value={on&&!missed?testScores[s.id]??"":""} disabled={missed} data-score-cell={`${row}-0`} onChange={e=>changeScore(s.id,e.target.value)} onKeyDown={e=>scoreKeyDown(e,row,0)} onPaste={e=>pasteScores(e,row)} onFocus={e=>e.target.select()}
+                                  placeholder={missed?ATTENDANCE[att].label:"점수"} title={cell.error} style={{...inputStyle,width:80,padding:"6px 8px",fontSize:14,textAlign:"center",border:`2px solid ${cell.error?T.danger:T.border}`,background:missed?attendanceStyle(att,T).bg:"white"}} />
+                                {cell.error&&<div style={{fontSize:11,fontWeight:600,color:T.danger,marginTop:2}}>{cell.error}</div>}
+                              </>}</td>
+                            <td style={{...tdStyle,padding:"6px 12px"}}>{on&&<div style={{display:"flex",alignItems:"center",gap:4}}>
+                              <select value={att} onChange={e=>changeAttendance(s.id,e.target.value)} style={{...inputStyle,width:96,padding:"6px 4px",fontSize:13,color:attendanceStyle(att,T).color,fontWeight:att==="present"?400:700}}>
+                                {Object.entries(ATTENDANCE).map(([k,a])=><option key={k} value={k}>{a.label}</option>)}
+                              </select>
+                              {att!=="present"&&<input value={attendanceReasons[s.id]??""} onChange={e=>setAttendanceReasons(p=>({...p,[s.id]:e.target.value}))} placeholder="출결 사유" style={{...inputStyle,width:110,padding:"6px 8px",fontSize:13}} />}
+                            </div>}</td>
+                            <td style={tdStyle}>{on&&<div style={{display:"flex",alignItems:"center",gap:4}}><input type="date" value={retestDates[s.id]??""} data-score-cell={`${row}-1`} onChange={e=>changeRetest(setRetestDates,s.id,e.target.value)} onKeyDown={e=>scoreKeyDown(e,row,1)} style={{...inputStyle,width:140,padding:"6px 8px",fontSize:13,border:`2px solid ${autoRetest[s.id]?T.accent:T.border}`}} />{autoRetest[s.id]&&<span title="재시험 기준에 따라 자동 입력됨" style={{...chipStyle,background:T.accentLight,color:T.accent}}>자동</span>}</div>}</td>
+                            <td style={tdStyle}>{on&&<input value={retestReasons[s.id]??""} data-score-cell={`${row}-2`} onChange={e=>changeRetest(setRetestReasons,s.id,e.target.value)} onKeyDown={e=>scoreKeyDown(e,row,2)} placeholder="사유" style={{...inputStyle,width:120,padding:"6px 8px",fontSize:13}} />}</td>
                           </tr>
-                        ))}
+                          );
+                        })}
                       </tbody>
                     </table>
                   </div>
                 </div>
+                {testQuestions.length>0&&testStudents.length>0&&(
+                  <div style={{marginBottom:20}}>
+                    <label style={labelStyle}>문항별 답안 입력 <span style={{fontWeight:500}}>· 한 글자 정답은 입력하면 다음 문항으로, Enter·방향키로 이동</span></label>
+                    <div style={{overflowX:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm}}>
+                      <table style={{borderCollapse:"collapse",fontSize:13}}>
+                        <thead><tr style={{background:T.bg}}>
+                          <th style={{...thStyle,position:"sticky",left:0,background:T.bg,minWidth:80}}>이름</th>
+                          {testQuestions.map((q,i)=><th key={i} style={{...thStyle,textAlign:"center",padding:"6px 2px",minWidth:36}}>{i+1}<div style={{fontWeight:500,color:T.textLight}}>{q.answer||"-"}</div></th>)}
+                          <th style={{...thStyle,textAlign:"center"}}>점수</th>
+                        </tr></thead>
+                        <tbody>
+                          {formStudents.filter(s=>testStudents.includes(s.id)&&!formMissed(s.id)).map((s,row)=>(
+                            <tr key={s.id}>
+                              <td style={{...tdStyle,fontWeight:600,position:"sticky",left:0,background:"white",padding:"4px 12px"}}>{s.name}</td>
+                              {testQuestions.map((q,col)=>{
+                                const a=testAnswers[s.id]?.[col]??"";
+                                return <td key={col} style={{...tdStyle,padding:2}}><input value={a} data-answer-cell={`${row}-${col}`} onChange={e=>typeAnswer(e,s.id,row,col)} onKeyDown={e=>answerKeyDown(e,row,col)} onFocus={e=>e.target.select()}
+                                  style={{width:32,padding:"4px 0",borderRadius:4,border:`1px solid ${T.border}`,textAlign:"center",fontSize:13,fontFamily:"inherit",outline:"none",background:!normAnswer(a)?"white":isCorrect(q,a)?"#ECFDF5":T.dangerLight}} /></td>;
+                              })}
+                              <td style={{...tdStyle,textAlign:"center",fontWeight:700,padding:"4px 12px"}}>{testScores[s.id]||"-"}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
                 <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
-                  <button onClick={()=>{setShowTestForm(false);setEditingTest(null);}} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+                  {!testTemplate&&<button onClick={saveAsTemplate} disabled={saving||!testName.trim()} style={{padding:"12px 20px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",marginRight:"auto"}}>📚 템플릿으로 저장</button>}
+                  <button onClick={cancelTestForm} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
                   <button onClick={saveTestResults} disabled={saving} style={{padding:"12px 32px",borderRadius:10,border:"none",background:saving?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>💾 {saving?"저장 중...":"저장"}</button>
                 </div>
               </div>
             )}
 
+            {scheduledGroups.length>0&&<>
+              <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 12px"}}>예정된 테스트 <span style={{color:T.textLight,fontWeight:500}}>({scheduledGroups.length}개)</span></h3>
+              <div style={{display:"flex",flexDirection:"column",gap:8,marginBottom:24}}>
+                {scheduledGroups.map(g=>{
+                  const due = g.testDate<=toDateStr(new Date());
+                  return (
+                  <div key={g.id} style={{background:due?T.warningLight:"white",borderRadius:T.radiusSm,padding:"10px 20px",border:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between",gap:12}}>
+                    <div style={{display:"flex",alignItems:"center",gap:8,flex:1,minWidth:0}}>
+                      {categoryChip(categoryById[g.metadata.category_id])}
+                      <span style={{fontSize:14,fontWeight:700,color:T.text}}>{g.testName}</span>
+                      <span style={{fontSize:12,color:due?"#92400E":T.textSec}}>{formatDate(g.testDate)} ({DAYS_KR[new Date(g.testDate+"T00:00:00").getDay()]}){due&&" · 점수 미입력"}</span>
+                    </div>
+                    {canEdit&&<div style={{display:"flex",gap:8}}>
+                      <button onClick={()=>openTestForm(g)} style={{padding:"6px 14px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>점수 입력</button>
+                      <button onClick={()=>deleteTest(g)} style={{padding:"6px 14px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+                    </div>}
+                  </div>
+                  );
+                })}
+              </div>
+            </>}
+
             <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 12px"}}>최근 등록된 테스트</h3>
             {testGroups.length===0 ? (
               <div style={{textAlign:"center",padding:40,color:T.textLight}}><div style={{fontSize:40,marginBottom:8}}>📋</div><p style={{fontSize:14}}>등록된 테스트가 없습니다.</p></div>
             ) : (
               <div style={{display:"flex",flexDirection:"column",gap:10}}>
                 {testGroups.slice(0,10).map(g=>(
-                  <div key={`${g.testName}__${g.testDate}`} style={{background:"white",borderRadius:T.radiusSm,padding:"14px 20px",border:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
+                  <div key={g.id} style={{background:"white",borderRadius:T.radiusSm,padding:"14px 20px",border:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
                     <div style={{flex:1}}>
-                      <div style={{fontSize:15,fontWeight:700,color:T.text}}>{g.testName}</div>
-                      <div style={{fontSize:12,color:T.textSec,marginTop:2}}>{formatDate(g.testDate)} · {g.tests.length}명 · 만점 {g.totalScore}점</div>
+                      <div style={{display:"flex",alignItems:"center",gap:8,fontSize:15,fontWeight:700,color:T.text}}>{categoryChip(categoryById[g.metadata.category_id])}{g.testName}</div>
+                      <div style={{fontSize:12,color:T.textSec,marginTop:2}}>{formatDate(g.testDate)} · {g.tests.length}명 · 만점 {g.totalScore}점{g.metadata.memo&&` · ${g.metadata.memo}`}</div>
+                      {g.metadata.online&&<OnlineStatus online={g.metadata.online} rows={g.tests} attempts={onlineBySession[g.id]||[]} students={students} />}
                     </div>
-                    <div style={{display:"flex",gap:8}}>
+                    {canEdit&&<div style={{display:"flex",gap:8}}>
                       <button onClick={()=>openTestForm(g)} style={{padding:"6px 14px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>수정</button>
-                      <button onClick={()=>deleteTest(g.testName,g.testDate)} style={{padding:"6px 14px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+                      <button onClick={()=>deleteTest(g)} style={{padding:"6px 14px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+                    </div>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Results */}
+        {tab==="results" && (
+          <div>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20,flexWrap:"wrap",gap:12}}>
+              <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>성적 조회</h2>
+              <div style={{display:"flex",gap:8}}>
+              {classes.length>0&&(
+                <select value={selectedClassFilter} onChange={e=>setSelectedClassFilter(e.target.value)} style={{...inputStyle,width:160}}>
+                  <option value="all">전체 반</option>
+                  {[...classes].sort((a,b)=>(!!a.archived_at-!!b.archived_at)||a.name.localeCompare(b.name,"ko")).map(c=><option key={c.id} value={c.id}>{c.name}{c.archived_at?" (보관됨)":""}</option>)}
+                </select>
+              )}
+              {categories.length>0&&(
+                <select value={categoryFilter} onChange={e=>setCategoryFilter(e.target.value)} style={{...inputStyle,width:140}}>
+                  <option value="all">전체 분류</option>
+                  {categories.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+                  <option value="none">분류 없음</option>
+                </select>
+              )}
+              <select value={selectedStudentFilter} onChange={e=>setSelectedStudentFilter(e.target.value)} style={{...inputStyle,width:200}}>
+                <option value="all">전체 학생</option>
+                {students.sort((a,b)=>a.name.localeCompare(b.name,"ko")).filter(s=>!classFilterIds||classFilterIds.includes(s.id)).map(s=><option key={s.id} value={s.id}>{s.name} ({s.grade}){isActive(s)?"":` · ${STUDENT_STATUS[s.status].label}`}</option>)}
+              </select>
+              {categories.length>0&&<button onClick={()=>setGroupByCategory(v=>!v)} style={{padding:"0 16px",borderRadius:10,border:`1px solid ${T.border}`,background:groupByCategory?T.primaryLight:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>🗂 분류별</button>}
+              <button onClick={()=>setShowExport(v=>!v)} disabled={filteredGroups.length===0} style={{padding:"0 16px",borderRadius:10,border:`1px solid ${T.border}`,background:showExport?T.primaryLight:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>📤 내보내기</button>
+              <button onClick={()=>setReportOpen(true)} style={{padding:"0 16px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>🖨 성적표</button>
+              </div>
+            </div>
+            {showExport&&(
+              <div style={{background:"white",borderRadius:T.radiusSm,border:`1px solid ${T.border}`,padding:"14px 18px",marginBottom:16,display:"flex",flexDirection:"column",gap:10}}>
+                <div style={{fontSize:12,color:T.textSec}}>현재 필터의 테스트 {filteredGroups.length}개를 내보냅니다.</div>
+                {[{key:"sessions",label:"테스트별 (XLSX는 테스트마다 시트 1개)"},{key:"matrix",label:"학생 × 테스트 표"}].map(l=>(
+                  <div key={l.key} style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:12}}>
+                    <span style={{fontSize:14,fontWeight:600,color:T.text}}>{l.label}</span>
+                    <div style={{display:"flex",gap:6}}>
+                      {["csv","xlsx"].map(f=><button key={f} onClick={()=>exportResults(l.key,f)} style={{padding:"6px 14px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{f.toUpperCase()}</button>)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {filteredGroups.length===0 ? (
+              <div style={{textAlign:"center",padding:60,color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>📊</div><p style={{fontSize:15,fontWeight:600}}>조회할 결과가 없습니다.</p></div>
+            ) : shownGroups.map((g,gi)=>{
+              const cat=categoryById[g.metadata.category_id];
+              const heading=groupByCategory&&(gi===0||categoryById[shownGroups[gi-1].metadata.category_id]!==cat);
+              const stats=testStats(g.tests.filter(t=>!classFilterIds||classFilterIds.includes(t.student_id)),g.totalScore,bands);
+              const rows=g.tests.filter(rowVisible).map(t=>({t,student:students.find(s=>s.id===t.student_id)})).filter(r=>r.student);
+              if(resultSort.key){const cmp=RESULT_SORTS[resultSort.key];rows.sort((a,b)=>cmp(a,b,grades)*resultSort.dir);}
+              const sortTh=(key,label)=><th style={{...thStyle,cursor:"pointer",userSelect:"none",color:resultSort.key===key?T.primary:thStyle.color}} onClick={()=>toggleResultSort(key)}>{label}{resultSort.key===key?(resultSort.dir>0?" ▲":" ▼"):""}</th>;
+              return (
+              <Fragment key={g.id}>
+              {heading&&<h3 style={{display:"flex",alignItems:"center",gap:8,fontSize:15,fontWeight:700,color:cat?.color||T.textSec,margin:"8px 0 12px"}}>{cat?.name||"분류 없음"}<span style={{fontSize:12,fontWeight:500,color:T.textLight}}>{shownGroups.filter(x=>categoryById[x.metadata.category_id]===cat).length}개</span></h3>}
+              <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,marginBottom:16,overflow:"hidden"}}>
+                <div style={{padding:"14px 20px",background:T.bg,borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+                  <div>{!groupByCategory&&cat&&<span style={{marginRight:8}}>{categoryChip(cat)}</span>}<span style={{fontSize:15,fontWeight:700,color:T.text}}>{g.testName}</span><span style={{fontSize:13,color:T.textSec,marginLeft:10}}>{formatDate(g.testDate)} · 만점 {g.totalScore}점{g.metadata.memo&&` · ${g.metadata.memo}`}</span></div>
+                  <div style={{display:"flex",alignItems:"center",gap:12}}>
+                    {g.metadata.questions?.length>0&&<button onClick={()=>setItemOpen(p=>({...p,[g.id]:!p[g.id]}))} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.border}`,background:itemOpen[g.id]?T.primaryLight:"white",color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>🔍 문항 분석</button>}
+                    <div style={{fontSize:13,color:T.textSec}}>{classFilterIds?`${classes.find(c=>c.id===selectedClassFilter)?.name} 평균`:"평균"}: {stats.mean===null?"-":stats.mean.toFixed(1)}점</div>
+                  </div>
+                </div>
+                {itemOpen[g.id]&&g.metadata.questions?.length>0&&<ItemAnalysis questions={g.metadata.questions} rows={g.tests.filter(rowVisible)} />}
+                <div style={{padding:"10px 20px",borderBottom:`1px solid ${T.border}`,display:"flex",flexWrap:"wrap",alignItems:"center",gap:"8px 20px",fontSize:12,color:T.textSec}}>
+                  {[["최저",stats.min],["최고",stats.max],["중앙값",stats.median],["표준편차",stats.sd]].map(([l,v])=><span key={l}>{l} <b style={{color:T.text}}>{v===null?"-":Number.isInteger(v)?v:v.toFixed(1)}</b></span>)}
+                  <span>응시 <b style={{color:T.text}}>{stats.count}명</b>{["late","excused","absent"].filter(k=>stats.attendance[k]).map(k=><b key={k} style={{color:attendanceStyle(k,T).color}}> · {ATTENDANCE[k].label} {stats.attendance[k]}명</b>)}{stats.missing>0&&<b style={{color:T.danger}}> · 미입력 {stats.missing}명</b>}</span>
+                  {stats.count>0&&(
+                    <div style={{display:"flex",alignItems:"center",gap:8,flex:"1 1 220px"}}>
+                      <div style={{display:"flex",flex:1,height:10,borderRadius:5,overflow:"hidden",background:T.border}}>
+                        {[...stats.bands].reverse().map(b=>b.count>0&&<div key={b.min} title={`${b.label}: ${b.count}명`} style={{width:`${b.count/stats.count*100}%`,background:b.color}}/>)}
+                      </div>
+                      <div style={{display:"flex",gap:6,whiteSpace:"nowrap"}}>{[...stats.bands].reverse().map(b=><span key={b.min} title={b.label} style={{color:b.color,fontWeight:700}}>{b.count}</span>)}</div>
                     </div>
+                  )}
+                </div>
+                {!classFilterIds&&(()=>{
+                  const per=activeClasses.map(c=>{const ids=classStudentIds(c.id);return {c,avg:avgScore(g.tests.filter(t=>ids.includes(t.student_id)))};}).filter(x=>x.avg!==null);
+                  if(per.length<2)return null;
+                  return <div style={{padding:"8px 20px",borderBottom:`1px solid ${T.border}`,display:"flex",flexWrap:"wrap",gap:6,fontSize:12,color:T.textSec}}>반별 평균: {per.map(x=><span key={x.c.id} style={chipStyleFor(T)}>{x.c.name} {x.avg.toFixed(1)}</span>)}</div>;
+                })()}
+                <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+                  <thead><tr style={{background:"#FAFBFF"}}>{sortTh("name","이름")}{sortTh("grade","학년")}{sortTh("score","점수")}<th style={thStyle}>순위</th><th style={thStyle}>재시험</th><th style={thStyle}>사유</th></tr></thead>
+                  <tbody>
+                    {rows.map(({t,student:st})=>{
+                      const pct=pctOf(t.score,t.total_score);
+                      const rk=stats.ranks[t.id];
+                      const ra=attemptsByResult[t.id]||[];
+                      return (
+                        <tr key={t.id}>
+                          <td style={{...tdStyle,fontWeight:600}}>{st.name}</td><td style={tdStyle}>{st.grade}</td>
+                          <td style={tdStyle}>{t.score!==null?<span style={{fontWeight:700,color:scoreColor(pct,bands)}}>{t.score}/{t.total_score} <span style={{fontSize:11,color:T.textSec}}>({pct.toFixed(0)}%)</span></span>:!missedTest(t)&&<span style={{color:T.textLight}}>미입력</span>} {attendanceChip(t,T)}</td>
+                          <td style={{...tdStyle,whiteSpace:"nowrap"}}>{rk?<>{rk.rank}등 <span style={{fontSize:11,color:T.textSec}}>/ {stats.count} · 상위 {rk.percentile.toFixed(0)}%</span></>:"-"}</td>
+                          <td style={tdStyle}>
+                            <div style={{display:"flex",flexWrap:"wrap",gap:4,alignItems:"center"}}>
+                              {ra.length===0&&!canEdit&&"-"}
+                              {ra.map(a=>{const rs=RETEST_STATUS[a.status];return <span key={a.id} style={{background:rs.bg,color:rs.color,padding:"2px 8px",borderRadius:4,fontSize:12,fontWeight:600,whiteSpace:"nowrap"}}>{a.attempt_no}차 {a.score!==null&&a.score!==undefined?`${a.score}점`:formatDate(a.scheduled_date).slice(5)} · {rs.label}</span>;})}
+                              {canEdit&&<button onClick={()=>setRetestTarget(t)} style={{padding:"2px 8px",borderRadius:4,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:11,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>{ra.length?"관리":"+ 재시험"}</button>}
+                            </div>
+                          </td>
+                          <td style={{...tdStyle,color:T.textSec}}>{ra.at(-1)?.reason||"-"}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              </Fragment>
+              );
+            })}
+          </div>
+        )}
+
+        {importing==="students" && (
+          <ImportDialog title="학생 일괄 등록" hint={`첫 줄에 이름, 아이디, 학년, 비밀번호 열 이름이 있어야 합니다. 비밀번호가 비어 있으면 ${settings.default_pin}으로 등록됩니다.`}
+            columns={[{key:"name",label:"이름"},{key:"login_id",label:"아이디"},{key:"grade",label:"학년",render:i=>i.grade||defaultGrade(grades,settings)},{key:"pin",label:"비밀번호",render:i=>i.pin?"••••":settings.default_pin}]}
+            analyze={records=>analyzeStudentImport(records,students,settings)} confirmLabel={n=>`${n}명 등록`}
+            onConfirm={importStudents} onClose={()=>setImporting(null)} />
+        )}
+        {importing==="scores" && (
+          <ImportDialog title="점수 가져오기" hint={`첫 줄에 이름 또는 아이디, 점수 열이 있어야 합니다. 만점은 ${testTotal}점 기준으로 검사하며, 가져온 점수는 저장 전에 입력표에서 확인할 수 있습니다.`}
+            columns={[{key:"name",label:"이름"},{key:"login_id",label:"아이디"},{key:"score",label:"점수",render:i=>i.absent?ATTENDANCE.absent.label:i.score??""},{key:"student",label:"매칭 학생",render:i=>i.student?`${i.student.name} (${i.student.grade})`:"-"}]}
+            analyze={records=>analyzeScoreImport(records,formStudents,testTotal)} confirmLabel={n=>`${n}명 점수 입력표에 반영`}
+            onConfirm={importScores} onClose={()=>setImporting(null)} />
+        )}
+
+        {reportOpen && (
+          <ReportCards students={students} groups={testGroups} attemptsByResult={attemptsByResult} classesOf={classesOf} classStudentIds={classStudentIds}
+            initialIds={selectedStudentFilter!=="all"?[selectedStudentFilter]:(classFilterIds||[])} onClose={()=>setReportOpen(false)} />
+        )}
+
+        {conflictOpen && showTestForm && latestEditing && (
+          <ConflictDialog base={editingTest} latest={latestEditing} students={students}
+            mine={{ name:testName.trim(), date:testDate, total:Number(testTotal), memo:testMemo.trim(),
+              scores:Object.fromEntries(testStudents.map(id=>[id, parseScoreCell(testScores[id], testTotal).score ?? null])) }}
+            onApply={applyMerge} onClose={()=>setConflictOpen(false)} />
+        )}
+
+        {gradesOpen && <GradesEditor grades={grades} students={students} refreshData={refreshData} onClose={()=>setGradesOpen(false)} />}
+        {rolloverOpen && <RolloverWizard students={students.filter(isActive)} grades={grades} refreshData={refreshData} onClose={()=>setRolloverOpen(false)} />}
+
+        {notesTarget && (
+          <ParentNotesEditor student={notesTarget} notes={parentNotes.filter(n=>n.student_id===notesTarget.id)} canEdit={canEdit}
+            refreshData={refreshData} onClose={()=>setNotesTarget(null)} />
+        )}
+
+        {retestTarget && (
+          <RetestEditor result={retestTarget} student={students.find(s=>s.id===retestTarget.student_id)} attempts={attemptsByResult[retestTarget.id]||[]}
+            refreshData={refreshData} onClose={()=>setRetestTarget(null)} />
+        )}
+
+        {/* Calendar */}
+        {tab==="calendar" && <>
+          <TodayPanel groups={sessionGroups} retests={retestItems} students={students} canEdit={canEdit} onOpenTest={openTestForm} onOpenRetest={a=>setRetestTarget(a.test)} />
+          <AcademyCalendar groups={sessionGroups} retests={retestItems} categoryById={categoryById} canEdit={canEdit} onOpenTest={openTestForm} onOpenRetest={a=>setRetestTarget(a.test)} />
+        </>}
+
+        {/* Attendance */}
+        {tab==="attendance" && <AttendancePanel students={students} groups={testGroups} activeClasses={activeClasses} classStudentIds={classStudentIds} />}
+
+        {/* Analytics */}
+        {tab==="analytics" && <AnalyticsPanel students={students} groups={testGroups} classesOf={classesOf} classStudentIds={classStudentIds} />}
+
+        {/* History */}
+        {tab==="history" && <AuditPanel students={students} canEdit={canEdit} refreshData={refreshData} />}
+
+        {undo && (
+          <div style={{position:"fixed",left:"50%",bottom:24,transform:"translateX(-50%)",background:T.text,color:"white",borderRadius:12,padding:"12px 16px 12px 20px",display:"flex",alignItems:"center",gap:16,boxShadow:T.shadowLg,zIndex:1100,fontSize:14}}>
+            <span>🗑️ {undo.label}</span>
+            <button onClick={undoDelete} style={{padding:"6px 14px",borderRadius:8,border:"none",background:"white",color:T.text,fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>되돌리기</button>
+            <button onClick={()=>setUndo(null)} style={{border:"none",background:"none",color:T.textLight,fontSize:16,cursor:"pointer"}}>×</button>
+          </div>
+        )}
+
+        {/* Accounts */}
+        {tab==="accounts" && isOwner && <><AccountsPanel user={user} students={students} /><ParentAccountsPanel students={students} /></>}
+
+        {/* Settings */}
+        {tab==="settings" && <SettingsPanel isOwner={isOwner} grades={grades} pinIsDefault={pinIsDefault} onPinChanged={()=>setPinIsDefault(false)} onEditGrades={()=>setGradesOpen(true)} onSaved={onSettingsChange} />}
+        {tab==="settings" && isOwner && <BackupPanel user={user} onRestored={async()=>{await refreshData();await onSettingsChange();}} />}
+      </div>
+    </div>
+  );
+}
+
+// ─── Retest Attempts ───
+function AttemptHistory({ attempts, totalScore }) {
+  const { theme:T } = useSettings();
+  if (!attempts.length) return null;
+  return (
+    <div style={{background:T.accentLight,borderRadius:14,padding:"16px 20px",marginBottom:16,border:"1px solid rgba(255,107,53,0.2)"}}>
+      <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:6}}><span style={{fontSize:16}}>🔄</span><span style={{fontSize:14,fontWeight:700,color:T.accent}}>재시험 기록</span></div>
+      {attempts.map(a=>{const st=RETEST_STATUS[a.status];return (
+        <div key={a.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"8px 0",borderTop:"1px solid rgba(255,107,53,0.15)"}}>
+          <div>
+            <div style={{fontSize:14,fontWeight:700,color:T.text}}>{a.attempt_no}차 · {formatDate(a.scheduled_date)}</div>
+            {a.reason&&<div style={{fontSize:12,color:T.textSec,marginTop:2}}>사유: {a.reason}</div>}
+          </div>
+          <div style={{display:"flex",alignItems:"center",gap:8}}>
+            {a.score!==null&&a.score!==undefined&&<span style={{fontSize:16,fontWeight:800,color:T.text}}>{a.score}<span style={{fontSize:11,fontWeight:500,color:T.textSec}}>/{totalScore}</span></span>}
+            <span style={{background:"white",color:st.color,padding:"2px 8px",borderRadius:6,fontSize:12,fontWeight:700}}>{st.label}</span>
+          </div>
+        </div>
+      );})}
+    </div>
+  );
+}
+
+function RetestEditor({ result, student, attempts, refreshData, onClose }) {
+  const { theme:T } = useSettings();
+  const [saving, setSaving] = useState(false);
+  const [newDate, setNewDate] = useState("");
+  const [newReason, setNewReason] = useState("");
+
+  const run = async (fn) => {
+    setSaving(true);
+    try { await fn(); await refreshData(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const update = (a, patch) => {
+    if ("score" in patch) {
+      if (patch.score !== null && (isNaN(patch.score) || patch.score < 0 || patch.score > result.total_score)) { alert(`점수는 0~${result.total_score} 사이여야 합니다.`); return; }
+      if (patch.score !== null && a.status === "scheduled") patch.status = "completed";
+    }
+    if (patch.status) patch.completed_at = patch.status === "scheduled" ? null : new Date().toISOString();
+    run(() => repo.retestAttempts.update(a.id, patch));
+  };
+
+  const add = () => {
+    if (!newDate) return;
+    run(async () => {
+      await repo.retestAttempts.insert({ result_id:result.id, attempt_no:(attempts.at(-1)?.attempt_no||0)+1, scheduled_date:newDate, reason:newReason.trim()||null });
+      setNewDate(""); setNewReason("");
+    });
+  };
+
+  const remove = (a) => { if (confirm(`${a.attempt_no}차 재시험을 삭제하시겠습니까?`)) run(() => repo.retestAttempts.remove(a.id)); };
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:T.radius,padding:28,width:"100%",maxWidth:760,boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 4px",color:T.text}}>{student?.name} · {result.test_name} 재시험</h3>
+        <p style={{fontSize:13,color:T.textSec,margin:"0 0 20px"}}>{formatDate(result.test_date)} · 원래 점수 {result.score??"-"}/{result.total_score}{saving&&" · 저장 중..."}</p>
+        <div style={{border:`1px solid ${T.border}`,borderRadius:T.radiusSm,overflow:"hidden",marginBottom:20}}>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+            <thead><tr style={{background:T.bg}}><th style={{...thStyle,width:50}}>차수</th><th style={thStyle}>날짜</th><th style={thStyle}>상태</th><th style={thStyle}>점수</th><th style={thStyle}>사유</th><th style={{...thStyle,width:60}}></th></tr></thead>
+            <tbody>
+              {attempts.map(a=>(
+                <tr key={`${a.id}-${a.score}-${a.status}-${a.reason}`}>
+                  <td style={{...tdStyle,fontWeight:700}}>{a.attempt_no}차</td>
+                  <td style={tdStyle}><input type="date" value={a.scheduled_date} onChange={e=>e.target.value&&update(a,{scheduled_date:e.target.value})} style={{...inputStyle,width:140,padding:"6px 8px",fontSize:13}} /></td>
+                  <td style={tdStyle}><select value={a.status} onChange={e=>update(a,{status:e.target.value})} style={{...inputStyle,width:100,padding:"6px 8px",fontSize:13}}>{Object.entries(RETEST_STATUS).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}</select></td>
+                  <td style={tdStyle}><input type="number" min="0" defaultValue={a.score??""} onBlur={e=>{const v=e.target.value===""?null:Number(e.target.value);if(v!==(a.score??null))update(a,{score:v});}} placeholder="점수" style={{...inputStyle,width:80,padding:"6px 8px",fontSize:14,textAlign:"center"}} /></td>
+                  <td style={tdStyle}><input defaultValue={a.reason||""} onBlur={e=>{if(e.target.value.trim()!==(a.reason||""))update(a,{reason:e.target.value.trim()||null});}} placeholder="사유" style={{...inputStyle,padding:"6px 8px",fontSize:13}} /></td>
+                  <td style={{...tdStyle,textAlign:"center"}}><button onClick={()=>remove(a)} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button></td>
+                </tr>
+              ))}
+              <tr style={{background:T.bg}}>
+                <td style={{...tdStyle,textAlign:"center",color:T.primary,fontSize:16,borderBottom:"none"}}>+</td>
+                <td style={{...tdStyle,borderBottom:"none"}}><input type="date" value={newDate} onChange={e=>setNewDate(e.target.value)} style={{...inputStyle,width:140,padding:"6px 8px",fontSize:13}} /></td>
+                <td style={{...tdStyle,borderBottom:"none",color:T.textLight,fontSize:13}}>예정</td>
+                <td style={{...tdStyle,borderBottom:"none"}} />
+                <td style={{...tdStyle,borderBottom:"none"}}><input value={newReason} onChange={e=>setNewReason(e.target.value)} onKeyDown={e=>e.key==="Enter"&&add()} placeholder="사유" style={{...inputStyle,padding:"6px 8px",fontSize:13}} /></td>
+                <td style={{...tdStyle,textAlign:"center",borderBottom:"none"}}><button onClick={add} disabled={saving||!newDate} style={{padding:"4px 10px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>추가</button></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div style={{display:"flex",justifyContent:"flex-end"}}>
+          <button onClick={onClose} style={{padding:"12px 32px",borderRadius:10,border:"none",background:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>닫기</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RetestRulesPanel({ rules, refreshData }) {
+  const { theme:T } = useSettings();
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState({ keyword:"", cutoff_pct:"80", delay_days:"2", reason:"기준 점수 미달" });
+
+  const run = async (fn) => {
+    setSaving(true);
+    try { await fn(); await refreshData(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+  const add = () => {
+    if (!draft.keyword.trim() || draft.cutoff_pct === "") return;
+    if (rules.some(r => r.keyword === draft.keyword.trim())) { alert("이미 있는 키워드입니다."); return; }
+    run(async () => {
+      await repo.retestRules.insert({ keyword:draft.keyword.trim(), cutoff_pct:Number(draft.cutoff_pct), delay_days:Number(draft.delay_days)||0, reason:draft.reason.trim()||"기준 점수 미달" });
+      setDraft(p => ({ ...p, keyword:"" }));
+    });
+  };
+  const update = (r, field, value) => {
+    const v = field === "cutoff_pct" || field === "delay_days" ? Number(value) || 0 : value.trim();
+    if (v !== r[field]) run(() => repo.retestRules.update(r.id, { [field]:v }));
+  };
+  const remove = (r) => { if (confirm(`"${r.keyword}" 기준을 삭제하시겠습니까?`)) run(() => repo.retestRules.remove(r.id)); };
+
+  const cell = { ...inputStyle, padding:"6px 8px", fontSize:13 };
+  return (
+    <div style={{background:"white",borderRadius:T.radius,padding:"20px 24px",marginBottom:24,border:`1px solid ${T.border}`}}>
+      <h3 style={{fontSize:15,fontWeight:700,margin:"0 0 4px",color:T.text}}>재시험 기준{saving&&<span style={{fontSize:12,color:T.textSec,fontWeight:500}}> · 저장 중...</span>}</h3>
+      <p style={{fontSize:12,color:T.textSec,margin:"0 0 14px"}}>테스트명에 키워드가 포함되면 기준이 자동 선택되고, 점수 입력 시 미달 학생의 재시험 날짜와 사유가 채워집니다.</p>
+      <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+        <thead><tr style={{background:T.bg}}><th style={thStyle}>키워드</th><th style={{...thStyle,width:110}}>기준 (%)</th><th style={{...thStyle,width:110}}>재시험 (일 후)</th><th style={thStyle}>사유</th><th style={{...thStyle,width:70}}></th></tr></thead>
+        <tbody>
+          {rules.map(r=>(
+            <tr key={`${r.id}-${r.keyword}-${r.cutoff_pct}-${r.delay_days}-${r.reason}`}>
+              <td style={tdStyle}><input defaultValue={r.keyword} onBlur={e=>e.target.value.trim()&&update(r,"keyword",e.target.value)} style={cell} /></td>
+              <td style={tdStyle}><input type="number" min="0" max="100" defaultValue={r.cutoff_pct} onBlur={e=>update(r,"cutoff_pct",e.target.value)} style={{...cell,textAlign:"center"}} /></td>
+              <td style={tdStyle}><input type="number" min="0" defaultValue={r.delay_days} onBlur={e=>update(r,"delay_days",e.target.value)} style={{...cell,textAlign:"center"}} /></td>
+              <td style={tdStyle}><input defaultValue={r.reason} onBlur={e=>update(r,"reason",e.target.value)} style={cell} /></td>
+              <td style={{...tdStyle,textAlign:"center"}}><button onClick={()=>remove(r)} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button></td>
+            </tr>
+          ))}
+          <tr style={{background:T.bg}}>
+            <td style={{...tdStyle,borderBottom:"none"}}><input value={draft.keyword} onChange={e=>setDraft(p=>({...p,keyword:e.target.value}))} onKeyDown={e=>e.key==="Enter"&&add()} placeholder="예: 단어" style={cell} /></td>
+            <td style={{...tdStyle,borderBottom:"none"}}><input type="number" min="0" max="100" value={draft.cutoff_pct} onChange={e=>setDraft(p=>({...p,cutoff_pct:e.target.value}))} style={{...cell,textAlign:"center"}} /></td>
+            <td style={{...tdStyle,borderBottom:"none"}}><input type="number" min="0" value={draft.delay_days} onChange={e=>setDraft(p=>({...p,delay_days:e.target.value}))} style={{...cell,textAlign:"center"}} /></td>
+            <td style={{...tdStyle,borderBottom:"none"}}><input value={draft.reason} onChange={e=>setDraft(p=>({...p,reason:e.target.value}))} onKeyDown={e=>e.key==="Enter"&&add()} style={cell} /></td>
+            <td style={{...tdStyle,textAlign:"center",borderBottom:"none"}}><button onClick={add} disabled={saving} style={{padding:"4px 10px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>추가</button></td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Test Templates ───
+// Categories group tests in the results and student views. A template fills the new-test form (name with the next
+// round, total, roster, retest cutoff); with weekdays set, its sessions are created two weeks ahead.
+const categoryColors = (T) => [T.primary, T.success, T.accent, T.danger, "#8B5CF6", "#0EA5E9", T.warning];
+
+function TemplatesPanel({ templates, categories, classes, refreshData }) {
+  const { settings, theme:T } = useSettings();
+  const colors = categoryColors(T);
+  const [saving, setSaving] = useState(false);
+  const [newCategory, setNewCategory] = useState("");
+  const [draft, setDraft] = useState({ name:"", category_id:"", total_score:String(settings.default_total_score), class_id:"", cutoff_pct:"" });
+
+  const run = async (fn, schedule = false) => {
+    setSaving(true);
+    try { await fn(); if (schedule) await repo.testTemplates.schedule(); await refreshData(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const addCategory = () => {
+    const name = newCategory.trim();
+    if (!name) return;
+    if (categories.some(c => c.name === name)) { alert("이미 있는 분류입니다."); return; }
+    run(async () => {
+      await repo.testCategories.insert({ name, color:colors[categories.length % colors.length], position:Math.max(0, ...categories.map(c => c.position)) + 1 });
+      setNewCategory("");
+    });
+  };
+  const cycleColor = (c) => run(() => repo.testCategories.update(c.id, { color:colors[(colors.indexOf(c.color) + 1) % colors.length] }));
+  const removeCategory = (c) => {
+    if (confirm(`"${c.name}" 분류를 삭제하시겠습니까?\n이 분류의 테스트는 "분류 없음"으로 표시됩니다.`)) run(() => repo.testCategories.remove(c.id));
+  };
+
+  const add = () => {
+    if (!draft.name.trim()) return;
+    if (!(Number(draft.total_score) > 0)) { alert("만점을 확인하세요."); return; }
+    run(async () => {
+      await repo.testTemplates.insert({ name:draft.name.trim(), category_id:draft.category_id||null, total_score:Number(draft.total_score),
+        class_id:draft.class_id||null, cutoff_pct:draft.cutoff_pct==="" ? null : Number(draft.cutoff_pct) });
+      setDraft(p => ({ ...p, name:"" }));
+    });
+  };
+  const update = (t, field, value) => {
+    if (field === "total_score" && !(Number(value) > 0)) { alert("만점을 확인하세요."); return; }
+    const v = field === "next_round" ? Math.max(1, Number(value) || 1) : field === "total_score" ? Number(value)
+      : field === "cutoff_pct" ? (value === "" ? null : Number(value)) : field === "name" ? value.trim() : value || null;
+    if (v !== t[field]) run(() => repo.testTemplates.update(t.id, { [field]:v }));
+  };
+  const toggleWeekday = (t, d) => {
+    const days = t.repeat_weekdays.includes(d) ? t.repeat_weekdays.filter(x => x !== d) : [...t.repeat_weekdays, d].sort();
+    run(() => repo.testTemplates.update(t.id, { repeat_weekdays:days }), true);
+  };
+  const remove = (t) => {
+    if (confirm(`"${templateName(t, "n")}" 템플릿을 삭제하시겠습니까?\n이미 만들어진 테스트는 그대로 남습니다.`)) run(() => repo.testTemplates.remove(t.id));
+  };
+
+  const cell = { ...inputStyle, padding:"6px 8px", fontSize:13 };
+  const categorySelect = (value, onChange) => (
+    <select value={value||""} onChange={e=>onChange(e.target.value)} style={cell}>
+      <option value="">분류 없음</option>
+      {categories.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+    </select>
+  );
+  return (
+    <div style={{background:"white",borderRadius:T.radius,padding:"20px 24px",marginBottom:24,border:`1px solid ${T.border}`}}>
+      <h3 style={{fontSize:15,fontWeight:700,margin:"0 0 12px",color:T.text}}>분류{saving&&<span style={{fontSize:12,color:T.textSec,fontWeight:500}}> · 저장 중...</span>}</h3>
+      <div style={{display:"flex",flexWrap:"wrap",gap:8,alignItems:"center",marginBottom:24}}>
+        {categories.map(c=>(
+          <div key={c.id} style={{display:"flex",alignItems:"center",gap:6,padding:"6px 10px",borderRadius:T.radiusSm,border:`1px solid ${T.border}`}}>
+            <button onClick={()=>cycleColor(c)} title="색상 바꾸기" style={{width:14,height:14,borderRadius:7,border:"none",background:c.color,cursor:"pointer",padding:0}} />
+            <span style={{fontSize:14,fontWeight:700,color:T.text}}>{c.name}</span>
+            <button onClick={()=>removeCategory(c)} style={{border:"none",background:"none",color:T.textLight,fontSize:14,cursor:"pointer",padding:0,fontFamily:"inherit"}}>×</button>
+          </div>
+        ))}
+        <input value={newCategory} onChange={e=>setNewCategory(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addCategory()} placeholder="새 분류" style={{...cell,width:120}} />
+        <button onClick={addCategory} disabled={saving} style={{padding:"6px 14px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>추가</button>
+      </div>
+
+      <h3 style={{fontSize:15,fontWeight:700,margin:"0 0 4px",color:T.text}}>테스트 템플릿</h3>
+      <p style={{fontSize:12,color:T.textSec,margin:"0 0 14px"}}>이름의 {"{n}"}은 회차 번호로 바뀝니다. 요일을 고르면 2주 앞까지 테스트가 미리 만들어지고, 점수는 "예정된 테스트"에서 입력합니다. 응시 대상 반이 없으면 템플릿으로 저장할 때 선택한 학생이 기본 명단이 됩니다.</p>
+      <div style={{overflowX:"auto"}}>
+      <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+        <thead><tr style={{background:T.bg}}><th style={thStyle}>이름</th><th style={{...thStyle,width:110}}>분류</th><th style={{...thStyle,width:70}}>다음 회차</th><th style={{...thStyle,width:70}}>만점</th><th style={{...thStyle,width:120}}>응시 대상</th><th style={{...thStyle,width:80}}>재시험 (%)</th><th style={thStyle}>반복 요일</th><th style={{...thStyle,width:60}}></th></tr></thead>
+        <tbody>
+          {templates.map(t=>(
+            <tr key={`${t.id}-${t.name}-${t.next_round}-${t.total_score}-${t.cutoff_pct}`}>
+              <td style={tdStyle}><input defaultValue={t.name} onBlur={e=>e.target.value.trim()&&update(t,"name",e.target.value)} style={cell} /></td>
+              <td style={tdStyle}>{categorySelect(t.category_id, v=>update(t,"category_id",v))}</td>
+              <td style={tdStyle}><input type="number" min="1" defaultValue={t.next_round} onBlur={e=>update(t,"next_round",e.target.value)} style={{...cell,textAlign:"center"}} /></td>
+              <td style={tdStyle}><input type="number" min="1" defaultValue={t.total_score} onBlur={e=>update(t,"total_score",e.target.value)} style={{...cell,textAlign:"center"}} /></td>
+              <td style={tdStyle}>
+                <select value={t.class_id||(t.student_ids?.length?"custom":"")} onChange={e=>e.target.value!=="custom"&&update(t,"class_id",e.target.value)} style={cell}>
+                  <option value="">지정 안 함</option>
+                  {t.student_ids?.length>0&&<option value="custom">선택한 학생 {t.student_ids.length}명</option>}
+                  {classes.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+              </td>
+              <td style={tdStyle}><input type="number" min="0" max="100" defaultValue={t.cutoff_pct??""} onBlur={e=>update(t,"cutoff_pct",e.target.value)} placeholder="없음" style={{...cell,textAlign:"center"}} /></td>
+              <td style={tdStyle}>
+                <div style={{display:"flex",gap:2}}>
+                  {WEEKDAYS_ISO.map((d,i)=>{const on=t.repeat_weekdays.includes(i+1);return <button key={d} onClick={()=>toggleWeekday(t,i+1)} disabled={saving} style={{width:26,height:26,borderRadius:6,border:`1px solid ${on?T.primary:T.border}`,background:on?T.primary:"white",color:on?"white":T.textSec,fontSize:11,fontWeight:700,cursor:"pointer",padding:0,fontFamily:"inherit"}}>{d}</button>;})}
+                </div>
+              </td>
+              <td style={{...tdStyle,textAlign:"center"}}><button onClick={()=>remove(t)} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button></td>
+            </tr>
+          ))}
+          <tr style={{background:T.bg}}>
+            <td style={{...tdStyle,borderBottom:"none"}}><input value={draft.name} onChange={e=>setDraft(p=>({...p,name:e.target.value}))} onKeyDown={e=>e.key==="Enter"&&add()} placeholder="예: 단어 테스트 {n}회" style={cell} /></td>
+            <td style={{...tdStyle,borderBottom:"none"}}>{categorySelect(draft.category_id, v=>setDraft(p=>({...p,category_id:v})))}</td>
+            <td style={{...tdStyle,borderBottom:"none",textAlign:"center",color:T.textLight}}>1</td>
+            <td style={{...tdStyle,borderBottom:"none"}}><input type="number" min="1" value={draft.total_score} onChange={e=>setDraft(p=>({...p,total_score:e.target.value}))} style={{...cell,textAlign:"center"}} /></td>
+            <td style={{...tdStyle,borderBottom:"none"}}>
+              <select value={draft.class_id} onChange={e=>setDraft(p=>({...p,class_id:e.target.value}))} style={cell}>
+                <option value="">지정 안 함</option>
+                {classes.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </td>
+            <td style={{...tdStyle,borderBottom:"none"}}><input type="number" min="0" max="100" value={draft.cutoff_pct} onChange={e=>setDraft(p=>({...p,cutoff_pct:e.target.value}))} placeholder="없음" style={{...cell,textAlign:"center"}} /></td>
+            <td style={{...tdStyle,borderBottom:"none",fontSize:12,color:T.textLight}}>추가 후 선택</td>
+            <td style={{...tdStyle,textAlign:"center",borderBottom:"none"}}><button onClick={add} disabled={saving} style={{padding:"4px 10px",borderRadius:6,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>추가</button></td>
+          </tr>
+        </tbody>
+      </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Item Analysis ───
+function ItemAnalysis({ questions, rows }) {
+  const { theme:T, bands } = useSettings();
+  const items = itemStats(questions, rows);
+  const n = items[0]?.n || 0;
+  const skills = [...new Set(questions.map(q => q.skill || "기타"))].map(k => {
+    const qs = items.filter(it => (it.q.skill || "기타") === k && it.pct !== null);
+    return { skill:k, count:items.filter(it => (it.q.skill || "기타") === k).length, pct:qs.length ? mean(qs.map(it => it.pct)) : null };
+  });
+  if (!n) return <div style={{padding:"14px 20px",borderBottom:`1px solid ${T.border}`,fontSize:13,color:T.textLight}}>답안이 입력된 학생이 없습니다. 점수만 입력한 학생은 분석에 포함되지 않습니다.</div>;
+  return (
+    <div style={{padding:"12px 20px",borderBottom:`1px solid ${T.border}`,background:"#FAFBFF"}}>
+      <div style={{display:"flex",flexWrap:"wrap",gap:6,alignItems:"center",marginBottom:10,fontSize:12,color:T.textSec}}>
+        답안 입력 {n}명 · 영역별 정답률:
+        {skills.map(s=><span key={s.skill} style={{...chipStyle,background:"white",border:`1px solid ${T.border}`,color:s.pct===null?T.textLight:scoreColor(s.pct,bands)}}>{s.skill} {s.pct===null?"-":`${s.pct.toFixed(0)}%`} <span style={{color:T.textLight,fontWeight:500}}>({s.count}문항)</span></span>)}
+      </div>
+      <div style={{maxHeight:320,overflowY:"auto"}}>
+        <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+          <thead><tr style={{background:T.bg,position:"sticky",top:0}}><th style={{...thStyle,width:50}}>문항</th><th style={thStyle}>영역</th><th style={thStyle}>정답</th><th style={thStyle}>배점</th><th style={{...thStyle,width:220}}>정답률</th><th style={thStyle}>가장 많은 오답</th><th style={thStyle}>무응답</th></tr></thead>
+          <tbody>
+            {items.map(it=>(
+              <tr key={it.no} style={{background:it.pct!==null&&it.pct<50?T.dangerLight:"white"}}>
+                <td style={{...tdStyle,fontSize:13,fontWeight:700}}>{it.no}</td>
+                <td style={{...tdStyle,fontSize:13,color:T.textSec}}>{it.q.skill||"-"}</td>
+                <td style={{...tdStyle,fontSize:13}}>{it.q.answer}</td>
+                <td style={{...tdStyle,fontSize:13}}>{pointsOf(it.q)}</td>
+                <td style={{...tdStyle,fontSize:13}}>
+                  <div style={{display:"flex",alignItems:"center",gap:8}}>
+                    <div style={{flex:1,height:8,borderRadius:4,background:T.border,overflow:"hidden"}}><div style={{width:`${it.pct}%`,height:"100%",background:scoreColor(it.pct,bands)}}/></div>
+                    <span style={{fontWeight:700,color:scoreColor(it.pct,bands),minWidth:64,textAlign:"right"}}>{it.pct.toFixed(0)}% <span style={{fontSize:11,fontWeight:500,color:T.textSec}}>{it.correct}/{it.n}</span></span>
                   </div>
+                </td>
+                <td style={{...tdStyle,fontSize:13}}>{it.commonWrong?<><b>{it.commonWrong.answer}</b> <span style={{color:T.textSec}}>({it.commonWrong.count}명)</span></>:"-"}</td>
+                <td style={{...tdStyle,fontSize:13,color:it.blank?T.danger:T.textLight}}>{it.blank?`${it.blank}명`:"-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Strengths and weaknesses of one student by question skill (어휘/문법/독해...).
+function SkillProfile({ skills }) {
+  const { theme:T, bands } = useSettings();
+  if (!skills.length) return null;
+  return (
+    <div style={{marginTop:20}}>
+      <h4 style={{fontSize:14,fontWeight:700,color:T.text,margin:"0 0 10px"}}>영역별 강점·약점 <span style={{fontSize:12,fontWeight:500,color:T.textSec}}>· 문항이 설정된 테스트의 답안 기준</span></h4>
+      {skills.map((s,i)=>(
+        <div key={s.skill} style={{display:"flex",alignItems:"center",gap:10,marginBottom:8,fontSize:13}}>
+          <span style={{width:70,fontWeight:600,color:T.text}}>{s.skill}</span>
+          <div style={{flex:1,height:10,borderRadius:5,background:T.border,overflow:"hidden"}}><div style={{width:`${s.pct}%`,height:"100%",background:scoreColor(s.pct,bands)}}/></div>
+          <span style={{width:120,textAlign:"right",color:T.textSec}}><b style={{color:scoreColor(s.pct,bands)}}>{s.pct.toFixed(0)}%</b> · {s.questions}문항</span>
+          <span style={{width:40}}>{skills.length>1&&i===0&&<span style={{...chipStyle,background:"#ECFDF5",color:T.success}}>강점</span>}{skills.length>1&&i===skills.length-1&&<span style={{...chipStyle,background:T.dangerLight,color:T.danger}}>약점</span>}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Online Tests ───
+const ONLINE_PHASE = {
+  upcoming: { label:"응시 전", color:THEME.textSec, bg:THEME.bg },
+  open:     { label:"응시 중", color:THEME.success, bg:"#ECFDF5" },
+  closed:   { label:"마감", color:THEME.textSec, bg:THEME.bg },
+};
+
+// Submission status of an online session's students; online_attempts changes arrive live, so this updates as they start and submit.
+function OnlineStatus({ online, rows, attempts, students }) {
+  const { theme:T } = useSettings();
+  const [open, setOpen] = useState(false);
+  const phase = ONLINE_PHASE[onlinePhase(online)];
+  const byStudent = Object.fromEntries(attempts.map(a=>[a.student_id,a]));
+  const list = rows.map(t=>({ t, student:students.find(s=>s.id===t.student_id), a:byStudent[t.student_id] })).filter(r=>r.student).sort((a,b)=>a.student.name.localeCompare(b.student.name,"ko"));
+  const submitted = list.filter(r=>r.a?.submitted_at).length, taking = list.filter(r=>r.a&&!r.a.submitted_at).length;
+  return (
+    <div style={{marginTop:6}}>
+      <button onClick={()=>setOpen(v=>!v)} style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap",padding:0,border:"none",background:"none",cursor:"pointer",fontFamily:"inherit",textAlign:"left"}}>
+        <span style={{...chipStyle,background:phase.bg,color:phase.color}}>✍️ 온라인 · {phase.label}</span>
+        <span style={{fontSize:12,fontWeight:600,color:T.text}}>제출 {submitted} · 응시 중 {taking} · 미응시 {list.length-submitted-taking}</span>
+        <span style={{fontSize:12,color:T.textLight}}>{formatDateTime(online.opens_at)} ~ {formatDateTime(online.closes_at)}{online.minutes?` · ${online.minutes}분`:""} {open?"▲":"▼"}</span>
+      </button>
+      {open&&(
+        <div style={{display:"flex",flexWrap:"wrap",gap:6,marginTop:8}}>
+          {list.map(({t,student,a})=>{
+            const st = a?.submitted_at ? { label:`제출 ${t.score??"-"}점`, color:T.primary, bg:T.primaryLight }
+              : a ? { label:Date.parse(a.deadline)>Date.now()?"응시 중":"시간 종료", color:T.success, bg:"#ECFDF5" } : { label:"미응시", color:T.textLight, bg:T.bg };
+            return <span key={t.id} title={a?`시작 ${formatDateTime(a.started_at)}${a.submitted_at?` · 제출 ${formatDateTime(a.submitted_at)}`:""}`:undefined} style={{...chipStyle,background:st.bg,color:st.color}}>{student.name} · {st.label}</span>;
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Takes an online test. The countdown runs to the server's deadline (corrected for clock skew), answers are saved
+// as they change so a reload resumes the attempt, and they are submitted automatically when the time is up.
+function OnlineTest({ sessionId, onClose, onSubmitted }) {
+  const { theme:T, bands } = useSettings();
+  const [test, setTest] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [left, setLeft] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const latest = useRef({ answers:[], skew:0, sent:false, timeUp:false });
+  const saveTimer = useRef(null);
+
+  useEffect(() => {
+    repo.onlineTests.start(sessionId).then(t => {
+      const a = t.questions.map((_, i) => t.answers?.[i] ?? "");
+      latest.current = { answers:a, skew:Date.parse(t.now) - Date.now(), sent:false, timeUp:false };
+      setTest(t); setAnswers(a);
+    }).catch(e => setError(e.message));
+    return () => clearTimeout(saveTimer.current);
+  }, [sessionId]);
+
+  const submit = async () => {
+    if (latest.current.sent) return;
+    latest.current.sent = true;
+    clearTimeout(saveTimer.current); setSubmitting(true); setError("");
+    try { setResult(await repo.onlineTests.submit(sessionId, latest.current.answers)); onSubmitted(); }
+    catch (e) { latest.current.sent = false; setError("제출 실패: " + e.message); }
+    setSubmitting(false);
+  };
+
+  useEffect(() => {
+    if (!test || result) return;
+    const tick = () => {
+      const ms = Date.parse(test.deadline) - Date.now() - latest.current.skew;
+      setLeft(ms);
+      if (ms <= 0 && !latest.current.timeUp) { latest.current.timeUp = true; submit(); }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [test, result]);
+
+  const answer = (i, value) => {
+    const a = latest.current.answers.map((x, j) => j === i ? value : x);
+    latest.current.answers = a; setAnswers(a);
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => repo.onlineTests.save(sessionId, a).catch(() => {}), 800);
+  };
+  const confirmSubmit = () => {
+    const blank = answers.filter(a => !normAnswer(a)).length;
+    if (confirm(blank ? `${blank}문항에 답하지 않았습니다. 제출하시겠습니까?` : "제출하시겠습니까? 제출한 뒤에는 답을 고칠 수 없습니다.")) submit();
+  };
+  // Closing keeps the attempt (and its clock) running; the answers so far are saved first.
+  const close = () => {
+    if (test && !result && !latest.current.sent) { clearTimeout(saveTimer.current); repo.onlineTests.save(sessionId, latest.current.answers).catch(() => {}); }
+    onClose();
+  };
+
+  const secs = Math.max(0, Math.ceil((left ?? 0) / 1000));
+  const pct = result ? pctOf(result.score, result.total_score) : 0;
+  return (
+    <div style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:T.bg,zIndex:1000,overflowY:"auto"}}>
+      <div style={{maxWidth:500,margin:"0 auto",paddingBottom:24}}>
+        <div style={{background:"white",padding:"16px 20px",borderBottom:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between",gap:12,position:"sticky",top:0,zIndex:1}}>
+          <div style={{minWidth:0}}>
+            <div style={{fontSize:17,fontWeight:800,color:T.text}}>✍️ {test?.name||"온라인 테스트"}</div>
+            {test&&<div style={{fontSize:12,color:T.textSec}}>{test.questions.length}문항 · 만점 {test.total_score}점 · 답은 자동으로 저장됩니다</div>}
+          </div>
+          {test&&!result&&left!==null&&<div style={{padding:"6px 12px",borderRadius:8,background:secs<60?T.dangerLight:T.primaryLight,color:secs<60?T.danger:T.primary,fontSize:16,fontWeight:800,fontVariantNumeric:"tabular-nums",flexShrink:0}}>⏱ {Math.floor(secs/60)}:{String(secs%60).padStart(2,"0")}</div>}
+        </div>
+        {error&&<div style={{margin:"16px 20px 0",background:T.dangerLight,color:T.danger,borderRadius:T.radiusSm,padding:"12px 16px",fontSize:14,fontWeight:600}}>{error}</div>}
+        {result ? (
+          <div style={{margin:20,background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,padding:"28px 24px",textAlign:"center"}}>
+            <div style={{fontSize:14,fontWeight:600,color:T.textSec}}>제출했습니다</div>
+            <div style={{fontSize:42,fontWeight:900,color:scoreColor(pct,bands),margin:"8px 0"}}>{result.score}<span style={{fontSize:18,fontWeight:600,color:T.textSec}}>/{result.total_score}</span></div>
+            <button onClick={onClose} style={{width:"100%",padding:"14px",borderRadius:12,border:"none",background:T.primary,color:"white",fontSize:15,fontWeight:700,cursor:"pointer",fontFamily:"inherit",marginTop:12}}>확인</button>
+          </div>
+        ) : test ? <>
+          {test.questions.map((q,i)=>(
+            <div key={i} style={{margin:"12px 20px 0",background:"white",borderRadius:T.radiusSm,border:`1px solid ${T.border}`,padding:"14px 16px"}}>
+              <div style={{display:"flex",justifyContent:"space-between",gap:8,marginBottom:10}}>
+                <span style={{fontSize:14,fontWeight:700,color:T.text}}>{i+1}. {q.prompt||`${i+1}번 문항`}</span>
+                <span style={{fontSize:12,color:T.textLight,flexShrink:0}}>{q.points}점</span>
+              </div>
+              {q.choices ? (
+                <div style={{display:"flex",flexDirection:"column",gap:6}}>
+                  {q.choices.map((c,k)=>{
+                    const on = answers[i]===String(k+1);
+                    return <button key={k} onClick={()=>answer(i,on?"":String(k+1))} disabled={submitting} style={{textAlign:"left",padding:"10px 12px",borderRadius:8,border:`1px solid ${on?T.primary:T.border}`,background:on?T.primaryLight:"white",color:on?T.primary:T.text,fontSize:14,fontWeight:on?700:500,cursor:"pointer",fontFamily:"inherit"}}>{k+1}. {c}</button>;
+                  })}
+                </div>
+              ) : <input value={answers[i]} onChange={e=>answer(i,e.target.value)} disabled={submitting} placeholder="답 입력" autoComplete="off" style={inputStyle} />}
+            </div>
+          ))}
+          <div style={{display:"flex",gap:10,padding:"20px 20px 0"}}>
+            <button onClick={close} title="제한 시간은 계속 흐릅니다" style={{padding:"14px 20px",borderRadius:12,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:15,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>닫기</button>
+            <button onClick={confirmSubmit} disabled={submitting} style={{flex:1,padding:"14px",borderRadius:12,border:"none",background:submitting?T.textLight:T.primary,color:"white",fontSize:15,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{submitting?"제출 중...":"제출하기"}</button>
+          </div>
+        </> : error ? (
+          <div style={{padding:20}}><button onClick={onClose} style={{width:"100%",padding:"14px",borderRadius:12,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:15,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>닫기</button></div>
+        ) : <div style={{textAlign:"center",padding:40,color:T.textSec,fontSize:14}}>불러오는 중...</div>}
+      </div>
+    </div>
+  );
+}
+
+// ─── Student Analytics ───
+function TrendChart({ points, movingAvg }) {
+  const { theme:T, bands } = useSettings();
+  const W=600, H=220, P={ l:34, r:12, t:12, b:28 };
+  if (!points.length) return <div style={{textAlign:"center",padding:40,color:T.textLight,fontSize:14}}>표시할 점수가 없습니다.</div>;
+  const x = (i) => P.l + (points.length===1 ? (W-P.l-P.r)/2 : i*(W-P.l-P.r)/(points.length-1));
+  const y = (v) => P.t + (100-Math.max(0,Math.min(100,v)))*(H-P.t-P.b)/100;
+  const path = (vals) => vals.reduce((d,v,i) => v===null||v===undefined ? d : d + `${d&&vals[i-1]!==null&&vals[i-1]!==undefined?"L":"M"}${x(i).toFixed(1)},${y(v).toFixed(1)} `, "");
+  const step = Math.max(1, Math.ceil(points.length/8));
+  const lines = [
+    { key:"grade", vals:points.map(p=>p.gradePct), color:T.textLight, dash:"5 4", label:"학년 평균" },
+    { key:"class", vals:points.map(p=>p.classPct), color:T.success, dash:"5 4", label:"반 평균" },
+    { key:"ma", vals:movingAvg, color:T.accent, label:`이동 평균 (${MOVING_WINDOW}회)` },
+    { key:"me", vals:points.map(p=>p.pct), color:T.primary, width:2.5, label:"내 점수" },
+  ].filter(l=>l.vals.some(v=>v!==null&&v!==undefined));
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} style={{width:"100%",height:"auto",display:"block"}}>
+        {[...new Set([0,...bands.map(b=>b.min),100])].map(v=>(
+          <g key={v}><line x1={P.l} x2={W-P.r} y1={y(v)} y2={y(v)} stroke={T.border} strokeDasharray={v%100?"2 3":undefined} /><text x={P.l-6} y={y(v)+4} fontSize="10" textAnchor="end" fill={T.textLight}>{v}</text></g>
+        ))}
+        {points.map((p,i)=>i%step===0||i===points.length-1?<text key={p.id} x={x(i)} y={H-8} fontSize="10" textAnchor="middle" fill={T.textSec}>{p.date.slice(5).replace("-",".")}</text>:null)}
+        {lines.map(l=><path key={l.key} d={path(l.vals)} fill="none" stroke={l.color} strokeWidth={l.width||1.5} strokeDasharray={l.dash} />)}
+        {points.map((p,i)=><circle key={p.id} cx={x(i)} cy={y(p.pct)} r="4" fill={scoreColor(p.pct,bands)} stroke="white" strokeWidth="1.5"><title>{`${p.date} ${p.name}: ${p.pct.toFixed(0)}%`}</title></circle>)}
+      </svg>
+      <div style={{display:"flex",flexWrap:"wrap",gap:12,justifyContent:"center",marginTop:4}}>
+        {lines.map(l=><span key={l.key} style={{display:"flex",alignItems:"center",gap:4,fontSize:11,color:T.textSec}}><svg width="18" height="6"><line x1="0" x2="18" y1="3" y2="3" stroke={l.color} strokeWidth="2" strokeDasharray={l.dash} /></svg>{l.label}</span>)}
+      </div>
+    </div>
+  );
+}
+
+function StudentAnalytics({ points }) {
+  const { theme:T, bands } = useSettings();
+  const [series, setSeries] = useState("all");
+  const allSeries = [...new Set(points.map(p=>p.series))];
+  const shown = series==="all" ? points : points.filter(p=>p.series===series);
+  const pcts = shown.map(p=>p.pct);
+  const ma = movingAverage(pcts);
+  const decline = detectDecline(pcts);
+  const gradeDiffs = shown.filter(p=>p.gradePct!==null&&p.gradePct!==undefined).map(p=>p.pct-p.gradePct);
+  const stat = (label, value, color) => (
+    <div style={{flex:1,minWidth:90,background:T.bg,borderRadius:T.radiusSm,padding:"10px 12px"}}>
+      <div style={{fontSize:11,color:T.textSec,fontWeight:600}}>{label}</div>
+      <div style={{fontSize:18,fontWeight:800,color:color||T.text,marginTop:2}}>{value}</div>
+    </div>
+  );
+  return (
+    <div>
+      {allSeries.length>1&&(
+        <div style={{display:"flex",flexWrap:"wrap",gap:6,marginBottom:12}}>
+          {["all",...allSeries].map(k=><button key={k} onClick={()=>setSeries(k)} style={{padding:"4px 12px",borderRadius:14,border:`1px solid ${series===k?T.primary:T.border}`,background:series===k?T.primaryLight:"white",color:series===k?T.primary:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>{k==="all"?"전체":k}</button>)}
+        </div>
+      )}
+      <div style={{display:"flex",flexWrap:"wrap",gap:8,marginBottom:14}}>
+        {stat("응시", `${pcts.length}회`)}
+        {stat("평균", pcts.length?`${mean(pcts).toFixed(1)}%`:"-", pcts.length?scoreColor(mean(pcts), bands):undefined)}
+        {stat(`최근 ${MOVING_WINDOW}회`, pcts.length?`${ma[ma.length-1].toFixed(1)}%`:"-")}
+        {stat("학년 평균 대비", gradeDiffs.length?`${mean(gradeDiffs)>=0?"+":""}${mean(gradeDiffs).toFixed(1)}%p`:"-", gradeDiffs.length?(mean(gradeDiffs)>=0?T.success:T.danger):undefined)}
+      </div>
+      {decline&&<div style={{background:T.dangerLight,color:T.danger,borderRadius:T.radiusSm,padding:"10px 14px",fontSize:13,fontWeight:600,marginBottom:14}}>⚠️ 최근 3회 평균 {decline.recent.toFixed(1)}%로 이전 평균 {decline.previous.toFixed(1)}%보다 {decline.drop.toFixed(1)}%p 하락했습니다.</div>}
+      <TrendChart points={shown} movingAvg={ma} />
+      {series==="all"&&allSeries.length>1&&(
+        <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginTop:16}}>
+          <thead><tr style={{background:T.bg}}><th style={thStyle}>시리즈</th><th style={thStyle}>응시</th><th style={thStyle}>평균</th><th style={thStyle}>최근</th></tr></thead>
+          <tbody>
+            {allSeries.map(k=>{const ps=points.filter(p=>p.series===k).map(p=>p.pct);return (
+              <tr key={k}><td style={{...tdStyle,fontWeight:600,fontSize:13}}>{k}</td><td style={{...tdStyle,fontSize:13}}>{ps.length}회</td><td style={{...tdStyle,fontSize:13,fontWeight:700,color:scoreColor(mean(ps),bands)}}>{mean(ps).toFixed(1)}%</td><td style={{...tdStyle,fontSize:13}}>{ps[ps.length-1].toFixed(0)}%</td></tr>
+            );})}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function AnalyticsPanel({ students, groups, classesOf, classStudentIds }) {
+  const { theme:T } = useSettings();
+  const [selected, setSelected] = useState(null);
+  const sorted = useMemo(() => [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko")), [students]);
+  const trends = useMemo(() => Object.fromEntries(sorted.map(s => {
+    const mates = [...new Set(classesOf(s.id).flatMap(c=>classStudentIds(c.id)))];
+    const points = buildTrendPoints(s, groups, students, mates);
+    return [s.id, { points, decline:detectDecline(points.map(p=>p.pct)) }];
+  })), [sorted, groups]);
+  const flagged = sorted.filter(s=>trends[s.id].decline).sort((a,b)=>trends[b.id].decline.drop-trends[a.id].decline.drop);
+  const current = sorted.find(s=>s.id===selected);
+
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20,flexWrap:"wrap",gap:12}}>
+        <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>학생 분석</h2>
+        <select value={selected||""} onChange={e=>setSelected(e.target.value||null)} style={{...inputStyle,width:220}}>
+          <option value="">학생 선택</option>
+          {sorted.map(s=><option key={s.id} value={s.id}>{s.name} ({s.grade}){trends[s.id].decline?" ⚠️":""}</option>)}
+        </select>
+      </div>
+      <div style={{background:flagged.length?T.dangerLight:"white",borderRadius:T.radius,border:`1px solid ${flagged.length?"#FECACA":T.border}`,padding:"16px 20px",marginBottom:20}}>
+        <div style={{fontSize:14,fontWeight:700,color:flagged.length?T.danger:T.text,marginBottom:flagged.length?10:0}}>⚠️ 성적 하락 주의 학생 {flagged.length}명 <span style={{fontSize:12,fontWeight:500,color:T.textSec}}>· 최근 3회 평균이 이전보다 {DECLINE_POINTS}%p 이상 하락</span></div>
+        <div style={{display:"flex",flexWrap:"wrap",gap:6}}>
+          {flagged.map(s=><button key={s.id} onClick={()=>setSelected(s.id)} style={{padding:"6px 12px",borderRadius:8,border:`1px solid ${selected===s.id?T.danger:"#FECACA"}`,background:"white",color:T.text,fontSize:13,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>{s.name} <span style={{color:T.danger}}>-{trends[s.id].decline.drop.toFixed(0)}%p</span></button>)}
+        </div>
+      </div>
+      {current ? (
+        <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,padding:"20px 24px"}}>
+          <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 14px"}}>{current.name} <span style={{fontSize:13,color:T.textSec,fontWeight:500}}>{current.grade}{classesOf(current.id).length>0&&` · ${classesOf(current.id).map(c=>c.name).join(", ")}`}</span></h3>
+          <StudentAnalytics key={current.id} points={trends[current.id].points} />
+          <SkillProfile skills={skillProfile(current.id, groups)} />
+        </div>
+      ) : <div style={{textAlign:"center",padding:60,color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>📈</div><p style={{fontSize:15,fontWeight:600}}>학생을 선택하면 성적 추이를 볼 수 있습니다.</p></div>}
+    </div>
+  );
+}
+
+// ─── Attendance ───
+const REPEAT_ABSENCES = 2;
+
+function AttendancePanel({ students, groups, activeClasses, classStudentIds }) {
+  const { theme:T, bands } = useSettings();
+  const today = toDateStr(new Date());
+  const [from, setFrom] = useState(addDays(today, -30));
+  const [to, setTo] = useState(today);
+  const [classId, setClassId] = useState("");
+  const [threshold, setThreshold] = useState(String(REPEAT_ABSENCES));
+  const counts = useMemo(() => attendanceCounts(groups, from, to), [groups, from, to]);
+  const ids = classId ? classStudentIds(classId) : null;
+  const rows = students.filter(s => counts[s.id] && (!ids || ids.includes(s.id)))
+    .sort((a,b)=>counts[b.id].absent-counts[a.id].absent||counts[b.id].excused-counts[a.id].excused||a.name.localeCompare(b.name,"ko"));
+  const min = Math.max(1, Number(threshold) || REPEAT_ABSENCES);
+  const repeated = rows.filter(s => counts[s.id].absent >= min);
+  const rate = (c) => ((c.present + c.late) / c.total) * 100;
+
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20,flexWrap:"wrap",gap:12}}>
+        <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>출결 현황</h2>
+        <div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap"}}>
+          <input type="date" value={from} max={to} onChange={e=>e.target.value&&setFrom(e.target.value)} style={{...inputStyle,width:150,padding:"8px 10px",fontSize:13}} />
+          <span style={{fontSize:13,color:T.textSec}}>~</span>
+          <input type="date" value={to} min={from} onChange={e=>e.target.value&&setTo(e.target.value)} style={{...inputStyle,width:150,padding:"8px 10px",fontSize:13}} />
+          <select value={classId} onChange={e=>setClassId(e.target.value)} style={{...inputStyle,width:130,padding:"8px 10px",fontSize:13}}>
+            <option value="">전체 반</option>
+            {activeClasses.map(c=><option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{background:repeated.length?T.dangerLight:"white",borderRadius:T.radius,border:`1px solid ${repeated.length?"#FECACA":T.border}`,padding:"16px 20px",marginBottom:20}}>
+        <div style={{fontSize:14,fontWeight:700,color:repeated.length?T.danger:T.text,marginBottom:repeated.length?10:0,display:"flex",alignItems:"center",gap:6,flexWrap:"wrap"}}>
+          🚫 반복 무단결석 학생 {repeated.length}명
+          <span style={{fontSize:12,fontWeight:500,color:T.textSec}}>· 기간 내 결석(인정결석 제외)</span>
+          <input type="number" min="1" value={threshold} onChange={e=>setThreshold(e.target.value)} style={{width:44,padding:"2px 4px",borderRadius:6,border:`1px solid ${T.border}`,fontSize:12,textAlign:"center",fontFamily:"inherit"}} />
+          <span style={{fontSize:12,fontWeight:500,color:T.textSec}}>회 이상</span>
+        </div>
+        {repeated.map(s=>(
+          <div key={s.id} style={{display:"flex",gap:10,alignItems:"baseline",padding:"6px 0",borderTop:"1px solid #FECACA",fontSize:13}}>
+            <b style={{color:T.text,minWidth:64}}>{s.name}</b>
+            <span style={{color:T.danger,fontWeight:700,whiteSpace:"nowrap"}}>결석 {counts[s.id].absent}회</span>
+            <span style={{color:T.textSec}}>{counts[s.id].absences.map(a=>`${formatDate(a.date).slice(5)} ${a.name}${a.reason?` (${a.reason})`:""}`).join(" · ")}</span>
+          </div>
+        ))}
+      </div>
+      {rows.length===0 ? (
+        <div style={{textAlign:"center",padding:60,color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>🙋</div><p style={{fontSize:15,fontWeight:600}}>기간 내 테스트 기록이 없습니다.</p></div>
+      ) : (
+        <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+          <table style={{width:"100%",borderCollapse:"collapse"}}>
+            <thead><tr style={{background:T.bg}}>
+              <th style={thStyle}>이름</th><th style={thStyle}>학년</th><th style={{...thStyle,textAlign:"center"}}>테스트</th>
+              {["present","late","excused","absent"].map(k=><th key={k} style={{...thStyle,textAlign:"center"}}>{ATTENDANCE[k].label}</th>)}
+              <th style={{...thStyle,textAlign:"center"}}>출석률</th>
+            </tr></thead>
+            <tbody>
+              {rows.map(s=>{
+                const c=counts[s.id];
+                return (
+                  <tr key={s.id}>
+                    <td style={{...tdStyle,fontWeight:600}}>{s.name}</td><td style={tdStyle}>{s.grade}</td>
+                    <td style={{...tdStyle,textAlign:"center"}}>{c.total}</td>
+                    {["present","late","excused","absent"].map(k=><td key={k} style={{...tdStyle,textAlign:"center",fontWeight:c[k]&&k!=="present"?700:400,color:c[k]&&k!=="present"?attendanceStyle(k,T).color:T.text}}>{c[k]||"-"}</td>)}
+                    <td style={{...tdStyle,textAlign:"center",fontWeight:700,color:scoreColor(rate(c),bands)}}>{rate(c).toFixed(0)}%</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Academy Calendar ───
+// What the front desk needs today: retests due today, overdue retests still without a result, and tests with missing scores.
+function TodayPanel({ groups, retests, students, canEdit, onOpenTest, onOpenRetest }) {
+  const { theme:T } = useSettings();
+  const today = toDateStr(new Date());
+  const open = retests.filter(a => a.status==="scheduled");
+  const dueToday = open.filter(a => a.scheduled_date===today).sort((a,b)=>a.student.name.localeCompare(b.student.name,"ko"));
+  const overdue = open.filter(a => a.scheduled_date<today).sort((a,b)=>a.scheduled_date.localeCompare(b.scheduled_date)||a.student.name.localeCompare(b.student.name,"ko"));
+  const missing = groups.filter(g => g.testDate<=today && (g.tests.length===0 || g.tests.some(scorePending)))
+    .map(g => ({ g, names:g.tests.filter(scorePending).map(t=>students.find(s=>s.id===t.student_id)?.name).filter(Boolean) }));
+
+  const card = (title, color, count, body) => (
+    <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden",display:"flex",flexDirection:"column"}}>
+      <div style={{padding:"12px 16px",borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+        <span style={{fontSize:14,fontWeight:700,color:T.text}}>{title}</span>
+        <span style={{...chipStyle,background:count?`${color}1A`:T.bg,color:count?color:T.textLight}}>{count}</span>
+      </div>
+      <div style={{maxHeight:260,overflowY:"auto"}}>{count===0 ? <div style={{padding:"20px 16px",textAlign:"center",fontSize:13,color:T.textLight}}>없습니다.</div> : body}</div>
+    </div>
+  );
+  const row = (key, main, sub, action, onClick) => (
+    <div key={key} style={{padding:"10px 16px",borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}>
+      <div style={{minWidth:0}}><div style={{fontSize:14,fontWeight:600,color:T.text}}>{main}</div><div style={{fontSize:12,color:T.textSec,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{sub}</div></div>
+      {canEdit&&<button onClick={onClick} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>{action}</button>}
+    </div>
+  );
+  const retestRow = (a, withDate) => row(a.id, <>{a.student.name} <span style={{fontSize:12,fontWeight:500,color:T.textSec}}>{a.student.grade}</span></>,
+    `${a.test.test_name} · ${a.attempt_no}차${withDate?` · ${formatDate(a.scheduled_date)}`:""}${a.reason?` · ${a.reason}`:""}`, "결과 입력", () => onOpenRetest(a));
+
+  return (
+    <div style={{marginBottom:24}}>
+      <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:"0 0 12px"}}>오늘 <span style={{color:T.textLight,fontWeight:500}}>{formatDate(today)} ({DAYS_KR[new Date().getDay()]})</span></h2>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(280px,1fr))",gap:12}}>
+        {card("🔄 오늘 재시험", T.accent, dueToday.length, dueToday.map(a=>retestRow(a, false)))}
+        {card("⚠️ 지난 재시험 (결과 없음)", T.danger, overdue.length, overdue.map(a=>retestRow(a, true)))}
+        {card("✏️ 점수 미입력", T.warning, missing.length, missing.map(({g,names})=>row(g.id, g.testName,
+          `${formatDate(g.testDate)} · ${g.tests.length===0 ? "명단 없음" : `${names.slice(0,5).join(", ")}${names.length>5?` 외 ${names.length-5}명`:""}`}`, "점수 입력", () => onOpenTest(g))))}
+      </div>
+    </div>
+  );
+}
+
+// Month or week view of every test session and retest the user can see; clicking a day lists it below.
+function AcademyCalendar({ groups, retests, categoryById, canEdit, onOpenTest, onOpenRetest }) {
+  const { theme:T } = useSettings();
+  const [mode, setMode] = useState("month");
+  const [cursor, setCursor] = useState(new Date());
+  const [selected, setSelected] = useState(toDateStr(new Date()));
+  const today = toDateStr(new Date());
+  const year=cursor.getFullYear(), month=cursor.getMonth();
+
+  const sessionsByDate = useMemo(() => { const m={}; groups.forEach(g=>{(m[g.testDate]||(m[g.testDate]=[])).push(g);}); return m; }, [groups]);
+  const retestsByDate = useMemo(() => { const m={}; retests.forEach(a=>{(m[a.scheduled_date]||(m[a.scheduled_date]=[])).push(a);}); return m; }, [retests]);
+
+  const weekStart = new Date(year, month, cursor.getDate() - cursor.getDay());
+  const cells = mode==="month"
+    ? getMonthDays(year, month).map(d => d && toDateStr(new Date(year, month, d)))
+    : Array.from({ length:7 }, (_, i) => toDateStr(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i)));
+  const move = (n) => setCursor(mode==="month" ? new Date(year, month+n, 1) : new Date(year, month, cursor.getDate() + 7*n));
+  const title = mode==="month" ? `${year}년 ${MONTHS_KR[month]}` : `${formatDate(cells[0])} ~ ${formatDate(cells[6]).slice(5)}`;
+
+  const sessionChip = (g) => {
+    const c = categoryById[g.metadata.category_id], missing = g.tests.length===0 || g.tests.some(scorePending);
+    return <div key={g.id} title={g.testName} style={{padding:"2px 4px",borderRadius:4,fontSize:11,fontWeight:600,marginBottom:2,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",background:c?`${c.color}1A`:T.primaryLight,color:c?.color||T.primary,borderLeft:missing&&g.testDate<=today?`3px solid ${T.warning}`:"none"}}>📝 {g.testName}</div>;
+  };
+  const retestChip = (key, label, status) => <div key={key} style={{padding:"2px 4px",borderRadius:4,fontSize:11,fontWeight:600,marginBottom:2,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",background:RETEST_STATUS[status].bg,color:RETEST_STATUS[status].color}}>{RETEST_STATUS[status].icon} {label}</div>;
+
+  const daySessions = sessionsByDate[selected]||[], dayRetests = [...(retestsByDate[selected]||[])].sort((a,b)=>a.student.name.localeCompare(b.student.name,"ko"));
+  const btn = (active) => ({ padding:"6px 14px", borderRadius:8, border:`1px solid ${active?T.primary:T.border}`, background:active?T.primaryLight:"white", color:active?T.primary:T.textSec, fontSize:13, fontWeight:700, cursor:"pointer", fontFamily:"inherit" });
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:12,gap:12,flexWrap:"wrap"}}>
+        <div style={{display:"flex",alignItems:"center",gap:8}}>
+          <button onClick={()=>move(-1)} style={navBtnStyle}>◀</button>
+          <div style={{fontSize:18,fontWeight:800,color:T.text,minWidth:150,textAlign:"center"}}>{title}</div>
+          <button onClick={()=>move(1)} style={navBtnStyle}>▶</button>
+          <button onClick={()=>{setCursor(new Date());setSelected(today);}} style={btn(false)}>오늘</button>
+        </div>
+        <div style={{display:"flex",gap:6}}>{[["month","월"],["week","주"]].map(([k,l])=><button key={k} onClick={()=>setMode(k)} style={btn(mode===k)}>{l}</button>)}</div>
+      </div>
+      <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,padding:12,marginBottom:16}}>
+        <div style={{display:"grid",gridTemplateColumns:"repeat(7,1fr)"}}>
+          {DAYS_KR.map((d,i)=><div key={d} style={{textAlign:"center",fontSize:12,fontWeight:700,padding:"6px 0",color:i===0?T.danger:i===6?T.primary:T.textSec}}>{d}</div>)}
+        </div>
+        <div style={{display:"grid",gridTemplateColumns:"repeat(7,1fr)",gap:4}}>
+          {cells.map((ds,idx)=>{
+            if(!ds)return <div key={`e-${idx}`}/>;
+            const ss=sessionsByDate[ds]||[], rs=retestsByDate[ds]||[], dow=idx%7;
+            const limit = mode==="month" ? 2 : Infinity;
+            return (
+              <div key={ds} onClick={()=>setSelected(ds)} style={{minHeight:mode==="month"?90:220,padding:"4px 5px",borderRadius:8,cursor:"pointer",overflow:"hidden",background:ds===today?T.primaryLight:"white",border:ds===selected?`2px solid ${T.primary}`:`1px solid ${T.border}`}}>
+                <div style={{fontSize:12,fontWeight:ds===today?800:600,textAlign:"right",marginBottom:2,color:ds===today?T.primary:dow===0?T.danger:dow===6?T.primary:T.textSec}}>{mode==="month"?Number(ds.slice(8)):formatDate(ds).slice(5)}</div>
+                {ss.slice(0,limit).map(sessionChip)}
+                {ss.length>limit&&<div style={{fontSize:11,color:T.textSec,marginBottom:2}}>+{ss.length-limit}개</div>}
+                {mode==="month"
+                  ? rs.length>0&&retestChip("r", `재시험 ${rs.length}명`, rs.some(a=>a.status==="scheduled")?"scheduled":"completed")
+                  : rs.map(a=>retestChip(a.id, `${a.student.name} · ${a.test.test_name}`, a.status))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+        <div style={{padding:"12px 16px",borderBottom:`1px solid ${T.border}`,fontSize:14,fontWeight:700,color:T.text}}>{formatDate(selected)} ({DAYS_KR[new Date(selected+"T00:00:00").getDay()]})</div>
+        {daySessions.length===0&&dayRetests.length===0&&<div style={{padding:"20px 16px",textAlign:"center",fontSize:13,color:T.textLight}}>일정이 없습니다.</div>}
+        {daySessions.map(g=>{
+          const missing=g.tests.filter(scorePending).length;
+          return (
+            <div key={g.id} style={{padding:"10px 16px",borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}>
+              <div style={{display:"flex",alignItems:"center",gap:8}}>{categoryChip(categoryById[g.metadata.category_id])}<span style={{fontSize:14,fontWeight:600,color:T.text}}>{g.testName}</span>
+                <span style={{fontSize:12,color:T.textSec}}>{g.tests.length===0?"점수 미입력":`${g.tests.length}명${missing?` · 미입력 ${missing}명`:""}`}</span></div>
+              {canEdit&&<button onClick={()=>onOpenTest(g)} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>{g.tests.length?"수정":"점수 입력"}</button>}
+            </div>
+          );
+        })}
+        {dayRetests.map(a=>{const st=RETEST_STATUS[a.status];return(
+          <div key={a.id} style={{padding:"10px 16px",borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center",gap:8}}>
+            <div style={{display:"flex",alignItems:"center",gap:8}}>
+              <span style={{...chipStyle,background:st.bg,color:st.color}}>{st.icon} {st.label}</span>
+              <span style={{fontSize:14,fontWeight:600,color:T.text}}>{a.student.name}</span>
+              <span style={{fontSize:12,color:T.textSec}}>{a.test.test_name} · {a.attempt_no}차{a.score!==null&&a.score!==undefined?` · ${a.score}점`:""}</span>
+            </div>
+            {canEdit&&<button onClick={()=>onOpenRetest(a)} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>관리</button>}
+          </div>
+        );})}
+      </div>
+    </div>
+  );
+}
+
+// ─── Audit Log & Trash ───
+const AUDIT_PAGE = 100;
+
+// "점수: 80 → 95" for each tracked field an update changed; inserts and deletes list the values.
+const auditChanges = (e) => {
+  const b = e.before || {}, a = e.after || {};
+  const fmt = (k, v) => v === null || v === undefined ? "-" : k === "metadata" ? (v.memo || "-") : k === "status" ? STUDENT_STATUS[v]?.label || v : k === "attendance" ? ATTENDANCE[v]?.label || v : String(v);
+  return Object.entries(AUDIT_FIELDS[e.table_name] || {})
+    .filter(([k]) => e.action !== "update" || JSON.stringify(b[k]) !== JSON.stringify(a[k]))
+    .map(([k, label]) => e.action === "update" ? `${label}: ${fmt(k, b[k])} → ${fmt(k, a[k])}` : `${label}: ${fmt(k, (e.after || e.before)[k])}`);
+};
+
+function AuditPanel({ students, canEdit, refreshData }) {
+  const { theme:T } = useSettings();
+  const [view, setView] = useState("log");
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [trash, setTrash] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [filter, setFilter] = useState({ table:"", action:"", student:"", from:"", to:"" });
+
+  const nameOf = (id) => students.find(s => s.id === id)?.name || "(삭제된 학생)";
+
+  const loadLog = async (more = false) => {
+    setBusy(true);
+    try {
+      const { rows, hasMore } = await repo.auditLog.page(filter, { offset:more ? entries.length : 0, size:AUDIT_PAGE });
+      setEntries(more ? [...entries, ...rows] : rows); setHasMore(hasMore);
+    } catch (e) { alert("기록을 불러오지 못했습니다: " + e.message); }
+    setBusy(false);
+  };
+  const loadTrash = async () => {
+    setBusy(true);
+    try { setTrash(await repo.trash.list()); }
+    catch (e) { alert("휴지통을 불러오지 못했습니다: " + e.message); }
+    setBusy(false);
+  };
+  useEffect(() => { if (view === "log") loadLog(); else loadTrash(); }, [view, filter]);
+
+  const restore = async (t) => {
+    if (!confirm(`"${t.label}"을(를) 복원하시겠습니까?`)) return;
+    setBusy(true);
+    try { await repo.trash.restore(t.id); await refreshData(); await loadTrash(); }
+    catch (e) { alert("복원 실패: " + e.message); }
+    setBusy(false);
+  };
+
+  const target = (e) => {
+    const r = e.after || e.before || {};
+    if (e.table_name === "students") return r.name;
+    if (e.table_name === "test_sessions") return `${r.name} (${r.test_date})`;
+    return `${nameOf(r.student_id)} · ${r.test_name||""}`;
+  };
+  const setF = (k, v) => setFilter(f => ({ ...f, [k]:v }));
+  const sortedStudents = [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko"));
+
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:16,flexWrap:"wrap",gap:12}}>
+        <div style={{display:"flex",gap:6}}>
+          {[{key:"log",label:"📜 변경 기록"},{key:"trash",label:`🗑️ 휴지통`}].map(v=>(
+            <button key={v.key} onClick={()=>setView(v.key)} style={{padding:"8px 16px",borderRadius:10,border:`1px solid ${view===v.key?T.primary:T.border}`,background:view===v.key?T.primaryLight:"white",color:view===v.key?T.primary:T.textSec,fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{v.label}</button>
+          ))}
+        </div>
+        {view==="log"&&(
+          <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>
+            <select value={filter.table} onChange={e=>setF("table",e.target.value)} style={{...inputStyle,width:100,padding:"8px 10px",fontSize:13}}><option value="">전체 대상</option>{Object.entries(AUDIT_TABLES).map(([k,v])=><option key={k} value={k}>{v}</option>)}</select>
+            <select value={filter.action} onChange={e=>setF("action",e.target.value)} style={{...inputStyle,width:100,padding:"8px 10px",fontSize:13}}><option value="">전체 작업</option>{Object.entries(AUDIT_ACTIONS).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}</select>
+            <select value={filter.student} onChange={e=>setF("student",e.target.value)} style={{...inputStyle,width:130,padding:"8px 10px",fontSize:13}}><option value="">전체 학생</option>{sortedStudents.map(s=><option key={s.id} value={s.id}>{s.name}</option>)}</select>
+            <input type="date" value={filter.from} onChange={e=>setF("from",e.target.value)} style={{...inputStyle,width:140,padding:"8px 10px",fontSize:13}} />
+            <input type="date" value={filter.to} onChange={e=>setF("to",e.target.value)} style={{...inputStyle,width:140,padding:"8px 10px",fontSize:13}} />
+          </div>
+        )}
+      </div>
+
+      {view==="log" ? (
+        <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+            <thead><tr style={{background:T.bg}}><th style={{...thStyle,width:140}}>시각</th><th style={{...thStyle,width:100}}>작업자</th><th style={{...thStyle,width:90}}>작업</th><th style={thStyle}>대상</th><th style={thStyle}>변경 내용</th></tr></thead>
+            <tbody>
+              {entries.length===0&&<tr><td colSpan={5} style={{...tdStyle,textAlign:"center",color:T.textLight}}>{busy?"불러오는 중...":"기록이 없습니다."}</td></tr>}
+              {entries.map(e=>{const act=e.action==="update"?{...AUDIT_ACTIONS.update,color:T.primary,bg:T.primaryLight}:AUDIT_ACTIONS[e.action];return (
+                <tr key={e.id}>
+                  <td style={{...tdStyle,fontSize:12,color:T.textSec,whiteSpace:"nowrap"}}>{new Date(e.created_at).toLocaleString("ko-KR",{dateStyle:"short",timeStyle:"short"})}</td>
+                  <td style={{...tdStyle,fontSize:13}}>{e.actor_name||"-"}</td>
+                  <td style={tdStyle}><span style={{background:act.bg,color:act.color,padding:"2px 8px",borderRadius:4,fontSize:12,fontWeight:700,whiteSpace:"nowrap"}}>{AUDIT_TABLES[e.table_name]} {act.label}</span></td>
+                  <td style={{...tdStyle,fontSize:13,fontWeight:600}}>{target(e)}</td>
+                  <td style={{...tdStyle,fontSize:12,color:T.textSec}}>{auditChanges(e).join(" · ")||"-"}</td>
+                </tr>
+              );})}
+            </tbody>
+          </table>
+          {hasMore&&<button onClick={()=>loadLog(true)} disabled={busy} style={{width:"100%",padding:"12px",border:"none",borderTop:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{busy?"불러오는 중...":"더 보기"}</button>}
+        </div>
+      ) : (
+        <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+          <div style={{padding:"10px 16px",fontSize:12,color:T.textSec,borderBottom:`1px solid ${T.border}`}}>삭제한 학생과 테스트는 {TRASH_DAYS}일 동안 보관된 뒤 영구 삭제됩니다.</div>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+            <thead><tr style={{background:T.bg}}><th style={{...thStyle,width:80}}>종류</th><th style={thStyle}>항목</th><th style={{...thStyle,width:100}}>삭제한 사람</th><th style={{...thStyle,width:140}}>삭제 시각</th><th style={{...thStyle,width:100}}>보관 기한</th><th style={{...thStyle,width:80}}></th></tr></thead>
+            <tbody>
+              {trash.length===0&&<tr><td colSpan={6} style={{...tdStyle,textAlign:"center",color:T.textLight}}>{busy?"불러오는 중...":"휴지통이 비어 있습니다."}</td></tr>}
+              {trash.map(t=>{const left=Math.max(0,Math.ceil((new Date(t.expires_at)-new Date())/86400000));return (
+                <tr key={t.id}>
+                  <td style={tdStyle}><span style={chipStyleFor(T)}>{t.kind==="student"?"학생":"테스트"}</span></td>
+                  <td style={{...tdStyle,fontWeight:600}}>{t.label} <span style={{fontSize:12,color:T.textSec,fontWeight:500}}>· 결과 {t.result_count}건</span></td>
+                  <td style={tdStyle}>{t.deleted_by||"-"}</td>
+                  <td style={{...tdStyle,fontSize:12,color:T.textSec}}>{new Date(t.deleted_at).toLocaleString("ko-KR",{dateStyle:"short",timeStyle:"short"})}</td>
+                  <td style={{...tdStyle,fontSize:12,color:left<=3?T.danger:T.textSec}}>{left}일 남음</td>
+                  <td style={{...tdStyle,textAlign:"right"}}>{canEdit&&<button onClick={()=>restore(t)} disabled={busy} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>복원</button>}</td>
+                </tr>
+              );})}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Edit Conflicts ───
+// Three-way view of a test form: the version it was opened from (base), the latest saved version and the form.
+// Only what changed on the server is listed; rows where the form changed it differently are conflicts.
+function ConflictDialog({ base, latest, mine, students, onApply, onClose }) {
+  const { theme:T } = useSettings();
+  const scoreIn = (rows, id) => { const t = rows.find(x => x.student_id === id); return t ? t.score : undefined; };
+  const rows = useMemo(() => {
+    const ids = [...new Set([...base.tests, ...latest.tests].map(t => t.student_id).concat(Object.keys(mine.scores)))];
+    return [
+      { key:"name", label:"테스트명", b:base.testName, s:latest.testName, m:mine.name },
+      { key:"date", label:"시험 날짜", b:base.testDate, s:latest.testDate, m:mine.date },
+      { key:"total", label:"만점", b:Number(base.totalScore), s:Number(latest.totalScore), m:mine.total },
+      { key:"memo", label:"메모", b:base.metadata?.memo||"", s:latest.metadata?.memo||"", m:mine.memo },
+      ...ids.map(id => ({ key:id, student:true, label:students.find(s=>s.id===id)?.name||"?", b:scoreIn(base.tests,id), s:scoreIn(latest.tests,id), m:mine.scores[id] })),
+    ].filter(r => r.s !== r.b).map(r => ({ ...r, conflict:r.m !== r.b && r.m !== r.s }));
+  }, [base, latest]);
+  const [choice, setChoice] = useState(() => Object.fromEntries(rows.map(r => [r.key, r.conflict ? "mine" : "latest"])));
+  const fmt = (r, v) => v === undefined ? "명단 없음" : v === null ? "미입력" : v === "" ? "-" : r.student ? `${v}점` : String(v);
+  const apply = () => {
+    const pick = (r) => choice[r.key] === "latest" ? r.s : r.m;
+    onApply({
+      fields:Object.fromEntries(rows.filter(r => !r.student).map(r => [r.key, pick(r)])),
+      scores:Object.fromEntries(rows.filter(r => r.student).map(r => [r.key, pick(r)])),
+    });
+  };
+  const option = (r, key, v) => (
+    <label style={{display:"flex",alignItems:"center",gap:6,cursor:"pointer",fontWeight:choice[r.key]===key?700:500,color:choice[r.key]===key?T.text:T.textSec}}>
+      <input type="radio" checked={choice[r.key]===key} onChange={()=>setChoice(c=>({...c,[r.key]:key}))} />{fmt(r, v)}
+    </label>
+  );
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:T.radius,padding:28,width:"100%",maxWidth:680,maxHeight:"85vh",overflowY:"auto",boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 4px",color:T.text}}>다른 사용자의 변경 내용</h3>
+        <p style={{fontSize:13,color:T.textSec,margin:"0 0 16px"}}>테스트를 연 뒤 다른 사용자가 저장한 항목입니다. 항목별로 반영할 값을 고르면 입력표가 갱신되며, 확인 후 다시 저장하세요.</p>
+        {rows.length===0 ? <div style={{textAlign:"center",padding:24,color:T.textLight,fontSize:13}}>점수와 기본 정보는 바뀌지 않았습니다. 재시험 등 다른 항목만 수정되었습니다.</div> : (
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginBottom:8}}>
+            <thead><tr style={{background:T.bg}}><th style={thStyle}>항목</th><th style={thStyle}>열었을 때</th><th style={thStyle}>다른 사용자</th><th style={thStyle}>내 입력</th></tr></thead>
+            <tbody>
+              {rows.map(r=>(
+                <tr key={r.key} style={{background:r.conflict?T.dangerLight:"white"}}>
+                  <td style={{...tdStyle,fontSize:13,fontWeight:700}}>{r.label}{r.conflict&&<span style={{color:T.danger,fontSize:11,marginLeft:6}}>충돌</span>}</td>
+                  <td style={{...tdStyle,fontSize:13,color:T.textLight}}>{fmt(r, r.b)}</td>
+                  <td style={{...tdStyle,fontSize:13}}>{option(r, "latest", r.s)}</td>
+                  <td style={{...tdStyle,fontSize:13}}>{option(r, "mine", r.m)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div style={{display:"flex",gap:10,justifyContent:"flex-end",marginTop:16}}>
+          <button onClick={onClose} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>닫기</button>
+          <button onClick={apply} style={{padding:"12px 32px",borderRadius:10,border:"none",background:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>입력표에 반영</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Sync Status ───
+function SyncStatus({ online, live, items, onClick }) {
+  const { theme:T } = useSettings();
+  const conflicts = items.filter(i => i.status === "conflict").length;
+  const pending = items.length - conflicts;
+  const [label, color, bg] =
+    conflicts ? [`⚠️ 충돌 ${conflicts}건`, T.danger, T.dangerLight] :
+    pending ? [online ? `⏳ 전송 대기 ${pending}건` : `📴 오프라인 · 대기 ${pending}건`, "#92400E", T.warningLight] :
+    online ? [live ? "🟢 실시간 동기화" : "✅ 동기화됨", T.success, "#ECFDF5"] : ["📴 오프라인", T.textSec, T.bg];
+  return <button onClick={onClick} title="미전송 목록" style={{ padding:"6px 12px", borderRadius:8, border:"none", background:bg, color, fontSize:12, fontWeight:700, cursor:"pointer", fontFamily:"inherit", whiteSpace:"nowrap" }}>{label}</button>;
+}
+
+function OutboxPanel({ items, online, onClose }) {
+  const { theme:T } = useSettings();
+  const [busy, setBusy] = useState(false);
+  const run = async (fn) => { setBusy(true); try { await fn(); } finally { setBusy(false); } };
+  const discard = (i) => { if (confirm(`"${i.label}" 항목을 삭제하시겠습니까? 전송되지 않은 내용은 사라집니다.`)) outbox.discard(i.id); };
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:20,padding:28,width:"100%",maxWidth:560,maxHeight:"85vh",overflowY:"auto",boxShadow:T.shadowLg}}>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:4}}>
+          <h3 style={{fontSize:17,fontWeight:800,color:T.text,margin:0}}>미전송 목록</h3>
+          <button onClick={()=>run(outbox.flush)} disabled={busy||!online||!items.some(i=>i.status==="pending")} style={{padding:"6px 14px",borderRadius:8,border:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{busy?"전송 중...":"지금 전송"}</button>
+        </div>
+        <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>{online?"연결되어 있습니다.":"오프라인입니다. 연결되면 자동으로 전송됩니다."} 충돌 항목은 서버가 거부한 변경으로, 내용을 확인한 뒤 다시 시도하거나 삭제하세요.</p>
+        {items.length===0&&<div style={{textAlign:"center",padding:24,color:T.textLight,fontSize:13}}>✅ 모든 변경 사항이 전송되었습니다.</div>}
+        {items.map(i=>(
+          <div key={i.id} style={{padding:"12px 14px",border:`1px solid ${i.status==="conflict"?"#FECACA":T.border}`,background:i.status==="conflict"?T.dangerLight:"white",borderRadius:T.radiusSm,marginBottom:8}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:10}}>
+              <div style={{minWidth:0}}>
+                <div style={{fontSize:14,fontWeight:700,color:T.text}}>{i.label}</div>
+                <div style={{fontSize:11,color:T.textLight}}>{new Date(i.created_at).toLocaleString("ko-KR")} · {i.status==="conflict"?"충돌":"대기 중"}</div>
+              </div>
+              <div style={{display:"flex",gap:6,flexShrink:0}}>
+                {i.status==="conflict"&&<button onClick={()=>run(()=>outbox.retry(i.id))} disabled={busy} style={{padding:"4px 10px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>다시 시도</button>}
+                <button onClick={()=>discard(i)} disabled={busy} style={{padding:"4px 10px",borderRadius:6,border:"none",background:"none",color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+              </div>
+            </div>
+            {i.error&&<div style={{fontSize:12,color:T.danger,marginTop:6,wordBreak:"break-all"}}>{i.error}{i.stale&&" 테스트를 다시 열어 최신 결과를 확인한 뒤 입력하세요."}</div>}
+          </div>
+        ))}
+        <button onClick={onClose} style={{width:"100%",padding:"12px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",marginTop:8}}>닫기</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Report Cards ───
+// Print-optimised per-student report for a date range; window.print() prints only #report-cards, one student per page.
+function ReportCards({ students, groups, attemptsByResult, classesOf, classStudentIds, initialIds, onClose }) {
+  const { settings, theme:T } = useSettings();
+  const now = new Date();
+  const [ids, setIds] = useState(initialIds);
+  const [from, setFrom] = useState(toDateStr(new Date(now.getFullYear(), now.getMonth(), 1)));
+  const [to, setTo] = useState(toDateStr(now));
+  const sorted = [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko"));
+  const inRange = groups.filter(g=>g.testDate>=from&&g.testDate<=to).reverse();
+
+  const cardFor = (st) => {
+    const classIds = [...new Set(classesOf(st.id).flatMap(c=>classStudentIds(c.id)))];
+    const rows = inRange.map(g => {
+      const t = g.tests.find(t=>t.student_id===st.id);
+      if (!t) return null;
+      const all = avgScore(g.tests), cls = classIds.length ? avgScore(g.tests.filter(x=>classIds.includes(x.student_id))) : null;
+      return { g, t, pct:pctOf(t.score, g.totalScore), all:pctOf(all, g.totalScore), cls:pctOf(cls, g.totalScore), attempts:attemptsByResult[t.id]||[] };
+    }).filter(Boolean);
+    const scored = rows.filter(r=>r.pct!==null);
+    return { st, rows, avg:scored.length?scored.reduce((a,r)=>a+r.pct,0)/scored.length:null, allAvg:scored.length?scored.reduce((a,r)=>a+r.all,0)/scored.length:null };
+  };
+  const cards = sorted.filter(s=>ids.includes(s.id)).map(cardFor);
+  const cell = { padding:"8px 10px", borderBottom:"1px solid #E8EAF2", fontSize:13, color:T.text };
+
+  return (
+    <div style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",zIndex:1000,overflowY:"auto",padding:20}}>
+      <style>{`@media print { body * { visibility:hidden; } #report-cards, #report-cards * { visibility:visible; } #report-cards { position:absolute; left:0; top:0; width:100%; } .report-page { box-shadow:none !important; margin:0 !important; page-break-after:always; } .no-print { display:none !important; } }`}</style>
+      <div className="no-print" style={{background:"white",borderRadius:T.radius,padding:20,maxWidth:800,margin:"0 auto 16px",display:"flex",flexWrap:"wrap",gap:10,alignItems:"center"}}>
+        <select value="" onChange={e=>e.target.value&&setIds(e.target.value==="all"?students.map(s=>s.id):[...new Set([...ids,e.target.value])])} style={{...inputStyle,width:180,padding:"8px 10px",fontSize:13}}>
+          <option value="">+ 학생 추가</option><option value="all">전체 학생</option>
+          {sorted.filter(s=>!ids.includes(s.id)).map(s=><option key={s.id} value={s.id}>{s.name} ({s.grade})</option>)}
+        </select>
+        <input type="date" value={from} onChange={e=>setFrom(e.target.value)} style={{...inputStyle,width:150,padding:"8px 10px",fontSize:13}} />
+        <span style={{color:T.textSec}}>~</span>
+        <input type="date" value={to} onChange={e=>setTo(e.target.value)} style={{...inputStyle,width:150,padding:"8px 10px",fontSize:13}} />
+        <div style={{marginLeft:"auto",display:"flex",gap:8}}>
+          <button onClick={()=>window.print()} disabled={!cards.length} style={{padding:"10px 20px",borderRadius:10,border:"none",background:cards.length?T.primary:T.textLight,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>🖨 인쇄 / PDF</button>
+          <button onClick={onClose} style={{padding:"10px 20px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>닫기</button>
+        </div>
+        {ids.length>0&&<div style={{width:"100%",display:"flex",flexWrap:"wrap",gap:4}}>{sorted.filter(s=>ids.includes(s.id)).map(s=><span key={s.id} style={chipStyleFor(T)}>{s.name}<span onClick={()=>setIds(ids.filter(i=>i!==s.id))} style={{cursor:"pointer",color:T.textLight}}>×</span></span>)}</div>}
+      </div>
+      {cards.length===0&&<div className="no-print" style={{textAlign:"center",color:"white",padding:40,fontSize:15,fontWeight:600}}>성적표를 만들 학생을 선택하세요.</div>}
+      <div id="report-cards">
+        {cards.map(({st,rows,avg,allAvg})=>(
+          <div key={st.id} className="report-page" style={{background:"white",maxWidth:800,margin:"0 auto 16px",padding:"40px 44px",boxShadow:T.shadowLg,fontFamily:"'Pretendard',sans-serif"}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-end",borderBottom:`2px solid ${T.text}`,paddingBottom:12,marginBottom:20}}>
+              <div style={{display:"flex",alignItems:"center",gap:12}}><AcademyLogo size={40} /><div><div style={{fontSize:12,color:T.textSec}}>{settings.name} 테스트 관리 시스템</div><h1 style={{fontSize:24,fontWeight:800,color:T.text,margin:"4px 0 0"}}>성적표</h1></div></div>
+              <div style={{textAlign:"right",fontSize:13,color:T.textSec}}>{formatDate(from)} ~ {formatDate(to)}</div>
+            </div>
+            <div style={{display:"flex",gap:32,marginBottom:20,fontSize:14}}>
+              <div><span style={{color:T.textSec}}>이름 </span><b>{st.name}</b></div>
+              <div><span style={{color:T.textSec}}>학년 </span><b>{st.grade}</b></div>
+              {classesOf(st.id).length>0&&<div><span style={{color:T.textSec}}>반 </span><b>{classesOf(st.id).map(c=>c.name).join(", ")}</b></div>}
+              <div><span style={{color:T.textSec}}>응시 </span><b>{rows.length}회</b></div>
+              <div><span style={{color:T.textSec}}>평균 </span><b>{avg===null?"-":`${avg.toFixed(1)}%`}</b>{allAvg!==null&&<span style={{color:T.textSec}}> (전체 {allAvg.toFixed(1)}%)</span>}</div>
+            </div>
+            <table style={{width:"100%",borderCollapse:"collapse"}}>
+              <thead><tr style={{background:T.bg}}>{["날짜","테스트","점수","백분율","반 평균","전체 평균","재시험"].map(h=><th key={h} style={{...cell,fontWeight:700,color:T.textSec,fontSize:12,textAlign:"left"}}>{h}</th>)}</tr></thead>
+              <tbody>
+                {rows.map(({g,t,pct,all,cls,attempts})=>(
+                  <tr key={t.id}>
+                    <td style={cell}>{formatDate(g.testDate)}</td>
+                    <td style={{...cell,fontWeight:600}}>{g.testName}</td>
+                    <td style={cell}>{missedTest(t)?attendanceText(t):`${t.score??"-"}/${g.totalScore}${t.attendance==="late"?" (지각)":""}`}</td>
+                    <td style={{...cell,fontWeight:700}}>{pct===null?(missedTest(t)?"-":"미입력"):`${pct.toFixed(0)}%`}</td>
+                    <td style={cell}>{cls===null?"-":`${cls.toFixed(0)}%`}</td>
+                    <td style={cell}>{all===null?"-":`${all.toFixed(0)}%`}</td>
+                    <td style={{...cell,fontSize:12}}>{attempts.length?attempts.map(a=><div key={a.id}>{a.attempt_no}차 {formatDate(a.scheduled_date)} · {RETEST_STATUS[a.status].label}{a.score!==null&&a.score!==undefined&&` · ${a.score}점`}</div>):"-"}</td>
+                  </tr>
+                ))}
+                {rows.length===0&&<tr><td colSpan={7} style={{...cell,textAlign:"center",color:T.textLight,padding:24}}>기간 내 응시한 테스트가 없습니다.</td></tr>}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── Import Dialog ───
+// Reads a file, shows every row with its problems and only hands the valid rows to onConfirm.
+function ImportDialog({ title, hint, columns, analyze, confirmLabel, onConfirm, onClose }) {
+  const { theme:T } = useSettings();
+  const [items, setItems] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = async (file) => {
+    if (!file) return;
+    setFileName(file.name); setError(""); setItems(null);
+    try { setItems(analyze(await readSpreadsheet(file))); }
+    catch (e) { setError("파일을 읽을 수 없습니다: " + e.message); }
+  };
+  const valid = items ? items.filter(i => i.errors.length === 0) : [];
+  const confirm = async () => {
+    setBusy(true);
+    try { await onConfirm(valid); onClose(); }
+    catch (e) { setError("가져오기 실패: " + e.message); }
+    setBusy(false);
+  };
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:T.radius,padding:28,width:"100%",maxWidth:760,maxHeight:"90vh",display:"flex",flexDirection:"column",boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 4px",color:T.text}}>{title}</h3>
+        <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>{hint}</p>
+        <label style={{display:"block",padding:"18px",border:`2px dashed ${T.border}`,borderRadius:T.radiusSm,textAlign:"center",cursor:"pointer",fontSize:14,color:T.textSec,marginBottom:16}}>
+          📄 {fileName||"CSV 또는 XLSX 파일 선택"}
+          <input type="file" accept=".csv,.xlsx,.xls" onChange={e=>load(e.target.files[0])} style={{display:"none"}} />
+        </label>
+        {error&&<p style={{color:T.danger,fontSize:13,margin:"0 0 12px"}}>{error}</p>}
+        {items&&(<>
+          <div style={{fontSize:13,color:T.textSec,marginBottom:8}}>총 {items.length}행 · <span style={{color:T.success,fontWeight:700}}>가져오기 {valid.length}</span> · <span style={{color:items.length-valid.length?T.danger:T.textSec,fontWeight:700}}>오류 {items.length-valid.length}</span> (오류가 있는 행은 건너뜁니다)</div>
+          <div style={{flex:1,overflowY:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:16}}>
+            <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+              <thead><tr style={{background:T.bg,position:"sticky",top:0}}><th style={{...thStyle,width:50}}>줄</th>{columns.map(c=><th key={c.key} style={thStyle}>{c.label}</th>)}<th style={thStyle}>확인</th></tr></thead>
+              <tbody>
+                {items.map(i=>(
+                  <tr key={i.line} style={{background:i.errors.length?T.dangerLight:"white"}}>
+                    <td style={{...tdStyle,fontSize:12,color:T.textLight}}>{i.line}</td>
+                    {columns.map(c=><td key={c.key} style={{...tdStyle,fontSize:13}}>{c.render?c.render(i):(i[c.key]||"-")}</td>)}
+                    <td style={{...tdStyle,fontSize:12,color:i.errors.length?T.danger:T.success,fontWeight:600}}>{i.errors.length?i.errors.join(", "):"✓"}</td>
+                  </tr>
                 ))}
+              </tbody>
+            </table>
+          </div>
+        </>)}
+        <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
+          <button onClick={onClose} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+          <button onClick={confirm} disabled={busy||valid.length===0} style={{padding:"12px 32px",borderRadius:10,border:"none",background:busy||valid.length===0?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{busy?"처리 중...":confirmLabel(valid.length)}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Student Lifecycle (owner only) ───
+function GradesEditor({ grades, students, refreshData, onClose }) {
+  const { theme:T } = useSettings();
+  const [list, setList] = useState(grades);
+  const [name, setName] = useState("");
+  const [saving, setSaving] = useState(false);
+  const inUse = (g) => students.filter(s => isActive(s) && s.grade === g).length;
+
+  const add = () => {
+    if (!name.trim() || list.includes(name.trim())) return;
+    setList([...list, name.trim()]); setName("");
+  };
+  const move = (i, d) => { const l = [...list]; [l[i], l[i + d]] = [l[i + d], l[i]]; setList(l); };
+  const save = async () => {
+    setSaving(true);
+    try { await repo.grades.save(list); await refreshData(); onClose(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const smallBtn = { padding:"2px 8px", borderRadius:6, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:12, fontWeight:600, cursor:"pointer", fontFamily:"inherit" };
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:20,padding:28,width:"100%",maxWidth:420,maxHeight:"85vh",overflowY:"auto",boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:17,fontWeight:800,color:T.text,margin:"0 0 4px"}}>⚙️ 학년 설정</h3>
+        <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>새 학년도 진급 시 이 순서대로 한 학년씩 올라가며, 마지막 학년은 졸업 처리됩니다.</p>
+        {list.map((g,i)=>(
+          <div key={g} style={{display:"flex",alignItems:"center",gap:8,padding:"8px 12px",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:6}}>
+            <span style={{fontSize:12,color:T.textLight,width:18}}>{i+1}</span>
+            <span style={{flex:1,fontSize:14,fontWeight:700,color:T.text}}>{g}</span>
+            <span style={{fontSize:12,color:T.textSec}}>{inUse(g)}명</span>
+            <button onClick={()=>move(i,-1)} disabled={i===0} style={smallBtn}>↑</button>
+            <button onClick={()=>move(i,1)} disabled={i===list.length-1} style={smallBtn}>↓</button>
+            <button onClick={()=>setList(list.filter(x=>x!==g))} disabled={inUse(g)>0} title={inUse(g)>0?"재원 중인 학생이 있는 학년은 삭제할 수 없습니다":undefined} style={{...smallBtn,color:inUse(g)>0?T.textLight:T.danger}}>삭제</button>
+          </div>
+        ))}
+        <div style={{display:"flex",gap:6,margin:"10px 0 16px"}}>
+          <input value={name} onChange={e=>setName(e.target.value)} onKeyDown={e=>e.key==="Enter"&&add()} placeholder="예: 초6" style={{...inputStyle,padding:"8px 10px",fontSize:13}} />
+          <button onClick={add} style={{padding:"8px 14px",borderRadius:8,border:"none",background:T.primary,color:"white",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>추가</button>
+        </div>
+        <div style={{display:"flex",gap:10}}>
+          <button onClick={onClose} style={{flex:1,padding:"12px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+          <button onClick={save} disabled={saving||!list.length} style={{flex:1,padding:"12px",borderRadius:10,border:"none",background:saving||!list.length?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{saving?"저장 중...":"저장"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Previews every active student's next grade; rows can be changed before the whole set is applied at once.
+function RolloverWizard({ students, grades, refreshData, onClose }) {
+  const { theme:T } = useSettings();
+  const sorted = useMemo(() => [...students].sort((a,b)=>(grades.indexOf(a.grade)-grades.indexOf(b.grade))||a.name.localeCompare(b.name,"ko")), [students, grades]);
+  const [plan, setPlan] = useState(() => Object.fromEntries(students.map(s => [s.id, promote(s, grades)])));
+  const [saving, setSaving] = useState(false);
+  const setRow = (id, patch) => setPlan(p => ({ ...p, [id]:{ ...p[id], ...patch } }));
+
+  const changes = sorted.filter(s => plan[s.id].grade !== s.grade || plan[s.id].status !== "active");
+  const count = (st) => changes.filter(s => plan[s.id].status === st).length;
+  const promoted = changes.filter(s => plan[s.id].status === "active").length;
+
+  const apply = async () => {
+    if (!confirm(`진급 ${promoted}명, 졸업 ${count("graduated")}명, 보관 ${count("archived")}명을 반영하시겠습니까?`)) return;
+    setSaving(true);
+    try {
+      await repo.students.rollover(changes.map(s => ({ student_id:s.id, ...plan[s.id] })));
+      await refreshData(); onClose();
+    } catch (e) { alert("반영 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:20,padding:28,width:"100%",maxWidth:680,maxHeight:"85vh",display:"flex",flexDirection:"column",boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:17,fontWeight:800,color:T.text,margin:"0 0 4px"}}>🎓 새 학년도 진급</h3>
+        <p style={{fontSize:12,color:T.textSec,margin:"0 0 12px"}}>재원 중인 학생을 학년 설정 순서대로 한 학년씩 올립니다. {grades.at(-1)} 학생은 졸업 처리되며, 테스트 기록은 그대로 유지됩니다.</p>
+        <div style={{display:"flex",gap:8,marginBottom:12,fontSize:13}}>
+          <span style={chipStyleFor(T)}>진급 {promoted}명</span>
+          <span style={{...chipStyle,background:STUDENT_STATUS.graduated.bg,color:STUDENT_STATUS.graduated.color}}>졸업 {count("graduated")}명</span>
+          <span style={{...chipStyle,background:STUDENT_STATUS.archived.bg,color:STUDENT_STATUS.archived.color}}>보관 {count("archived")}명</span>
+          <span style={{...chipStyle,background:T.bg,color:T.textSec}}>변경 없음 {sorted.length-changes.length}명</span>
+        </div>
+        <div style={{flex:1,overflowY:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:16}}>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13}}>
+            <thead><tr style={{background:T.bg,position:"sticky",top:0}}><th style={thStyle}>이름</th><th style={{...thStyle,width:90}}>현재 학년</th><th style={{...thStyle,width:130}}>새 학년</th><th style={{...thStyle,width:120}}>상태</th></tr></thead>
+            <tbody>
+              {sorted.map(s=>{const r=plan[s.id];return (
+                <tr key={s.id} style={{background:r.grade!==s.grade||r.status!=="active"?"#FAFBFF":"white"}}>
+                  <td style={{...tdStyle,fontWeight:600}}>{s.name}{!grades.includes(s.grade)&&<span title="학년 설정에 없는 학년은 자동으로 진급하지 않습니다" style={{...chipStyle,background:T.warningLight,color:"#92400E",marginLeft:6}}>목록에 없음</span>}</td>
+                  <td style={tdStyle}>{s.grade}</td>
+                  <td style={tdStyle}>
+                    <select value={r.grade} onChange={e=>setRow(s.id,{grade:e.target.value})} disabled={r.status!=="active"} style={{...inputStyle,padding:"4px 6px",fontSize:13}}>
+                      {(grades.includes(r.grade)?grades:[r.grade,...grades]).map(g=><option key={g}>{g}</option>)}
+                    </select>
+                  </td>
+                  <td style={tdStyle}>
+                    <select value={r.status} onChange={e=>setRow(s.id,{status:e.target.value})} style={{...inputStyle,padding:"4px 6px",fontSize:13,color:STUDENT_STATUS[r.status].color}}>
+                      {Object.entries(STUDENT_STATUS).map(([k,v])=><option key={k} value={k}>{k==="active"?"재원 (진급)":v.label}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              );})}
+              {sorted.length===0&&<tr><td colSpan={4} style={{...tdStyle,textAlign:"center",color:T.textLight}}>재원 중인 학생이 없습니다.</td></tr>}
+            </tbody>
+          </table>
+        </div>
+        <div style={{display:"flex",gap:10}}>
+          <button onClick={onClose} style={{flex:1,padding:"12px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+          <button onClick={apply} disabled={saving||!changes.length} style={{flex:1,padding:"12px",borderRadius:10,border:"none",background:saving||!changes.length?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{saving?"반영 중...":`${changes.length}명 반영`}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Settings ───
+// The owner edits the academy settings; every staff member can change their own password here.
+function SettingsPanel({ isOwner, grades, pinIsDefault, onPinChanged, onEditGrades, onSaved }) {
+  const { settings, theme:T } = useSettings();
+  const [form, setForm] = useState(() => ({ ...settings, default_grade:settings.default_grade||"", default_total_score:String(settings.default_total_score), pin_min_length:String(settings.pin_min_length),
+    score_bands:settings.score_bands.map(b => ({ min:String(b.min), label:b.label })) }));
+  const [pins, setPins] = useState({ current:"", next:"", confirm:"" });
+  const [saving, setSaving] = useState(false);
+  const set = (field, value) => setForm(p => ({ ...p, [field]:value }));
+  const bands = form.score_bands.map(b => ({ min:Number(b.min), label:b.label.trim() }));
+  const setBand = (i, patch) => setForm(p => ({ ...p, score_bands:p.score_bands.map((b, j) => j === i ? { ...b, ...patch } : b) }));
+  const addBand = () => setForm(p => ({ ...p, score_bands:[...p.score_bands.slice(0, -1), { min:String(Math.round(Number(p.score_bands.at(-2).min) / 2)), label:"" }, p.score_bands.at(-1)] }));
+
+  // Logos are stored in the settings row, so they are scaled down to a small PNG first.
+  const pickLogo = (file) => {
+    if (!file) return;
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, 200 / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale); canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(img.src);
+      const url = canvas.toDataURL("image/png");
+      if (url.length > 300000) alert("로고 이미지가 너무 큽니다."); else set("logo", url);
+    };
+    img.onerror = () => { URL.revokeObjectURL(img.src); alert("이미지를 읽을 수 없습니다."); };
+    img.src = URL.createObjectURL(file);
+  };
+
+  const save = async () => {
+    if (!form.name.trim()) { alert("학원 이름을 입력하세요."); return; }
+    if (!(Number(form.default_total_score) > 0)) { alert("기본 만점을 확인하세요."); return; }
+    if (bands.some((b, i) => !(b.min >= 0 && b.min <= 100) || (i > 0 && b.min >= bands[i - 1].min))) { alert("점수 구간은 높은 기준부터 차례로 입력하세요."); return; }
+    setSaving(true);
+    try {
+      await repo.settings.save({ name:form.name.trim(), logo:form.logo, primary_color:form.primary_color, default_grade:form.default_grade||null, default_total_score:Number(form.default_total_score),
+        default_pin:form.default_pin, pin_min_length:Number(form.pin_min_length), pin_numeric:form.pin_numeric, score_bands:bands });
+      await onSaved();
+    } catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const changePin = async () => {
+    if (pins.next !== pins.confirm) { alert("새 비밀번호가 서로 다릅니다."); return; }
+    if (pinProblem(pins.next, settings)) { alert(pinProblem(pins.next, settings)); return; }
+    setSaving(true);
+    try { await repo.settings.changePin(pins.current, pins.next); setPins({ current:"", next:"", confirm:"" }); onPinChanged(); alert("비밀번호를 변경했습니다."); }
+    catch (e) { alert("변경 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const card = { background:"white", borderRadius:T.radius, border:`1px solid ${T.border}`, padding:24, marginBottom:20 };
+  const smallBtn = { padding:"6px 12px", borderRadius:8, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:12, fontWeight:600, cursor:"pointer", fontFamily:"inherit" };
+  return (
+    <div>
+      <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:"0 0 20px"}}>설정</h2>
+      {isOwner && <>
+        <div style={card}>
+          <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 16px"}}>🏫 학원 정보</h3>
+          <div style={{display:"grid",gridTemplateColumns:"2fr 1fr 2fr",gap:14,alignItems:"end"}}>
+            <div><label style={labelStyle}>학원 이름</label><input value={form.name} onChange={e=>set("name",e.target.value)} style={inputStyle} /></div>
+            <div><label style={labelStyle}>대표 색상</label><input type="color" value={form.primary_color} onChange={e=>set("primary_color",e.target.value.toUpperCase())} style={{...inputStyle,padding:4,height:46,cursor:"pointer"}} /></div>
+            <div>
+              <label style={labelStyle}>로고</label>
+              <div style={{display:"flex",alignItems:"center",gap:10,minHeight:46}}>
+                {form.logo ? <img src={form.logo} alt="" style={{height:40,maxWidth:120,objectFit:"contain"}} /> : <span style={{fontSize:13,color:T.textLight}}>없음</span>}
+                <label style={{...smallBtn,color:T.primary}}>이미지 선택<input type="file" accept="image/*" onChange={e=>{pickLogo(e.target.files[0]);e.target.value="";}} style={{display:"none"}} /></label>
+                {form.logo&&<button onClick={()=>set("logo",null)} style={{...smallBtn,color:T.danger}}>삭제</button>}
               </div>
-            )}
+            </div>
           </div>
-        )}
+        </div>
 
-        {/* Results */}
-        {tab==="results" && (
-          <div>
-            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20,flexWrap:"wrap",gap:12}}>
-              <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>성적 조회</h2>
-              <select value={selectedStudentFilter} onChange={e=>setSelectedStudentFilter(e.target.value)} style={{...inputStyle,width:200}}>
-                <option value="all">전체 학생</option>
-                {students.sort((a,b)=>a.name.localeCompare(b.name,"ko")).map(s=><option key={s.id} value={s.id}>{s.name} ({s.grade})</option>)}
+        <div style={card}>
+          <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 16px"}}>📋 기본값</h3>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:14,alignItems:"end"}}>
+            <div><label style={labelStyle}>새 학생 학년</label>
+              <select value={form.default_grade} onChange={e=>set("default_grade",e.target.value)} style={inputStyle}>
+                <option value="">첫 학년 ({grades[0]})</option>
+                {grades.map(g=><option key={g}>{g}</option>)}
               </select>
             </div>
-            {filteredGroups.length===0 ? (
-              <div style={{textAlign:"center",padding:60,color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>📊</div><p style={{fontSize:15,fontWeight:600}}>조회할 결과가 없습니다.</p></div>
-            ) : filteredGroups.map(g=>(
-              <div key={`${g.testName}__${g.testDate}`} style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,marginBottom:16,overflow:"hidden"}}>
-                <div style={{padding:"14px 20px",background:T.bg,borderBottom:`1px solid ${T.border}`,display:"flex",justifyContent:"space-between",alignItems:"center"}}>
-                  <div><span style={{fontSize:15,fontWeight:700,color:T.text}}>{g.testName}</span><span style={{fontSize:13,color:T.textSec,marginLeft:10}}>{formatDate(g.testDate)} · 만점 {g.totalScore}점</span></div>
-                  <div style={{fontSize:13,color:T.textSec}}>평균: {(()=>{const sc=g.tests.filter(t=>t.score!==null);return sc.length===0?"-":(sc.reduce((a,b)=>a+b.score,0)/sc.length).toFixed(1);})()}점</div>
-                </div>
-                <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
-                  <thead><tr style={{background:"#FAFBFF"}}><th style={thStyle}>이름</th><th style={thStyle}>학년</th><th style={thStyle}>점수</th><th style={thStyle}>재시험</th><th style={thStyle}>사유</th></tr></thead>
-                  <tbody>
-                    {g.tests.filter(t=>selectedStudentFilter==="all"||t.student_id===selectedStudentFilter).map(t=>{
-                      const st=students.find(s=>s.id===t.student_id); if(!st)return null;
-                      const pct=t.score!==null?(t.score/(t.total_score||100))*100:null;
-                      return (
-                        <tr key={t.id}>
-                          <td style={{...tdStyle,fontWeight:600}}>{st.name}</td><td style={tdStyle}>{st.grade}</td>
-                          <td style={tdStyle}>{t.score!==null?<span style={{fontWeight:700,color:pct>=90?T.success:pct>=70?T.primary:pct>=50?T.warning:T.danger}}>{t.score}/{t.total_score} <span style={{fontSize:11,color:T.textSec}}>({pct.toFixed(0)}%)</span></span>:<span style={{color:T.textLight}}>미입력</span>}</td>
-                          <td style={tdStyle}>{t.retest_date?<span style={{background:T.accentLight,color:T.accent,padding:"2px 8px",borderRadius:4,fontSize:12,fontWeight:600}}>{formatDate(t.retest_date)}</span>:"-"}</td>
-                          <td style={{...tdStyle,color:T.textSec}}>{t.retest_reason||"-"}</td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
-              </div>
+            <div><label style={labelStyle}>학년 목록</label><button onClick={onEditGrades} style={{...inputStyle,background:"white",color:T.primary,fontWeight:600,cursor:"pointer",textAlign:"left"}}>⚙️ {grades.join(" · ")}</button></div>
+            <div><label style={labelStyle}>새 테스트 만점</label><input type="number" min="1" value={form.default_total_score} onChange={e=>set("default_total_score",e.target.value)} style={inputStyle} /></div>
+          </div>
+        </div>
+
+        <div style={card}>
+          <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 4px"}}>🔢 학생 비밀번호 규칙</h3>
+          <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>새로 정하거나 바꾸는 학생 비밀번호에 적용됩니다. 기존 비밀번호는 그대로 사용할 수 있습니다.</p>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:14,alignItems:"end"}}>
+            <div><label style={labelStyle}>초기 비밀번호</label><input value={form.default_pin} onChange={e=>set("default_pin",e.target.value)} style={inputStyle} /></div>
+            <div><label style={labelStyle}>최소 길이</label><input type="number" min="4" max="20" value={form.pin_min_length} onChange={e=>set("pin_min_length",e.target.value)} style={inputStyle} /></div>
+            <label style={{display:"flex",alignItems:"center",gap:8,fontSize:14,color:T.text,cursor:"pointer",height:46}}><input type="checkbox" checked={form.pin_numeric} onChange={e=>set("pin_numeric",e.target.checked)} /> 숫자만 허용</label>
+          </div>
+        </div>
+
+        <div style={card}>
+          <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 4px"}}>🎯 점수 구간</h3>
+          <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>점수 색상과 결과 분포에 쓰입니다. 높은 기준부터 입력하며, 이름을 비워 두면 범위가 표시됩니다.</p>
+          {form.score_bands.map((b,i)=>(
+            <div key={i} style={{display:"flex",alignItems:"center",gap:8,marginBottom:8}}>
+              <span style={{width:14,height:14,borderRadius:4,background:bandColor(i,form.score_bands.length),flexShrink:0}} />
+              <input type="number" min="0" max="100" value={b.min} disabled={i===form.score_bands.length-1} onChange={e=>setBand(i,{min:e.target.value})} style={{...inputStyle,width:80,padding:"8px 10px",fontSize:13,textAlign:"center"}} />
+              <span style={{fontSize:13,color:T.textSec}}>% 이상</span>
+              <input value={b.label} onChange={e=>setBand(i,{label:e.target.value})} placeholder={bandLabel(bands.map(x=>({...x,label:""})),i)} style={{...inputStyle,padding:"8px 10px",fontSize:13,flex:1}} />
+              <button onClick={()=>set("score_bands",form.score_bands.filter((_,j)=>j!==i))} disabled={i===form.score_bands.length-1||form.score_bands.length<=2} style={{...smallBtn,color:i===form.score_bands.length-1||form.score_bands.length<=2?T.textLight:T.danger}}>삭제</button>
+            </div>
+          ))}
+          {form.score_bands.length<6&&<button onClick={addBand} style={{...smallBtn,color:T.primary}}>+ 구간 추가</button>}
+        </div>
+
+        <div style={{display:"flex",justifyContent:"flex-end",marginBottom:32}}>
+          <button onClick={save} disabled={saving} style={{padding:"12px 32px",borderRadius:10,border:"none",background:saving?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>💾 {saving?"저장 중...":"설정 저장"}</button>
+        </div>
+      </>}
+
+      <div style={card}>
+        <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 16px"}}>🔐 내 비밀번호 변경</h3>
+        {pinIsDefault&&<div style={{background:T.warningLight,color:"#92400E",borderRadius:T.radiusSm,padding:"10px 14px",fontSize:13,fontWeight:600,marginBottom:16}}>⚠️ 아직 초기 비밀번호를 사용하고 있습니다. 새 비밀번호로 바꿔 주세요.</div>}
+        <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr auto",gap:14,alignItems:"end"}}>
+          <div><label style={labelStyle}>현재 비밀번호</label><input type="password" value={pins.current} onChange={e=>setPins(p=>({...p,current:e.target.value}))} style={inputStyle} /></div>
+          <div><label style={labelStyle}>새 비밀번호</label><input type="password" value={pins.next} onChange={e=>setPins(p=>({...p,next:e.target.value}))} style={inputStyle} /></div>
+          <div><label style={labelStyle}>새 비밀번호 확인</label><input type="password" value={pins.confirm} onChange={e=>setPins(p=>({...p,confirm:e.target.value}))} onKeyDown={e=>e.key==="Enter"&&changePin()} style={inputStyle} /></div>
+          <button onClick={changePin} disabled={saving||!pins.current||!pins.next} style={{padding:"13px 24px",borderRadius:10,border:"none",background:saving||!pins.current||!pins.next?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>변경</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// The restore preview is planned against a fresh export of the current data, so it shows exactly what the restore will do.
+function BackupPanel({ user, onRestored }) {
+  const { settings, theme:T } = useSettings();
+  const [busy, setBusy] = useState(false);
+  const [restore, setRestore] = useState(null);
+  const plan = useMemo(() => restore && planRestore(restore.current, restore.backup.data, restore.mode, user.id), [restore, user.id]);
+
+  const download = async () => {
+    setBusy(true);
+    try { await downloadBackup(await repo.backup.export(), settings.name); }
+    catch (e) { alert("백업 실패: " + e.message); }
+    setBusy(false);
+  };
+
+  const pickFile = async (file) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const backup = await readBackup(await file.text());
+      setRestore({ backup, current:await repo.backup.export(), mode:"merge" });
+    } catch (e) { alert("복원할 수 없습니다: " + e.message); }
+    setBusy(false);
+  };
+
+  const apply = async () => {
+    const replace = restore.mode === "replace";
+    if (!confirm(replace ? "지금 데이터를 모두 지우고 백업 내용으로 바꾸시겠습니까?\n복원 전에 현재 데이터를 백업 파일로 먼저 내려받습니다." : "백업 내용을 현재 데이터에 합치시겠습니까?")) return;
+    setBusy(true);
+    try {
+      if (replace) await downloadBackup(restore.current, settings.name, "복원전_백업");
+      await repo.backup.restore(plan.data, restore.mode, restore.backup.schema_version);
+      setRestore(null); await onRestored();
+      alert("복원했습니다.");
+    } catch (e) { alert("복원 실패: " + e.message); }
+    setBusy(false);
+  };
+
+  const names = (list) => list.filter(Boolean).slice(0, 8).join(", ") + (list.length > 8 ? ` 외 ${list.length - 8}개` : "");
+  const tables = plan ? Object.keys(BACKUP_LABELS).filter(t => restore.backup.data[t]?.length || plan.diff[t].removed.length) : [];
+  const card = { background:"white", borderRadius:T.radius, border:`1px solid ${T.border}`, padding:24, marginBottom:20 };
+  const modeBtn = (mode, label, hint) => (
+    <label style={{flex:1,display:"flex",gap:10,padding:"12px 14px",borderRadius:T.radiusSm,border:`2px solid ${restore.mode===mode?(mode==="replace"?T.danger:T.primary):T.border}`,cursor:"pointer"}}>
+      <input type="radio" checked={restore.mode===mode} onChange={()=>setRestore(p=>({...p,mode}))} />
+      <div><div style={{fontSize:14,fontWeight:700,color:T.text}}>{label}</div><div style={{fontSize:12,color:T.textSec,marginTop:2}}>{hint}</div></div>
+    </label>
+  );
+  return (
+    <div style={card}>
+      <h3 style={{fontSize:16,fontWeight:700,color:T.text,margin:"0 0 4px"}}>💾 백업 및 복원</h3>
+      <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>학생, 테스트, 점수, 계정, 설정을 모두 JSON 파일 하나로 내려받습니다. 비밀번호(암호화된 값)도 들어 있으니 안전한 곳에 보관하세요.</p>
+      <div style={{display:"flex",gap:10}}>
+        <button onClick={download} disabled={busy} style={{padding:"10px 20px",borderRadius:10,border:"none",background:busy?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>⬇️ 백업 파일 받기</button>
+        <label style={{padding:"10px 20px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.text,fontSize:14,fontWeight:600,cursor:busy?"default":"pointer",opacity:busy?0.6:1}}>
+          ⬆️ 백업 파일로 복원<input type="file" accept=".json,application/json" disabled={busy} onChange={e=>{pickFile(e.target.files[0]);e.target.value="";}} style={{display:"none"}} />
+        </label>
+      </div>
+
+      {plan && (
+        <div style={{marginTop:20,paddingTop:20,borderTop:`1px solid ${T.border}`}}>
+          <div style={{fontSize:14,color:T.text,marginBottom:12}}><b>{restore.backup.academy}</b> · {new Date(restore.backup.created_at).toLocaleString("ko-KR")}에 만든 백업 <span style={{color:T.textLight}}>(버전 {restore.backup.schema_version})</span></div>
+          <div style={{display:"flex",gap:10,marginBottom:16}}>
+            {modeBtn("merge","합치기","백업의 항목을 추가하고, 같은 항목은 백업 내용으로 바꿉니다. 백업에 없는 지금 데이터는 그대로 둡니다.")}
+            {modeBtn("replace","전체 바꾸기","지금 데이터를 모두 지우고 백업 내용으로 바꿉니다. 로그인한 계정은 유지됩니다.")}
+          </div>
+          <table style={{width:"100%",borderCollapse:"collapse",fontSize:13,marginBottom:12}}>
+            <thead><tr style={{background:T.bg}}><th style={thStyle}>항목</th><th style={{...thStyle,textAlign:"right"}}>추가</th><th style={{...thStyle,textAlign:"right"}}>변경</th><th style={{...thStyle,textAlign:"right"}}>동일</th>{restore.mode==="replace"&&<th style={{...thStyle,textAlign:"right"}}>삭제</th>}</tr></thead>
+            <tbody>
+              {tables.map(t=>{const d=plan.diff[t];return (
+                <tr key={t}>
+                  <td style={{...tdStyle,padding:"6px 12px"}}>{BACKUP_LABELS[t]}</td>
+                  <td style={{...tdStyle,padding:"6px 12px",textAlign:"right",color:d.added.length?T.success:T.textLight,fontWeight:d.added.length?700:400}}>{d.added.length}</td>
+                  <td style={{...tdStyle,padding:"6px 12px",textAlign:"right",color:d.changed.length?T.primary:T.textLight,fontWeight:d.changed.length?700:400}}>{d.changed.length}</td>
+                  <td style={{...tdStyle,padding:"6px 12px",textAlign:"right",color:T.textLight}}>{d.unchanged}</td>
+                  {restore.mode==="replace"&&<td style={{...tdStyle,padding:"6px 12px",textAlign:"right",color:d.removed.length?T.danger:T.textLight,fontWeight:d.removed.length?700:400}}>{d.removed.length}</td>}
+                </tr>
+              );})}
+            </tbody>
+          </table>
+          {["students","test_sessions"].map(t=>[["added","추가",T.success],["changed","변경",T.primary],["removed","삭제",T.danger]].map(([k,label,color])=>plan.diff[t][k].length>0&&(
+            <div key={t+k} style={{fontSize:12,color:T.textSec,marginBottom:4}}><span style={{fontWeight:700,color}}>{BACKUP_LABELS[t]} {label}</span> {names(plan.diff[t][k])}</div>
+          )))}
+          {plan.remapped>0&&<div style={{fontSize:12,color:T.textSec,marginTop:8}}>🔗 아이디가 다른 {plan.remapped}개 항목은 로그인 아이디·이름이 같은 기존 항목과 연결하고, 점수 등의 연결도 함께 맞춥니다.</div>}
+          <div style={{display:"flex",gap:10,justifyContent:"flex-end",marginTop:16}}>
+            <button onClick={()=>setRestore(null)} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+            <button onClick={apply} disabled={busy} style={{padding:"12px 32px",borderRadius:10,border:"none",background:busy?T.textLight:restore.mode==="replace"?T.danger:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{busy?"복원 중...":restore.mode==="replace"?"전체 바꾸기":"합치기"}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Accounts (owner only) ───
+function AccountsPanel({ user, students }) {
+  const { theme:T } = useSettings();
+  const [accounts, setAccounts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [assigning, setAssigning] = useState(null);
+
+  const load = async () => {
+    try { setAccounts(await repo.staffAccounts.list()); }
+    catch (e) { alert("계정 목록을 불러오지 못했습니다: " + e.message); }
+  };
+  useEffect(() => { load(); }, []);
+
+  const save = async () => {
+    if (!editing.login_id.trim() || !editing.name.trim()) return;
+    if (!editing.id && !editing.pin) { alert("비밀번호를 입력하세요."); return; }
+    setSaving(true);
+    try {
+      await repo.staffAccounts.save(editing);
+      setEditing(null); await load();
+    } catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const remove = async (a) => {
+    if (!confirm(`"${a.name}" 계정을 삭제하시겠습니까?`)) return;
+    setSaving(true);
+    try { await repo.staffAccounts.remove(a.id); await load(); }
+    catch (e) { alert("삭제 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const saveAssignment = async () => {
+    setSaving(true);
+    try { await repo.staffAccounts.assignStudents(assigning.id, assigning.student_ids); setAssigning(null); await load(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+  const toggleAssigned = (id) => setAssigning(p => ({ ...p, student_ids: p.student_ids.includes(id) ? p.student_ids.filter(s=>s!==id) : [...p.student_ids,id] }));
+
+  const sorted = [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko"));
+
+  return (
+    <div>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20}}>
+        <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>계정 관리 <span style={{color:T.textLight,fontWeight:500}}>({accounts.length}명)</span></h2>
+        <button onClick={()=>setEditing({login_id:"",name:"",role:"teacher",pin:""})} style={{padding:"10px 20px",borderRadius:10,border:"none",background:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>+ 새 계정</button>
+      </div>
+
+      {editing && (
+        <div style={{background:"white",borderRadius:T.radius,padding:28,boxShadow:T.shadowLg,marginBottom:24,border:`1px solid ${T.border}`}}>
+          <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 20px",color:T.text}}>{editing.id?"계정 수정":"새 계정 등록"}</h3>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr 1fr",gap:14,marginBottom:20}}>
+            <div><label style={labelStyle}>이름</label><input value={editing.name} onChange={e=>setEditing(p=>({...p,name:e.target.value}))} placeholder="예: 김선생" style={inputStyle} /></div>
+            <div><label style={labelStyle}>아이디</label><input value={editing.login_id} onChange={e=>setEditing(p=>({...p,login_id:e.target.value}))} placeholder="아이디" style={inputStyle} /></div>
+            <div><label style={labelStyle}>역할</label><select value={editing.role} disabled={editing.id===user.id} onChange={e=>setEditing(p=>({...p,role:e.target.value}))} style={inputStyle}>{Object.entries(STAFF_ROLES).map(([k,v])=><option key={k} value={k}>{v}</option>)}</select></div>
+            <div><label style={labelStyle}>{editing.id?"새 비밀번호 (변경 시)":"비밀번호"}</label><input type="password" value={editing.pin} onChange={e=>setEditing(p=>({...p,pin:e.target.value}))} style={inputStyle} /></div>
+          </div>
+          <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
+            <button onClick={()=>setEditing(null)} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+            <button onClick={save} disabled={saving} style={{padding:"12px 32px",borderRadius:10,border:"none",background:saving?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>💾 {saving?"저장 중...":"저장"}</button>
+          </div>
+        </div>
+      )}
+
+      {assigning && (
+        <div style={{background:"white",borderRadius:T.radius,padding:28,boxShadow:T.shadowLg,marginBottom:24,border:`1px solid ${T.border}`}}>
+          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:10}}>
+            <h3 style={{fontSize:16,fontWeight:700,margin:0,color:T.text}}>{assigning.name} 담당 학생 <span style={{color:T.textLight,fontWeight:500}}>({assigning.student_ids.length}명)</span></h3>
+            <button onClick={()=>setAssigning(p=>({...p,student_ids:p.student_ids.length===students.length?[]:students.map(s=>s.id)}))} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",fontSize:12,fontWeight:600,cursor:"pointer",color:T.primary,fontFamily:"inherit"}}>{assigning.student_ids.length===students.length?"전체 해제":"전체 선택"}</button>
+          </div>
+          <div style={{maxHeight:320,overflowY:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:20}}>
+            {sorted.map(s=>(
+              <label key={s.id} style={{display:"flex",alignItems:"center",gap:10,padding:"8px 14px",borderBottom:`1px solid ${T.border}`,background:assigning.student_ids.includes(s.id)?T.primaryLight:"white",cursor:"pointer",fontSize:14}}>
+                <input type="checkbox" checked={assigning.student_ids.includes(s.id)} onChange={()=>toggleAssigned(s.id)} style={{width:18,height:18}} />
+                <span style={{fontWeight:600,color:T.text}}>{s.name}</span><span style={{fontSize:12,color:T.textSec}}>{s.grade}</span>
+              </label>
+            ))}
+          </div>
+          <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
+            <button onClick={()=>setAssigning(null)} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+            <button onClick={saveAssignment} disabled={saving} style={{padding:"12px 32px",borderRadius:10,border:"none",background:saving?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>💾 {saving?"저장 중...":"저장"}</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+        <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+          <thead><tr style={{background:T.bg}}>
+            <th style={thStyle}>이름</th><th style={{...thStyle,width:140}}>아이디</th><th style={{...thStyle,width:140}}>역할</th><th style={{...thStyle,width:110}}>담당 학생</th><th style={{...thStyle,width:220}}></th>
+          </tr></thead>
+          <tbody>
+            {accounts.map(a=>(
+              <tr key={a.id}>
+                <td style={{...tdStyle,fontWeight:700}}>{a.name||"-"}{a.id===user.id&&<span style={{fontSize:11,color:T.textLight,marginLeft:6}}>(나)</span>}</td>
+                <td style={{...tdStyle,fontFamily:"monospace",fontSize:13}}>{a.login_id}</td>
+                <td style={tdStyle}><span style={{background:a.role==="owner"?T.dangerLight:a.role==="teacher"?T.primaryLight:T.bg,color:a.role==="owner"?T.danger:a.role==="teacher"?T.primary:T.textSec,padding:"2px 10px",borderRadius:6,fontSize:12,fontWeight:700}}>{STAFF_ROLES[a.role]}</span></td>
+                <td style={{...tdStyle,color:T.textSec,fontSize:13}}>{a.role==="owner"?"전체":`${a.student_ids.length}명`}</td>
+                <td style={{...tdStyle,textAlign:"right"}}>
+                  <div style={{display:"flex",gap:6,justifyContent:"flex-end"}}>
+                    {a.role!=="owner"&&<button onClick={()=>{setEditing(null);setAssigning({id:a.id,name:a.name,student_ids:a.student_ids});}} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.border}`,background:"white",color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>담당 학생</button>}
+                    <button onClick={()=>{setAssigning(null);setEditing({id:a.id,login_id:a.login_id,name:a.name||"",role:a.role,pin:""});}} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>수정</button>
+                    {a.id!==user.id&&<button onClick={()=>remove(a)} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Parent Accounts ───
+function ParentAccountsPanel({ students }) {
+  const { theme:T } = useSettings();
+  const [accounts, setAccounts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [search, setSearch] = useState("");
+
+  const load = async () => {
+    try { setAccounts(await repo.parentAccounts.list()); }
+    catch (e) { alert("학부모 계정 목록을 불러오지 못했습니다: " + e.message); }
+  };
+  useEffect(() => { load(); }, []);
+
+  const save = async () => {
+    if (!editing.login_id.trim() || !editing.name.trim()) return;
+    if (!editing.id && !editing.pin) { alert("비밀번호를 입력하세요."); return; }
+    setSaving(true);
+    try {
+      await repo.parentAccounts.save(editing);
+      setEditing(null); await load();
+    } catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  const remove = async (a) => {
+    if (!confirm(`"${a.name}" 학부모 계정을 삭제하시겠습니까?`)) return;
+    setSaving(true);
+    try { await repo.parentAccounts.remove(a.id); await load(); }
+    catch (e) { alert("삭제 실패: " + e.message); }
+    setSaving(false);
+  };
+  const toggleChild = (id) => setEditing(p => ({ ...p, student_ids: p.student_ids.includes(id) ? p.student_ids.filter(s=>s!==id) : [...p.student_ids,id] }));
+
+  const sorted = [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko"));
+  const nameOf = (id) => students.find(s=>s.id===id)?.name;
+
+  return (
+    <div style={{marginTop:36}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:20}}>
+        <h2 style={{fontSize:18,fontWeight:700,color:T.text,margin:0}}>학부모 계정 <span style={{color:T.textLight,fontWeight:500}}>({accounts.length}명)</span></h2>
+        <button onClick={()=>{setSearch("");setEditing({login_id:"",name:"",pin:"",student_ids:[]});}} style={{padding:"10px 20px",borderRadius:10,border:"none",background:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>+ 학부모 계정</button>
+      </div>
+
+      {editing && (
+        <div style={{background:"white",borderRadius:T.radius,padding:28,boxShadow:T.shadowLg,marginBottom:24,border:`1px solid ${T.border}`}}>
+          <h3 style={{fontSize:16,fontWeight:700,margin:"0 0 20px",color:T.text}}>{editing.id?"학부모 계정 수정":"새 학부모 계정"}</h3>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:14,marginBottom:16}}>
+            <div><label style={labelStyle}>이름</label><input value={editing.name} onChange={e=>setEditing(p=>({...p,name:e.target.value}))} placeholder="예: 김민수 어머니" style={inputStyle} /></div>
+            <div><label style={labelStyle}>아이디</label><input value={editing.login_id} onChange={e=>setEditing(p=>({...p,login_id:e.target.value}))} placeholder="아이디" style={inputStyle} /></div>
+            <div><label style={labelStyle}>{editing.id?"새 비밀번호 (변경 시)":"비밀번호"}</label><input type="password" value={editing.pin} onChange={e=>setEditing(p=>({...p,pin:e.target.value}))} style={inputStyle} /></div>
+          </div>
+          <label style={labelStyle}>자녀 ({editing.student_ids.length}명)</label>
+          <input value={search} onChange={e=>setSearch(e.target.value)} placeholder="학생 이름 검색" style={{...inputStyle,marginBottom:8}} />
+          <div style={{maxHeight:240,overflowY:"auto",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:20}}>
+            {sorted.filter(s=>editing.student_ids.includes(s.id)||s.name.includes(search.trim())).map(s=>(
+              <label key={s.id} style={{display:"flex",alignItems:"center",gap:10,padding:"8px 14px",borderBottom:`1px solid ${T.border}`,background:editing.student_ids.includes(s.id)?T.primaryLight:"white",cursor:"pointer",fontSize:14}}>
+                <input type="checkbox" checked={editing.student_ids.includes(s.id)} onChange={()=>toggleChild(s.id)} style={{width:18,height:18}} />
+                <span style={{fontWeight:600,color:T.text}}>{s.name}</span><span style={{fontSize:12,color:T.textSec}}>{s.grade}</span><span style={{fontSize:12,color:T.textLight,fontFamily:"monospace"}}>{s.login_id}</span>
+              </label>
+            ))}
+          </div>
+          <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
+            <button onClick={()=>setEditing(null)} style={{padding:"12px 24px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>취소</button>
+            <button onClick={save} disabled={saving} style={{padding:"12px 32px",borderRadius:10,border:"none",background:saving?T.textLight:T.primary,color:"white",fontSize:14,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>💾 {saving?"저장 중...":"저장"}</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,overflow:"hidden"}}>
+        <table style={{width:"100%",borderCollapse:"collapse",fontSize:14}}>
+          <thead><tr style={{background:T.bg}}>
+            <th style={thStyle}>이름</th><th style={{...thStyle,width:140}}>아이디</th><th style={thStyle}>자녀</th><th style={{...thStyle,width:140}}></th>
+          </tr></thead>
+          <tbody>
+            {accounts.length===0&&<tr><td colSpan={4} style={{...tdStyle,textAlign:"center",color:T.textLight}}>등록된 학부모 계정이 없습니다.</td></tr>}
+            {accounts.map(a=>(
+              <tr key={a.id}>
+                <td style={{...tdStyle,fontWeight:700}}>{a.name}</td>
+                <td style={{...tdStyle,fontFamily:"monospace",fontSize:13}}>{a.login_id}</td>
+                <td style={tdStyle}><div style={{display:"flex",flexWrap:"wrap",gap:4}}>{a.student_ids.map(id=><span key={id} style={chipStyleFor(T)}>{nameOf(id)||"?"}</span>)}</div></td>
+                <td style={{...tdStyle,textAlign:"right"}}>
+                  <div style={{display:"flex",gap:6,justifyContent:"flex-end"}}>
+                    <button onClick={()=>{setSearch("");setEditing({id:a.id,login_id:a.login_id,name:a.name,pin:"",student_ids:a.student_ids});}} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.primaryLight}`,background:T.primaryLight,color:T.primary,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>수정</button>
+                    <button onClick={()=>remove(a)} style={{padding:"4px 12px",borderRadius:6,border:`1px solid ${T.dangerLight}`,background:T.dangerLight,color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>
+                  </div>
+                </td>
+              </tr>
             ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Parent Notes ───
+function ParentNotesEditor({ student, notes, canEdit, refreshData, onClose }) {
+  const { theme:T } = useSettings();
+  const [body, setBody] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const add = async () => {
+    if (!body.trim()) return;
+    setSaving(true);
+    try { await repo.parentNotes.insert({ student_id:student.id, body:body.trim() }); setBody(""); await refreshData(); }
+    catch (e) { alert("저장 실패: " + e.message); }
+    setSaving(false);
+  };
+  const remove = async (n) => {
+    if (!confirm("이 메모를 삭제하시겠습니까?")) return;
+    setSaving(true);
+    try { await repo.parentNotes.remove(n.id); await refreshData(); }
+    catch (e) { alert("삭제 실패: " + e.message); }
+    setSaving(false);
+  };
+
+  return (
+    <div onClick={onClose} style={{position:"fixed",top:0,left:0,right:0,bottom:0,background:"rgba(0,0,0,0.4)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1000,padding:20}}>
+      <div onClick={e=>e.stopPropagation()} style={{background:"white",borderRadius:20,padding:28,width:"100%",maxWidth:520,maxHeight:"85vh",overflowY:"auto",boxShadow:T.shadowLg}}>
+        <h3 style={{fontSize:17,fontWeight:800,color:T.text,margin:"0 0 4px"}}>💬 {student.name} 학부모 메모</h3>
+        <p style={{fontSize:12,color:T.textSec,margin:"0 0 16px"}}>학부모 화면에만 표시되며 학생에게는 보이지 않습니다.</p>
+        {canEdit&&(
+          <div style={{marginBottom:16}}>
+            <textarea value={body} onChange={e=>setBody(e.target.value)} rows={3} placeholder="학부모님께 전달할 내용" style={{...inputStyle,resize:"vertical",fontFamily:"inherit"}} />
+            <div style={{display:"flex",justifyContent:"flex-end",marginTop:8}}>
+              <button onClick={add} disabled={saving||!body.trim()} style={{padding:"8px 20px",borderRadius:8,border:"none",background:saving||!body.trim()?T.textLight:T.primary,color:"white",fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>메모 추가</button>
+            </div>
           </div>
         )}
+        {notes.length===0&&<div style={{textAlign:"center",padding:24,color:T.textLight,fontSize:13}}>작성된 메모가 없습니다.</div>}
+        {[...notes].sort((a,b)=>b.created_at.localeCompare(a.created_at)).map(n=>(
+          <div key={n.id} style={{padding:"12px 14px",border:`1px solid ${T.border}`,borderRadius:T.radiusSm,marginBottom:8}}>
+            <div style={{fontSize:14,color:T.text,whiteSpace:"pre-wrap",lineHeight:1.5}}>{n.body}</div>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginTop:6}}>
+              <span style={{fontSize:11,color:T.textLight}}>{n.author_name||"-"} · {formatDate(n.created_at.slice(0,10))}</span>
+              {canEdit&&<button onClick={()=>remove(n)} disabled={saving} style={{padding:"2px 8px",borderRadius:4,border:"none",background:"none",color:T.danger,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>삭제</button>}
+            </div>
+          </div>
+        ))}
+        <button onClick={onClose} style={{width:"100%",padding:"12px",borderRadius:10,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:14,fontWeight:600,cursor:"pointer",fontFamily:"inherit",marginTop:8}}>닫기</button>
       </div>
     </div>
   );
 }
 
 // ─── Student View ───
-function StudentView({ student, tests, onLogout }) {
-  const [currentDate, setCurrentDate] = useState(new Date());
-  const [selectedTest, setSelectedTest] = useState(null);
+// Also the parent portal: `siblings`/`onSwitch` add a child switcher and `notes` shows the parent-only notes.
+// Only students get `onlineTests`, the tests they can take in the app. Month, view, open result and category come from the URL under `basePath`.
+function StudentView({ student, tests: allTests, retestAttempts, notes, categories = [], onlineTests = [], refreshData, basePath = "/me", subtitle = "나의 테스트 결과", siblings, onSwitch, onLogout }) {
+  const { settings, theme:T, bands } = useSettings();
+  const { path, query, search } = useRoute();
+  const seg = inSection(path, basePath) ? path.slice(basePath.length).split("/").filter(Boolean) : [];
+  const currentDate = /^\d{4}-\d{2}$/.test(seg[0]||"") ? new Date(Number(seg[0].slice(0,4)), Number(seg[0].slice(5))-1, 1) : new Date();
+  const view = seg[0]==="trend" ? "trend" : "calendar";
+  const selectedTest = seg[1]==="test" && allTests.find(t=>t.id===seg[2]) || null;
+  const taking = seg[0]==="take" ? seg[1] : null;
+  const categoryFilter = query.get("category") || "all";
+  const monthPath = (d) => `${basePath}/${toDateStr(d).slice(0,7)}`;
+  const setCurrentDate = (d) => route.go(monthPath(d) + search);
+  const setView = (v) => route.go((v==="trend" ? `${basePath}/trend` : monthPath(currentDate)) + search);
+  const setSelectedTest = (t) => route.go(monthPath(currentDate) + (t ? `/test/${t.id}` : "") + search);
+  const setTaking = (id) => route.go(id ? `${basePath}/take/${id}` : basePath);
+  const setCategoryFilter = (id) => route.go(withQuery(path, { category:id }), { replace:true });
+  const [comparison, setComparison] = useState(null);
   const year=currentDate.getFullYear(), month=currentDate.getMonth();
   const days = getMonthDays(year, month);
 
+  // Only categories the student actually has results in are offered as filters.
+  const usedCategories = useMemo(() => categories.filter(c => allTests.some(t => t.category_id === c.id)), [categories, allTests]);
+  const tests = useMemo(() => categoryFilter==="all" ? allTests : allTests.filter(t => t.category_id===categoryFilter), [allTests, categoryFilter]);
+  const categoryById = useMemo(() => Object.fromEntries(categories.map(c=>[c.id,c])), [categories]);
+
   const testsMap = useMemo(() => { const m={}; tests.forEach(t=>{if(!m[t.test_date])m[t.test_date]=[];m[t.test_date].push(t);}); return m; }, [tests]);
-  const retestMap = useMemo(() => { const m={}; tests.forEach(t=>{if(t.retest_date){if(!m[t.retest_date])m[t.retest_date]=[];m[t.retest_date].push(t);}}); return m; }, [tests]);
+  const attemptsByResult = useMemo(() => groupAttempts(retestAttempts), [retestAttempts]);
+  const onlineBySession = useMemo(() => Object.fromEntries(onlineTests.map(o=>[o.session_id,o])), [onlineTests]);
+  const takeable = (o) => o && !o.submitted_at && onlinePhase(o)==="open";
+  const retestMap = useMemo(() => { const m={}; tests.forEach(t=>(attemptsByResult[t.id]||[]).forEach(a=>{if(!m[a.scheduled_date])m[a.scheduled_date]=[];m[a.scheduled_date].push({...a,test:t});})); return m; }, [tests, attemptsByResult]);
 
   const today = new Date();
   const todayStr = `${today.getFullYear()}-${String(today.getMonth()+1).padStart(2,"0")}-${String(today.getDate()).padStart(2,"0")}`;
 
+  useEffect(() => {
+    if (view !== "trend" || comparison) return;
+    repo.testSessions.comparison(student.id)
+      .then(rows => setComparison(Object.fromEntries((rows||[]).map(r=>[r.session_id,r]))))
+      .catch(() => setComparison({}));
+  }, [view]);
+
+  const trendPoints = useMemo(() => tests.filter(t=>t.score!==null).map(t => {
+    const c = comparison?.[t.session_id] || {};
+    return { id:t.id, date:t.test_date, name:t.test_name, series:seriesOf(t.test_name), pct:pctOf(t.score,t.total_score), allPct:c.all_pct??null, gradePct:c.grade_pct??null, classPct:c.class_pct??null };
+  }).sort((a,b)=>a.date.localeCompare(b.date)), [tests, comparison]);
+
   return (
     <div style={{ minHeight:"100vh", background:T.bg, maxWidth:500, margin:"0 auto" }}>
       <div style={{background:"white",padding:"16px 20px",borderBottom:`1px solid ${T.border}`,display:"flex",alignItems:"center",justifyContent:"space-between",position:"sticky",top:0,zIndex:100}}>
-        <div><div style={{fontSize:17,fontWeight:800,color:T.text}}>🎓 {student.name}</div><div style={{fontSize:12,color:T.textSec}}>나의 테스트 결과</div></div>
+        <div style={{display:"flex",alignItems:"center",gap:10}}><AcademyLogo size={32} /><div><div style={{fontSize:17,fontWeight:800,color:T.text}}>🎓 {student.name}</div><div style={{fontSize:12,color:T.textSec}}>{settings.name} · {subtitle}</div></div></div>
         <button onClick={onLogout} style={{padding:"6px 14px",borderRadius:8,border:`1px solid ${T.border}`,background:"white",color:T.textSec,fontSize:12,fontWeight:600,cursor:"pointer",fontFamily:"inherit"}}>로그아웃</button>
       </div>
 
+      {siblings?.length>1&&(
+        <div style={{display:"flex",gap:6,padding:"12px 20px 0",overflowX:"auto"}}>
+          {siblings.map(c=><button key={c.id} onClick={()=>onSwitch(c.id)} style={{padding:"6px 14px",borderRadius:16,border:`1px solid ${c.id===student.id?T.primary:T.border}`,background:c.id===student.id?T.primary:"white",color:c.id===student.id?"white":T.text,fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>{c.name} <span style={{fontWeight:500,opacity:0.8}}>{c.grade}</span></button>)}
+        </div>
+      )}
+
+      <div style={{display:"flex",gap:6,padding:"12px 20px 0"}}>
+        {[{key:"calendar",label:"📅 캘린더"},{key:"trend",label:"📈 성적 추이"}].map(v=>(
+          <button key={v.key} onClick={()=>setView(v.key)} style={{flex:1,padding:"8px",borderRadius:10,border:`1px solid ${view===v.key?T.primary:T.border}`,background:view===v.key?T.primaryLight:"white",color:view===v.key?T.primary:T.textSec,fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>{v.label}</button>
+        ))}
+      </div>
+
+      {usedCategories.length>0&&(
+        <div style={{display:"flex",gap:6,padding:"10px 20px 0",overflowX:"auto"}}>
+          {[{id:"all",name:"전체",color:T.primary},...usedCategories].map(c=><button key={c.id} onClick={()=>setCategoryFilter(c.id)} style={{padding:"4px 12px",borderRadius:14,border:`1px solid ${categoryFilter===c.id?c.color:T.border}`,background:categoryFilter===c.id?c.color:"white",color:categoryFilter===c.id?"white":T.textSec,fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit",whiteSpace:"nowrap"}}>{c.name}</button>)}
+        </div>
+      )}
+
+      {view==="trend" ? (
+        <div style={{margin:"12px 20px 20px",background:"white",borderRadius:T.radius,border:`1px solid ${T.border}`,padding:"16px"}}>
+          {comparison ? <StudentAnalytics points={trendPoints} /> : <div style={{textAlign:"center",padding:30,color:T.textSec,fontSize:14}}>불러오는 중...</div>}
+        </div>
+      ) : <>
       <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"16px 20px 8px"}}>
         <button onClick={()=>setCurrentDate(new Date(year,month-1,1))} style={navBtnStyle}>◀</button>
         <div style={{fontSize:18,fontWeight:800,color:T.text}}>{year}년 {MONTHS_KR[month]}</div>
@@ -557,13 +4011,48 @@ function StudentView({ student, tests, onLogout }) {
           return (
             <div key={ds} style={{minHeight:70,background:isToday?T.primaryLight:"white",borderRadius:8,padding:"3px 4px",border:isToday?`2px solid ${T.primary}`:`1px solid ${T.border}`,overflow:"hidden"}}>
               <div style={{fontSize:11,fontWeight:isToday?800:600,textAlign:"right",padding:"1px 3px",color:isToday?T.primary:dow===0?T.danger:dow===6?T.primary:T.textSec}}>{day}</div>
-              {dt.map(t=><button key={t.id} onClick={()=>setSelectedTest(t)} style={{display:"block",width:"100%",padding:"2px 3px",background:t.score!==null?((t.score/(t.total_score||100))>=0.7?"#DBEAFE":"#FEE2E2"):T.bg,border:"none",borderRadius:4,fontSize:9,fontWeight:600,color:T.text,cursor:"pointer",textAlign:"left",marginBottom:1,fontFamily:"inherit",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",lineHeight:"16px"}}>📝 {t.test_name}</button>)}
-              {dr.map(t=><button key={`r-${t.id}`} onClick={()=>setSelectedTest(t)} style={{display:"block",width:"100%",padding:"2px 3px",background:T.accentLight,border:"none",borderRadius:4,fontSize:9,fontWeight:600,color:T.accent,cursor:"pointer",textAlign:"left",marginBottom:1,fontFamily:"inherit",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",lineHeight:"16px"}}>🔄 {t.test_name}</button>)}
+              {dt.map(t=><button key={t.id} onClick={()=>setSelectedTest(t)} title={attendanceText(t)||undefined} style={{display:"block",width:"100%",padding:"2px 3px",background:missedTest(t)?attendanceStyle(t.attendance,T).bg:t.score!==null?`${scoreColor(pctOf(t.score,t.total_score),bands)}26`:T.bg,border:"none",borderRadius:4,fontSize:9,fontWeight:600,color:T.text,cursor:"pointer",textAlign:"left",marginBottom:1,fontFamily:"inherit",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",lineHeight:"16px"}}>{missedTest(t)?"🚫":onlineBySession[t.session_id]?"✍️":"📝"} {t.test_name}</button>)}
+              {dr.map(a=><button key={`r-${a.id}`} onClick={()=>setSelectedTest(a.test)} style={{display:"block",width:"100%",padding:"2px 3px",background:RETEST_STATUS[a.status].bg,border:"none",borderRadius:4,fontSize:9,fontWeight:600,color:RETEST_STATUS[a.status].color,cursor:"pointer",textAlign:"left",marginBottom:1,fontFamily:"inherit",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",lineHeight:"16px"}}>{RETEST_STATUS[a.status].icon} {a.test.test_name}</button>)}
             </div>
           );
         })}
       </div>
 
+      {/* Online Tests */}
+      {(()=>{
+        const list=onlineTests.filter(o=>!o.submitted_at&&onlinePhase(o)!=="closed");
+        if(!list.length)return null;
+        return (
+          <div style={{padding:"8px 20px 4px"}}>
+            <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 10px"}}>✍️ 온라인 테스트</h3>
+            {list.map(o=>(
+              <div key={o.session_id} style={{background:"white",borderRadius:T.radiusSm,padding:"12px 16px",border:`1px solid ${takeable(o)?T.primary:T.border}`,marginBottom:8,display:"flex",justifyContent:"space-between",alignItems:"center",gap:10}}>
+                <div style={{flex:1,minWidth:0}}>
+                  <div style={{fontSize:14,fontWeight:700,color:T.text,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{o.name}</div>
+                  <div style={{fontSize:12,color:T.textSec}}>{formatDateTime(o.opens_at)} ~ {formatDateTime(o.closes_at)} · {o.question_count}문항{o.minutes?` · ${o.minutes}분`:""}</div>
+                </div>
+                {takeable(o)
+                  ? <button onClick={()=>setTaking(o.session_id)} style={{padding:"8px 14px",borderRadius:8,border:"none",background:T.primary,color:"white",fontSize:13,fontWeight:700,cursor:"pointer",fontFamily:"inherit",flexShrink:0}}>{o.started_at?"이어서 응시":"응시하기"}</button>
+                  : <span style={{...chipStyle,background:T.bg,color:T.textSec}}>{formatDateTime(o.opens_at)} 시작</span>}
+              </div>
+            ))}
+          </div>
+        );
+      })()}
+
+      {/* Parent Notes */}
+      {notes?.length>0&&(
+        <div style={{padding:"8px 20px 4px"}}>
+          <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 10px"}}>💬 선생님 메모</h3>
+          {[...notes].sort((a,b)=>b.created_at.localeCompare(a.created_at)).slice(0,5).map(n=>(
+            <div key={n.id} style={{background:"white",borderRadius:T.radiusSm,padding:"12px 16px",border:`1px solid ${T.border}`,marginBottom:8}}>
+              <div style={{fontSize:14,color:T.text,whiteSpace:"pre-wrap",lineHeight:1.5}}>{n.body}</div>
+              <div style={{fontSize:11,color:T.textLight,marginTop:6}}>{n.author_name||"선생님"} · {formatDate(n.created_at.slice(0,10))}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Recent Results */}
       {(()=>{
         const recent=[...tests].filter(t=>t.score!==null).sort((a,b)=>b.test_date.localeCompare(a.test_date)).slice(0,5);
@@ -571,15 +4060,15 @@ function StudentView({ student, tests, onLogout }) {
         return (
           <div style={{padding:"8px 20px 4px"}}>
             <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 10px"}}>📊 최근 테스트 결과</h3>
-            {recent.map(t=>{const pct=(t.score/(t.total_score||100))*100;return(
+            {recent.map(t=>{const pct=pctOf(t.score,t.total_score);return(
               <div key={t.id} onClick={()=>setSelectedTest(t)} style={{background:"white",borderRadius:T.radiusSm,padding:"12px 16px",border:`1px solid ${T.border}`,marginBottom:8,cursor:"pointer",display:"flex",justifyContent:"space-between",alignItems:"center"}}>
                 <div style={{flex:1,minWidth:0}}>
                   <div style={{fontSize:14,fontWeight:700,color:T.text,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{t.test_name}</div>
-                  <div style={{fontSize:12,color:T.textSec}}>{formatDate(t.test_date)}</div>
+                  <div style={{display:"flex",alignItems:"center",gap:6,fontSize:12,color:T.textSec}}>{formatDate(t.test_date)}{categoryChip(categoryById[t.category_id])}</div>
                 </div>
                 <div style={{display:"flex",alignItems:"center",gap:10,flexShrink:0}}>
-                  <div style={{width:60,height:6,borderRadius:3,background:T.border,overflow:"hidden"}}><div style={{width:`${pct}%`,height:"100%",borderRadius:3,background:pct>=90?T.success:pct>=70?T.primary:pct>=50?T.warning:T.danger}}/></div>
-                  <span style={{fontSize:15,fontWeight:800,minWidth:48,textAlign:"right",color:pct>=90?T.success:pct>=70?T.primary:pct>=50?T.warning:T.danger}}>{t.score}<span style={{fontSize:11,fontWeight:500,color:T.textSec}}>/{t.total_score}</span></span>
+                  <div style={{width:60,height:6,borderRadius:3,background:T.border,overflow:"hidden"}}><div style={{width:`${pct}%`,height:"100%",borderRadius:3,background:scoreColor(pct,bands)}}/></div>
+                  <span style={{fontSize:15,fontWeight:800,minWidth:48,textAlign:"right",color:scoreColor(pct,bands)}}>{t.score}<span style={{fontSize:11,fontWeight:500,color:T.textSec}}>/{t.total_score}</span></span>
                 </div>
               </div>
             );})}
@@ -589,20 +4078,21 @@ function StudentView({ student, tests, onLogout }) {
 
       {/* Upcoming Retests */}
       {(()=>{
-        const up=tests.filter(t=>t.retest_date&&t.retest_date>=todayStr).sort((a,b)=>a.retest_date.localeCompare(b.retest_date));
+        const up=Object.values(retestMap).flat().filter(a=>a.status==="scheduled"&&a.scheduled_date>=todayStr).sort((a,b)=>a.scheduled_date.localeCompare(b.scheduled_date));
         if(!up.length)return null;
         return (
           <div style={{padding:"8px 20px 20px"}}>
             <h3 style={{fontSize:15,fontWeight:700,color:T.text,margin:"0 0 10px"}}>📅 다가오는 재시험</h3>
-            {up.map(t=>(
-              <div key={t.id} onClick={()=>setSelectedTest(t)} style={{background:"white",borderRadius:T.radiusSm,padding:"12px 16px",border:`1px solid ${T.border}`,marginBottom:8,cursor:"pointer",display:"flex",justifyContent:"space-between",alignItems:"center"}}>
-                <div><div style={{fontSize:14,fontWeight:700,color:T.text}}>{t.test_name}</div><div style={{fontSize:12,color:T.textSec}}>원래 점수: {t.score}/{t.total_score}</div></div>
-                <div style={{background:T.accentLight,color:T.accent,padding:"4px 10px",borderRadius:6,fontSize:13,fontWeight:700}}>{formatDate(t.retest_date)}</div>
+            {up.map(a=>(
+              <div key={a.id} onClick={()=>setSelectedTest(a.test)} style={{background:"white",borderRadius:T.radiusSm,padding:"12px 16px",border:`1px solid ${T.border}`,marginBottom:8,cursor:"pointer",display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+                <div><div style={{fontSize:14,fontWeight:700,color:T.text}}>{a.test.test_name} <span style={{fontSize:12,fontWeight:600,color:T.accent}}>{a.attempt_no}차</span></div><div style={{fontSize:12,color:T.textSec}}>원래 점수: {a.test.score??"-"}/{a.test.total_score}</div></div>
+                <div style={{background:T.accentLight,color:T.accent,padding:"4px 10px",borderRadius:6,fontSize:13,fontWeight:700}}>{formatDate(a.scheduled_date)}</div>
               </div>
             ))}
           </div>
         );
       })()}
+      </>}
 
       {/* Detail Modal */}
       {selectedTest && (
@@ -613,25 +4103,51 @@ function StudentView({ student, tests, onLogout }) {
             <p style={{fontSize:13,color:T.textSec,margin:"0 0 20px"}}>시험일: {formatDate(selectedTest.test_date)}</p>
             <div style={{background:T.bg,borderRadius:14,padding:"20px 24px",textAlign:"center",marginBottom:16}}>
               {selectedTest.score!==null?(<>
-                <div style={{fontSize:42,fontWeight:900,color:(()=>{const p=(selectedTest.score/(selectedTest.total_score||100))*100;return p>=90?T.success:p>=70?T.primary:p>=50?T.warning:T.danger;})()}}>{selectedTest.score}<span style={{fontSize:18,fontWeight:600,color:T.textSec}}>/{selectedTest.total_score}</span></div>
-                <div style={{fontSize:14,fontWeight:600,marginTop:4,color:T.textSec}}>{((selectedTest.score/(selectedTest.total_score||100))*100).toFixed(0)}점</div>
-              </>):<div style={{fontSize:16,color:T.textLight,fontWeight:600}}>점수 미입력</div>}
+                <div style={{fontSize:42,fontWeight:900,color:scoreColor(pctOf(selectedTest.score,selectedTest.total_score),bands)}}>{selectedTest.score}<span style={{fontSize:18,fontWeight:600,color:T.textSec}}>/{selectedTest.total_score}</span></div>
+                <div style={{fontSize:14,fontWeight:600,marginTop:4,color:T.textSec}}>{pctOf(selectedTest.score,selectedTest.total_score).toFixed(0)}점</div>
+              </>):<div style={{fontSize:16,color:T.textLight,fontWeight:600}}>{missedTest(selectedTest)?ATTENDANCE[selectedTest.attendance].label:onlineBySession[selectedTest.session_id]?"온라인 응시 전":"점수 미입력"}</div>}
             </div>
-            {selectedTest.retest_date&&(
-              <div style={{background:T.accentLight,borderRadius:14,padding:"16px 20px",marginBottom:16,border:"1px solid rgba(255,107,53,0.2)"}}>
-                <div style={{display:"flex",alignItems:"center",gap:8,marginBottom:4}}><span style={{fontSize:16}}>🔄</span><span style={{fontSize:14,fontWeight:700,color:T.accent}}>재시험 예정</span></div>
-                <div style={{fontSize:20,fontWeight:800,color:T.text}}>{formatDate(selectedTest.retest_date)}</div>
-                {selectedTest.retest_reason&&<div style={{fontSize:13,color:T.textSec,marginTop:4}}>사유: {selectedTest.retest_reason}</div>}
-              </div>
-            )}
+            {attendanceOf(selectedTest)!=="present"&&<div style={{display:"flex",alignItems:"center",gap:8,fontSize:13,color:T.textSec,marginBottom:16}}>출결 {attendanceChip(selectedTest,T)}{selectedTest.attendance_reason&&<span>{selectedTest.attendance_reason}</span>}</div>}
+            <AttemptHistory attempts={attemptsByResult[selectedTest.id]||[]} totalScore={selectedTest.total_score} />
+            {takeable(onlineBySession[selectedTest.session_id])&&<button onClick={()=>setTaking(selectedTest.session_id)} style={{width:"100%",padding:"14px",borderRadius:12,border:`1px solid ${T.primary}`,background:T.primaryLight,color:T.primary,fontSize:15,fontWeight:700,cursor:"pointer",fontFamily:"inherit",marginBottom:10}}>✍️ {onlineBySession[selectedTest.session_id].started_at?"이어서 응시":"응시하기"}</button>}
             <button onClick={()=>setSelectedTest(null)} style={{width:"100%",padding:"14px",borderRadius:12,border:"none",background:T.primary,color:"white",fontSize:15,fontWeight:700,cursor:"pointer",fontFamily:"inherit"}}>닫기</button>
           </div>
         </div>
       )}
 
-      {tests.length===0&&<div style={{textAlign:"center",padding:"40px 20px",color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>📋</div><p style={{fontSize:15,fontWeight:600}}>아직 등록된 테스트가 없습니다.</p></div>}
+      {taking&&<OnlineTest sessionId={taking} onClose={()=>{setTaking(null);refreshData();}} onSubmitted={refreshData} />}
+
+      {allTests.length===0&&<div style={{textAlign:"center",padding:"40px 20px",color:T.textLight}}><div style={{fontSize:48,marginBottom:12}}>📋</div><p style={{fontSize:15,fontWeight:600}}>아직 등록된 테스트가 없습니다.</p></div>}
 
       <style>{`@keyframes fadeIn{from{opacity:0}to{opacity:1}}@keyframes slideUp{from{transform:translateY(100%)}to{transform:translateY(0)}}`}</style>
     </div>
   );
 }
+
+// ─── Parent View ───
+// Parents only receive their linked children from the students table, so every loaded student is a child.
+function ParentView({ user, students, tests, retestAttempts, parentNotes, categories, onLogout }) {
+  const { theme:T } = useSettings();
+  const children = useMemo(() => [...students].sort((a,b)=>a.name.localeCompare(b.name,"ko")), [students]);
+  const { path } = useRoute();
+  const child = children.find(c=>c.id===path.split("/")[2]) || children[0];
+
+  if (!child) return (
+    <div style={{ minHeight:"100vh", background:T.bg, display:"flex", alignItems:"center", justifyContent:"center", padding:20 }}>
+      <div style={{ background:"white", borderRadius:20, padding:36, maxWidth:420, width:"100%", textAlign:"center", boxShadow:T.shadow }}>
+        <div style={{ fontSize:48, marginBottom:16 }}>👪</div>
+        <p style={{ fontSize:14, color:T.textSec, margin:"0 0 20px" }}>연결된 자녀가 없습니다. 학원에 문의하세요.</p>
+        <button onClick={onLogout} style={{ padding:"12px 32px", borderRadius:10, border:`1px solid ${T.border}`, background:"white", color:T.textSec, fontSize:14, fontWeight:600, cursor:"pointer", fontFamily:"inherit" }}>로그아웃</button>
+      </div>
+    </div>
+  );
+  return (
+    <StudentView key={child.id} student={child} tests={tests.filter(t=>t.student_id===child.id)} retestAttempts={retestAttempts}
+      notes={parentNotes.filter(n=>n.student_id===child.id)} categories={categories} basePath={`/parent/${child.id}`}
+      subtitle={`${user.name} 학부모님`} siblings={children} onSwitch={id=>route.go(`/parent/${id}`)} onLogout={onLogout} />
+  );
+}
+
+// ─── Tests ───
+// Helpers covered by src/App.test.js and src/mockBackend.test.js.
+export { suggestRetest, parseScoreCell, outbox, gradeAnswers, makeBackup, readBackup, planRestore };
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { DataError, auth, repo } from "./data.js";
+import { suggestRetest, parseScoreCell, outbox, makeBackup, readBackup, planRestore } from "./App.jsx";
+
+const rule = { keyword:"단어", cutoff_pct:70, delay_days:2, reason:"기준 점수 미달" };
+
+describe("suggestRetest", () => {
+  it("suggests a retest delay_days after the test when the score is below the cutoff", () => {
+    expect(suggestRetest(13, 20, "2026-03-30", rule)).toEqual({ date:"2026-04-01", reason:"기준 점수 미달" });
+  });
+
+  it("compares the percentage of the full score, not the raw score", () => {
+    expect(suggestRetest(69, 100, "2026-03-02", rule)).not.toBeNull();
+    expect(suggestRetest(14, 20, "2026-03-02", rule)).toBeNull();
+  });
+
+  it("suggests nothing for scores not entered or not a number", () => {
+    for (const score of ["", null, undefined, "x"]) expect(suggestRetest(score, 100, "2026-03-02", rule)).toBeNull();
+  });
+
+  it("suggests nothing without a rule, a test date or a positive full score", () => {
+    expect(suggestRetest(10, 100, "2026-03-02", null)).toBeNull();
+    expect(suggestRetest(10, 100, "", rule)).toBeNull();
+    expect(suggestRetest(10, "", "2026-03-02", rule)).toBeNull();
+    expect(suggestRetest(10, 0, "2026-03-02", rule)).toBeNull();
+  });
+
+  it("schedules on the test day itself when the rule has no delay", () => {
+    expect(suggestRetest(0, 100, "2026-03-02", { ...rule, delay_days:"" })).toEqual({ date:"2026-03-02", reason:"기준 점수 미달" });
+  });
+});
+
+describe("parseScoreCell", () => {
+  it("reads a number up to the full score, with surrounding spaces", () => {
+    expect(parseScoreCell(" 85 ", 100)).toEqual({ score:85 });
+    expect(parseScoreCell("20", "20")).toEqual({ score:20 });
+    expect(parseScoreCell(0, 20)).toEqual({ score:0 });
+  });
+
+  it("treats an empty cell as not entered yet", () => {
+    for (const v of ["", "  ", null, undefined]) expect(parseScoreCell(v, 100)).toEqual({ score:null });
+  });
+
+  it("marks the student absent for x, 결석 or absent in any case", () => {
+    for (const v of ["x", "X", "결석", "Absent"]) expect(parseScoreCell(v, 100)).toEqual({ score:null, absent:true });
+  });
+
+  it("rejects text, negative scores and scores above the full score", () => {
+    expect(parseScoreCell("abc", 100).error).toBe("숫자가 아닌 점수");
+    expect(parseScoreCell("-1", 100).error).toBe("음수 점수");
+    expect(parseScoreCell("21", 20).error).toBe("만점(20점) 초과");
+  });
+
+  it("cannot check a score without a positive full score", () => {
+    expect(parseScoreCell("50", "").error).toBe("만점이 올바르지 않음");
+    expect(parseScoreCell("50", 0).error).toBe("만점이 올바르지 않음");
+    expect(parseScoreCell("x", "")).toEqual({ score:null, absent:true });
+  });
+});
+
+describe("outbox.flush", () => {
+  const save = (name) => ({ p_id:name, p_name:name });
+  let synced;
+  beforeEach(() => {
+    auth.session = { user:{ id:"me" } };
+    outbox.set([]);
+    synced = 0;
+    outbox.onSynced = () => { synced++; };
+  });
+  afterEach(() => { vi.restoreAllMocks(); auth.session = null; });
+
+  it("sends the queued items in order and removes them", async () => {
+    const sent = [];
+    vi.spyOn(repo.testSessions, "save").mockImplementation(async (args) => { sent.push(args.p_name); });
+    outbox.push("save_test_session", "a", save("a"));
+    outbox.push("save_test_session", "b", save("b"));
+    await outbox.flush();
+    expect(sent).toEqual(["a", "b"]);
+    expect(outbox.items).toEqual([]);
+    expect(synced).toBe(1);
+  });
+
+  it("keeps everything pending while the server cannot be reached", async () => {
+    const call = vi.spyOn(repo.testSessions, "save").mockRejectedValue(new DataError("Failed to fetch", { status:0 }));
+    outbox.push("save_test_session", "a", save("a"));
+    outbox.push("save_test_session", "b", save("b"));
+    await outbox.flush();
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(outbox.items.map(i => i.status)).toEqual(["pending", "pending"]);
+    expect(synced).toBe(0);
+  });
+
+  it("turns a rejected item into a conflict, flags stale edits and goes on with the next", async () => {
+    vi.spyOn(repo.testSessions, "save").mockImplementation(async (args) => {
+      if (args.p_name === "stale") throw new DataError("다른 사용자가 이 테스트를 먼저 수정했습니다.", { status:409, code:"PT409" });
+      if (args.p_name === "denied") throw new DataError("권한이 없습니다.", { status:403, code:"42501" });
+    });
+    outbox.push("save_test_session", "stale", save("stale"));
+    outbox.push("save_test_session", "denied", save("denied"));
+    outbox.push("save_test_session", "ok", save("ok"));
+    await outbox.flush();
+    expect(outbox.items.map(i => [i.label, i.status, i.stale])).toEqual([["stale", "conflict", true], ["denied", "conflict", false]]);
+    expect(outbox.items[0].error).toBe("다른 사용자가 이 테스트를 먼저 수정했습니다.");
+    expect(synced).toBe(1);
+  });
+
+  it("only sends the signed-in user's items", async () => {
+    const call = vi.spyOn(repo.testSessions, "save").mockResolvedValue(null);
+    outbox.push("save_test_session", "mine", save("mine"));
+    auth.session = { user:{ id:"someone else" } };
+    outbox.push("save_test_session", "theirs", save("theirs"));
+    auth.session = { user:{ id:"me" } };
+    await outbox.flush();
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(outbox.items.map(i => i.label)).toEqual(["theirs"]);
+  });
+
+  it("submit throws a rejection on the first attempt and drops it from the queue", async () => {
+    vi.spyOn(repo.testSessions, "save").mockRejectedValue(new DataError("다른 사용자가 이 테스트를 먼저 수정했습니다.", { status:409, code:"PT409" }));
+    await expect(outbox.submit("save_test_session", "a", save("a"))).rejects.toMatchObject({ stale:true });
+    expect(outbox.items).toEqual([]);
+  });
+});
+
+describe("readBackup", () => {
+  const data = { students:[{ id:"s1", name:"김민준", login_id:"s001" }], tests:[] };
+
+  it("reads back a backup made here", async () => {
+    const b = await makeBackup(data, "영어학원");
+    expect((await readBackup(JSON.stringify(b))).data).toEqual(data);
+  });
+
+  it("refuses a file whose data no longer matches the checksum", async () => {
+    const b = await makeBackup(data, "영어학원");
+    b.data.students[0].name = "박도윤";
+    await expect(readBackup(JSON.stringify(b))).rejects.toThrow("체크섬 불일치");
+  });
+
+  it("refuses other files, other versions and backups from the other backend", async () => {
+    const b = await makeBackup(data, "영어학원");
+    await expect(readBackup("{")).rejects.toThrow("JSON 파일을 읽을 수 없습니다.");
+    await expect(readBackup(JSON.stringify({ ...b, format:"other" }))).rejects.toThrow("이 프로그램의 백업 파일이 아닙니다.");
+    await expect(readBackup(JSON.stringify({ ...b, schema_version:b.schema_version + 1 }))).rejects.toThrow("더 새로운 버전");
+    await expect(readBackup(JSON.stringify({ ...b, backend:"supabase" }))).rejects.toThrow("복원할 수 없습니다");
+  });
+});
+
+describe("planRestore", () => {
+  const current = {
+    staff_accounts:[{ id:"me", login_id:"admin", name:"원장" }],
+    students:[{ id:"s-new", login_id:"s001", name:"김민준" }, { id:"s-other", login_id:"s009", name:"정시우" }],
+    test_sessions:[],
+    tests:[],
+  };
+  const incoming = {
+    staff_accounts:[{ id:"old-me", login_id:"admin", name:"예전 원장" }],
+    students:[{ id:"s-old", login_id:"s001", name:"김민준" }, { id:"s-2", login_id:"s002", name:"이서연" }],
+    student_credentials:[{ student_id:"s-old", pin_hash:"x" }],
+    test_sessions:[{ id:"t1", name:"단어 1회", test_date:"2026-03-02" }],
+    tests:[{ id:"r1", session_id:"t1", student_id:"s-old", score:18 }],
+    retest_attempts:[{ id:"a1", result_id:"r1", attempt_no:1 }],
+  };
+
+  it("gives rows matched by login ID the existing id and rewrites every reference to them", () => {
+    const { data, remapped } = planRestore(current, incoming, "merge", "me");
+    expect(data.students.map(s => s.id)).toEqual(["s-new", "s-2"]);
+    expect(data.student_credentials[0].student_id).toBe("s-new");
+    expect(data.tests[0].student_id).toBe("s-new");
+    expect(data.staff_accounts[0].id).toBe("me");
+    expect(remapped).toBe(2);
+  });
+
+  it("lists what a merge adds and changes, leaving the signed-in account as it is", () => {
+    const { diff } = planRestore(current, incoming, "merge", "me");
+    expect(diff.students).toEqual({ added:["이서연"], changed:[], unchanged:1, removed:[] });
+    expect(diff.staff_accounts).toMatchObject({ changed:[], unchanged:1 });
+    expect(diff.test_sessions.added).toEqual(["단어 1회 (2026-03-02)"]);
+  });
+
+  it("lists the rows a replace removes, never the signed-in account", () => {
+    const { diff } = planRestore({ ...current, staff_accounts:[...current.staff_accounts, { id:"t", login_id:"teacher", name:"김선생" }] }, incoming, "replace", "me");
+    expect(diff.students.removed).toEqual(["정시우"]);
+    expect(diff.staff_accounts.removed).toEqual(["김선생"]);
+  });
+});
@@ -0,0 +1,360 @@
+// ─── Data layer ───
+// Every read and write goes through `repo` at the bottom of this file. The repositories talk to a backend:
+// Supabase (PostgREST + RPC) by default, or the in-browser mock (src/mockBackend.js) when VITE_DATA_BACKEND
+// is "memory" (fresh demo data on every load) or "indexeddb" (demo data kept in the browser).
+
+export const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
+export const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
+export const MOCK_BACKEND = ["memory", "indexeddb"].includes(import.meta.env.VITE_DATA_BACKEND) ? import.meta.env.VITE_DATA_BACKEND : null;
+export const isConfigured = !!MOCK_BACKEND || !!(SUPABASE_URL && SUPABASE_ANON_KEY);
+
+// Auth RPCs default to Supabase; VITE_AUTH_URL points them at a local stand-in exposing the same `/<fn>` endpoints.
+const AUTH_BASE = import.meta.env.VITE_AUTH_URL || `${SUPABASE_URL}/rest/v1/rpc`;
+const REST_BASE = `${SUPABASE_URL}/rest/v1`;
+const SESSION_KEY = "tm_session";
+// The app's offline snapshot of the loaded data and its unsaved test forms (`${DRAFT_KEY}:<user id>:<test id>`).
+export const CACHE_KEY = "tm_cache";
+export const DRAFT_KEY = "tm_draft";
+const PAGE_SIZE = 1000; // PostgREST's default max-rows; longer tables are read page by page
+const IN_CHUNK = 100;   // ids per `in.(...)` filter, keeps request URLs short
+const RETRIES = 3;
+
+// ─── Errors ───
+// status 0 means the server was not reached. `code` is the PostgreSQL/PostgREST error code when there is one
+// (e.g. "23505" unique violation, "42501" permission denied, "PT409" stale test edit).
+export class DataError extends Error {
+  constructor(message, { status = 0, code = null, details = null, hint = null } = {}) {
+    super(message);
+    this.name = "DataError";
+    Object.assign(this, { status, code, details, hint });
+  }
+  get retryable() { return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 502; }
+}
+
+const toError = async (res) => {
+  const text = await res.text();
+  let body = null;
+  try { body = JSON.parse(text); } catch {}
+  return new DataError(body?.message || text || res.statusText, { status:res.status, code:body?.code, details:body?.details, hint:body?.hint });
+};
+
+// A 401 means the session token was rejected: it is dropped and the app goes back to the login screen.
+const expired = (err) => {
+  if (err.status === 401 && auth.session) { auth.clear(); auth.onExpire?.(); }
+  return err;
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ─── Queries ───
+/**
+ * @typedef {[string, "eq"|"neq"|"gt"|"gte"|"lt"|"lte"|"in"|"is", any]} Filter
+ * @typedef {{ columns?:string, where?:Filter[], order?:string, limit?:number, offset?:number }} Query
+ *   order uses PostgREST syntax: "created_at.desc,id.desc".
+ */
+const where = (...filters) => filters.filter(f => f[2] !== undefined && f[2] !== null && f[2] !== "");
+
+const toParams = ({ columns = "*", where = [], order, limit, offset } = {}) => [
+  `select=${columns}`,
+  ...where.map(([col, op, v]) => `${col}=${op}.${op === "in" ? `(${v.map(encodeURIComponent).join(",")})` : encodeURIComponent(v)}`),
+  order && `order=${order}`, limit !== undefined && `limit=${limit}`, offset && `offset=${offset}`,
+].filter(Boolean).join("&");
+
+const matchParams = (filters) => filters.map(([col, op, v]) => `${col}=${op}.${encodeURIComponent(v)}`).join("&");
+
+// ─── Supabase backend ───
+// Reads (and read-only RPCs) are retried with exponential backoff when the server is unreachable or overloaded.
+// Writes are sent once: a lost response may still have been applied, and the outbox owns replaying them.
+const rest = {
+  headers: () => ({
+    apikey: SUPABASE_ANON_KEY,
+    Authorization: `Bearer ${auth.session?.token || SUPABASE_ANON_KEY}`,
+    "Content-Type": "application/json",
+    Prefer: "return=representation",
+  }),
+  send: async (url, init = {}, retries = 0) => {
+    for (let attempt = 0; ; attempt++) {
+      let res = null;
+      try { res = await fetch(url, { ...init, headers:rest.headers() }); } catch {}
+      if (res?.ok) return res;
+      const err = expired(res ? await toError(res) : new DataError("서버에 연결할 수 없습니다."));
+      if (attempt >= retries || !err.retryable) throw err;
+      await sleep(300 * 2 ** attempt + Math.random() * 200);
+    }
+  },
+  select: async (table, q) => (await rest.send(`${REST_BASE}/${table}?${toParams(q)}`, {}, RETRIES)).json(),
+  insert: async (table, rows) => (await rest.send(`${REST_BASE}/${table}`, { method:"POST", body:JSON.stringify(rows) })).json(),
+  update: async (table, patch, filters) => (await rest.send(`${REST_BASE}/${table}?${matchParams(filters)}`, { method:"PATCH", body:JSON.stringify(patch) })).json(),
+  remove: async (table, filters) => { await rest.send(`${REST_BASE}/${table}?${matchParams(filters)}`, { method:"DELETE" }); },
+  rpc: async (fn, args = {}, { read = false } = {}) => {
+    const text = await (await rest.send(`${AUTH_BASE}/${fn}`, { method:"POST", body:JSON.stringify(args) }, read ? RETRIES : 0)).text();
+    return text ? JSON.parse(text) : null;
+  },
+};
+
+// The mock is only downloaded when it is switched on.
+let mock = null;
+const loadMock = async () => mock ||= (await import("./mockBackend.js")).createMockBackend({ persist:MOCK_BACKEND === "indexeddb", token:() => auth.session?.token });
+const backend = MOCK_BACKEND
+  ? Object.fromEntries(["select", "insert", "update", "remove", "rpc"].map(k => [k, async (...args) => {
+    try { return await (await loadMock())[k](...args); } catch (e) { throw expired(e); }
+  }]))
+  : rest;
+
+// ─── Paging helpers ───
+/** Reads every row, PAGE_SIZE at a time. Needs a stable `order`. */
+const listAll = async (table, q) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await backend.select(table, { ...q, limit:PAGE_SIZE, offset });
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+};
+
+/** One page of `size` rows starting at `offset`: { rows, hasMore }. */
+const page = async (table, q, { offset = 0, size }) => {
+  const rows = await backend.select(table, { ...q, limit:size + 1, offset });
+  return { rows:rows.slice(0, size), hasMore:rows.length > size };
+};
+
+/** listAll restricted to `column in ids`, split into several requests for long id lists. */
+const listIn = async (table, column, ids, q) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += IN_CHUNK) chunks.push(ids.slice(i, i + IN_CHUNK));
+  const pages = await Promise.all(chunks.map(c => listAll(table, { ...q, where:[...(q.where || []), [column, "in", c]] })));
+  return pages.flat();
+};
+
+// ─── Auth ───
+// Credentials are checked server-side only; the session ({ token, expires_at, user }) is kept in localStorage so it survives a reload.
+export const auth = {
+  session: null,
+  onExpire: null,
+  start: (s) => { auth.session = s; localStorage.setItem(SESSION_KEY, JSON.stringify(s)); return s.user; },
+  clear: () => { auth.session = null; localStorage.removeItem(SESSION_KEY); },
+  login: async (fn, loginId, pin) => {
+    const s = await backend.rpc(fn, { p_login_id:loginId, p_pin:pin });
+    return s ? auth.start(s) : null;
+  },
+  loginAdmin: (loginId, pin) => auth.login("login_admin", loginId, pin),
+  loginStudent: (loginId, pin) => auth.login("login_student", loginId, pin),
+  loginParent: (loginId, pin) => auth.login("login_parent", loginId, pin),
+  restore: async () => {
+    try { auth.session = JSON.parse(localStorage.getItem(SESSION_KEY)); } catch { auth.session = null; }
+    if (!auth.session || new Date(auth.session.expires_at) <= new Date()) { auth.clear(); return null; }
+    try {
+      const u = await backend.rpc("current_session", {}, { read:true });
+      if (!u) { auth.clear(); return null; }
+      return auth.start({ ...auth.session, user:u });
+    } catch { return auth.session?.user || null; }
+  },
+  // The offline snapshot and the user's drafts go too, so a shared computer keeps none of their data.
+  // Queued writes (the outbox) stay until they are sent.
+  logout: async () => {
+    const userId = auth.session?.user?.id;
+    try { await backend.rpc("logout"); } catch {}
+    auth.clear();
+    localStorage.removeItem(CACHE_KEY);
+    Object.keys(localStorage).filter(k => k.startsWith(`${DRAFT_KEY}:${userId}:`)).forEach(k => localStorage.removeItem(k));
+  },
+};
+
+// ─── Repositories ───
+/**
+ * @typedef {{ id:string, name:string, login_id:string, grade:string, status:"active"|"archived"|"graduated", pin?:string|null }} Student
+ * @typedef {{ id:string, name:string, test_date:string, total_score:number, metadata:{ memo?:string, retest_rule?:object, category_id?:string, template_id?:string, round?:number,
+ *   questions?:{ answer:string, points:number, skill?:string, prompt?:string, choices?:string[] }[], online?:{ opens_at:string, closes_at:string, minutes:number|null } }, version:number, created_at:string }} TestSession
+ *   With `choices` the answer is the choice number ("1", "2", ...); `online` lets the session's students take it in the app.
+ * @typedef {{ id:string, session_id:string, student_id:string, score:number|null, attendance:"present"|"absent"|"excused"|"late", attendance_reason:string|null, test_name:string, test_date:string, total_score:number, category_id:string|null, answers:string[]|null }} TestResult
+ *   Absent and excused results have no score; a null score on a present or late result has not been entered yet.
+ * @typedef {{ id:string, result_id:string, attempt_no:number, scheduled_date:string, reason:string|null, score:number|null, status:"scheduled"|"completed"|"no_show"|"waived", completed_at:string|null }} RetestAttempt
+ * @typedef {{ id:string, keyword:string, cutoff_pct:number, delay_days:number, reason:string }} RetestRule
+ * @typedef {{ id:string, name:string, color:string, position:number }} TestCategory
+ * @typedef {{ session_id:string, student_id:string, started_at:string, deadline:string, answers:string[], submitted_at:string|null }} OnlineAttempt
+ * @typedef {{ session_id:string, name:string, test_date:string, total_score:number, opens_at:string, closes_at:string, minutes:number|null, question_count:number,
+ *   started_at:string|null, deadline:string|null, submitted_at:string|null }} OnlineTest
+ * @typedef {{ id:string, name:string, category_id:string|null, next_round:number, total_score:number, class_id:string|null, student_ids:string[],
+ *   cutoff_pct:number|null, delay_days:number, reason:string, repeat_weekdays:number[], scheduled_until:string|null }} TestTemplate
+ *   name may contain "{n}" for the round; repeat_weekdays are ISO weekdays (1 = Monday … 7 = Sunday).
+ * @typedef {{ id:string, name:string, archived_at:string|null }} Class
+ * @typedef {{ class_id:string, student_id:string }} ClassMember
+ * @typedef {{ id:string, student_id:string, body:string, author_name:string|null, created_at:string }} ParentNote
+ * @typedef {{ id:number, table_name:string, row_id:string, action:"insert"|"update"|"delete", actor_name:string|null, student_id:string|null, before:object|null, after:object|null, created_at:string }} AuditEntry
+ * @typedef {{ id:string, kind:"student"|"test_session", label:string, deleted_at:string, expires_at:string, deleted_by:string|null, result_count:number }} TrashItem
+ * @typedef {{ id:string, login_id:string, name:string, role?:string, student_ids:string[] }} Account
+ * @typedef {{ name:string, logo:string|null, primary_color:string, score_bands:{ min:number, label:string }[], default_grade?:string|null, default_total_score?:number,
+ *   default_pin?:string, pin_min_length?:number, pin_numeric?:boolean }} AcademySettings
+ *   logo is a data: URL; score_bands run from the highest threshold (%) down to 0, an empty label meaning the range itself.
+ * @typedef {Object<string, object[]>} BackupData every academy table's rows by table name, as export_backup() returns them
+ *
+ * Date filters (`from`, `to`) are inclusive "YYYY-MM-DD" strings.
+ */
+const byId = (id) => [["id", "eq", id]];
+
+export const repo = {
+  students: {
+    /** @returns {Promise<Student[]>} */
+    list: () => listAll("students", { order:"id" }),
+    /** @param {Partial<Student>[]} rows */
+    insert: (rows) => backend.insert("students", rows),
+    /** @returns {Promise<Student[]>} the updated row, or [] when it is gone or not writable */
+    update: (id, patch) => backend.update("students", patch, byId(id)),
+    /** Moves the student and their results to the trash; returns the trash id. */
+    trash: (id) => backend.rpc("trash_student", { p_id:id }),
+    /** @param {{ student_id:string, grade:string, status:string }[]} changes */
+    rollover: (changes) => backend.rpc("apply_rollover", { p_changes:changes }),
+  },
+  tests: {
+    /**
+     * @param {{ studentIds?:string[], sessionId?:string, from?:string, to?:string }} [filter]
+     * @returns {Promise<TestResult[]>}
+     */
+    list: ({ studentIds, sessionId, from, to } = {}) => {
+      const q = { order:"id", where:where(["session_id", "eq", sessionId], ["test_date", "gte", from], ["test_date", "lte", to]) };
+      return studentIds ? listIn("tests", "student_id", studentIds, q) : listAll("tests", q);
+    },
+  },
+  testSessions: {
+    /**
+     * @param {{ id?:string, from?:string, to?:string }} [filter]
+     * @returns {Promise<TestSession[]>}
+     */
+    list: ({ id, from, to } = {}) => listAll("test_sessions", { order:"id", where:where(["id", "eq", id], ["test_date", "gte", from], ["test_date", "lte", to]) }),
+    /**
+     * save_test_session arguments (p_id, p_name, ... p_expected_version); rejects a stale edit with code "PT409".
+     * Results sent with `answers` are graded against metadata.questions by the server; scores outside 0…total_score are rejected.
+     */
+    save: (args) => backend.rpc("save_test_session", args),
+    /** Moves the caller's results of the session to the trash; returns the trash id. */
+    remove: (id) => backend.rpc("delete_test_session", { p_id:id }),
+    /** Per-session averages to compare one student against: [{ session_id, all_pct, grade_pct, class_pct }]. */
+    comparison: (studentId) => backend.rpc("student_comparison", { p_student_id:studentId }, { read:true }),
+  },
+  onlineTests: {
+    /** @returns {Promise<OnlineTest[]>} the calling student's online tests */
+    list: () => backend.rpc("list_online_tests", {}, { read:true }),
+    /**
+     * Starts the attempt, or resumes it: { name, total_score, deadline, now, answers, questions:[{ prompt, choices, points }] }.
+     * The questions come without their answers; `now` is the server clock for the countdown.
+     */
+    start: (sessionId) => backend.rpc("start_online_test", { p_session_id:sessionId }),
+    save: (sessionId, answers) => backend.rpc("save_online_answers", { p_session_id:sessionId, p_answers:answers }),
+    /** Grades the attempt into the result row, applying the session's retest rule; returns { score, total_score }. */
+    submit: (sessionId, answers) => backend.rpc("submit_online_test", { p_session_id:sessionId, p_answers:answers }),
+    /**
+     * @param {{ sessionId?:string }} [filter]
+     * @returns {Promise<OnlineAttempt[]>}
+     */
+    attempts: ({ sessionId } = {}) => listAll("online_attempts", { order:"session_id,student_id", where:where(["session_id", "eq", sessionId]) }),
+  },
+  retestAttempts: {
+    /**
+     * @param {{ resultIds?:string[] }} [filter]
+     * @returns {Promise<RetestAttempt[]>}
+     */
+    list: ({ resultIds } = {}) => resultIds ? listIn("retest_attempts", "result_id", resultIds, { order:"id" }) : listAll("retest_attempts", { order:"id" }),
+    insert: (row) => backend.insert("retest_attempts", [row]),
+    update: (id, patch) => backend.update("retest_attempts", patch, byId(id)),
+    remove: (id) => backend.remove("retest_attempts", byId(id)),
+  },
+  retestRules: {
+    /** @returns {Promise<RetestRule[]>} */
+    list: () => listAll("retest_rules", { order:"id" }),
+    insert: (row) => backend.insert("retest_rules", [row]),
+    update: (id, patch) => backend.update("retest_rules", patch, byId(id)),
+    remove: (id) => backend.remove("retest_rules", byId(id)),
+  },
+  testCategories: {
+    /** @returns {Promise<TestCategory[]>} */
+    list: () => listAll("test_categories", { order:"position,name" }),
+    insert: (row) => backend.insert("test_categories", [row]),
+    update: (id, patch) => backend.update("test_categories", patch, byId(id)),
+    remove: (id) => backend.remove("test_categories", byId(id)),
+  },
+  testTemplates: {
+    /** @returns {Promise<TestTemplate[]>} */
+    list: () => listAll("test_templates", { order:"id" }),
+    insert: (row) => backend.insert("test_templates", [row]),
+    update: (id, patch) => backend.update("test_templates", patch, byId(id)),
+    remove: (id) => backend.remove("test_templates", byId(id)),
+    /** Pre-creates the sessions of repeating templates for the next `days` days; returns how many were created. */
+    schedule: (days = 14) => backend.rpc("schedule_test_sessions", { p_days:days }),
+  },
+  classes: {
+    /** @returns {Promise<Class[]>} */
+    list: () => listAll("classes", { order:"id" }),
+    insert: (row) => backend.insert("classes", [row]),
+    update: (id, patch) => backend.update("classes", patch, byId(id)),
+  },
+  classMembers: {
+    /** @returns {Promise<ClassMember[]>} */
+    list: () => listAll("class_students", { order:"class_id,student_id" }),
+    add: (classId, studentId) => backend.insert("class_students", [{ class_id:classId, student_id:studentId }]),
+    remove: (classId, studentId) => backend.remove("class_students", [["class_id", "eq", classId], ["student_id", "eq", studentId]]),
+  },
+  parentNotes: {
+    /**
+     * @param {{ studentIds?:string[] }} [filter]
+     * @returns {Promise<ParentNote[]>}
+     */
+    list: ({ studentIds } = {}) => studentIds ? listIn("parent_notes", "student_id", studentIds, { order:"id" }) : listAll("parent_notes", { order:"id" }),
+    insert: (row) => backend.insert("parent_notes", [row]),
+    remove: (id) => backend.remove("parent_notes", byId(id)),
+  },
+  grades: {
+    /** @returns {Promise<string[]>} grade names in promotion order */
+    list: async () => (await listAll("grades", { columns:"name", order:"position" })).map(g => g.name),
+    save: (names) => backend.rpc("save_grades", { p_names:names }),
+  },
+  settings: {
+    /** @returns {Promise<AcademySettings>} only the branding and score bands before login */
+    get: () => backend.rpc("get_academy_settings", {}, { read:true }),
+    /** @param {AcademySettings} settings */
+    save: (settings) => backend.rpc("save_academy_settings", { p_settings:settings }),
+    /** Changes the signed-in staff account's password; rejects a wrong current one or a new one against the PIN policy. */
+    changePin: (current, next) => backend.rpc("change_own_pin", { p_current:current, p_new:next }),
+    /** @returns {Promise<boolean>} whether the account still uses the initial password */
+    pinIsDefault: () => backend.rpc("own_pin_is_default", {}, { read:true }),
+  },
+  backup: {
+    /** @returns {Promise<BackupData>} */
+    export: () => backend.rpc("export_backup", {}, { read:true }),
+    /**
+     * @param {BackupData} data with IDs already mapped onto the current rows
+     * @param {"merge"|"replace"} mode
+     */
+    restore: (data, mode, schemaVersion) => backend.rpc("restore_backup", { p_data:data, p_mode:mode, p_schema_version:schemaVersion }),
+  },
+  auditLog: {
+    /**
+     * Newest first.
+     * @param {{ table?:string, action?:string, student?:string, from?:string, to?:string }} filter
+     * @returns {Promise<{ rows:AuditEntry[], hasMore:boolean }>}
+     */
+    page: ({ table, action, student, from, to }, { offset = 0, size }) => page("audit_log", {
+      order:"created_at.desc,id.desc",
+      where:where(["table_name", "eq", table], ["action", "eq", action], ["student_id", "eq", student], ["created_at", "gte", from], ["created_at", "lt", to && nextDay(to)]),
+    }, { offset, size }),
+  },
+  trash: {
+    /** @returns {Promise<TrashItem[]>} */
+    list: () => backend.rpc("list_trash", {}, { read:true }),
+    restore: (id) => backend.rpc("restore_trash", { p_id:id }),
+  },
+  staffAccounts: {
+    /** @returns {Promise<Account[]>} */
+    list: () => backend.rpc("list_staff_accounts", {}, { read:true }),
+    save: (a) => backend.rpc("save_staff_account", { p_id:a.id || null, p_login_id:a.login_id, p_name:a.name, p_role:a.role, p_pin:a.pin || null }),
+    remove: (id) => backend.rpc("delete_staff_account", { p_id:id }),
+    assignStudents: (id, studentIds) => backend.rpc("set_teacher_students", { p_account_id:id, p_student_ids:studentIds }),
+  },
+  parentAccounts: {
+    /** @returns {Promise<Account[]>} */
+    list: () => backend.rpc("list_parent_accounts", {}, { read:true }),
+    save: (a) => backend.rpc("save_parent_account", { p_id:a.id || null, p_login_id:a.login_id, p_name:a.name, p_pin:a.pin || null, p_student_ids:a.student_ids }),
+    remove: (id) => backend.rpc("delete_parent_account", { p_id:id }),
+  },
+};
+
+const nextDay = (dateStr) => { const d = new Date(dateStr + "T00:00:00Z"); d.setUTCDate(d.getUTCDate() + 1); return d.toISOString().slice(0, 10); };
@@ -0,0 +1,643 @@
+// ─── Mock backend ───
+// In-browser stand-in for Supabase used with VITE_DATA_BACKEND=memory|indexeddb: the same tables, query
+// filters and RPCs as the migrations, with a simplified permission model (owners see everything, teachers
+// their assigned students, students and parents their own rows). Errors carry the same codes as PostgREST.
+import { DataError } from "./data.js";
+
+const IDB_NAME = "test-manager-mock";
+const SESSION_HOURS = 12;
+const TRASH_DAYS = 30;
+// The PIN 001_auth gives the first account; the demo staff accounts start with it too.
+const SEED_STAFF_PIN = "1234";
+
+// Tables without an `id` column and their primary keys.
+const KEYS = { class_students:["class_id", "student_id"], online_attempts:["session_id", "student_id"], teacher_students:["account_id", "student_id"], parent_students:["parent_id", "student_id"], grades:["name"] };
+const UNIQUE = { students:["login_id"], staff_accounts:["login_id"], parent_accounts:["login_id"], test_categories:["name"] };
+const DEFAULTS = {
+  students: { status:"active", status_changed_at:null, pin:null },
+  test_sessions: { total_score:100, metadata:{}, version:1 },
+  tests: { score:null, answers:null, attendance:"present", attendance_reason:null },
+  retest_attempts: { reason:null, score:null, status:"scheduled", completed_at:null },
+  retest_rules: { delay_days:2, reason:"기준 점수 미달" },
+  test_categories: { color:"#2C5AFF", position:0 },
+  test_templates: { category_id:null, next_round:1, total_score:100, class_id:null, student_ids:[], cutoff_pct:null, delay_days:2, reason:"기준 점수 미달", repeat_weekdays:[], scheduled_until:null },
+  online_attempts: { answers:[], submitted_at:null },
+  classes: { archived_at:null },
+};
+// Child rows removed together with their parent (on delete cascade).
+const CASCADE = {
+  students: [["tests", "student_id"], ["class_students", "student_id"], ["teacher_students", "student_id"], ["parent_students", "student_id"], ["parent_notes", "student_id"], ["online_attempts", "student_id"]],
+  tests: [["retest_attempts", "result_id"]],
+  test_sessions: [["tests", "session_id"], ["online_attempts", "session_id"]],
+  classes: [["class_students", "class_id"]],
+  staff_accounts: [["teacher_students", "account_id"]],
+  parent_accounts: [["parent_students", "parent_id"]],
+};
+const SET_NULL = { test_categories:[["test_templates", "category_id"]], classes:[["test_templates", "class_id"]] };
+const AUDITED = ["students", "test_sessions", "tests"];
+// Tables in a backup, in restore order (backup_tables() in 019_backup.sql). Passwords travel as pin_hash like in the
+// database, here holding the mock's plain PINs, so a backup only restores into the kind of backend that made it
+// (the file records which).
+const BACKUP_TABLES = ["academy_settings", "grades", "staff_accounts", "test_categories", "classes", "retest_rules", "students", "student_credentials", "teacher_students",
+  "class_students", "parent_accounts", "parent_students", "parent_notes", "test_sessions", "test_templates", "tests", "retest_attempts", "online_attempts"];
+
+const now = () => new Date().toISOString();
+const today = (offset = 0) => { const d = new Date(); d.setDate(d.getDate() + offset); return d.toISOString().slice(0, 10); };
+const clone = (v) => v === undefined ? v : JSON.parse(JSON.stringify(v));
+const keyOf = (table, row) => (KEYS[table] || ["id"]).map(k => row[k]).join("|");
+const ATTENDANCE = ["present", "absent", "excused", "late"];
+const denied = () => new DataError("권한이 없습니다.", { status:403, code:"42501" });
+const fail = (message) => new DataError(message, { status:400, code:"P0001" });
+
+// Same rule as grade_answers() in SQL: "a/b" lists accepted answers, compared without case and surrounding spaces.
+const norm = (v) => String(v ?? "").trim().toLowerCase();
+const gradeAnswers = (questions, answers) => questions.reduce((sum, q, i) =>
+  answers[i] !== null && answers[i] !== undefined && String(q.answer ?? "").split("/").map(norm).includes(norm(answers[i])) ? sum + Number(q.points ?? 1) : sum, 0);
+
+// ─── Demo data ───
+const seed = () => {
+  const id = () => crypto.randomUUID();
+  const owner = { id:id(), login_id:"admin", name:"원장", role:"owner", pin:SEED_STAFF_PIN, must_change_pin:true, created_at:now() };
+  const teacher = { id:id(), login_id:"teacher", name:"김선생", role:"teacher", pin:SEED_STAFF_PIN, must_change_pin:true, created_at:now() };
+  const names = [["김민준", "고1"], ["이서연", "고1"], ["박도윤", "고2"], ["최하은", "고2"], ["정시우", "고3"], ["강지아", "중3"]];
+  const students = names.map(([name, grade], i) => ({ id:id(), name, grade, login_id:`s${String(i + 1).padStart(3, "0")}`, pin:null, status:"active", status_changed_at:null, created_at:now() }));
+  const classes = [{ id:id(), name:"A반", archived_at:null, created_at:now() }, { id:id(), name:"B반", archived_at:null, created_at:now() }];
+  const categories = [["단어", "#2C5AFF"], ["문법", "#10B981"], ["독해", "#FF6B35"], ["모의고사", "#EF4444"]]
+    .map(([name, color], i) => ({ id:id(), name, color, position:i + 1, created_at:now() }));
+  const vocab = { id:id(), name:"단어 테스트 {n}회", category_id:categories[0].id, next_round:3, total_score:50, class_id:classes[0].id, student_ids:[], cutoff_pct:70, delay_days:2,
+    reason:"기준 점수 미달", repeat_weekdays:[1, 4], scheduled_until:null, created_at:now() };
+  const sessions = [["단어 테스트 1회", -14, 50, { category_id:categories[0].id, template_id:vocab.id, round:1 }], ["월간 모의고사", -7, 100, { category_id:categories[3].id }],
+    ["단어 테스트 2회", -2, 50, { category_id:categories[0].id, template_id:vocab.id, round:2 }]]
+    .map(([name, day, total, metadata]) => ({ id:id(), name, test_date:today(day), total_score:total, metadata, version:1, created_at:now(), updated_at:now() }));
+  const tests = sessions.flatMap((s, si) => students.map((st, i) => ({
+    id:id(), session_id:s.id, student_id:st.id, score:Math.round(s.total_score * (0.45 + ((i * 7 + si * 3) % 10) / 18)),
+    test_name:s.name, test_date:s.test_date, total_score:s.total_score, category_id:s.metadata.category_id, attendance:"present", attendance_reason:null, created_at:now(),
+  })));
+  // The mock exam has an answer key, so item analysis has something to show.
+  const exam = sessions[1];
+  exam.metadata.questions = Array.from({ length:20 }, (_, i) => ({ answer:String((i * 3) % 5 + 1), points:5, skill:["어휘", "문법", "독해"][i % 3] }));
+  tests.filter(t => t.session_id === exam.id).forEach((t, si) => {
+    t.answers = exam.metadata.questions.map((q, i) => (i * 7 + si * 5) % 10 < 3 + si ? String((Number(q.answer) + si + i) % 5 + 1) : q.answer);
+    t.score = gradeAnswers(exam.metadata.questions, t.answers);
+  });
+  // An online vocabulary quiz open today, not taken by anyone yet.
+  const quiz = { id:id(), name:"단어 퀴즈 (온라인)", test_date:today(), total_score:10, version:1, created_at:now(), updated_at:now(), metadata:{
+    category_id:categories[0].id, retest_rule:{ keyword:"", cutoff_pct:70, delay_days:2, reason:"기준 점수 미달" },
+    online:{ opens_at:new Date(Date.now() - 3600000).toISOString(), closes_at:new Date(`${today(2)}T23:59:00`).toISOString(), minutes:10 },
+    questions:[["apple", "사과"], ["river", "강"], ["borrow", "빌리다"], ["color/colour", "색깔"], ["bright", "밝은"]].map(([word, meaning], i) => i < 3
+      ? { prompt:`"${word}"의 뜻은?`, choices:[meaning, "바다", "달리다", "조용한"].sort(), answer:String([meaning, "바다", "달리다", "조용한"].sort().indexOf(meaning) + 1), points:2 }
+      : { prompt:`"${meaning}"에 해당하는 영어 단어는?`, answer:word, points:2 }),
+  } };
+  sessions.push(quiz);
+  tests.push(...students.map(st => ({ id:id(), session_id:quiz.id, student_id:st.id, score:null, answers:null, attendance:"present", attendance_reason:null,
+    test_name:quiz.name, test_date:quiz.test_date, total_score:quiz.total_score, category_id:quiz.metadata.category_id, created_at:now() })));
+  // Some attendance to report on: 강지아 missed both vocabulary tests, 최하은 was excused from the mock exam and late to one.
+  const mark = (si, i, attendance, attendance_reason = null) => Object.assign(tests.find(t => t.session_id === sessions[si].id && t.student_id === students[i].id),
+    { attendance, attendance_reason }, attendance === "late" ? {} : { score:null, answers:null });
+  mark(0, 5, "absent"); mark(2, 5, "absent"); mark(1, 3, "excused", "병원 진료"); mark(2, 3, "late", "학교 보충수업");
+  const low = tests.find(t => t.score !== null && t.score / t.total_score < 0.6);
+  const parent = { id:id(), login_id:"parent", name:"김민준 학부모", pin:"1234", created_at:now() };
+  return {
+    staff_accounts:[owner, teacher],
+    teacher_students:students.slice(0, 4).map(s => ({ account_id:teacher.id, student_id:s.id })),
+    students, credentials:Object.fromEntries(students.map(s => [s.id, "0000"])),
+    classes, class_students:students.map((s, i) => ({ class_id:classes[i % 2].id, student_id:s.id })),
+    test_sessions:sessions, tests,
+    retest_attempts:low ? [{ id:id(), result_id:low.id, attempt_no:1, scheduled_date:today(2), reason:"기준 점수 미달", score:null, status:"scheduled", completed_at:null, created_at:now() }] : [],
+    retest_rules:[{ id:id(), keyword:"단어", cutoff_pct:70, delay_days:2, reason:"기준 점수 미달", created_at:now() }],
+    test_categories:categories, test_templates:[vocab], online_attempts:[],
+    grades:["중1", "중2", "중3", "고1", "고2", "고3"].map((name, i) => ({ name, position:i + 1 })),
+    parent_accounts:[parent], parent_students:[{ parent_id:parent.id, student_id:students[0].id }],
+    parent_notes:[], audit_log:[], trash:[], sessions:{}, audit_seq:0, login_failures:{},
+    academy_settings:{ name:"영어학원", logo:null, primary_color:"#2C5AFF", default_grade:"고1", default_total_score:100, default_pin:"0000", pin_min_length:4, pin_numeric:true,
+      score_bands:[90, 70, 50, 0].map(min => ({ min, label:"" })), updated_at:now() },
+  };
+};
+
+// ─── IndexedDB persistence ───
+const idb = {
+  open: () => new Promise((resolve, reject) => {
+    const r = indexedDB.open(IDB_NAME, 1);
+    r.onupgradeneeded = () => r.result.createObjectStore("state");
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  }),
+  get: async () => {
+    const db = await idb.open();
+    return new Promise(resolve => { const r = db.transaction("state").objectStore("state").get("db"); r.onsuccess = () => resolve(r.result); r.onerror = () => resolve(null); });
+  },
+  put: async (state) => {
+    const db = await idb.open();
+    db.transaction("state", "readwrite").objectStore("state").put(state, "db");
+  },
+};
+
+// ─── Query evaluation ───
+const compare = (a, b) => a === b ? 0 : a === null || a === undefined ? 1 : b === null || b === undefined ? -1 : a < b ? -1 : 1;
+const OPS = {
+  eq: (v, x) => String(v) === String(x), neq: (v, x) => String(v) !== String(x),
+  gt: (v, x) => v !== null && v > x, gte: (v, x) => v !== null && v >= x, lt: (v, x) => v !== null && v < x, lte: (v, x) => v !== null && v <= x,
+  in: (v, xs) => xs.map(String).includes(String(v)), is: (v, x) => x === null || x === "null" ? v === null || v === undefined : v === x,
+};
+const matches = (row, filters = []) => filters.every(([col, op, x]) => OPS[op](row[col], x));
+const sortRows = (rows, order) => {
+  if (!order) return rows;
+  const keys = order.split(",").map(k => { const [col, dir] = k.split("."); return [col, dir === "desc" ? -1 : 1]; });
+  return rows.sort((a, b) => { for (const [col, dir] of keys) { const c = compare(a[col], b[col]); if (c) return c * dir; } return 0; });
+};
+const project = (row, columns = "*") => columns === "*" ? row : Object.fromEntries(columns.split(",").map(c => [c, row[c]]));
+
+export function createMockBackend({ persist, token }) {
+  let state = null;
+  let saveTimer = null;
+
+  const load = async () => {
+    if (state) return state;
+    if (persist) { try { state = await idb.get(); } catch {} }
+    if (!state) return state = seed();
+    // Tables added since the state was saved start out with the demo rows.
+    Object.entries(seed()).forEach(([k, v]) => { state[k] ??= v; });
+    state.tests.forEach(t => { t.attendance ??= t.absent ? "absent" : "present"; t.attendance_reason ??= null; delete t.absent; });
+    state.staff_accounts.forEach(a => { a.must_change_pin ??= a.pin === SEED_STAFF_PIN; });
+    return state;
+  };
+  const save = () => {
+    if (!persist) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => idb.put(state).catch(() => {}), 100);
+  };
+
+  // ─── Sessions and permissions ───
+  const who = () => {
+    const s = state.sessions[token()];
+    return s && new Date(s.expires_at) > new Date() ? s : null;
+  };
+  const requireSession = () => { if (!who()) throw new DataError("JWT expired", { status:401, code:"PGRST301" }); };
+  // Like staff_role() in SQL, an account that still has to change its PIN has no role yet.
+  const staffRole = () => {
+    const s = who(), a = s?.role === "admin" ? state.staff_accounts.find(x => x.id === s.account_id) : null;
+    return a && !a.must_change_pin ? a.role : null;
+  };
+  const isOwner = () => staffRole() === "owner";
+  const requireOwner = () => { if (!isOwner()) throw denied(); };
+  const canSee = (studentId) => {
+    const s = who();
+    if (!s) return false;
+    if (s.role === "admin") return isOwner() || (staffRole() !== null && state.teacher_students.some(t => t.account_id === s.account_id && t.student_id === studentId));
+    if (s.role === "parent") return state.parent_students.some(p => p.parent_id === s.parent_id && p.student_id === studentId);
+    return s.student_id === studentId;
+  };
+  const canGrade = (studentId) => isOwner() || (staffRole() === "teacher" && canSee(studentId));
+  const studentOf = (table, row) =>
+    table === "students" ? row.id : table === "retest_attempts" ? state.tests.find(t => t.id === row.result_id)?.student_id : row.student_id;
+
+  const STUDENT_SCOPED = ["students", "tests", "retest_attempts", "parent_notes", "online_attempts"];
+  const STAFF_ONLY = ["classes", "class_students", "retest_rules", "test_templates", "audit_log", "staff_accounts", "teacher_students", "parent_accounts", "parent_students", "trash"];
+  const readable = (table, row) => {
+    if (STAFF_ONLY.includes(table)) return staffRole() !== null && (table !== "audit_log" || isOwner() || (row.student_id && canSee(row.student_id)));
+    if (table === "parent_notes" && who().role === "student") return false;
+    if (table === "test_sessions") return staffRole() !== null;
+    return !STUDENT_SCOPED.includes(table) || canSee(studentOf(table, row));
+  };
+  const writable = (table, row) => {
+    if (table === "online_attempts") return false;
+    if (STUDENT_SCOPED.includes(table)) return table === "students" && !state.students.some(s => s.id === row.id) ? isOwner() || staffRole() === "teacher" : canGrade(studentOf(table, row));
+    return isOwner() || staffRole() === "teacher";
+  };
+
+  const userJson = (s) => {
+    if (s.role === "admin") { const a = state.staff_accounts.find(x => x.id === s.account_id); return a && { role:"admin", id:a.id, name:a.name || a.login_id, login_id:a.login_id, staff_role:a.role, must_change_pin:!!a.must_change_pin }; }
+    if (s.role === "parent") { const p = state.parent_accounts.find(x => x.id === s.parent_id); return p && { role:"parent", id:p.id, name:p.name, login_id:p.login_id }; }
+    const st = state.students.find(x => x.id === s.student_id && (x.status || "active") === "active");
+    return st && { role:"student", id:st.id, name:st.name };
+  };
+  const issue = (role, ids) => {
+    const s = { role, ...ids, expires_at:new Date(Date.now() + SESSION_HOURS * 3600 * 1000).toISOString() };
+    const t = `mock.${crypto.randomUUID()}`;
+    state.sessions[t] = s;
+    return { token:t, expires_at:s.expires_at, user:userJson(s) };
+  };
+
+  // Five wrong PINs in a row lock the login ID for 15 minutes (020_login_protection).
+  const checkLoginLock = (role, loginId) => {
+    const until = state.login_failures[`${role}:${loginId}`]?.locked_until;
+    if (until && Date.parse(until) > Date.now())
+      throw new DataError(`로그인 시도가 너무 많습니다. ${Math.ceil((Date.parse(until) - Date.now()) / 60000)}분 뒤에 다시 시도하세요.`, { status:429, code:"PT429" });
+  };
+  const recordLogin = (role, loginId, ok) => {
+    const key = `${role}:${loginId}`;
+    if (ok) { delete state.login_failures[key]; return; }
+    const f = state.login_failures[key] ??= { failures:0, locked_until:null };
+    if (++f.failures >= 5) Object.assign(f, { failures:0, locked_until:new Date(Date.now() + 15 * 60 * 1000).toISOString() });
+  };
+  const login = (role, loginId, find, ids) => {
+    const key = loginId?.trim();
+    checkLoginLock(role, key);
+    const found = find(key);
+    recordLogin(role, key, !!found);
+    return found ? issue(role, ids(found)) : null;
+  };
+
+  const checkPin = (pin) => {
+    const { pin_min_length, pin_numeric } = state.academy_settings;
+    if (pin.length < pin_min_length) throw new DataError(`비밀번호는 ${pin_min_length}자 이상이어야 합니다.`, { status:400, code:"22023" });
+    if (pin_numeric && !/^[0-9]+$/.test(pin)) throw new DataError("비밀번호는 숫자만 사용할 수 있습니다.", { status:400, code:"22023" });
+  };
+
+  // ─── Row writes ───
+  const actor = () => { const s = who(); return s?.role === "admin" ? state.staff_accounts.find(a => a.id === s.account_id) : null; };
+  const audit = (table, action, before, after) => {
+    if (!AUDITED.includes(table)) return;
+    const strip = (r) => r && (({ pin, ...rest }) => rest)(r);
+    const r = after || before, a = actor();
+    state.audit_log.push({
+      id:++state.audit_seq, table_name:table, row_id:r.id, action, actor_id:a?.id || null, actor_name:a ? a.name || a.login_id : null,
+      student_id:table === "students" ? r.id : table === "tests" ? r.student_id : null, session_id:table === "test_sessions" ? r.id : table === "tests" ? r.session_id : null,
+      before:clone(strip(before)) || null, after:clone(strip(after)) || null, created_at:now(),
+    });
+  };
+  const fillFromSession = (row) => {
+    const s = state.test_sessions.find(x => x.id === row.session_id);
+    return s ? { ...row, test_name:s.name, test_date:s.test_date, total_score:s.total_score, category_id:s.metadata?.category_id || null } : row;
+  };
+  const insertRow = (table, input) => {
+    let row = { ...(KEYS[table] ? {} : { id:crypto.randomUUID() }), created_at:now(), ...DEFAULTS[table], ...clone(input) };
+    if (table === "tests") row = fillFromSession(row);
+    if (table === "parent_notes") row.author_name = actor()?.name || null;
+    if (state[table].some(r => keyOf(table, r) === keyOf(table, row))) throw new DataError(`duplicate key value violates unique constraint "${table}_pkey"`, { status:409, code:"23505" });
+    for (const col of UNIQUE[table] || []) {
+      if (state[table].some(r => r[col] === row[col])) throw new DataError(`duplicate key value violates unique constraint "${table}_${col}_key"`, { status:409, code:"23505" });
+    }
+    if (table === "students") {
+      if (row.pin) checkPin(row.pin);
+      state.credentials[row.id] = row.pin || state.academy_settings.default_pin; row.pin = null;
+      if (staffRole() === "teacher") state.teacher_students.push({ account_id:who().account_id, student_id:row.id });
+    }
+    state[table].push(row);
+    audit(table, "insert", null, row);
+    if (table === "test_sessions" && row.metadata?.template_id && row.metadata.round) {
+      const t = state.test_templates.find(x => x.id === row.metadata.template_id);
+      if (t) t.next_round = Math.max(t.next_round, row.metadata.round + 1);
+    }
+    return row;
+  };
+  const updateRow = (table, row, patch) => {
+    const before = clone(row);
+    if (table === "students" && patch.pin) { checkPin(patch.pin); state.credentials[row.id] = patch.pin; patch = { ...patch, pin:null }; }
+    if (table === "students" && patch.status && patch.status !== row.status) patch = { ...patch, status_changed_at:now() };
+    Object.assign(row, clone(patch));
+    if (table === "test_sessions") state.tests.filter(t => t.session_id === row.id).forEach(t => Object.assign(t, fillFromSession(t)));
+    audit(table, "update", before, row);
+    return row;
+  };
+  const deleteRows = (table, rows) => {
+    rows.forEach(row => {
+      (CASCADE[table] || []).forEach(([child, col]) => deleteRows(child, state[child].filter(c => c[col] === row.id)));
+      (SET_NULL[table] || []).forEach(([child, col]) => state[child].filter(c => c[col] === row.id).forEach(c => { c[col] = null; }));
+      state[table] = state[table].filter(r => r !== row);
+      audit(table, "delete", row, null);
+    });
+  };
+
+  // ─── RPCs ───
+  const rpcs = {
+    login_admin: ({ p_login_id, p_pin }) => login("admin", p_login_id,
+      key => state.staff_accounts.find(x => x.login_id === key && x.pin === p_pin), a => ({ account_id:a.id })),
+    login_student: ({ p_login_id, p_pin }) => login("student", p_login_id,
+      key => state.students.find(x => x.login_id === key && state.credentials[x.id] === p_pin && (x.status || "active") === "active"), st => ({ student_id:st.id })),
+    login_parent: ({ p_login_id, p_pin }) => login("parent", p_login_id,
+      key => state.parent_accounts.find(x => x.login_id === key && x.pin === p_pin), p => ({ parent_id:p.id })),
+    current_session: () => { const s = who(); return s ? userJson(s) || null : null; },
+    logout: () => { delete state.sessions[token()]; },
+
+    save_test_session: ({ p_id, p_name, p_test_date, p_total_score, p_metadata, p_results, p_create = false, p_expected_version = null }) => {
+      if (!isOwner() && staffRole() !== "teacher") throw denied();
+      let s = state.test_sessions.find(x => x.id === p_id);
+      if (!p_id || (p_create && !s)) {
+        s = insertRow("test_sessions", { id:p_id || crypto.randomUUID(), name:p_name.trim(), test_date:p_test_date, total_score:p_total_score ?? 100, metadata:p_metadata || {}, updated_at:now() });
+      } else if (!s) {
+        throw fail("테스트를 찾을 수 없습니다.");
+      } else {
+        if (p_expected_version !== null && s.version !== p_expected_version) throw new DataError("다른 사용자가 이 테스트를 먼저 수정했습니다.", { status:409, code:"PT409" });
+        updateRow("test_sessions", s, { name:p_name.trim(), test_date:p_test_date, total_score:p_total_score ?? 100, metadata:p_metadata || s.metadata, version:s.version + 1, updated_at:now() });
+      }
+      const results = p_results || [];
+      const questions = s.metadata?.questions?.length ? s.metadata.questions : null;
+      for (const r of results) if (!canGrade(r.student_id)) throw denied();
+      deleteRows("tests", state.tests.filter(t => t.session_id === s.id && canGrade(t.student_id) && !results.some(r => r.student_id === t.student_id)));
+      for (const r of results) {
+        const attendance = r.attendance || (r.absent ? "absent" : "present"), attendance_reason = r.attendance_reason?.trim() || null;
+        if (!ATTENDANCE.includes(attendance)) throw fail("출결 상태가 올바르지 않습니다.");
+        const missed = attendance === "absent" || attendance === "excused", answers = missed ? null : r.answers ?? null;
+        const score = missed ? null : questions && Array.isArray(answers) && answers.some(a => norm(a)) ? gradeAnswers(questions, answers) : r.score ?? null;
+        if (score !== null && (score < 0 || score > s.total_score)) throw new DataError(`점수는 0점 이상 만점(${s.total_score}점) 이하여야 합니다.`, { status:400, code:"22023" });
+        let t = state.tests.find(x => x.session_id === s.id && x.student_id === r.student_id);
+        if (!t) t = insertRow("tests", { session_id:s.id, student_id:r.student_id, score, attendance, attendance_reason, answers });
+        else if (t.score !== score || t.attendance !== attendance || t.attendance_reason !== attendance_reason || JSON.stringify(t.answers ?? null) !== JSON.stringify(answers))
+          updateRow("tests", t, { score, attendance, attendance_reason, answers });
+        const attempts = state.retest_attempts.filter(a => a.result_id === t.id).sort((a, b) => a.attempt_no - b.attempt_no);
+        const open = attempts.filter(a => a.status === "scheduled").at(-1);
+        const reason = r.retest_reason || null;
+        if (!r.retest_date) { if (open && open.score === null) deleteRows("retest_attempts", [open]); }
+        else if (open) Object.assign(open, { scheduled_date:r.retest_date, reason });
+        else insertRow("retest_attempts", { result_id:t.id, attempt_no:(attempts.at(-1)?.attempt_no || 0) + 1, scheduled_date:r.retest_date, reason });
+      }
+      return s.id;
+    },
+    student_comparison: ({ p_student_id }) => {
+      if (!canSee(p_student_id)) throw denied();
+      const me = state.students.find(s => s.id === p_student_id);
+      const classIds = state.class_students.filter(c => c.student_id === p_student_id).map(c => c.class_id);
+      const classmates = new Set(state.class_students.filter(c => classIds.includes(c.class_id)).map(c => c.student_id));
+      const pct = (s, rows) => { const sc = rows.filter(t => t.score !== null); return sc.length ? sc.reduce((a, t) => a + t.score, 0) / sc.length * 100 / s.total_score : null; };
+      return state.tests.filter(t => t.student_id === p_student_id).map(r => {
+        const s = state.test_sessions.find(x => x.id === r.session_id), rows = state.tests.filter(t => t.session_id === r.session_id);
+        return { session_id:r.session_id, all_pct:pct(s, rows), grade_pct:pct(s, rows.filter(t => state.students.find(x => x.id === t.student_id)?.grade === me?.grade)), class_pct:pct(s, rows.filter(t => classmates.has(t.student_id))) };
+      });
+    },
+
+    schedule_test_sessions: ({ p_days = 14 }) => {
+      if (!isOwner() && staffRole() !== "teacher") throw denied();
+      const until = today(p_days);
+      let n = 0;
+      state.test_templates.filter(t => t.repeat_weekdays.length && (t.scheduled_until || today(-1)) < until).forEach(t => {
+        for (let i = 0; today(i) <= until; i++) {
+          const d = today(i);
+          if ((t.scheduled_until && d <= t.scheduled_until) || !t.repeat_weekdays.includes(new Date(d + "T00:00:00Z").getUTCDay() || 7)) continue;
+          const round = t.next_round;
+          insertRow("test_sessions", { name:t.name.replaceAll("{n}", round), test_date:d, total_score:t.total_score, updated_at:now(), metadata:{
+            ...(t.category_id && { category_id:t.category_id }), template_id:t.id, round,
+            ...(t.cutoff_pct !== null && { retest_rule:{ keyword:"", cutoff_pct:t.cutoff_pct, delay_days:t.delay_days, reason:t.reason } }),
+          } });
+          n++;
+        }
+        t.scheduled_until = until;
+      });
+      return n;
+    },
+
+    list_online_tests: () => {
+      const me = who()?.role === "student" ? who().student_id : null;
+      return state.tests.filter(t => t.student_id === me).map(t => [t, state.test_sessions.find(s => s.id === t.session_id)]).filter(([, s]) => s?.metadata?.online)
+        .sort(([, a], [, b]) => compare(a.metadata.online.opens_at, b.metadata.online.opens_at)).map(([t, s]) => {
+          const a = state.online_attempts.find(x => x.session_id === s.id && x.student_id === me);
+          return { session_id:s.id, name:s.name, test_date:s.test_date, total_score:s.total_score, ...s.metadata.online, question_count:s.metadata.questions?.length || 0,
+            started_at:a?.started_at ?? null, deadline:a?.deadline ?? null, submitted_at:a?.submitted_at ?? null };
+        });
+    },
+    start_online_test: ({ p_session_id }) => {
+      const me = who()?.role === "student" ? who().student_id : null;
+      const s = state.test_sessions.find(x => x.id === p_session_id && x.metadata?.online && state.tests.some(t => t.session_id === x.id && t.student_id === me));
+      if (!me || !s) throw fail("응시할 수 없는 테스트입니다.");
+      let a = state.online_attempts.find(x => x.session_id === s.id && x.student_id === me);
+      if (a?.submitted_at) throw fail("이미 제출한 테스트입니다.");
+      if (!a) {
+        const { opens_at, closes_at, minutes } = s.metadata.online, t = Date.now();
+        if (t < Date.parse(opens_at) || t >= Date.parse(closes_at)) throw fail("응시 기간이 아닙니다.");
+        const deadline = minutes ? Math.min(Date.parse(closes_at), t + minutes * 60000) : Date.parse(closes_at);
+        a = insertRow("online_attempts", { session_id:s.id, student_id:me, started_at:now(), deadline:new Date(deadline).toISOString() });
+      }
+      return { session_id:s.id, name:s.name, total_score:s.total_score, started_at:a.started_at, deadline:a.deadline, now:now(), answers:a.answers,
+        questions:(s.metadata.questions || []).map(q => ({ ...(q.prompt && { prompt:q.prompt }), ...(q.choices && { choices:q.choices }), points:q.points ?? 1 })) };
+    },
+    save_online_answers: ({ p_session_id, p_answers }) => {
+      const me = who()?.role === "student" ? who().student_id : null;
+      const a = state.online_attempts.find(x => x.session_id === p_session_id && x.student_id === me && !x.submitted_at && Date.now() <= Date.parse(x.deadline) + 60000);
+      if (!a) throw fail("응시 시간이 끝났습니다.");
+      a.answers = clone(p_answers);
+    },
+    submit_online_test: ({ p_session_id, p_answers }) => {
+      const me = who()?.role === "student" ? who().student_id : null;
+      const a = state.online_attempts.find(x => x.session_id === p_session_id && x.student_id === me);
+      if (!a) throw fail("응시를 시작하지 않은 테스트입니다.");
+      if (a.submitted_at) throw fail("이미 제출한 테스트입니다.");
+      const s = state.test_sessions.find(x => x.id === p_session_id), t = state.tests.find(x => x.session_id === p_session_id && x.student_id === me);
+      if (!t) throw fail("응시할 수 없는 테스트입니다.");
+      const answers = Date.now() <= Date.parse(a.deadline) + 60000 && Array.isArray(p_answers) ? clone(p_answers) : a.answers;
+      const score = gradeAnswers(s.metadata.questions || [], answers);
+      Object.assign(a, { answers, submitted_at:now() });
+      updateRow("tests", t, { score, answers, ...(t.attendance === "absent" || t.attendance === "excused" ? { attendance:"present" } : {}) });
+      const rule = s.metadata.retest_rule, attempts = state.retest_attempts.filter(x => x.result_id === t.id);
+      if (rule && score * 100 / s.total_score < rule.cutoff_pct && !attempts.some(x => x.status === "scheduled")) {
+        const d = new Date(s.test_date + "T00:00:00Z"); d.setUTCDate(d.getUTCDate() + (rule.delay_days || 0));
+        insertRow("retest_attempts", { result_id:t.id, attempt_no:Math.max(0, ...attempts.map(x => x.attempt_no)) + 1, scheduled_date:d.toISOString().slice(0, 10), reason:rule.reason || null });
+      }
+      Object.assign(s, { version:s.version + 1, updated_at:now() });
+      return { score, total_score:s.total_score };
+    },
+
+    trash_student: ({ p_id }) => {
+      requireOwner();
+      const st = state.students.find(s => s.id === p_id);
+      if (!st) throw fail("학생을 찾을 수 없습니다.");
+      const tests = state.tests.filter(t => t.student_id === p_id);
+      const of = (table, col) => clone(state[table].filter(r => r[col] === p_id));
+      const item = { id:crypto.randomUUID(), kind:"student", label:st.name, deleted_by:actor()?.id || null, deleted_at:now(), payload:{
+        student:clone(st), pin:state.credentials[p_id], tests:clone(tests), retest_attempts:clone(state.retest_attempts.filter(a => tests.some(t => t.id === a.result_id))),
+        class_students:of("class_students", "student_id"), teacher_students:of("teacher_students", "student_id"), parent_students:of("parent_students", "student_id"), parent_notes:of("parent_notes", "student_id"),
+      } };
+      state.trash.push(item);
+      deleteRows("students", [st]);
+      return item.id;
+    },
+    delete_test_session: ({ p_id }) => {
+      if (!isOwner() && staffRole() !== "teacher") throw denied();
+      const s = state.test_sessions.find(x => x.id === p_id);
+      if (!s) throw fail("테스트를 찾을 수 없습니다.");
+      const tests = state.tests.filter(t => t.session_id === p_id && canGrade(t.student_id));
+      const item = { id:crypto.randomUUID(), kind:"test_session", label:`${s.name} (${s.test_date})`, deleted_by:actor()?.id || null, deleted_at:now(), payload:{
+        session:clone(s), tests:clone(tests), retest_attempts:clone(state.retest_attempts.filter(a => tests.some(t => t.id === a.result_id))),
+      } };
+      state.trash.push(item);
+      deleteRows("tests", tests);
+      if (!state.tests.some(t => t.session_id === p_id)) deleteRows("test_sessions", [s]);
+      return item.id;
+    },
+    restore_trash: ({ p_id }) => {
+      const item = state.trash.find(t => t.id === p_id && Date.now() - new Date(t.deleted_at) < TRASH_DAYS * 86400000 && (isOwner() || t.deleted_by === actor()?.id));
+      if (!item) throw fail("복원할 항목을 찾을 수 없습니다.");
+      const p = item.payload;
+      const restore = (table, rows, ok = () => true) => rows.filter(r => ok(r) && !state[table].some(x => keyOf(table, x) === keyOf(table, r))).forEach(r => { state[table].push(r); audit(table, "insert", null, r); });
+      if (item.kind === "student") {
+        requireOwner();
+        if (state.students.some(s => s.login_id === p.student.login_id)) throw fail(`아이디 "${p.student.login_id}"를 사용하는 학생이 이미 있습니다.`);
+        restore("students", [p.student]);
+        state.credentials[p.student.id] = p.pin || state.academy_settings.default_pin;
+        restore("class_students", p.class_students, r => state.classes.some(c => c.id === r.class_id));
+        restore("teacher_students", p.teacher_students, r => state.staff_accounts.some(a => a.id === r.account_id));
+        restore("parent_students", p.parent_students, r => state.parent_accounts.some(a => a.id === r.parent_id));
+        restore("parent_notes", p.parent_notes);
+        restore("tests", p.tests, r => state.test_sessions.some(s => s.id === r.session_id));
+      } else {
+        restore("test_sessions", [p.session]);
+        restore("tests", p.tests, r => state.students.some(s => s.id === r.student_id) && !state.tests.some(t => t.session_id === r.session_id && t.student_id === r.student_id));
+      }
+      restore("retest_attempts", p.retest_attempts, r => state.tests.some(t => t.id === r.result_id));
+      state.trash = state.trash.filter(t => t !== item);
+    },
+    list_trash: () => {
+      if (staffRole() === null) throw denied();
+      state.trash = state.trash.filter(t => Date.now() - new Date(t.deleted_at) < TRASH_DAYS * 86400000);
+      return state.trash.filter(t => isOwner() || t.deleted_by === actor()?.id).sort((a, b) => b.deleted_at.localeCompare(a.deleted_at)).map(t => {
+        const a = state.staff_accounts.find(x => x.id === t.deleted_by);
+        return { id:t.id, kind:t.kind, label:t.label, deleted_at:t.deleted_at, expires_at:new Date(new Date(t.deleted_at).getTime() + TRASH_DAYS * 86400000).toISOString(),
+          deleted_by:a ? a.name || a.login_id : null, result_count:t.payload.tests.length };
+      });
+    },
+
+    get_academy_settings: () => {
+      const { name, logo, primary_color, score_bands } = state.academy_settings;
+      return staffRole() !== null ? state.academy_settings : { name, logo, primary_color, score_bands };
+    },
+    save_academy_settings: ({ p_settings:p }) => {
+      requireOwner();
+      const bands = p.score_bands;
+      if (!Array.isArray(bands) || bands.length < 2 || bands.length > 6 || bands.at(-1).min !== 0
+        || bands.some((b, i) => b.min < 0 || b.min > 100 || (i > 0 && b.min >= bands[i - 1].min))) throw new DataError("점수 구간은 높은 기준부터 차례로, 마지막은 0%로 입력하세요.", { status:400, code:"22023" });
+      if (!p.name?.trim() || !/^#[0-9A-Fa-f]{6}$/.test(p.primary_color) || !(p.default_total_score > 0) || !(p.pin_min_length >= 4 && p.pin_min_length <= 20)) throw fail("설정 값을 확인하세요.");
+      state.academy_settings = { name:p.name.trim(), logo:p.logo || null, primary_color:p.primary_color, default_grade:p.default_grade || null, default_total_score:p.default_total_score,
+        default_pin:p.default_pin, pin_min_length:p.pin_min_length, pin_numeric:!!p.pin_numeric, score_bands:clone(bands), updated_at:now() };
+      checkPin(p.default_pin);
+    },
+    change_own_pin: ({ p_current, p_new }) => {
+      const a = actor();
+      if (!a) throw denied();
+      if (a.pin !== p_current) throw new DataError("현재 비밀번호가 올바르지 않습니다.", { status:400, code:"22023" });
+      if (p_new === p_current) throw new DataError("새 비밀번호는 현재 비밀번호와 달라야 합니다.", { status:400, code:"22023" });
+      checkPin(p_new);
+      Object.assign(a, { pin:p_new, must_change_pin:false });
+    },
+    own_pin_is_default: () => [SEED_STAFF_PIN, state.academy_settings.default_pin].includes(actor()?.pin),
+
+    export_backup: () => {
+      requireOwner();
+      const withHash = ({ pin, ...row }) => ({ ...row, pin_hash:pin });
+      const stored = { academy_settings:[{ id:true, ...state.academy_settings }], staff_accounts:state.staff_accounts.map(withHash), parent_accounts:state.parent_accounts.map(withHash),
+        student_credentials:Object.entries(state.credentials).map(([student_id, pin_hash]) => ({ student_id, pin_hash })) };
+      return Object.fromEntries(BACKUP_TABLES.map(t => [t, clone(stored[t] || state[t])]));
+    },
+    restore_backup: ({ p_data, p_mode, p_schema_version }) => {
+      requireOwner();
+      if (p_schema_version !== 1) throw fail("지원하지 않는 백업 버전입니다.");
+      if (!["merge", "replace"].includes(p_mode)) throw fail("복원 방식이 올바르지 않습니다.");
+      const me = actor();
+      if (p_mode === "replace") {
+        ["students", "test_sessions", "test_templates", "classes", "test_categories", "retest_rules", "parent_accounts", "grades"].forEach(t => deleteRows(t, [...state[t]]));
+        deleteRows("staff_accounts", state.staff_accounts.filter(a => a !== me));
+      }
+      for (const table of BACKUP_TABLES) for (const input of p_data[table] || []) {
+        if (table === "academy_settings") { const { id, ...settings } = input; state.academy_settings = clone(settings); continue; }
+        if (table === "student_credentials") { state.credentials[input.student_id] = input.pin_hash; continue; }
+        if (table === "staff_accounts" && input.id === me.id) continue;
+        let row = clone(input);
+        if ("pin_hash" in row) { const { pin_hash, ...rest } = row; row = { ...rest, pin:pin_hash }; }
+        if (table === "tests") row = fillFromSession(row);
+        const existing = state[table].find(r => keyOf(table, r) === keyOf(table, row));
+        for (const col of UNIQUE[table] || []) {
+          if (state[table].some(r => r !== existing && r[col] === row[col])) throw new DataError(`duplicate key value violates unique constraint "${table}_${col}_key"`, { status:409, code:"23505" });
+        }
+        if (existing) { const before = clone(existing); Object.assign(existing, row); audit(table, "update", before, existing); }
+        else {
+          state[table].push(row); audit(table, "insert", null, row);
+          if (table === "students") state.credentials[row.id] ??= state.academy_settings.default_pin;
+        }
+      }
+    },
+
+    save_grades: ({ p_names }) => {
+      requireOwner();
+      if (state.students.some(s => (s.status || "active") === "active" && !p_names.includes(s.grade))) throw fail("재원 중인 학생이 있는 학년은 삭제할 수 없습니다.");
+      state.grades = p_names.map((name, i) => ({ name:name.trim(), position:i + 1 }));
+    },
+    apply_rollover: ({ p_changes }) => {
+      requireOwner();
+      let n = 0;
+      p_changes.forEach(c => {
+        const s = state.students.find(x => x.id === c.student_id);
+        if (s && (s.grade !== c.grade || s.status !== c.status)) { updateRow("students", s, { grade:c.grade, status:c.status }); n++; }
+      });
+      return n;
+    },
+
+    list_staff_accounts: () => {
+      requireOwner();
+      return state.staff_accounts.map(a => ({ id:a.id, login_id:a.login_id, name:a.name, role:a.role, student_ids:state.teacher_students.filter(t => t.account_id === a.id).map(t => t.student_id) }));
+    },
+    save_staff_account: ({ p_id, p_login_id, p_name, p_role, p_pin }) => {
+      requireOwner();
+      if (!p_id) {
+        if (!p_pin) throw fail("비밀번호를 입력하세요.");
+        return insertRow("staff_accounts", { login_id:p_login_id.trim(), name:p_name.trim(), role:p_role, pin:p_pin }).id;
+      }
+      if (p_id === who().account_id && p_role !== "owner") throw fail("자신의 원장 권한은 해제할 수 없습니다.");
+      const a = state.staff_accounts.find(x => x.id === p_id);
+      if (state.staff_accounts.some(x => x !== a && x.login_id === p_login_id.trim())) throw new DataError('duplicate key value violates unique constraint "staff_accounts_login_id_key"', { status:409, code:"23505" });
+      Object.assign(a, { login_id:p_login_id.trim(), name:p_name.trim(), role:p_role, pin:p_pin || a.pin });
+      return a.id;
+    },
+    delete_staff_account: ({ p_id }) => {
+      requireOwner();
+      if (p_id === who().account_id) throw fail("자신의 계정은 삭제할 수 없습니다.");
+      deleteRows("staff_accounts", state.staff_accounts.filter(a => a.id === p_id));
+    },
+    set_teacher_students: ({ p_account_id, p_student_ids }) => {
+      requireOwner();
+      state.teacher_students = [...state.teacher_students.filter(t => t.account_id !== p_account_id), ...p_student_ids.map(student_id => ({ account_id:p_account_id, student_id }))];
+    },
+    list_parent_accounts: () => {
+      requireOwner();
+      return [...state.parent_accounts].sort((a, b) => a.name.localeCompare(b.name, "ko"))
+        .map(p => ({ id:p.id, login_id:p.login_id, name:p.name, student_ids:state.parent_students.filter(x => x.parent_id === p.id).map(x => x.student_id) }));
+    },
+    save_parent_account: ({ p_id, p_login_id, p_name, p_pin, p_student_ids }) => {
+      requireOwner();
+      let p;
+      if (!p_id) {
+        if (!p_pin) throw fail("비밀번호를 입력하세요.");
+        p = insertRow("parent_accounts", { login_id:p_login_id.trim(), name:p_name.trim(), pin:p_pin });
+      } else {
+        p = state.parent_accounts.find(x => x.id === p_id);
+        if (!p) throw fail("계정을 찾을 수 없습니다.");
+        Object.assign(p, { login_id:p_login_id.trim(), name:p_name.trim(), pin:p_pin || p.pin });
+      }
+      state.parent_students = [...state.parent_students.filter(x => x.parent_id !== p.id), ...(p_student_ids || []).map(student_id => ({ parent_id:p.id, student_id }))];
+      return p.id;
+    },
+    delete_parent_account: ({ p_id }) => { requireOwner(); deleteRows("parent_accounts", state.parent_accounts.filter(p => p.id === p_id)); },
+  };
+  const PUBLIC_RPCS = ["login_admin", "login_student", "login_parent", "get_academy_settings"];
+
+  // Each call works on a copy and only commits it when it succeeds, like a database transaction.
+  const run = async (fn) => {
+    await load();
+    const snapshot = clone(state);
+    try { const result = clone(fn()); save(); return result; }
+    catch (e) { state = snapshot; throw e; }
+  };
+
+  return {
+    select: (table, q = {}) => run(() => {
+      requireSession();
+      const rows = sortRows(state[table].filter(r => readable(table, r) && matches(r, q.where)), q.order);
+      return rows.slice(q.offset || 0, q.limit === undefined ? undefined : (q.offset || 0) + q.limit).map(r => project(r, q.columns));
+    }),
+    insert: (table, rows) => run(() => {
+      requireSession();
+      return rows.map(r => { if (!writable(table, r)) throw denied(); return insertRow(table, r); });
+    }),
+    // Like PostgREST under RLS, rows the caller may not write are skipped rather than rejected.
+    update: (table, patch, filters) => run(() => {
+      requireSession();
+      return state[table].filter(r => matches(r, filters) && readable(table, r) && writable(table, r)).map(r => updateRow(table, r, patch));
+    }),
+    remove: (table, filters) => run(() => {
+      requireSession();
+      deleteRows(table, state[table].filter(r => matches(r, filters) && readable(table, r) && writable(table, r)));
+    }),
+    rpc: (fn, args = {}) => run(() => {
+      if (!rpcs[fn]) throw new DataError(`Could not find the function public.${fn}`, { status:404, code:"PGRST202" });
+      if (!PUBLIC_RPCS.includes(fn) && fn !== "current_session" && fn !== "logout") requireSession();
+      return rpcs[fn](args) ?? null;
+    }),
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import { createMockBackend } from "./mockBackend.js";
+import { gradeAnswers } from "./App.jsx";
+
+// The mock grades saved answers itself, like grade_answers() in SQL; the score form shows the same score before saving.
+describe("mock grade_answers", () => {
+  let token = null, db, studentId;
+  beforeAll(async () => {
+    db = createMockBackend({ persist:false, token:() => token });
+    token = (await db.rpc("login_admin", { p_login_id:"admin", p_pin:"1234" })).token;
+    await db.rpc("change_own_pin", { p_current:"1234", p_new:"5678" });
+    studentId = (await db.select("students"))[0].id;
+  });
+  const graded = async (questions, answers) => {
+    const id = crypto.randomUUID();
+    await db.rpc("save_test_session", { p_id:id, p_create:true, p_name:"채점", p_test_date:"2026-03-02", p_total_score:100,
+      p_metadata:{ questions }, p_results:[{ student_id:studentId, score:null, answers }] });
+    return (await db.select("tests", { where:[["session_id", "eq", id]] }))[0].score;
+  };
+
+  const cases = [
+    ["accepts any answer listed with /", [{ answer:"apple/apples", points:2 }], ["apples"], 2],
+    ["ignores case and surrounding spaces", [{ answer:"Seoul" }, { answer:"b" }], ["  SEOUL ", " B"], 2],
+    ["counts a question without points as one point", [{ answer:"a" }, { answer:"b", points:3 }], ["a", "b"], 4],
+    ["gives nothing for wrong or blank answers", [{ answer:"a" }, { answer:"b" }, { answer:"c" }], ["b", "", null], 0],
+    ["grades answers missing at the end as wrong", [{ answer:"1", points:5 }, { answer:"2", points:5 }], ["1"], 5],
+  ];
+  for (const [name, questions, answers, score] of cases) {
+    it(name, async () => {
+      expect(await graded(questions, answers)).toBe(score);
+      expect(gradeAnswers(questions, answers)).toBe(score);
+    });
+  }
+});
+
+describe("mock login protection", () => {
+  let token = null, db;
+  beforeAll(() => { db = createMockBackend({ persist:false, token:() => token }); });
+
+  it("locks a login ID for a while after five wrong PINs in a row", async () => {
+    for (let i = 0; i < 5; i++) expect(await db.rpc("login_parent", { p_login_id:"parent", p_pin:"0000" })).toBeNull();
+    await expect(db.rpc("login_parent", { p_login_id:"parent", p_pin:"1234" })).rejects.toMatchObject({ status:429, code:"PT429" });
+    expect(await db.rpc("login_student", { p_login_id:"s001", p_pin:"0000" })).not.toBeNull();
+  });
+
+  it("gives a staff account on the seeded PIN no access until it chooses a new one", async () => {
+    const s = await db.rpc("login_admin", { p_login_id:"teacher", p_pin:"1234" });
+    token = s.token;
+    expect(s.user.must_change_pin).toBe(true);
+    expect(await db.select("students")).toEqual([]);
+    await expect(db.rpc("change_own_pin", { p_current:"1234", p_new:"1234" })).rejects.toThrow("현재 비밀번호와 달라야");
+    await db.rpc("change_own_pin", { p_current:"1234", p_new:"5678" });
+    expect((await db.rpc("current_session")).must_change_pin).toBe(false);
+    expect((await db.select("students")).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,162 @@
+-- ─── Server-side authentication ───
+-- Credentials are hashed (bcrypt via pgcrypto) and only ever checked inside
+-- security-definer RPCs. A successful login issues a JWT carrying a session id
+-- (`sid`); the client sends it as the Bearer token and RLS resolves the caller
+-- through `app_session()`. The anon role can no longer read any table.
+--
+-- Requires the project's JWT secret to be readable by the database:
+--   alter database postgres set app.settings.jwt_secret = '<JWT secret>';
+
+create extension if not exists pgcrypto with schema extensions;
+create extension if not exists pgjwt with schema extensions;
+
+-- ─── Credentials ───
+create table if not exists public.staff_accounts (
+  id uuid primary key default gen_random_uuid(),
+  login_id text not null unique,
+  pin_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+insert into public.staff_accounts (login_id, pin_hash)
+values ('admin', extensions.crypt('1234', extensions.gen_salt('bf')))
+on conflict (login_id) do nothing;
+
+create table if not exists public.student_credentials (
+  student_id uuid primary key references public.students(id) on delete cascade deferrable initially deferred,
+  pin_hash text not null,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.student_credentials (student_id, pin_hash)
+select id, extensions.crypt(coalesce(nullif(pin, ''), '0000'), extensions.gen_salt('bf')) from public.students
+on conflict (student_id) do nothing;
+
+update public.students set pin = null where pin is not null;
+
+-- Writes to students.pin are diverted into student_credentials, so the
+-- plain-text column is always null and the admin UI can keep sending `pin`.
+create or replace function public.students_hash_pin() returns trigger
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  new.id := coalesce(new.id, gen_random_uuid());
+  if new.pin is not null and new.pin <> '' then
+    insert into student_credentials (student_id, pin_hash)
+    values (new.id, crypt(new.pin, gen_salt('bf')))
+    on conflict (student_id) do update set pin_hash = excluded.pin_hash, updated_at = now();
+  elsif tg_op = 'INSERT' then
+    insert into student_credentials (student_id, pin_hash) values (new.id, crypt('0000', gen_salt('bf')));
+  end if;
+  new.pin := null;
+  return new;
+end $$;
+
+drop trigger if exists students_hash_pin on public.students;
+create trigger students_hash_pin before insert or update of pin on public.students
+for each row execute function public.students_hash_pin();
+
+-- ─── Sessions ───
+create table if not exists public.sessions (
+  id uuid primary key default gen_random_uuid(),
+  role text not null check (role in ('admin', 'student')),
+  account_id uuid references public.staff_accounts(id) on delete cascade,
+  student_id uuid references public.students(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create or replace function public.app_session() returns public.sessions
+language sql stable security definer set search_path = public as $$
+  select s.* from sessions s
+  where s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.revoked_at is null and s.expires_at > now()
+$$;
+
+create or replace function public.is_admin() returns boolean
+language sql stable as $$ select coalesce((select role = 'admin' from public.app_session()), false) $$;
+
+create or replace function public.session_student_id() returns uuid
+language sql stable as $$ select student_id from public.app_session() where role = 'student' $$;
+
+create or replace function public.session_user_json(s public.sessions) returns json
+language sql stable security definer set search_path = public as $$
+  select case s.role
+    when 'admin' then json_build_object('role', 'admin')
+    else (select json_build_object('role', 'student', 'id', st.id, 'name', st.name) from students st where st.id = s.student_id)
+  end
+$$;
+
+create or replace function public.issue_session(p_role text, p_account_id uuid, p_student_id uuid) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare s sessions;
+begin
+  insert into sessions (role, account_id, student_id, expires_at)
+  values (p_role, p_account_id, p_student_id, now() + interval '12 hours')
+  returning * into s;
+  return json_build_object(
+    'token', sign(json_build_object(
+      'role', 'authenticated', 'sid', s.id, 'app_role', s.role,
+      'exp', extract(epoch from s.expires_at)::bigint
+    ), current_setting('app.settings.jwt_secret')),
+    'expires_at', s.expires_at,
+    'user', session_user_json(s)
+  );
+end $$;
+
+-- ─── RPC endpoints ───
+create or replace function public.login_admin(p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare a staff_accounts;
+begin
+  select * into a from staff_accounts where login_id = 'admin' and pin_hash = crypt(p_pin, pin_hash);
+  if not found then return null; end if;
+  return issue_session('admin', a.id, null);
+end $$;
+
+create or replace function public.login_student(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare sid uuid;
+begin
+  select s.id into sid from students s join student_credentials c on c.student_id = s.id
+  where s.login_id = trim(p_login_id) and c.pin_hash = crypt(p_pin, c.pin_hash);
+  if not found then return null; end if;
+  return issue_session('student', null, sid);
+end $$;
+
+create or replace function public.current_session() returns json
+language sql stable security definer set search_path = public as $$
+  select session_user_json(s) from app_session() s where s.id is not null
+$$;
+
+create or replace function public.logout() returns void
+language sql security definer set search_path = public as $$
+  update sessions set revoked_at = now() where id = (select id from app_session())
+$$;
+
+revoke execute on function public.issue_session(text, uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.students_hash_pin() from public, anon, authenticated;
+grant execute on function public.login_admin(text), public.login_student(text, text) to anon, authenticated;
+grant execute on function public.current_session(), public.logout() to authenticated;
+
+-- ─── Row level security ───
+revoke all on public.staff_accounts, public.student_credentials, public.sessions from anon, authenticated;
+revoke all on public.students, public.tests from anon;
+grant select, insert, update, delete on public.students, public.tests to authenticated;
+
+alter table public.students enable row level security;
+alter table public.tests enable row level security;
+
+drop policy if exists students_read on public.students;
+create policy students_read on public.students for select to authenticated
+  using (public.is_admin() or id = public.session_student_id());
+drop policy if exists students_write on public.students;
+create policy students_write on public.students for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
+
+drop policy if exists tests_read on public.tests;
+create policy tests_read on public.tests for select to authenticated
+  using (public.is_admin() or student_id = public.session_student_id());
+drop policy if exists tests_write on public.tests;
+create policy tests_write on public.tests for all to authenticated
+  using (public.is_admin()) with check (public.is_admin());
@@ -0,0 +1,160 @@
+-- ─── Staff accounts with roles ───
+-- owner     : full access, the only role that may delete students or manage accounts
+-- teacher   : sees and grades only the students assigned through teacher_students
+-- assistant : read-only view of the assigned students
+
+alter table public.staff_accounts add column if not exists name text;
+alter table public.staff_accounts add column if not exists role text not null default 'teacher';
+alter table public.staff_accounts drop constraint if exists staff_accounts_role_check;
+alter table public.staff_accounts add constraint staff_accounts_role_check check (role in ('owner', 'teacher', 'assistant'));
+update public.staff_accounts set role = 'owner', name = coalesce(name, '원장') where login_id = 'admin';
+
+create table if not exists public.teacher_students (
+  account_id uuid not null references public.staff_accounts(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade deferrable initially deferred,
+  primary key (account_id, student_id)
+);
+revoke all on public.teacher_students from anon, authenticated;
+
+-- ─── Permission helpers ───
+create or replace function public.staff_role() returns text
+language sql stable security definer set search_path = public as $$
+  select a.role from app_session() s join staff_accounts a on a.id = s.account_id where s.role = 'admin'
+$$;
+
+create or replace function public.is_owner() returns boolean
+language sql stable as $$ select coalesce(public.staff_role() = 'owner', false) $$;
+
+-- Volatile so that INSERT ... RETURNING sees the assignment made by assign_new_student.
+create or replace function public.can_see_student(p_student_id uuid) returns boolean
+language sql volatile security definer set search_path = public as $$
+  select case
+    when is_owner() then true
+    when staff_role() is not null then exists (
+      select 1 from teacher_students ts where ts.account_id = (select account_id from app_session()) and ts.student_id = p_student_id)
+    else p_student_id = session_student_id()
+  end
+$$;
+
+create or replace function public.can_grade_student(p_student_id uuid) returns boolean
+language sql volatile as $$
+  select public.is_owner() or (public.staff_role() = 'teacher' and public.can_see_student(p_student_id))
+$$;
+
+-- Students added by a teacher are assigned to that teacher straight away.
+create or replace function public.assign_new_student() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  new.id := coalesce(new.id, gen_random_uuid());
+  if staff_role() = 'teacher' then
+    insert into teacher_students (account_id, student_id)
+    values ((select account_id from app_session()), new.id) on conflict do nothing;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists assign_new_student on public.students;
+create trigger assign_new_student before insert on public.students
+for each row execute function public.assign_new_student();
+
+-- ─── Sessions ───
+create or replace function public.session_user_json(s public.sessions) returns json
+language sql stable security definer set search_path = public as $$
+  select case s.role
+    when 'admin' then (select json_build_object('role', 'admin', 'id', a.id, 'name', coalesce(a.name, a.login_id), 'login_id', a.login_id, 'staff_role', a.role) from staff_accounts a where a.id = s.account_id)
+    else (select json_build_object('role', 'student', 'id', st.id, 'name', st.name) from students st where st.id = s.student_id)
+  end
+$$;
+
+drop function if exists public.login_admin(text);
+create or replace function public.login_admin(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare a staff_accounts;
+begin
+  select * into a from staff_accounts where login_id = trim(p_login_id) and pin_hash = crypt(p_pin, pin_hash);
+  if not found then return null; end if;
+  return issue_session('admin', a.id, null);
+end $$;
+grant execute on function public.login_admin(text, text) to anon, authenticated;
+
+-- ─── Account management (owner only) ───
+create or replace function public.require_owner() returns void
+language plpgsql stable as $$
+begin
+  if not public.is_owner() then raise exception '권한이 없습니다.' using errcode = '42501'; end if;
+end $$;
+
+create or replace function public.list_staff_accounts() returns json
+language plpgsql stable security definer set search_path = public as $$
+begin
+  perform require_owner();
+  return coalesce((
+    select json_agg(json_build_object(
+      'id', a.id, 'login_id', a.login_id, 'name', a.name, 'role', a.role,
+      'student_ids', coalesce((select json_agg(ts.student_id) from teacher_students ts where ts.account_id = a.id), '[]'::json)
+    ) order by a.created_at)
+    from staff_accounts a
+  ), '[]'::json);
+end $$;
+
+create or replace function public.save_staff_account(p_id uuid, p_login_id text, p_name text, p_role text, p_pin text) returns uuid
+language plpgsql security definer set search_path = public, extensions as $$
+declare rid uuid;
+begin
+  perform require_owner();
+  if p_id is null then
+    if coalesce(p_pin, '') = '' then raise exception '비밀번호를 입력하세요.'; end if;
+    insert into staff_accounts (login_id, name, role, pin_hash)
+    values (trim(p_login_id), trim(p_name), p_role, crypt(p_pin, gen_salt('bf'))) returning id into rid;
+  else
+    if p_id = (select account_id from app_session()) and p_role <> 'owner' then
+      raise exception '자신의 원장 권한은 해제할 수 없습니다.';
+    end if;
+    update staff_accounts set login_id = trim(p_login_id), name = trim(p_name), role = p_role,
+      pin_hash = case when coalesce(p_pin, '') = '' then pin_hash else crypt(p_pin, gen_salt('bf')) end
+    where id = p_id returning id into rid;
+  end if;
+  return rid;
+end $$;
+
+create or replace function public.delete_staff_account(p_id uuid) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  perform require_owner();
+  if p_id = (select account_id from app_session()) then raise exception '자신의 계정은 삭제할 수 없습니다.'; end if;
+  delete from staff_accounts where id = p_id;
+end $$;
+
+create or replace function public.set_teacher_students(p_account_id uuid, p_student_ids uuid[]) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  perform require_owner();
+  delete from teacher_students where account_id = p_account_id;
+  insert into teacher_students (account_id, student_id) select p_account_id, unnest(p_student_ids);
+end $$;
+
+revoke execute on function public.assign_new_student() from public, anon, authenticated;
+grant execute on function public.list_staff_accounts(), public.save_staff_account(uuid, text, text, text, text),
+  public.delete_staff_account(uuid), public.set_teacher_students(uuid, uuid[]) to authenticated;
+
+-- ─── Row level security ───
+drop policy if exists students_read on public.students;
+create policy students_read on public.students for select to authenticated
+  using (public.can_see_student(id));
+drop policy if exists students_write on public.students;
+drop policy if exists students_insert on public.students;
+create policy students_insert on public.students for insert to authenticated
+  with check (public.is_owner() or public.staff_role() = 'teacher');
+drop policy if exists students_update on public.students;
+create policy students_update on public.students for update to authenticated
+  using (public.can_grade_student(id)) with check (public.can_grade_student(id));
+drop policy if exists students_delete on public.students;
+create policy students_delete on public.students for delete to authenticated
+  using (public.is_owner());
+
+drop policy if exists tests_read on public.tests;
+create policy tests_read on public.tests for select to authenticated
+  using (public.can_see_student(student_id));
+drop policy if exists tests_write on public.tests;
+create policy tests_write on public.tests for all to authenticated
+  using (public.can_grade_student(student_id)) with check (public.can_grade_student(student_id));
@@ -0,0 +1,33 @@
+-- ─── Classes (반) ───
+-- A student may belong to several classes. Archived classes keep their
+-- membership for history but are hidden from the test form.
+
+create table if not exists public.classes (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  archived_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.class_students (
+  class_id uuid not null references public.classes(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade,
+  primary key (class_id, student_id)
+);
+
+revoke all on public.classes, public.class_students from anon;
+grant select, insert, update, delete on public.classes, public.class_students to authenticated;
+
+alter table public.classes enable row level security;
+alter table public.class_students enable row level security;
+
+create policy classes_read on public.classes for select to authenticated
+  using (public.staff_role() is not null);
+create policy classes_write on public.classes for all to authenticated
+  using (public.is_owner() or public.staff_role() = 'teacher')
+  with check (public.is_owner() or public.staff_role() = 'teacher');
+
+create policy class_students_read on public.class_students for select to authenticated
+  using (public.staff_role() is not null and public.can_see_student(student_id));
+create policy class_students_write on public.class_students for all to authenticated
+  using (public.can_grade_student(student_id)) with check (public.can_grade_student(student_id));
@@ -0,0 +1,120 @@
+-- ─── Test sessions ───
+-- A test is a test_sessions row; tests rows are the per-student results and
+-- reference it through session_id. test_name/test_date/total_score stay on
+-- tests as a denormalised copy kept in sync by triggers, so the student view
+-- can keep reading result rows on their own.
+
+create table if not exists public.test_sessions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  test_date date not null,
+  total_score numeric not null default 100,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.tests add column if not exists session_id uuid references public.test_sessions(id) on delete cascade;
+
+-- Backfill: one session per former name+date group.
+insert into public.test_sessions (name, test_date, total_score)
+select test_name, test_date, coalesce(max(total_score), 100) from public.tests
+where session_id is null group by test_name, test_date;
+
+update public.tests t set session_id = s.id from public.test_sessions s
+where t.session_id is null and s.name = t.test_name and s.test_date = t.test_date;
+
+alter table public.tests alter column session_id set not null;
+create index if not exists tests_session_id_idx on public.tests (session_id);
+
+-- ─── Denormalised copy ───
+create or replace function public.tests_fill_from_session() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  select s.name, s.test_date, s.total_score into new.test_name, new.test_date, new.total_score
+  from test_sessions s where s.id = new.session_id;
+  return new;
+end $$;
+
+drop trigger if exists tests_fill_from_session on public.tests;
+create trigger tests_fill_from_session before insert or update of session_id on public.tests
+for each row execute function public.tests_fill_from_session();
+
+create or replace function public.test_sessions_propagate() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  update tests set test_name = new.name, test_date = new.test_date, total_score = new.total_score
+  where session_id = new.id;
+  return new;
+end $$;
+
+drop trigger if exists test_sessions_propagate on public.test_sessions;
+create trigger test_sessions_propagate after update of name, test_date, total_score on public.test_sessions
+for each row execute function public.test_sessions_propagate();
+
+create or replace function public.session_has_results(p_session_id uuid) returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (select 1 from tests where session_id = p_session_id)
+$$;
+
+-- ─── Row level security ───
+revoke all on public.test_sessions from anon;
+grant select, insert, update, delete on public.test_sessions to authenticated;
+alter table public.test_sessions enable row level security;
+
+create policy test_sessions_read on public.test_sessions for select to authenticated
+  using (public.staff_role() is not null or exists (select 1 from public.tests t where t.session_id = test_sessions.id));
+create policy test_sessions_write on public.test_sessions for all to authenticated
+  using (public.is_owner() or public.staff_role() = 'teacher')
+  with check (public.is_owner() or public.staff_role() = 'teacher');
+
+-- ─── RPC endpoints ───
+-- Both run as the caller (RLS applies to every statement) inside a single
+-- transaction, so a failure never leaves a session half-written.
+
+-- p_results: [{ student_id, score, retest_date, retest_reason }]. Rows that are
+-- unchanged are left alone; missing students are removed, new ones inserted.
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare sid uuid := p_id;
+begin
+  if sid is null then
+    insert into test_sessions (name, test_date, total_score, metadata)
+    values (trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    returning id into sid;
+  else
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), updated_at = now()
+    where id = sid;
+    if not found then raise exception '테스트를 찾을 수 없습니다.'; end if;
+  end if;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) r where (r ->> 'student_id')::uuid = t.student_id);
+
+  update tests t set score = r.score, retest_date = r.retest_date, retest_reason = nullif(r.retest_reason, '')
+  from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb)) as r(student_id uuid, score numeric, retest_date date, retest_reason text)
+  where t.session_id = sid and t.student_id = r.student_id
+    and (t.score, t.retest_date, t.retest_reason) is distinct from (r.score, r.retest_date, nullif(r.retest_reason, ''));
+
+  insert into tests (session_id, student_id, score, retest_date, retest_reason)
+  select sid, r.student_id, r.score, r.retest_date, nullif(r.retest_reason, '')
+  from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb)) as r(student_id uuid, score numeric, retest_date date, retest_reason text)
+  where not exists (select 1 from tests t where t.session_id = sid and t.student_id = r.student_id);
+
+  return sid;
+end $$;
+
+-- Removes the caller's visible results; the session itself goes once no
+-- results (including other teachers' students) remain.
+create or replace function public.delete_test_session(p_id uuid) returns void
+language plpgsql security invoker set search_path = public as $$
+begin
+  delete from tests where session_id = p_id;
+  if not session_has_results(p_id) then delete from test_sessions where id = p_id; end if;
+end $$;
+
+revoke execute on function public.tests_fill_from_session(), public.test_sessions_propagate() from public, anon, authenticated;
+grant execute on function public.save_test_session(uuid, text, date, numeric, jsonb, jsonb), public.delete_test_session(uuid) to authenticated;
@@ -0,0 +1,97 @@
+-- ─── Retest attempts ───
+-- Each retest is its own row linked to the original result, with its own
+-- date, score and status. A result can have any number of attempts; the
+-- original tests.score is never overwritten by a retest.
+
+create table if not exists public.retest_attempts (
+  id uuid primary key default gen_random_uuid(),
+  result_id uuid not null references public.tests(id) on delete cascade,
+  attempt_no int not null,
+  scheduled_date date not null,
+  reason text,
+  score numeric,
+  status text not null default 'scheduled' check (status in ('scheduled', 'completed', 'no_show', 'waived')),
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (result_id, attempt_no)
+);
+create index if not exists retest_attempts_result_id_idx on public.retest_attempts (result_id);
+
+-- Backfill the single retest_date/retest_reason pair as attempt 1.
+insert into public.retest_attempts (result_id, attempt_no, scheduled_date, reason)
+select id, 1, retest_date, retest_reason from public.tests
+where retest_date is not null
+on conflict (result_id, attempt_no) do nothing;
+
+-- ─── Row level security ───
+create or replace function public.result_student_id(p_result_id uuid) returns uuid
+language sql stable security definer set search_path = public as $$
+  select student_id from tests where id = p_result_id
+$$;
+
+revoke all on public.retest_attempts from anon;
+grant select, insert, update, delete on public.retest_attempts to authenticated;
+alter table public.retest_attempts enable row level security;
+
+create policy retest_attempts_read on public.retest_attempts for select to authenticated
+  using (public.can_see_student(public.result_student_id(result_id)));
+create policy retest_attempts_write on public.retest_attempts for all to authenticated
+  using (public.can_grade_student(public.result_student_id(result_id)))
+  with check (public.can_grade_student(public.result_student_id(result_id)));
+
+-- ─── save_test_session ───
+-- retest_date/retest_reason in p_results now describe the open (scheduled)
+-- attempt: set → create or move it, cleared → drop it if it has no score yet.
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare
+  sid uuid := p_id;
+  r record;
+  rid uuid;
+  open_attempt retest_attempts;
+begin
+  if sid is null then
+    insert into test_sessions (name, test_date, total_score, metadata)
+    values (trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    returning id into sid;
+  else
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), updated_at = now()
+    where id = sid;
+    if not found then raise exception '테스트를 찾을 수 없습니다.'; end if;
+  end if;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) e where (e ->> 'student_id')::uuid = t.student_id);
+
+  for r in select * from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb))
+    as x(student_id uuid, score numeric, retest_date date, retest_reason text)
+  loop
+    select id into rid from tests where session_id = sid and student_id = r.student_id;
+    if rid is null then
+      insert into tests (session_id, student_id, score) values (sid, r.student_id, r.score) returning id into rid;
+    else
+      update tests set score = r.score where id = rid and score is distinct from r.score;
+    end if;
+
+    select * into open_attempt from retest_attempts
+    where result_id = rid and status = 'scheduled' order by attempt_no desc limit 1;
+    if r.retest_date is null then
+      if found and open_attempt.score is null then delete from retest_attempts where id = open_attempt.id; end if;
+    elsif found then
+      update retest_attempts set scheduled_date = r.retest_date, reason = nullif(r.retest_reason, '')
+      where id = open_attempt.id and (scheduled_date, reason) is distinct from (r.retest_date, nullif(r.retest_reason, ''));
+    else
+      insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+      values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+        r.retest_date, nullif(r.retest_reason, ''));
+    end if;
+  end loop;
+
+  return sid;
+end $$;
+
+alter table public.tests drop column if exists retest_date;
+alter table public.tests drop column if exists retest_reason;
@@ -0,0 +1,24 @@
+-- ─── Retest rules ───
+-- A rule applies to every test whose name contains `keyword` (e.g. "단어"):
+-- students below cutoff_pct get a retest delay_days after the test date.
+-- The rule picked for a session (possibly edited) is stored in
+-- test_sessions.metadata.retest_rule.
+
+create table if not exists public.retest_rules (
+  id uuid primary key default gen_random_uuid(),
+  keyword text not null,
+  cutoff_pct numeric not null check (cutoff_pct between 0 and 100),
+  delay_days int not null default 2 check (delay_days >= 0),
+  reason text not null default '기준 점수 미달',
+  created_at timestamptz not null default now()
+);
+
+revoke all on public.retest_rules from anon;
+grant select, insert, update, delete on public.retest_rules to authenticated;
+alter table public.retest_rules enable row level security;
+
+create policy retest_rules_read on public.retest_rules for select to authenticated
+  using (public.staff_role() is not null);
+create policy retest_rules_write on public.retest_rules for all to authenticated
+  using (public.is_owner() or public.staff_role() = 'teacher')
+  with check (public.is_owner() or public.staff_role() = 'teacher');
@@ -0,0 +1,28 @@
+-- ─── Student comparison averages ───
+-- Students can only read their own result rows, so the averages they are
+-- compared against (everyone, same grade, same classes) are computed here.
+-- Percentages are per session: avg(score) / total_score * 100.
+
+create or replace function public.student_comparison(p_student_id uuid) returns json
+language plpgsql security definer set search_path = public as $$
+declare me students;
+begin
+  if not can_see_student(p_student_id) then raise exception '권한이 없습니다.' using errcode = '42501'; end if;
+  select * into me from students where id = p_student_id;
+  return coalesce((
+    select json_agg(json_build_object(
+      'session_id', r.session_id,
+      'all_pct', (select avg(t.score) * 100 / ts.total_score from tests t where t.session_id = r.session_id and t.score is not null),
+      'grade_pct', (select avg(t.score) * 100 / ts.total_score from tests t join students s on s.id = t.student_id
+        where t.session_id = r.session_id and t.score is not null and s.grade = me.grade),
+      'class_pct', (select avg(t.score) * 100 / ts.total_score from tests t
+        where t.session_id = r.session_id and t.score is not null and t.student_id in (
+          select cs.student_id from class_students cs where cs.class_id in (
+            select class_id from class_students where student_id = p_student_id)))
+    ))
+    from tests r join test_sessions ts on ts.id = r.session_id
+    where r.student_id = p_student_id
+  ), '[]'::json);
+end $$;
+
+grant execute on function public.student_comparison(uuid) to authenticated;
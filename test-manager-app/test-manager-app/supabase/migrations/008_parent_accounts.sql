@@ -0,0 +1,157 @@
+-- ─── Parent accounts ───
+-- A parent logs in with their own id/password and is linked to one or more
+-- students (siblings). Parents read everything their children can read,
+-- plus parent_notes, which students never see. Parents cannot write.
+
+create table if not exists public.parent_accounts (
+  id uuid primary key default gen_random_uuid(),
+  login_id text not null unique,
+  name text not null,
+  pin_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.parent_students (
+  parent_id uuid not null references public.parent_accounts(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade,
+  primary key (parent_id, student_id)
+);
+revoke all on public.parent_accounts, public.parent_students from anon, authenticated;
+
+alter table public.sessions add column if not exists parent_id uuid references public.parent_accounts(id) on delete cascade;
+alter table public.sessions drop constraint if exists sessions_role_check;
+alter table public.sessions add constraint sessions_role_check check (role in ('admin', 'student', 'parent'));
+
+-- ─── Permission helpers ───
+create or replace function public.session_parent_id() returns uuid
+language sql stable as $$ select parent_id from public.app_session() where role = 'parent' $$;
+
+create or replace function public.can_see_student(p_student_id uuid) returns boolean
+language sql volatile security definer set search_path = public as $$
+  select case
+    when is_owner() then true
+    when staff_role() is not null then exists (
+      select 1 from teacher_students ts where ts.account_id = (select account_id from app_session()) and ts.student_id = p_student_id)
+    when session_parent_id() is not null then exists (
+      select 1 from parent_students ps where ps.parent_id = session_parent_id() and ps.student_id = p_student_id)
+    else p_student_id = session_student_id()
+  end
+$$;
+
+-- ─── Sessions ───
+create or replace function public.session_user_json(s public.sessions) returns json
+language sql stable security definer set search_path = public as $$
+  select case s.role
+    when 'admin' then (select json_build_object('role', 'admin', 'id', a.id, 'name', coalesce(a.name, a.login_id), 'login_id', a.login_id, 'staff_role', a.role) from staff_accounts a where a.id = s.account_id)
+    when 'parent' then (select json_build_object('role', 'parent', 'id', p.id, 'name', p.name, 'login_id', p.login_id) from parent_accounts p where p.id = s.parent_id)
+    else (select json_build_object('role', 'student', 'id', st.id, 'name', st.name) from students st where st.id = s.student_id)
+  end
+$$;
+
+-- issue_session gains a parent id; the old three-argument form is replaced so
+-- existing callers resolve to the new one through the default.
+drop function if exists public.issue_session(text, uuid, uuid);
+create or replace function public.issue_session(p_role text, p_account_id uuid, p_student_id uuid, p_parent_id uuid default null) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare s sessions;
+begin
+  insert into sessions (role, account_id, student_id, parent_id, expires_at)
+  values (p_role, p_account_id, p_student_id, p_parent_id, now() + interval '12 hours')
+  returning * into s;
+  return json_build_object(
+    'token', sign(json_build_object(
+      'role', 'authenticated', 'sid', s.id, 'app_role', s.role,
+      'exp', extract(epoch from s.expires_at)::bigint
+    ), current_setting('app.settings.jwt_secret')),
+    'expires_at', s.expires_at,
+    'user', session_user_json(s)
+  );
+end $$;
+revoke execute on function public.issue_session(text, uuid, uuid, uuid) from public, anon, authenticated;
+
+create or replace function public.login_parent(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare p parent_accounts;
+begin
+  select * into p from parent_accounts where login_id = trim(p_login_id) and pin_hash = crypt(p_pin, pin_hash);
+  if not found then return null; end if;
+  return issue_session('parent', null, null, p.id);
+end $$;
+grant execute on function public.login_parent(text, text) to anon, authenticated;
+
+-- ─── Account management (owner only) ───
+create or replace function public.list_parent_accounts() returns json
+language plpgsql stable security definer set search_path = public as $$
+begin
+  perform require_owner();
+  return coalesce((
+    select json_agg(json_build_object(
+      'id', p.id, 'login_id', p.login_id, 'name', p.name,
+      'student_ids', coalesce((select json_agg(ps.student_id) from parent_students ps where ps.parent_id = p.id), '[]'::json)
+    ) order by p.name)
+    from parent_accounts p
+  ), '[]'::json);
+end $$;
+
+create or replace function public.save_parent_account(p_id uuid, p_login_id text, p_name text, p_pin text, p_student_ids uuid[]) returns uuid
+language plpgsql security definer set search_path = public, extensions as $$
+declare rid uuid;
+begin
+  perform require_owner();
+  if p_id is null then
+    if coalesce(p_pin, '') = '' then raise exception '비밀번호를 입력하세요.'; end if;
+    insert into parent_accounts (login_id, name, pin_hash)
+    values (trim(p_login_id), trim(p_name), crypt(p_pin, gen_salt('bf'))) returning id into rid;
+  else
+    update parent_accounts set login_id = trim(p_login_id), name = trim(p_name),
+      pin_hash = case when coalesce(p_pin, '') = '' then pin_hash else crypt(p_pin, gen_salt('bf')) end
+    where id = p_id returning id into rid;
+    if rid is null then raise exception '계정을 찾을 수 없습니다.'; end if;
+  end if;
+  delete from parent_students where parent_id = rid;
+  insert into parent_students (parent_id, student_id) select rid, unnest(coalesce(p_student_ids, '{}'));
+  return rid;
+end $$;
+
+create or replace function public.delete_parent_account(p_id uuid) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  perform require_owner();
+  delete from parent_accounts where id = p_id;
+end $$;
+
+grant execute on function public.list_parent_accounts(), public.save_parent_account(uuid, text, text, text, uuid[]),
+  public.delete_parent_account(uuid) to authenticated;
+
+-- ─── Parent notes ───
+-- Written by the student's teachers, shown only to staff and linked parents.
+create table if not exists public.parent_notes (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references public.students(id) on delete cascade,
+  body text not null,
+  author_name text,
+  created_at timestamptz not null default now()
+);
+create index if not exists parent_notes_student_id_idx on public.parent_notes (student_id);
+
+create or replace function public.parent_notes_fill_author() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  select coalesce(a.name, a.login_id) into new.author_name
+  from staff_accounts a where a.id = (select account_id from app_session());
+  return new;
+end $$;
+
+drop trigger if exists parent_notes_fill_author on public.parent_notes;
+create trigger parent_notes_fill_author before insert on public.parent_notes
+for each row execute function public.parent_notes_fill_author();
+revoke execute on function public.parent_notes_fill_author() from public, anon, authenticated;
+
+revoke all on public.parent_notes from anon;
+grant select, insert, update, delete on public.parent_notes to authenticated;
+alter table public.parent_notes enable row level security;
+
+create policy parent_notes_read on public.parent_notes for select to authenticated
+  using (public.session_student_id() is null and public.can_see_student(student_id));
+create policy parent_notes_write on public.parent_notes for all to authenticated
+  using (public.can_grade_student(student_id)) with check (public.can_grade_student(student_id));
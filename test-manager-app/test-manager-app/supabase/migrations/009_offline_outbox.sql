@@ -0,0 +1,63 @@
+-- ─── Replayable session saves ───
+-- The offline outbox may send the same save more than once (the first attempt
+-- can reach the server even though the response never made it back). New
+-- sessions therefore get their id from the client with p_create = true: the
+-- first call creates the session, a replay finds it and just re-applies the
+-- same results.
+
+drop function if exists public.save_test_session(uuid, text, date, numeric, jsonb, jsonb);
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb, p_create boolean default false
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare
+  sid uuid;
+  r record;
+  rid uuid;
+  open_attempt retest_attempts;
+begin
+  if p_id is null or p_create then
+    insert into test_sessions (id, name, test_date, total_score, metadata)
+    values (coalesce(p_id, gen_random_uuid()), trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    on conflict (id) do nothing
+    returning id into sid;
+  end if;
+  if sid is null then
+    sid := p_id;
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), updated_at = now()
+    where id = sid;
+    if not found then raise exception '테스트를 찾을 수 없습니다.'; end if;
+  end if;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) e where (e ->> 'student_id')::uuid = t.student_id);
+
+  for r in select * from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb))
+    as x(student_id uuid, score numeric, retest_date date, retest_reason text)
+  loop
+    select id into rid from tests where session_id = sid and student_id = r.student_id;
+    if rid is null then
+      insert into tests (session_id, student_id, score) values (sid, r.student_id, r.score) returning id into rid;
+    else
+      update tests set score = r.score where id = rid and score is distinct from r.score;
+    end if;
+
+    select * into open_attempt from retest_attempts
+    where result_id = rid and status = 'scheduled' order by attempt_no desc limit 1;
+    if r.retest_date is null then
+      if found and open_attempt.score is null then delete from retest_attempts where id = open_attempt.id; end if;
+    elsif found then
+      update retest_attempts set scheduled_date = r.retest_date, reason = nullif(r.retest_reason, '')
+      where id = open_attempt.id and (scheduled_date, reason) is distinct from (r.retest_date, nullif(r.retest_reason, ''));
+    else
+      insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+      values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+        r.retest_date, nullif(r.retest_reason, ''));
+    end if;
+  end loop;
+
+  return sid;
+end $$;
+
+grant execute on function public.save_test_session(uuid, text, date, numeric, jsonb, jsonb, boolean) to authenticated;
@@ -0,0 +1,85 @@
+-- ─── Live sync and stale-edit detection ───
+-- test_sessions.version is bumped by every save. A client sends the version it
+-- loaded as p_expected_version; if another teacher saved in between, the save
+-- is rejected with SQLSTATE PT409 (HTTP 409 through PostgREST) instead of
+-- overwriting their results. p_expected_version = null skips the check.
+
+alter table public.test_sessions add column if not exists version int not null default 1;
+
+drop function if exists public.save_test_session(uuid, text, date, numeric, jsonb, jsonb, boolean);
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb,
+  p_create boolean default false, p_expected_version int default null
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare
+  sid uuid;
+  r record;
+  rid uuid;
+  open_attempt retest_attempts;
+begin
+  if p_id is null or p_create then
+    insert into test_sessions (id, name, test_date, total_score, metadata)
+    values (coalesce(p_id, gen_random_uuid()), trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    on conflict (id) do nothing
+    returning id into sid;
+  end if;
+  if sid is null then
+    sid := p_id;
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), version = version + 1, updated_at = now()
+    where id = sid and (p_expected_version is null or version = p_expected_version);
+    if not found then
+      if exists (select 1 from test_sessions where id = sid) then
+        raise exception '다른 사용자가 이 테스트를 먼저 수정했습니다.' using errcode = 'PT409';
+      end if;
+      raise exception '테스트를 찾을 수 없습니다.';
+    end if;
+  end if;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) e where (e ->> 'student_id')::uuid = t.student_id);
+
+  for r in select * from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb))
+    as x(student_id uuid, score numeric, retest_date date, retest_reason text)
+  loop
+    select id into rid from tests where session_id = sid and student_id = r.student_id;
+    if rid is null then
+      insert into tests (session_id, student_id, score) values (sid, r.student_id, r.score) returning id into rid;
+    else
+      update tests set score = r.score where id = rid and score is distinct from r.score;
+    end if;
+
+    select * into open_attempt from retest_attempts
+    where result_id = rid and status = 'scheduled' order by attempt_no desc limit 1;
+    if r.retest_date is null then
+      if found and open_attempt.score is null then delete from retest_attempts where id = open_attempt.id; end if;
+    elsif found then
+      update retest_attempts set scheduled_date = r.retest_date, reason = nullif(r.retest_reason, '')
+      where id = open_attempt.id and (scheduled_date, reason) is distinct from (r.retest_date, nullif(r.retest_reason, ''));
+    else
+      insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+      values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+        r.retest_date, nullif(r.retest_reason, ''));
+    end if;
+  end loop;
+
+  return sid;
+end $$;
+
+grant execute on function public.save_test_session(uuid, text, date, numeric, jsonb, jsonb, boolean, int) to authenticated;
+
+-- ─── Realtime ───
+-- Row changes are broadcast to subscribed clients; RLS decides who receives which rows.
+do $$
+declare t text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    create publication supabase_realtime;
+  end if;
+  foreach t in array array['students', 'tests', 'test_sessions', 'retest_attempts', 'classes', 'class_students', 'parent_notes'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t) then
+      execute format('alter publication supabase_realtime add table public.%I', t);
+    end if;
+  end loop;
+end $$;
@@ -0,0 +1,196 @@
+-- ─── Audit log ───
+-- Every insert/update/delete on students, test_sessions and tests is recorded
+-- with the acting account and the row before/after (student pins excluded).
+-- Updates that only touch bookkeeping columns (the denormalised copy on tests,
+-- updated_at/version on sessions) are not logged.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  table_name text not null,
+  row_id uuid,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  actor_id uuid,
+  actor_name text,
+  student_id uuid,
+  session_id uuid,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_student_id_idx on public.audit_log (student_id);
+
+create or replace function public.current_account_id() returns uuid
+language sql stable security definer set search_path = public as $$
+  select account_id from app_session() where role = 'admin'
+$$;
+
+create or replace function public.audit_row() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  b jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) - 'pin' end;
+  a jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) - 'pin' end;
+  r jsonb := coalesce(a, b);
+  ignored text[] := case tg_table_name
+    when 'tests' then array['test_name', 'test_date', 'total_score']
+    when 'test_sessions' then array['updated_at', 'version']
+    else '{}' end;
+  actor uuid := current_account_id();
+begin
+  if tg_op = 'UPDATE' and (b - ignored) = (a - ignored) then return null; end if;
+  insert into audit_log (table_name, row_id, action, actor_id, actor_name, student_id, session_id, before, after)
+  values (
+    tg_table_name, (r ->> 'id')::uuid, lower(tg_op), actor,
+    (select coalesce(sa.name, sa.login_id) from staff_accounts sa where sa.id = actor),
+    case tg_table_name when 'students' then (r ->> 'id')::uuid when 'tests' then (r ->> 'student_id')::uuid end,
+    case tg_table_name when 'test_sessions' then (r ->> 'id')::uuid when 'tests' then (r ->> 'session_id')::uuid end,
+    b, a
+  );
+  return null;
+end $$;
+
+drop trigger if exists audit_row on public.students;
+create trigger audit_row after insert or update or delete on public.students
+for each row execute function public.audit_row();
+drop trigger if exists audit_row on public.test_sessions;
+create trigger audit_row after insert or update or delete on public.test_sessions
+for each row execute function public.audit_row();
+drop trigger if exists audit_row on public.tests;
+create trigger audit_row after insert or update or delete on public.tests
+for each row execute function public.audit_row();
+
+revoke all on public.audit_log from anon, authenticated;
+grant select on public.audit_log to authenticated;
+alter table public.audit_log enable row level security;
+
+create policy audit_log_read on public.audit_log for select to authenticated
+  using (public.is_owner() or (public.staff_role() is not null and student_id is not null and public.can_see_student(student_id)));
+
+-- ─── Trash ───
+-- Deleting a student or a test moves a snapshot of the rows into trash; it can
+-- be restored for 30 days and is purged after that.
+
+create table if not exists public.trash (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('student', 'test_session')),
+  label text not null,
+  payload jsonb not null,
+  deleted_by uuid default public.current_account_id(),
+  deleted_at timestamptz not null default now()
+);
+
+revoke all on public.trash from anon, authenticated;
+grant select, insert, delete on public.trash to authenticated;
+alter table public.trash enable row level security;
+
+create policy trash_read on public.trash for select to authenticated
+  using (public.is_owner() or deleted_by = public.current_account_id());
+create policy trash_insert on public.trash for insert to authenticated
+  with check ((public.is_owner() or public.staff_role() = 'teacher') and deleted_by = public.current_account_id());
+create policy trash_delete on public.trash for delete to authenticated
+  using (public.is_owner() or deleted_by = public.current_account_id());
+
+create or replace function public.trash_student(p_id uuid) returns uuid
+language plpgsql security definer set search_path = public as $$
+declare st students; tid uuid;
+begin
+  perform require_owner();
+  select * into st from students where id = p_id;
+  if not found then raise exception '학생을 찾을 수 없습니다.'; end if;
+  insert into trash (kind, label, payload) values ('student', st.name, jsonb_build_object(
+    'student', to_jsonb(st),
+    'pin_hash', (select pin_hash from student_credentials where student_id = p_id),
+    'tests', coalesce((select jsonb_agg(to_jsonb(t)) from tests t where t.student_id = p_id), '[]'),
+    'retest_attempts', coalesce((select jsonb_agg(to_jsonb(ra)) from retest_attempts ra join tests t on t.id = ra.result_id where t.student_id = p_id), '[]'),
+    'class_students', coalesce((select jsonb_agg(to_jsonb(cs)) from class_students cs where cs.student_id = p_id), '[]'),
+    'teacher_students', coalesce((select jsonb_agg(to_jsonb(ts)) from teacher_students ts where ts.student_id = p_id), '[]'),
+    'parent_students', coalesce((select jsonb_agg(to_jsonb(ps)) from parent_students ps where ps.student_id = p_id), '[]'),
+    'parent_notes', coalesce((select jsonb_agg(to_jsonb(pn)) from parent_notes pn where pn.student_id = p_id), '[]')
+  )) returning id into tid;
+  delete from students where id = p_id;
+  return tid;
+end $$;
+
+-- Only the caller's visible results are moved to the trash; other teachers' rows stay.
+drop function if exists public.delete_test_session(uuid);
+create or replace function public.delete_test_session(p_id uuid) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare s test_sessions; tid uuid;
+begin
+  select * into s from test_sessions where id = p_id;
+  if not found then raise exception '테스트를 찾을 수 없습니다.'; end if;
+  insert into trash (kind, label, payload) values ('test_session', s.name || ' (' || s.test_date || ')', jsonb_build_object(
+    'session', to_jsonb(s),
+    'tests', coalesce((select jsonb_agg(to_jsonb(t)) from tests t where t.session_id = p_id), '[]'),
+    'retest_attempts', coalesce((select jsonb_agg(to_jsonb(ra)) from retest_attempts ra join tests t on t.id = ra.result_id where t.session_id = p_id), '[]')
+  )) returning id into tid;
+  delete from tests where session_id = p_id;
+  if not session_has_results(p_id) then delete from test_sessions where id = p_id; end if;
+  return tid;
+end $$;
+
+create or replace function public.restore_student(p jsonb) returns void
+language plpgsql security definer set search_path = public as $$
+declare sid uuid := (p -> 'student' ->> 'id')::uuid;
+begin
+  perform require_owner();
+  if exists (select 1 from students where login_id = p -> 'student' ->> 'login_id') then
+    raise exception '아이디 "%"를 사용하는 학생이 이미 있습니다.', p -> 'student' ->> 'login_id';
+  end if;
+  insert into students select * from jsonb_populate_record(null::students, p -> 'student');
+  update student_credentials set pin_hash = p ->> 'pin_hash' where student_id = sid and p ->> 'pin_hash' is not null;
+  insert into teacher_students select x.* from jsonb_populate_recordset(null::teacher_students, p -> 'teacher_students') x
+    where exists (select 1 from staff_accounts a where a.id = x.account_id) on conflict do nothing;
+  insert into class_students select x.* from jsonb_populate_recordset(null::class_students, p -> 'class_students') x
+    where exists (select 1 from classes c where c.id = x.class_id) on conflict do nothing;
+  insert into parent_students select x.* from jsonb_populate_recordset(null::parent_students, p -> 'parent_students') x
+    where exists (select 1 from parent_accounts pa where pa.id = x.parent_id) on conflict do nothing;
+  insert into parent_notes select * from jsonb_populate_recordset(null::parent_notes, p -> 'parent_notes') on conflict do nothing;
+  update parent_notes n set author_name = x.author_name from jsonb_populate_recordset(null::parent_notes, p -> 'parent_notes') x where n.id = x.id;
+  insert into tests select x.* from jsonb_populate_recordset(null::tests, p -> 'tests') x
+    where exists (select 1 from test_sessions s where s.id = x.session_id) on conflict do nothing;
+  insert into retest_attempts select x.* from jsonb_populate_recordset(null::retest_attempts, p -> 'retest_attempts') x
+    where exists (select 1 from tests t where t.id = x.result_id) on conflict do nothing;
+end $$;
+
+-- Runs as the caller, so restored results still pass the usual RLS checks.
+create or replace function public.restore_trash(p_id uuid) returns void
+language plpgsql security invoker set search_path = public as $$
+declare tr trash;
+begin
+  select * into tr from trash where id = p_id and deleted_at > now() - interval '30 days';
+  if not found then raise exception '복원할 항목을 찾을 수 없습니다.'; end if;
+  if tr.kind = 'student' then
+    perform restore_student(tr.payload);
+  else
+    insert into test_sessions select * from jsonb_populate_record(null::test_sessions, tr.payload -> 'session') on conflict (id) do nothing;
+    insert into tests select x.* from jsonb_populate_recordset(null::tests, tr.payload -> 'tests') x
+      where exists (select 1 from students s where s.id = x.student_id)
+        and not exists (select 1 from tests t where t.session_id = x.session_id and t.student_id = x.student_id)
+      on conflict (id) do nothing;
+    insert into retest_attempts select x.* from jsonb_populate_recordset(null::retest_attempts, tr.payload -> 'retest_attempts') x
+      where exists (select 1 from tests t where t.id = x.result_id) on conflict do nothing;
+  end if;
+  delete from trash where id = p_id;
+end $$;
+
+create or replace function public.list_trash() returns json
+language plpgsql security definer set search_path = public as $$
+begin
+  if staff_role() is null then raise exception '권한이 없습니다.' using errcode = '42501'; end if;
+  delete from trash where deleted_at <= now() - interval '30 days';
+  return coalesce((
+    select json_agg(json_build_object(
+      'id', t.id, 'kind', t.kind, 'label', t.label, 'deleted_at', t.deleted_at,
+      'expires_at', t.deleted_at + interval '30 days', 'deleted_by', coalesce(a.name, a.login_id),
+      'result_count', jsonb_array_length(t.payload -> 'tests')
+    ) order by t.deleted_at desc)
+    from trash t left join staff_accounts a on a.id = t.deleted_by
+    where is_owner() or t.deleted_by = current_account_id()
+  ), '[]'::json);
+end $$;
+
+-- restore_student checks require_owner() itself; restore_trash calls it as the caller.
+revoke execute on function public.audit_row() from public, anon, authenticated;
+grant execute on function public.trash_student(uuid), public.delete_test_session(uuid), public.restore_student(jsonb),
+  public.restore_trash(uuid), public.list_trash() to authenticated;
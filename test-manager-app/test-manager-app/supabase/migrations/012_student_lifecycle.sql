@@ -0,0 +1,88 @@
+-- ─── Student lifecycle ───
+-- active    : attends, appears in the test form and can log in
+-- archived  : on a break / left; history kept, hidden from the test form and login
+-- graduated : finished the last grade; same as archived but set by the rollover
+
+alter table public.students add column if not exists status text not null default 'active';
+alter table public.students drop constraint if exists students_status_check;
+alter table public.students add constraint students_status_check check (status in ('active', 'archived', 'graduated'));
+alter table public.students add column if not exists status_changed_at timestamptz;
+
+create or replace function public.students_stamp_status() returns trigger
+language plpgsql as $$
+begin
+  if new.status is distinct from old.status then new.status_changed_at := now(); end if;
+  return new;
+end $$;
+
+drop trigger if exists students_stamp_status on public.students;
+create trigger students_stamp_status before update of status on public.students
+for each row execute function public.students_stamp_status();
+
+-- ─── Grade list ───
+-- Ordered list of grades; the school-year rollover moves each student to the
+-- next grade, and students in the last grade graduate.
+create table if not exists public.grades (
+  name text primary key,
+  position int not null
+);
+
+insert into public.grades (name, position)
+values ('중1', 1), ('중2', 2), ('중3', 3), ('고1', 4), ('고2', 5), ('고3', 6)
+on conflict (name) do nothing;
+
+insert into public.grades (name, position)
+select distinct s.grade, 100 from public.students s
+where s.grade is not null and not exists (select 1 from public.grades g where g.name = s.grade);
+
+revoke all on public.grades from anon;
+grant select on public.grades to authenticated;
+alter table public.grades enable row level security;
+create policy grades_read on public.grades for select to authenticated using (true);
+
+create or replace function public.save_grades(p_names text[]) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  perform require_owner();
+  if exists (select 1 from students where status = 'active' and grade <> all (p_names)) then
+    raise exception '재원 중인 학생이 있는 학년은 삭제할 수 없습니다.';
+  end if;
+  delete from grades where name <> all (p_names);
+  insert into grades (name, position)
+  select trim(n), i from unnest(p_names) with ordinality as x(n, i)
+  on conflict (name) do update set position = excluded.position;
+end $$;
+
+-- p_changes: [{ student_id, grade, status }], applied together so a rollover is all or nothing.
+create or replace function public.apply_rollover(p_changes jsonb) returns int
+language plpgsql security definer set search_path = public as $$
+declare n int;
+begin
+  perform require_owner();
+  update students s set grade = c.grade, status = c.status
+  from jsonb_to_recordset(p_changes) as c(student_id uuid, grade text, status text)
+  where s.id = c.student_id and (s.grade, s.status) is distinct from (c.grade, c.status);
+  get diagnostics n = row_count;
+  return n;
+end $$;
+
+grant execute on function public.save_grades(text[]), public.apply_rollover(jsonb) to authenticated;
+
+-- ─── Login ───
+-- Archived and graduated students can no longer log in, and open sessions end.
+create or replace function public.login_student(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare sid uuid;
+begin
+  select s.id into sid from students s join student_credentials c on c.student_id = s.id
+  where s.login_id = trim(p_login_id) and c.pin_hash = crypt(p_pin, c.pin_hash) and s.status = 'active';
+  if not found then return null; end if;
+  return issue_session('student', null, sid);
+end $$;
+
+create or replace function public.current_session() returns json
+language sql stable security definer set search_path = public as $$
+  select session_user_json(s) from app_session() s
+  where s.id is not null
+    and (s.role <> 'student' or exists (select 1 from students st where st.id = s.student_id and st.status = 'active'))
+$$;
@@ -0,0 +1,160 @@
+-- ─── Test categories ───
+-- A session's category, template and round live in test_sessions.metadata
+-- ({ category_id, template_id, round }); tests.category_id is a denormalised
+-- copy like test_name/test_date, so student views can filter result rows alone.
+
+create table if not exists public.test_categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  color text not null default '#2C5AFF',
+  position int not null default 0,
+  created_at timestamptz not null default now()
+);
+
+insert into public.test_categories (name, color, position)
+values ('단어', '#2C5AFF', 1), ('문법', '#10B981', 2), ('독해', '#FF6B35', 3), ('모의고사', '#EF4444', 4)
+on conflict (name) do nothing;
+
+revoke all on public.test_categories from anon;
+grant select, insert, update, delete on public.test_categories to authenticated;
+alter table public.test_categories enable row level security;
+
+create policy test_categories_read on public.test_categories for select to authenticated using (true);
+create policy test_categories_write on public.test_categories for all to authenticated
+  using (public.is_owner() or public.staff_role() = 'teacher')
+  with check (public.is_owner() or public.staff_role() = 'teacher');
+
+-- ─── Templates ───
+-- name is a pattern where {n} becomes the round ("단어 테스트 {n}회"); next_round
+-- is bumped whenever a session with that template and round is created.
+-- student_ids is the roster when no class is set. repeat_weekdays uses ISO
+-- weekdays (1 = Monday … 7 = Sunday); sessions up to scheduled_until exist already.
+create table if not exists public.test_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  category_id uuid references public.test_categories(id) on delete set null,
+  next_round int not null default 1 check (next_round >= 1),
+  total_score numeric not null default 100,
+  class_id uuid references public.classes(id) on delete set null,
+  student_ids uuid[] not null default '{}',
+  cutoff_pct numeric check (cutoff_pct between 0 and 100),
+  delay_days int not null default 2 check (delay_days >= 0),
+  reason text not null default '기준 점수 미달',
+  repeat_weekdays int[] not null default '{}',
+  scheduled_until date,
+  created_at timestamptz not null default now()
+);
+
+revoke all on public.test_templates from anon;
+grant select, insert, update, delete on public.test_templates to authenticated;
+alter table public.test_templates enable row level security;
+
+create policy test_templates_read on public.test_templates for select to authenticated
+  using (public.staff_role() is not null);
+create policy test_templates_write on public.test_templates for all to authenticated
+  using (public.is_owner() or public.staff_role() = 'teacher')
+  with check (public.is_owner() or public.staff_role() = 'teacher');
+
+create or replace function public.test_sessions_bump_round() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if new.metadata ? 'template_id' and new.metadata ? 'round' then
+    update test_templates set next_round = greatest(next_round, (new.metadata ->> 'round')::int + 1)
+    where id = (new.metadata ->> 'template_id')::uuid;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists test_sessions_bump_round on public.test_sessions;
+create trigger test_sessions_bump_round after insert on public.test_sessions
+for each row execute function public.test_sessions_bump_round();
+
+-- ─── Denormalised copy ───
+alter table public.tests add column if not exists category_id uuid;
+create index if not exists test_sessions_category_idx on public.test_sessions ((metadata ->> 'category_id'));
+
+update public.tests t set category_id = (s.metadata ->> 'category_id')::uuid
+from public.test_sessions s where s.id = t.session_id and s.metadata ? 'category_id';
+
+create or replace function public.tests_fill_from_session() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  select s.name, s.test_date, s.total_score, (s.metadata ->> 'category_id')::uuid
+  into new.test_name, new.test_date, new.total_score, new.category_id
+  from test_sessions s where s.id = new.session_id;
+  return new;
+end $$;
+
+create or replace function public.test_sessions_propagate() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  update tests set test_name = new.name, test_date = new.test_date, total_score = new.total_score,
+    category_id = (new.metadata ->> 'category_id')::uuid
+  where session_id = new.id;
+  return new;
+end $$;
+
+drop trigger if exists test_sessions_propagate on public.test_sessions;
+create trigger test_sessions_propagate after update of name, test_date, total_score, metadata on public.test_sessions
+for each row execute function public.test_sessions_propagate();
+
+-- category_id joins the bookkeeping columns the audit log ignores.
+create or replace function public.audit_row() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  b jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) - 'pin' end;
+  a jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) - 'pin' end;
+  r jsonb := coalesce(a, b);
+  ignored text[] := case tg_table_name
+    when 'tests' then array['test_name', 'test_date', 'total_score', 'category_id']
+    when 'test_sessions' then array['updated_at', 'version']
+    else '{}' end;
+  actor uuid := current_account_id();
+begin
+  if tg_op = 'UPDATE' and (b - ignored) = (a - ignored) then return null; end if;
+  insert into audit_log (table_name, row_id, action, actor_id, actor_name, student_id, session_id, before, after)
+  values (
+    tg_table_name, (r ->> 'id')::uuid, lower(tg_op), actor,
+    (select coalesce(sa.name, sa.login_id) from staff_accounts sa where sa.id = actor),
+    case tg_table_name when 'students' then (r ->> 'id')::uuid when 'tests' then (r ->> 'student_id')::uuid end,
+    case tg_table_name when 'test_sessions' then (r ->> 'id')::uuid when 'tests' then (r ->> 'session_id')::uuid end,
+    b, a
+  );
+  return null;
+end $$;
+
+-- ─── Recurring schedule ───
+-- Creates the sessions of every repeating template on its weekdays from today
+-- through today + p_days, without results (scores are entered later). Days up
+-- to scheduled_until are skipped, so a deleted session is not created again.
+-- Runs as the caller: only owners and teachers can create sessions.
+create or replace function public.schedule_test_sessions(p_days int default 14) returns int
+language plpgsql security invoker set search_path = public as $$
+declare
+  t test_templates;
+  d date;
+  round int;
+  n int := 0;
+begin
+  for t in select * from test_templates where cardinality(repeat_weekdays) > 0
+    and coalesce(scheduled_until, current_date - 1) < current_date + p_days for update
+  loop
+    round := t.next_round;
+    for d in select g::date from generate_series(greatest(current_date, coalesce(t.scheduled_until + 1, current_date)), current_date + p_days, interval '1 day') g
+      where extract(isodow from g)::int = any (t.repeat_weekdays)
+    loop
+      insert into test_sessions (name, test_date, total_score, metadata)
+      values (replace(t.name, '{n}', round::text), d, t.total_score, jsonb_strip_nulls(jsonb_build_object(
+        'category_id', t.category_id, 'template_id', t.id, 'round', round,
+        'retest_rule', case when t.cutoff_pct is not null then jsonb_build_object(
+          'keyword', '', 'cutoff_pct', t.cutoff_pct, 'delay_days', t.delay_days, 'reason', t.reason) end)));
+      round := round + 1;
+      n := n + 1;
+    end loop;
+    update test_templates set scheduled_until = current_date + p_days where id = t.id;
+  end loop;
+  return n;
+end $$;
+
+revoke execute on function public.test_sessions_bump_round() from public, anon, authenticated;
+grant execute on function public.schedule_test_sessions(int) to authenticated;
@@ -0,0 +1,84 @@
+-- ─── Item analysis ───
+-- A test may define its questions in test_sessions.metadata.questions:
+-- [{ answer, points, skill }], question n being element n-1. `answer` may list
+-- accepted alternatives as "a/b"; matching ignores case and surrounding spaces.
+-- tests.answers holds a student's answers in the same order. When a result is
+-- saved with answers, the score is graded here rather than trusted from the client.
+
+alter table public.tests add column if not exists answers jsonb;
+
+create or replace function public.grade_answers(p_questions jsonb, p_answers jsonb) returns numeric
+language sql immutable as $$
+  select coalesce(sum(coalesce((q ->> 'points')::numeric, 1)) filter (where
+    lower(trim(p_answers ->> (i - 1)::int)) in (select lower(trim(x)) from unnest(string_to_array(q ->> 'answer', '/')) x)), 0)
+  from jsonb_array_elements(coalesce(p_questions, '[]'::jsonb)) with ordinality as e(q, i)
+$$;
+
+-- p_results: [{ student_id, score, answers, retest_date, retest_reason }]
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb,
+  p_create boolean default false, p_expected_version int default null
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare
+  sid uuid;
+  r record;
+  rid uuid;
+  sc numeric;
+  questions jsonb;
+  open_attempt retest_attempts;
+begin
+  if p_id is null or p_create then
+    insert into test_sessions (id, name, test_date, total_score, metadata)
+    values (coalesce(p_id, gen_random_uuid()), trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    on conflict (id) do nothing
+    returning id into sid;
+  end if;
+  if sid is null then
+    sid := p_id;
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), version = version + 1, updated_at = now()
+    where id = sid and (p_expected_version is null or version = p_expected_version);
+    if not found then
+      if exists (select 1 from test_sessions where id = sid) then
+        raise exception '다른 사용자가 이 테스트를 먼저 수정했습니다.' using errcode = 'PT409';
+      end if;
+      raise exception '테스트를 찾을 수 없습니다.';
+    end if;
+  end if;
+  select nullif(metadata -> 'questions', '[]'::jsonb) into questions from test_sessions where id = sid;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) e where (e ->> 'student_id')::uuid = t.student_id);
+
+  for r in select * from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb))
+    as x(student_id uuid, score numeric, answers jsonb, retest_date date, retest_reason text)
+  loop
+    sc := case when questions is not null and jsonb_typeof(r.answers) = 'array'
+      and exists (select 1 from jsonb_array_elements_text(r.answers) a where trim(a) <> '')
+      then grade_answers(questions, r.answers) else r.score end;
+    select id into rid from tests where session_id = sid and student_id = r.student_id;
+    if rid is null then
+      insert into tests (session_id, student_id, score, answers) values (sid, r.student_id, sc, r.answers) returning id into rid;
+    else
+      update tests set score = sc, answers = r.answers where id = rid and (score, answers) is distinct from (sc, r.answers);
+    end if;
+
+    select * into open_attempt from retest_attempts
+    where result_id = rid and status = 'scheduled' order by attempt_no desc limit 1;
+    if r.retest_date is null then
+      if found and open_attempt.score is null then delete from retest_attempts where id = open_attempt.id; end if;
+    elsif found then
+      update retest_attempts set scheduled_date = r.retest_date, reason = nullif(r.retest_reason, '')
+      where id = open_attempt.id and (scheduled_date, reason) is distinct from (r.retest_date, nullif(r.retest_reason, ''));
+    else
+      insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+      values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+        r.retest_date, nullif(r.retest_reason, ''));
+    end if;
+  end loop;
+
+  return sid;
+end $$;
+
+grant execute on function public.grade_answers(jsonb, jsonb) to authenticated;
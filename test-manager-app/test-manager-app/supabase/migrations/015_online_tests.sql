@@ -0,0 +1,138 @@
+-- ─── Online tests ───
+-- A session with metadata.online = { opens_at, closes_at, minutes } is taken in the app by
+-- its students (the session's result rows) between opens_at and closes_at, each with
+-- `minutes` from their start but never past closes_at. Questions may carry a `prompt` and,
+-- for multiple choice, `choices`; the answer key is then the choice number ("1", "2", ...).
+-- Students only get questions through start_online_test(), which leaves out the answers.
+
+drop policy if exists test_sessions_read on public.test_sessions;
+create policy test_sessions_read on public.test_sessions for select to authenticated
+  using (public.staff_role() is not null);
+
+create table if not exists public.online_attempts (
+  session_id uuid not null references public.test_sessions(id) on delete cascade,
+  student_id uuid not null references public.students(id) on delete cascade,
+  started_at timestamptz not null default now(),
+  deadline timestamptz not null,
+  answers jsonb not null default '[]',
+  submitted_at timestamptz,
+  primary key (session_id, student_id)
+);
+
+-- Written only by the functions below.
+revoke all on public.online_attempts from anon;
+grant select on public.online_attempts to authenticated;
+alter table public.online_attempts enable row level security;
+
+create policy online_attempts_read on public.online_attempts for select to authenticated
+  using (public.can_see_student(student_id));
+
+-- ─── Student endpoints ───
+create or replace function public.list_online_tests() returns json
+language sql stable security definer set search_path = public as $$
+  select coalesce(json_agg(json_build_object(
+    'session_id', s.id, 'name', s.name, 'test_date', s.test_date, 'total_score', s.total_score,
+    'opens_at', s.metadata #>> '{online,opens_at}', 'closes_at', s.metadata #>> '{online,closes_at}',
+    'minutes', (s.metadata #>> '{online,minutes}')::int, 'question_count', jsonb_array_length(coalesce(s.metadata -> 'questions', '[]')),
+    'started_at', a.started_at, 'deadline', a.deadline, 'submitted_at', a.submitted_at
+  ) order by s.metadata #>> '{online,opens_at}'), '[]')
+  from tests t
+  join test_sessions s on s.id = t.session_id
+  left join online_attempts a on a.session_id = s.id and a.student_id = t.student_id
+  where t.student_id = session_student_id() and s.metadata ? 'online'
+$$;
+
+-- Starts the caller's attempt, or resumes it. Returns the questions without answers,
+-- the saved answers, the deadline and the server time (for the client's countdown).
+create or replace function public.start_online_test(p_session_id uuid) returns json
+language plpgsql security definer set search_path = public as $$
+declare
+  me uuid := session_student_id();
+  s test_sessions;
+  a online_attempts;
+  closes timestamptz;
+  minutes int;
+begin
+  select * into s from test_sessions where id = p_session_id and metadata ? 'online'
+    and exists (select 1 from tests where session_id = p_session_id and student_id = me);
+  if me is null or s.id is null then raise exception '응시할 수 없는 테스트입니다.'; end if;
+  select * into a from online_attempts where session_id = s.id and student_id = me;
+  if a.submitted_at is not null then raise exception '이미 제출한 테스트입니다.'; end if;
+  if a.session_id is null then
+    closes := (s.metadata #>> '{online,closes_at}')::timestamptz;
+    minutes := nullif((s.metadata #>> '{online,minutes}')::int, 0);
+    if now() < (s.metadata #>> '{online,opens_at}')::timestamptz or now() >= closes then
+      raise exception '응시 기간이 아닙니다.';
+    end if;
+    insert into online_attempts (session_id, student_id, deadline)
+    values (s.id, me, case when minutes is null then closes else least(closes, now() + make_interval(mins => minutes)) end)
+    returning * into a;
+  end if;
+  return json_build_object('session_id', s.id, 'name', s.name, 'total_score', s.total_score,
+    'started_at', a.started_at, 'deadline', a.deadline, 'now', now(), 'answers', a.answers,
+    'questions', (select coalesce(jsonb_agg(jsonb_strip_nulls(jsonb_build_object(
+        'prompt', q -> 'prompt', 'choices', q -> 'choices', 'points', coalesce((q ->> 'points')::numeric, 1))) order by i), '[]')
+      from jsonb_array_elements(coalesce(s.metadata -> 'questions', '[]')) with ordinality e(q, i)));
+end $$;
+
+-- Keeps the answers so far, so a reload or a lost connection resumes where the student was.
+create or replace function public.save_online_answers(p_session_id uuid, p_answers jsonb) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  update online_attempts set answers = p_answers
+  where session_id = p_session_id and student_id = session_student_id()
+    and submitted_at is null and now() <= deadline + interval '1 minute';
+  if not found then raise exception '응시 시간이 끝났습니다.'; end if;
+end $$;
+
+-- Grades the attempt into the student's result row and applies the session's retest rule
+-- the way the score form does. Answers arriving after the deadline (plus a minute for the
+-- network) are ignored: the last saved ones are graded instead.
+create or replace function public.submit_online_test(p_session_id uuid, p_answers jsonb) returns json
+language plpgsql security definer set search_path = public as $$
+declare
+  me uuid := session_student_id();
+  a online_attempts;
+  s test_sessions;
+  rid uuid;
+  v_answers jsonb;
+  sc numeric;
+  rule jsonb;
+begin
+  select * into a from online_attempts where session_id = p_session_id and student_id = me for update;
+  if a.session_id is null then raise exception '응시를 시작하지 않은 테스트입니다.'; end if;
+  if a.submitted_at is not null then raise exception '이미 제출한 테스트입니다.'; end if;
+  select * into s from test_sessions where id = p_session_id;
+  select id into rid from tests where session_id = p_session_id and student_id = me;
+  if rid is null then raise exception '응시할 수 없는 테스트입니다.'; end if;
+
+  v_answers := case when now() <= a.deadline + interval '1 minute' and jsonb_typeof(p_answers) = 'array' then p_answers else a.answers end;
+  sc := grade_answers(s.metadata -> 'questions', v_answers);
+  update online_attempts set answers = v_answers, submitted_at = now() where session_id = a.session_id and student_id = me;
+  update tests set score = sc, answers = v_answers where id = rid;
+
+  rule := s.metadata -> 'retest_rule';
+  if rule is not null and sc * 100 / nullif(s.total_score, 0) < (rule ->> 'cutoff_pct')::numeric
+    and not exists (select 1 from retest_attempts where result_id = rid and status = 'scheduled') then
+    insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+    values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+      s.test_date + coalesce((rule ->> 'delay_days')::int, 0), nullif(rule ->> 'reason', ''));
+  end if;
+
+  -- A score form opened before the submission now saves as a stale edit instead of overwriting it.
+  update test_sessions set version = version + 1, updated_at = now() where id = s.id;
+  return json_build_object('score', sc, 'total_score', s.total_score);
+end $$;
+
+grant execute on function public.list_online_tests() to authenticated;
+grant execute on function public.start_online_test(uuid) to authenticated;
+grant execute on function public.save_online_answers(uuid, jsonb) to authenticated;
+grant execute on function public.submit_online_test(uuid, jsonb) to authenticated;
+
+-- ─── Realtime ───
+do $$
+begin
+  if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'online_attempts') then
+    alter publication supabase_realtime add table public.online_attempts;
+  end if;
+end $$;
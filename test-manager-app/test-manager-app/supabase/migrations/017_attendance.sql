@@ -0,0 +1,108 @@
+-- ─── Attendance ───
+-- Each result row records whether the student was present, absent, excused (인정결석) or late,
+-- with an optional reason. Absent and excused rows never have a score; a null score on a
+-- present or late row is one that has not been entered yet. Replaces tests.absent (016).
+
+alter table public.tests add column if not exists attendance text not null default 'present'
+  check (attendance in ('present', 'absent', 'excused', 'late'));
+alter table public.tests add column if not exists attendance_reason text;
+update public.tests set attendance = 'absent' where absent;
+
+drop trigger if exists tests_clear_absent on public.tests;
+drop function if exists public.tests_clear_absent();
+alter table public.tests drop column if exists absent;
+
+update public.trash set payload = jsonb_set(payload, '{tests}', (
+  select coalesce(jsonb_agg((t - 'absent') || jsonb_build_object('attendance', case when (t ->> 'absent')::boolean then 'absent' else 'present' end)), '[]')
+  from jsonb_array_elements(payload -> 'tests') t))
+where jsonb_typeof(payload -> 'tests') = 'array' and not (payload -> 'tests') @? '$[*].attendance';
+
+-- A score arriving by any other path (an online submission) means the student did take the test.
+create or replace function public.tests_clear_attendance() returns trigger
+language plpgsql as $$
+begin
+  if new.score is not null and new.attendance in ('absent', 'excused') then new.attendance := 'present'; end if;
+  return new;
+end $$;
+
+drop trigger if exists tests_clear_attendance on public.tests;
+create trigger tests_clear_attendance before insert or update of score on public.tests
+  for each row execute function public.tests_clear_attendance();
+
+-- p_results: [{ student_id, score, attendance, attendance_reason, answers, retest_date, retest_reason }]
+-- `absent: true` from clients (or queued saves) older than this migration is read as attendance 'absent'.
+create or replace function public.save_test_session(
+  p_id uuid, p_name text, p_test_date date, p_total_score numeric, p_metadata jsonb, p_results jsonb,
+  p_create boolean default false, p_expected_version int default null
+) returns uuid
+language plpgsql security invoker set search_path = public as $$
+declare
+  sid uuid;
+  r record;
+  rid uuid;
+  sc numeric;
+  att text;
+  ans jsonb;
+  questions jsonb;
+  open_attempt retest_attempts;
+begin
+  if p_id is null or p_create then
+    insert into test_sessions (id, name, test_date, total_score, metadata)
+    values (coalesce(p_id, gen_random_uuid()), trim(p_name), p_test_date, coalesce(p_total_score, 100), coalesce(p_metadata, '{}'::jsonb))
+    on conflict (id) do nothing
+    returning id into sid;
+  end if;
+  if sid is null then
+    sid := p_id;
+    update test_sessions set name = trim(p_name), test_date = p_test_date, total_score = coalesce(p_total_score, 100),
+      metadata = coalesce(p_metadata, metadata), version = version + 1, updated_at = now()
+    where id = sid and (p_expected_version is null or version = p_expected_version);
+    if not found then
+      if exists (select 1 from test_sessions where id = sid) then
+        raise exception '다른 사용자가 이 테스트를 먼저 수정했습니다.' using errcode = 'PT409';
+      end if;
+      raise exception '테스트를 찾을 수 없습니다.';
+    end if;
+  end if;
+  select nullif(metadata -> 'questions', '[]'::jsonb) into questions from test_sessions where id = sid;
+
+  delete from tests t where t.session_id = sid
+    and not exists (select 1 from jsonb_array_elements(coalesce(p_results, '[]'::jsonb)) e where (e ->> 'student_id')::uuid = t.student_id);
+
+  for r in select * from jsonb_to_recordset(coalesce(p_results, '[]'::jsonb))
+    as x(student_id uuid, score numeric, attendance text, attendance_reason text, absent boolean, answers jsonb, retest_date date, retest_reason text)
+  loop
+    att := coalesce(r.attendance, case when r.absent then 'absent' end, 'present');
+    ans := case when att in ('absent', 'excused') then null else r.answers end;
+    sc := case when att in ('absent', 'excused') then null
+      when questions is not null and jsonb_typeof(ans) = 'array'
+        and exists (select 1 from jsonb_array_elements_text(ans) a where trim(a) <> '')
+      then grade_answers(questions, ans) else r.score end;
+    if sc < 0 or sc > coalesce(p_total_score, 100) then
+      raise exception '점수는 0점 이상 만점(%점) 이하여야 합니다.', coalesce(p_total_score, 100) using errcode = '22023';
+    end if;
+    select id into rid from tests where session_id = sid and student_id = r.student_id;
+    if rid is null then
+      insert into tests (session_id, student_id, score, attendance, attendance_reason, answers)
+      values (sid, r.student_id, sc, att, nullif(trim(r.attendance_reason), ''), ans) returning id into rid;
+    else
+      update tests set score = sc, attendance = att, attendance_reason = nullif(trim(r.attendance_reason), ''), answers = ans
+      where id = rid and (score, attendance, attendance_reason, answers) is distinct from (sc, att, nullif(trim(r.attendance_reason), ''), ans);
+    end if;
+
+    select * into open_attempt from retest_attempts
+    where result_id = rid and status = 'scheduled' order by attempt_no desc limit 1;
+    if r.retest_date is null then
+      if found and open_attempt.score is null then delete from retest_attempts where id = open_attempt.id; end if;
+    elsif found then
+      update retest_attempts set scheduled_date = r.retest_date, reason = nullif(r.retest_reason, '')
+      where id = open_attempt.id and (scheduled_date, reason) is distinct from (r.retest_date, nullif(r.retest_reason, ''));
+    else
+      insert into retest_attempts (result_id, attempt_no, scheduled_date, reason)
+      values (rid, coalesce((select max(attempt_no) from retest_attempts where result_id = rid), 0) + 1,
+        r.retest_date, nullif(r.retest_reason, ''));
+    end if;
+  end loop;
+
+  return sid;
+end $$;
@@ -0,0 +1,108 @@
+-- ─── Academy settings ───
+-- One row of academy-wide settings the owner edits in the app: branding (name, logo as a
+-- small data: URL, primary colour), defaults for new tests and students, the PIN policy and
+-- the score bands ([{ min, label }] from the highest threshold down; the last min is 0).
+-- The branding and bands are public so the login screen can show them; the rest is staff-only.
+
+create table if not exists public.academy_settings (
+  id boolean primary key default true check (id),
+  name text not null default '영어학원' check (length(trim(name)) > 0),
+  logo text check (logo is null or (logo like 'data:image/%' and length(logo) <= 300000)),
+  primary_color text not null default '#2C5AFF' check (primary_color ~ '^#[0-9A-Fa-f]{6}$'),
+  default_grade text,
+  default_total_score numeric not null default 100 check (default_total_score > 0),
+  default_pin text not null default '0000',
+  pin_min_length int not null default 4 check (pin_min_length between 4 and 20),
+  pin_numeric boolean not null default true,
+  score_bands jsonb not null default '[{"min":90,"label":""},{"min":70,"label":""},{"min":50,"label":""},{"min":0,"label":""}]',
+  updated_at timestamptz not null default now()
+);
+insert into public.academy_settings (id, default_grade) values (true, (select name from public.grades where name = '고1'))
+on conflict (id) do nothing;
+
+-- Read and written only through the functions below.
+revoke all on public.academy_settings from anon, authenticated;
+alter table public.academy_settings enable row level security;
+
+create or replace function public.get_academy_settings() returns json
+language sql stable security definer set search_path = public as $$
+  select (case when staff_role() is not null then to_jsonb(s)
+    else jsonb_build_object('name', s.name, 'logo', s.logo, 'primary_color', s.primary_color, 'score_bands', s.score_bands) end - 'id')::json
+  from academy_settings s
+$$;
+
+-- Raises when p_pin breaks the PIN policy.
+create or replace function public.check_pin(p_pin text) returns void
+language plpgsql stable security definer set search_path = public as $$
+declare s academy_settings;
+begin
+  select * into s from academy_settings;
+  if length(p_pin) < s.pin_min_length then raise exception '비밀번호는 %자 이상이어야 합니다.', s.pin_min_length using errcode = '22023'; end if;
+  if s.pin_numeric and p_pin !~ '^[0-9]+$' then raise exception '비밀번호는 숫자만 사용할 수 있습니다.' using errcode = '22023'; end if;
+end $$;
+
+create or replace function public.save_academy_settings(p_settings jsonb) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  bands jsonb := p_settings -> 'score_bands';
+begin
+  perform require_owner();
+  if jsonb_typeof(bands) <> 'array' or jsonb_array_length(bands) not between 2 and 6
+    or (bands -> -1 ->> 'min')::numeric <> 0
+    or exists (select 1 from jsonb_array_elements(bands) with ordinality a(b, i)
+      where (b ->> 'min')::numeric not between 0 and 100
+        or (i > 1 and (b ->> 'min')::numeric >= (bands -> (i - 2)::int ->> 'min')::numeric)) then
+    raise exception '점수 구간은 높은 기준부터 차례로, 마지막은 0%%로 입력하세요.' using errcode = '22023';
+  end if;
+  update academy_settings set
+    name = trim(p_settings ->> 'name'), logo = nullif(p_settings ->> 'logo', ''),
+    primary_color = p_settings ->> 'primary_color', default_grade = nullif(p_settings ->> 'default_grade', ''),
+    default_total_score = (p_settings ->> 'default_total_score')::numeric,
+    pin_min_length = (p_settings ->> 'pin_min_length')::int, pin_numeric = (p_settings ->> 'pin_numeric')::boolean,
+    default_pin = p_settings ->> 'default_pin', score_bands = bands, updated_at = now();
+  perform check_pin(p_settings ->> 'default_pin');
+end $$;
+
+-- ─── Student PINs ───
+-- New students without a PIN get the default one; a PIN that is set must follow the policy.
+create or replace function public.students_hash_pin() returns trigger
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  new.id := coalesce(new.id, gen_random_uuid());
+  if new.pin is not null and new.pin <> '' then
+    perform check_pin(new.pin);
+    insert into student_credentials (student_id, pin_hash)
+    values (new.id, crypt(new.pin, gen_salt('bf')))
+    on conflict (student_id) do update set pin_hash = excluded.pin_hash, updated_at = now();
+  elsif tg_op = 'INSERT' then
+    insert into student_credentials (student_id, pin_hash)
+    values (new.id, crypt((select default_pin from academy_settings), gen_salt('bf')));
+  end if;
+  new.pin := null;
+  return new;
+end $$;
+
+-- ─── Own password ───
+create or replace function public.change_own_pin(p_current text, p_new text) returns void
+language plpgsql security definer set search_path = public, extensions as $$
+declare me uuid := (select account_id from app_session() where role = 'admin');
+begin
+  if me is null then raise exception '권한이 없습니다.' using errcode = '42501'; end if;
+  if not exists (select 1 from staff_accounts where id = me and pin_hash = crypt(p_current, pin_hash)) then
+    raise exception '현재 비밀번호가 올바르지 않습니다.' using errcode = '22023';
+  end if;
+  perform check_pin(p_new);
+  update staff_accounts set pin_hash = crypt(p_new, gen_salt('bf')) where id = me;
+end $$;
+
+-- True while the caller still signs in with the PIN the first account was created with (001_auth).
+create or replace function public.own_pin_is_default() returns boolean
+language sql stable security definer set search_path = public, extensions as $$
+  select coalesce((select pin_hash = crypt('1234', pin_hash) from staff_accounts
+    where id = (select account_id from app_session() where role = 'admin')), false)
+$$;
+
+revoke execute on function public.check_pin(text) from public, anon;
+grant execute on function public.get_academy_settings() to anon, authenticated;
+grant execute on function public.check_pin(text), public.save_academy_settings(jsonb),
+  public.change_own_pin(text, text), public.own_pin_is_default() to authenticated;
@@ -0,0 +1,99 @@
+-- ─── Backup and restore ───
+-- export_backup() returns every academy table as { table: [rows] } (password hashes included,
+-- so accounts keep working on a new project); the app wraps it in a versioned file with a
+-- checksum. restore_backup() writes such a snapshot back, either merged into the current data
+-- or replacing it. The app maps IDs beforehand: rows it matched to existing ones (same login
+-- ID, category name, result of the same student in the same test, ...) arrive with the
+-- existing IDs, and every reference to them is rewritten, so merging into or restoring onto
+-- a database that already has rows keeps the links consistent.
+-- Sessions, the audit log and the trash are not part of a backup.
+
+-- In restore order (referenced tables first), with each table's key for upserts.
+create or replace function public.backup_tables() returns table (table_name text, key_columns text)
+language sql immutable as $$
+  select t, k from (values
+    (1, 'academy_settings', 'id'), (2, 'grades', 'name'), (3, 'staff_accounts', 'id'), (4, 'test_categories', 'id'),
+    (5, 'classes', 'id'), (6, 'retest_rules', 'id'), (7, 'students', 'id'), (8, 'student_credentials', 'student_id'),
+    (9, 'teacher_students', 'account_id,student_id'), (10, 'class_students', 'class_id,student_id'),
+    (11, 'parent_accounts', 'id'), (12, 'parent_students', 'parent_id,student_id'), (13, 'parent_notes', 'id'),
+    (14, 'test_sessions', 'id'), (15, 'test_templates', 'id'), (16, 'tests', 'id'), (17, 'retest_attempts', 'id'),
+    (18, 'online_attempts', 'session_id,student_id')
+  ) v(i, t, k) order by i
+$$;
+
+create or replace function public.export_backup() returns json
+language plpgsql security definer set search_path = public as $$
+declare
+  b record;
+  result jsonb := '{}';
+  rows jsonb;
+begin
+  perform require_owner();
+  for b in select * from backup_tables() loop
+    execute format('select coalesce(jsonb_agg(to_jsonb(x)), ''[]'') from %I x', b.table_name) into rows;
+    result := result || jsonb_build_object(b.table_name, rows);
+  end loop;
+  return result;
+end $$;
+
+-- restore_backup upserts students, and an upsert of an existing student fires the trigger's insert branch
+-- too: the student keeps the PIN they have (student_credentials is restored after students).
+create or replace function public.students_hash_pin() returns trigger
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  new.id := coalesce(new.id, gen_random_uuid());
+  if new.pin is not null and new.pin <> '' then
+    perform check_pin(new.pin);
+    insert into student_credentials (student_id, pin_hash)
+    values (new.id, crypt(new.pin, gen_salt('bf')))
+    on conflict (student_id) do update set pin_hash = excluded.pin_hash, updated_at = now();
+  elsif tg_op = 'INSERT' then
+    insert into student_credentials (student_id, pin_hash)
+    values (new.id, crypt((select default_pin from academy_settings), gen_salt('bf')))
+    on conflict (student_id) do nothing;
+  end if;
+  new.pin := null;
+  return new;
+end $$;
+
+-- Inserts p_rows into p_table, updating rows whose key already exists.
+create or replace function public.restore_rows(p_table text, p_key text, p_rows jsonb) returns void
+language plpgsql security definer set search_path = public as $$
+declare cols text;
+begin
+  select string_agg(format('%I = excluded.%I', c.column_name, c.column_name), ', ') into cols
+  from information_schema.columns c
+  where c.table_schema = 'public' and c.table_name = p_table and c.column_name <> all (string_to_array(p_key, ','));
+  execute format('insert into %I select * from jsonb_populate_recordset(null::%I, $1) on conflict (%s) do %s',
+    p_table, p_table, p_key, coalesce('update set ' || cols, 'nothing')) using coalesce(p_rows, '[]');
+end $$;
+
+-- p_mode 'merge' keeps rows that are not in the backup; 'replace' removes them first. The
+-- caller's own staff account is never removed or overwritten, so they stay signed in.
+create or replace function public.restore_backup(p_data jsonb, p_mode text, p_schema_version int) returns void
+language plpgsql security definer set search_path = public as $$
+declare
+  me uuid := current_account_id();
+  b record;
+begin
+  perform require_owner();
+  if p_schema_version is distinct from 1 then raise exception '지원하지 않는 백업 버전입니다.'; end if;
+  if p_mode not in ('merge', 'replace') then raise exception '복원 방식이 올바르지 않습니다.'; end if;
+  if p_mode = 'replace' then
+    delete from students; delete from test_sessions; delete from test_templates; delete from classes;
+    delete from test_categories; delete from retest_rules; delete from parent_accounts; delete from grades;
+    delete from staff_accounts where id <> me;
+  end if;
+
+  for b in select * from backup_tables() loop
+    perform restore_rows(b.table_name, b.key_columns, case b.table_name
+      when 'staff_accounts' then (select jsonb_agg(x) from jsonb_array_elements(p_data -> 'staff_accounts') x where (x ->> 'id')::uuid <> me)
+      else p_data -> b.table_name end);
+  end loop;
+  -- New notes get the restoring account as their author from parent_notes_fill_author.
+  update parent_notes n set author_name = x.author_name
+  from jsonb_populate_recordset(null::parent_notes, p_data -> 'parent_notes') x where n.id = x.id;
+end $$;
+
+revoke execute on function public.restore_rows(text, text, jsonb) from public, anon, authenticated;
+grant execute on function public.export_backup(), public.restore_backup(jsonb, text, int) to authenticated;
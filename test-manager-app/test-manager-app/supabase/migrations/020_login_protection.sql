@@ -0,0 +1,118 @@
+-- ─── Login protection ───
+-- Five wrong PINs in a row for the same login ID lock that login for 15 minutes, so PINs
+-- (four digits by default) cannot be guessed by trying them all. Staff accounts created
+-- with a known PIN — the owner seeded by 001_auth with 1234 — must choose their own PIN
+-- before the server lets them do anything else.
+
+create table if not exists public.login_failures (
+  role text not null,
+  login_id text not null,
+  failures int not null default 0,
+  locked_until timestamptz,
+  primary key (role, login_id)
+);
+revoke all on public.login_failures from anon, authenticated;
+
+create or replace function public.check_login_lock(p_role text, p_login_id text) returns void
+language plpgsql stable security definer set search_path = public as $$
+declare until timestamptz := (select locked_until from login_failures where role = p_role and login_id = p_login_id);
+begin
+  if until > now() then
+    raise exception '로그인 시도가 너무 많습니다. %분 뒤에 다시 시도하세요.', ceil(extract(epoch from until - now()) / 60)
+      using errcode = 'PT429';
+  end if;
+end $$;
+
+-- Clears the count on success; a failure must return normally, or the count is rolled back with it.
+create or replace function public.record_login(p_role text, p_login_id text, p_ok boolean) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  if p_ok then
+    delete from login_failures where role = p_role and login_id = p_login_id;
+    return;
+  end if;
+  insert into login_failures (role, login_id, failures) values (p_role, p_login_id, 1)
+  on conflict (role, login_id) do update set failures = login_failures.failures + 1;
+  update login_failures set failures = 0, locked_until = now() + interval '15 minutes'
+  where role = p_role and login_id = p_login_id and failures >= 5;
+end $$;
+revoke execute on function public.check_login_lock(text, text), public.record_login(text, text, boolean)
+  from public, anon, authenticated;
+
+-- ─── First PIN ───
+alter table public.staff_accounts add column if not exists must_change_pin boolean not null default false;
+update public.staff_accounts set must_change_pin = true where pin_hash = extensions.crypt('1234', pin_hash);
+
+-- An account that still has to change its PIN has no staff role, so every permission check refuses it.
+create or replace function public.staff_role() returns text
+language sql stable security definer set search_path = public as $$
+  select a.role from app_session() s join staff_accounts a on a.id = s.account_id
+  where s.role = 'admin' and not a.must_change_pin
+$$;
+
+create or replace function public.session_user_json(s public.sessions) returns json
+language sql stable security definer set search_path = public as $$
+  select case s.role
+    when 'admin' then (select json_build_object('role', 'admin', 'id', a.id, 'name', coalesce(a.name, a.login_id), 'login_id', a.login_id,
+      'staff_role', a.role, 'must_change_pin', a.must_change_pin) from staff_accounts a where a.id = s.account_id)
+    when 'parent' then (select json_build_object('role', 'parent', 'id', p.id, 'name', p.name, 'login_id', p.login_id) from parent_accounts p where p.id = s.parent_id)
+    else (select json_build_object('role', 'student', 'id', st.id, 'name', st.name) from students st where st.id = s.student_id)
+  end
+$$;
+
+create or replace function public.change_own_pin(p_current text, p_new text) returns void
+language plpgsql security definer set search_path = public, extensions as $$
+declare me uuid := (select account_id from app_session() where role = 'admin');
+begin
+  if me is null then raise exception '권한이 없습니다.' using errcode = '42501'; end if;
+  if not exists (select 1 from staff_accounts where id = me and pin_hash = crypt(p_current, pin_hash)) then
+    raise exception '현재 비밀번호가 올바르지 않습니다.' using errcode = '22023';
+  end if;
+  if p_new = p_current then
+    raise exception '새 비밀번호는 현재 비밀번호와 달라야 합니다.' using errcode = '22023';
+  end if;
+  perform check_pin(p_new);
+  update staff_accounts set pin_hash = crypt(p_new, gen_salt('bf')), must_change_pin = false where id = me;
+end $$;
+
+-- The settings warning also covers staff on the academy's default student PIN, which every student knows.
+create or replace function public.own_pin_is_default() returns boolean
+language sql stable security definer set search_path = public, extensions as $$
+  select coalesce((select pin_hash = crypt('1234', pin_hash) or pin_hash = crypt((select default_pin from academy_settings), pin_hash)
+    from staff_accounts where id = (select account_id from app_session() where role = 'admin')), false)
+$$;
+
+-- ─── Login ───
+create or replace function public.login_admin(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare a staff_accounts;
+begin
+  perform check_login_lock('admin', trim(p_login_id));
+  select * into a from staff_accounts where login_id = trim(p_login_id) and pin_hash = crypt(p_pin, pin_hash);
+  perform record_login('admin', trim(p_login_id), a.id is not null);
+  if a.id is null then return null; end if;
+  return issue_session('admin', a.id, null);
+end $$;
+
+create or replace function public.login_student(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare sid uuid;
+begin
+  perform check_login_lock('student', trim(p_login_id));
+  select s.id into sid from students s join student_credentials c on c.student_id = s.id
+  where s.login_id = trim(p_login_id) and c.pin_hash = crypt(p_pin, c.pin_hash) and s.status = 'active';
+  perform record_login('student', trim(p_login_id), sid is not null);
+  if sid is null then return null; end if;
+  return issue_session('student', null, sid);
+end $$;
+
+create or replace function public.login_parent(p_login_id text, p_pin text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare p parent_accounts;
+begin
+  perform check_login_lock('parent', trim(p_login_id));
+  select * into p from parent_accounts where login_id = trim(p_login_id) and pin_hash = crypt(p_pin, pin_hash);
+  perform record_login('parent', trim(p_login_id), p.id is not null);
+  if p.id is null then return null; end if;
+  return issue_session('parent', null, null, p.id);
+end $$;
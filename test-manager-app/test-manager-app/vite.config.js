@@ -3,4 +3,9 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // `npm test`: src/**/*.test.js in a browser-like environment, against the in-memory demo backend.
+  test: {
+    environment: 'jsdom',
+    env: { VITE_DATA_BACKEND: 'memory' },
+  },
 })